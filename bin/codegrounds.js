@@ -2,6 +2,11 @@
 
 const Orchestrator = require('../lib/Orchestrator');
 const Workspace = require('../lib/Workspace');
+const Blackboard = require('../lib/Blackboard');
+const { createProvider, PROVIDERS } = require('../lib/providers');
+const { loadConfig } = require('../lib/Config');
+const { listRuns, readTrace, filterEvents, formatEvent } = require('../lib/Trace');
+const { Git, readRuns, saveRuns } = require('../lib/Git');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const fs = require('fs');
@@ -11,7 +16,163 @@ const dotenv = require('dotenv');
 // Load environment variables from the current directory
 dotenv.config({ path: path.join(process.cwd(), '.env') });
 
+// `codegrounds <command> [positional...] [--flag value] [--switch]`
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+        const [key, inline] = arg.slice(2).split(/=(.*)/s);
+        if (inline !== undefined) args[key] = inline;
+        else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) args[key] = argv[++i];
+        else args[key] = true;
+    }
+    return args;
+}
+
+// --project accepts a path or a workspace project name; otherwise the current directory
+// (when it has traces) or an interactive pick.
+async function resolveProjectDir(project) {
+    const workspace = new Workspace();
+    if (project) {
+        if (fs.existsSync(project)) return path.resolve(project);
+        const match = (await workspace.getProjects()).find(p => p.name === project || p.name.includes(project));
+        if (!match) throw new Error(`Project "${project}" not found.`);
+        return match.path;
+    }
+    if ((await listRuns(process.cwd())).length > 0 || (await readRuns(process.cwd())).length > 0) return process.cwd();
+
+    const projects = await workspace.getProjects();
+    if (projects.length === 0) throw new Error('No projects found.');
+    const { selectedProject } = await inquirer.prompt([{
+        type: 'list',
+        name: 'selectedProject',
+        message: 'Select a project:',
+        choices: projects.map(p => ({ name: p.name, value: p.path }))
+    }]);
+    return selectedProject;
+}
+
+// codegrounds trace                 -> list runs
+// codegrounds trace <runId|latest>  -> print a run, filtered by --agent/--file/--tool/--type, --full, --json
+async function traceCommand(args) {
+    const projectDir = await resolveProjectDir(args.project);
+    const runId = args._[0];
+
+    if (!runId) {
+        const runs = await listRuns(projectDir);
+        if (runs.length === 0) {
+            console.log(chalk.yellow(`No traces in ${projectDir}`));
+            return;
+        }
+        console.log(chalk.bold(`Runs in ${projectDir}:`));
+        for (const run of runs) {
+            const { events } = await readTrace(projectDir, run.runId);
+            const start = events.find(e => e.type === 'run-start');
+            const end = events.find(e => e.type === 'run-end');
+            const status = end ? end.status : 'incomplete';
+            const color = status === 'success' ? chalk.green : (end ? chalk.red : chalk.yellow);
+            const prompt = start && start.prompt ? start.prompt.split('\n')[0].slice(0, 60) : '';
+            console.log(`  ${chalk.cyan(run.runId)}  ${color(status.padEnd(10))} ${chalk.gray(`${String(events.length).padStart(5)} events`)}  ${prompt}`);
+        }
+        console.log(chalk.gray('\nShow one with: codegrounds trace <runId> [--agent name] [--file path] [--tool name] [--type type] [--full] [--json]'));
+        return;
+    }
+
+    const { run, events } = await readTrace(projectDir, runId);
+    const filtered = filterEvents(events, { agent: args.agent, file: args.file, tool: args.tool, type: args.type });
+    if (args.json) {
+        filtered.forEach(e => console.log(JSON.stringify(e)));
+        return;
+    }
+    console.log(chalk.bold(`Trace ${run.runId}`) + chalk.gray(` (${filtered.length}/${events.length} events)\n`));
+    filtered.forEach(e => console.log(formatEvent(e, { full: Boolean(args.full) }) + '\n'));
+}
+
+// codegrounds history -> the runs recorded in .codegrounds/runs.json, newest first
+async function historyCommand(args) {
+    const projectDir = await resolveProjectDir(args.project);
+    const runs = (await readRuns(projectDir)).slice().reverse();
+    if (runs.length === 0) {
+        console.log(chalk.yellow(`No runs recorded in ${projectDir}`));
+        return;
+    }
+    const current = await new Git(projectDir).currentBranch().catch(() => null);
+
+    console.log(chalk.bold(`Runs in ${projectDir}:`));
+    for (const run of runs) {
+        const status = run.undone ? 'undone' : run.status;
+        const color = status === 'complete' ? chalk.green : (status === 'running' || status === 'undone' ? chalk.yellow : chalk.red);
+        const here = run.branchPerRun && run.branch === current ? chalk.cyan(' ← checked out') : '';
+        const prompt = (run.prompt || '').split('\n')[0].slice(0, 60);
+        console.log(`  ${chalk.cyan(run.runId)}  ${color(status.padEnd(11))} ${chalk.gray(`${String(run.commits.length).padStart(3)} commits  ${run.branch || run.baseCommit.slice(0, 7)}`)}${here}`);
+        console.log(`      ${prompt}${chalk.gray(` (from ${run.base.length === 40 ? run.base.slice(0, 7) : run.base})`)}`);
+        if (args.commits) run.commits.forEach(c => console.log(chalk.gray(`        ${c.sha.slice(0, 7)} ${c.message}`)));
+    }
+    console.log(chalk.gray('\nRevert the latest run with: codegrounds undo [runId] (--commits lists the commits of each run)'));
+}
+
+// codegrounds undo [runId] -> back to the state before that run (and every later one).
+// Run branches are kept, so an undo can itself be undone with "git checkout <branch>".
+async function undoCommand(args) {
+    const projectDir = await resolveProjectDir(args.project);
+    const runs = await readRuns(projectDir);
+    const active = runs.filter(r => !r.undone);
+    const target = args._[0]
+        ? active.find(r => r.runId === args._[0] || r.runId.startsWith(args._[0]))
+        : active[active.length - 1];
+    if (!target) throw new Error(args._[0] ? `No run "${args._[0]}" to undo (see "codegrounds history").` : 'No runs to undo.');
+    if (target.status === 'running') throw new Error(`Run ${target.runId} is still running.`);
+
+    const git = new Git(projectDir);
+    if (!await git.isClean()) {
+        throw new Error('The project has uncommitted changes. Commit or stash them first, so the undo cannot lose them.');
+    }
+
+    const later = active.filter(r => r.startedAt > target.startedAt);
+    console.log(chalk.bold(`Undo run ${target.runId}: "${(target.prompt || '').split('\n')[0].slice(0, 60)}"`));
+    console.log(chalk.gray(`  ${target.commits.length} commit(s); the project goes back to ${target.base.length === 40 ? target.base.slice(0, 7) : target.base}.`));
+    if (later.length) console.log(chalk.yellow(`  This also undoes ${later.length} later run(s): ${later.map(r => r.runId).join(', ')}`));
+
+    if (!args.yes) {
+        const { confirm } = await inquirer.prompt([{ type: 'confirm', name: 'confirm', message: 'Undo?', default: false }]);
+        if (!confirm) return;
+    }
+
+    let keep;
+    if (target.branchPerRun) {
+        await git.checkout(await git.branchExists(target.base) ? target.base : target.baseCommit);
+        keep = [target, ...later].pop().branch; // The newest branch has all the undone work
+    } else {
+        // No run branch: keep the work on a backup branch, then rewind
+        keep = `codegrounds/undone-${target.runId}`;
+        await git.run(['branch', keep]);
+        await git.run(['reset', '-q', '--hard', target.baseCommit]);
+    }
+
+    for (const run of [target, ...later]) run.undone = true;
+    await saveRuns(projectDir, runs);
+    console.log(chalk.green(`✔ Undone. The work is still on branch ${keep} ("git checkout ${keep}" to get it back).`));
+}
+
 async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args._[0] === 'trace') {
+        args._.shift();
+        return traceCommand(args);
+    }
+    if (args._[0] === 'history') {
+        args._.shift();
+        return historyCommand(args);
+    }
+    if (args._[0] === 'undo') {
+        args._.shift();
+        return undoCommand(args);
+    }
+
     console.clear();
     console.log(chalk.cyan.bold('╔════════════════════════════════════════╗'));
     console.log(chalk.cyan.bold('║           CODEGROUNDS 8.0              ║'));
@@ -19,11 +180,15 @@ async function main() {
     console.log(chalk.cyan.bold('╚════════════════════════════════════════╝'));
     console.log('');
 
-    // Check if .env exists
-    const hasKeys = [1,2,3,4,5,6].some(i => process.env[`GEMINI_API_KEY_${i}`]) || process.env.GEMINI_API_KEY;
+    // Check if .env exists. Named endpoints come from codegrounds.config.json; one that only the
+    // project's config defines is checked once the project is loaded (Orchestrator.init).
+    const providerName = process.env.LLM_PROVIDER || 'gemini';
+    const providerConfig = (await loadConfig(null)).providers[providerName];
+    const known = providerConfig || PROVIDERS[providerName];
+    const hasKeys = process.env.LLM_CASSETTE_MODE === 'replay' || !known || createProvider(providerName, providerConfig).hasKeys();
 
     if (!hasKeys) {
-        console.error(chalk.red('Error: No Gemini API keys found.'));
+        console.error(chalk.red(`Error: No API keys found for the "${providerName}" LLM provider.`));
         console.log(chalk.yellow('Please create a .env file in this directory.'));
         process.exit(1);
     }
@@ -49,6 +214,7 @@ async function main() {
 
     let projectPath = null;
     let userPrompt = "";
+    let resume = false;
 
     if (action === 'resume') {
         const { selectedProject } = await inquirer.prompt([{
@@ -58,14 +224,25 @@ async function main() {
             choices: projects.map(p => ({ name: p.name, value: p.path }))
         }]);
         projectPath = selectedProject;
-        
-        const { updateRequest } = await inquirer.prompt([{
-            type: 'input',
-            name: 'updateRequest',
-            message: 'What would you like to update/change/add?',
-            validate: input => input.trim().length > 0 ? true : 'Please enter a request.'
-        }]);
-        userPrompt = updateRequest;
+
+        const blackboard = new Blackboard(projectPath);
+        await blackboard.load();
+        if (blackboard.hasUnfinishedBuild()) {
+            const { request, status, files } = blackboard.state.checkpoint;
+            const done = Object.values(files).filter(f => f.state === 'done').length;
+            console.log(chalk.yellow(`\n⏸️  Unfinished build (${status}, ${done}/${Object.keys(files).length} files done): "${request.split('\n')[0].slice(0, 80)}"`));
+            ({ resume } = await inquirer.prompt([{ type: 'confirm', name: 'resume', message: 'Continue where it stopped?', default: true }]));
+        }
+
+        if (!resume) {
+            const { updateRequest } = await inquirer.prompt([{
+                type: 'input',
+                name: 'updateRequest',
+                message: 'What would you like to update/change/add?',
+                validate: input => input.trim().length > 0 ? true : 'Please enter a request.'
+            }]);
+            userPrompt = updateRequest;
+        }
     } else {
         const { newPrompt } = await inquirer.prompt([{
             type: 'input',
@@ -78,12 +255,15 @@ async function main() {
 
     const orchestrator = new Orchestrator();
     try {
-        await orchestrator.run(userPrompt, projectPath);
+        await orchestrator.run(userPrompt, projectPath, { resume });
     } catch (error) {
         console.error(chalk.red('\n❌ System Error:'), error.message);
         if (process.env.DEBUG) console.error(error);
     }
 }
 
-main();
+main().catch(error => {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+});
 
@@ -1,60 +1,126 @@
 const chalk = require('chalk');
+const { ContextManager } = require('./ContextManager');
+const { validate, extractJson, formatInstructions } = require('./Schema');
+const { CancelledError, throwIfAborted } = require('./Cancellation');
+
+// Process-wide, so traces can tell apart parallel conversations of the same agent
+let conversationCount = 0;
 
 class Agent {
-    constructor(name, role, description, geminiClient, modelName, keyIndex = 1, toolSet = null, allowedTools = null, maxSteps = 15) {
+    constructor(name, role, description, geminiClient, modelName, keyIndex = 1, toolSet = null, allowedTools = null, maxSteps = 15, provider = null) {
         this.name = name;
         this.role = role;
         this.description = description;
         this.geminiClient = geminiClient;
-        this.modelName = modelName || process.env.DEFAULT_MODEL || "gemini-1.5-pro";
+        this.provider = provider; // null -> the client's default provider
+        this.modelName = modelName || null; // null -> the provider's default model (DEFAULT_MODEL for Gemini)
         this.keyIndex = keyIndex;
         this.toolSet = toolSet;
         this.allowedTools = allowedTools;
         this.maxSteps = maxSteps;
+        this.instructions = null; // Extra guidelines from codegrounds.config.json
+        this.signal = null; // AbortSignal of the current run; set by the Orchestrator
+        this.blackboard = null; // For the user's answers to ask_user questions; set by the Orchestrator
     }
 
-    async execute(task, context = {}) {
+    buildSystemInstruction() {
         // Construct a focused system prompt
-        const systemInstruction = `
+        return `
 CRITICAL IDENTITY: You are ${this.name}, the ${this.role}.
 YOUR ROLE: ${this.description}
 CONSTRAINTS: Do NOT deviate from this role. Do NOT perform tasks belonging to other agents.
 
 Collaborative Guidelines:
-1. PRECISION: When writing code, ensure interfaces match other files exactly. Use get_file_context to verify dependencies.
+1. PRECISION: When writing code, ensure interfaces match other files exactly. Use get_file_context to verify dependencies. Before changing a function's signature or an export, use find_references (or call_graph) to find every call site and update them too. For large files, use file_outline and read_file with startLine/endLine instead of reading everything.
 2. DEFENSIVE WRITING: Before writing or editing a file, use list_files/read_file to check if it exists or if another agent has already modified it. Never overwrite logic blindly.
-3. SURGICAL EDITS: Use replace_in_file for modifications. If replace_in_file fails with "content not found", DO NOT get stuck. Immediately fall back to read_file to check the current state, and then use write_file to overwrite the file with the correct content.
+3. SURGICAL EDITS: Use apply_patch for modifications (replace_in_file for a single small change). If a patch is rejected, read the report: it shows the closest matching lines. Fix the failing hunks and resend the whole patch, or read_file and use write_file to overwrite the file with the correct content.
 4. SELF-CORRECTION: If you see a syntax warning or tool error, fix it immediately.
 5. ATOMICITY: Each tool call should be a complete, logical step.
 6. JSON: If asked for JSON, output ONLY valid JSON in a code block.
 7. BATCHING: You can execute multiple tools in one turn. Use this to read multiple files or apply multiple edits at once.
 
 You are building a great application from ideas. FAST, EFFICIENT, RELIABLE, QUALITY, SMART.
-`;
+${this.instructions ? `\nAdditional Instructions:\n${this.instructions}\n` : ''}`;
+    }
 
+    // Starts a fresh conversation: the task is only sent once, afterwards the model relies on the tool results.
+    // meta ({ phase, file }) attributes the conversation in the run trace.
+    startConversation(task, context = {}, meta = {}) {
         // Efficiently include context only in the first message or when it changes
-        let history = [];
         const contextStr = typeof context === 'string' ? context : JSON.stringify(context, null, 2);
         
         // Use a leaner initial prompt. If context is too big, the first turn will be slow,
         // but subsequent turns will be fast because we don't re-send it.
-        const initialTask = `CONTEXT:\n${contextStr}\n\nTASK:\n${task}`;
-        
+        const answers = this.blackboard ? this.blackboard.state.answers : [];
+        const decisions = answers.length
+            ? `USER DECISIONS (the user's answers to earlier questions; follow them):\n${answers.map(a => `- ${a.question} → ${a.answer}`).join('\n')}\n\n`
+            : '';
+        const initialTask = `CONTEXT:\n${contextStr}\n\n${decisions}TASK:\n${task}`;
+
+        const conversation = {
+            id: ++conversationCount,
+            systemInstruction: this.buildSystemInstruction(),
+            // Normalized, provider-agnostic history (see lib/providers/index.js)
+            history: [{ role: 'user', text: initialTask }],
+            contextManager: new ContextManager(this.geminiClient, { agentName: this.name, provider: this.provider })
+        };
+        this.geminiClient.trace('agent-start', {
+            ...meta, agent: this.name, role: this.role, conversation: conversation.id, provider: this.provider,
+            model: this.modelName, systemInstruction: conversation.systemInstruction, task: initialTask
+        });
+        return conversation;
+    }
+
+    // meta: { phase, file } for usage accounting; the agent adds its own name.
+    async execute(task, context = {}, meta = {}) {
+        return this.converse(this.startConversation(task, context, meta), meta);
+    }
+
+    // Like execute(), but the final answer must be JSON matching `schema` (see lib/Schema.js).
+    // The schema is enforced natively where the provider supports it; otherwise validation
+    // errors are fed back into the same conversation so the agent can repair its answer.
+    async executeStructured(task, schema, { context = {}, meta = {}, maxRepairs = 2 } = {}) {
+        const conversation = this.startConversation(`${task}\n\n${formatInstructions(schema)}`, context, meta);
+        let errors = [];
+
+        for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+            const text = await this.converse(conversation, meta, { responseSchema: schema });
+            const { value, error } = extractJson(text);
+            errors = error ? [error] : validate(value, schema);
+            if (errors.length === 0) return value;
+
+            console.warn(chalk.yellow(`[${this.name}] Invalid ${schema.title || 'JSON'} (${errors.length} error(s)). Asking for a repair...`));
+            const repair = `Your answer does not match the required ${schema.title || 'JSON'} schema:\n- ${errors.join('\n- ')}\n\nReply again with the complete, corrected JSON only.`;
+            conversation.history.push({ role: 'assistant', text, toolCalls: [] });
+            conversation.history.push({ role: 'user', text: repair });
+            this.geminiClient.trace('user-message', { ...meta, agent: this.name, conversation: conversation.id, text: repair });
+        }
+
+        throw new Error(`[${this.name}] Could not produce a valid ${schema.title || 'JSON'} answer: ${errors.join('; ')}`);
+    }
+
+    async converse({ id, systemInstruction, history, contextManager }, meta = {}, { responseSchema = null } = {}) {
+        const llmMeta = { ...meta, agent: this.name, conversation: id };
         let currentMaxSteps = this.maxSteps;
+        const signal = this.signal;
         for (let i = 0; i < currentMaxSteps; i++) {
             try {
-                // IMPORTANT: Only send the full context/task in the first iteration.
-                // In subsequent iterations, the model relies on 'history'.
-                const promptToUse = (i === 0) ? initialTask : "Continue.";
-
-                const response = await this.geminiClient.generateText(
-                    promptToUse, 
-                    systemInstruction, 
-                    this.modelName, 
-                    this.keyIndex, 
-                    this.toolSet ? this.toolSet.getDefinitions(this.allowedTools) : null,
-                    history
-                );
+                throwIfAborted(signal);
+                // Proactively keep the conversation inside the window before every call
+                await contextManager.compact(history, { systemInstruction, meta: llmMeta, signal });
+
+                const response = await this.geminiClient.generateText({
+                    messages: history,
+                    systemInstruction,
+                    model: this.modelName,
+                    provider: this.provider,
+                    keyIndex: this.keyIndex,
+                    tools: this.toolSet ? this.toolSet.getDefinitions(this.allowedTools) : null,
+                    responseSchema,
+                    meta: llmMeta,
+                    signal,
+                    onContextOverflow: () => contextManager.compact(history, { systemInstruction, aggressive: true, meta: llmMeta, signal })
+                });
 
                 // Smart Grace Period: If we are near the limit but the agent is still active,
                 // allow a few extra steps to finish the task.
@@ -62,53 +128,46 @@ You are building a great application from ideas. FAST, EFFICIENT, RELIABLE, QUAL
                     currentMaxSteps += 5;
                 }
 
-                // Check for function calls
-                const candidate = response.candidates[0];
-                const parts = candidate.content.parts;
-                
-                // Filter for ALL function calls
-                const funcCallParts = parts.filter(p => p.functionCall);
-
-                if (funcCallParts.length > 0) {
+                if (response.toolCalls.length > 0) {
                     // Log all calls
-                    funcCallParts.forEach(p => {
-                         console.log(chalk.gray(`[${this.name}] 🛠️  ${p.functionCall.name}(${JSON.stringify(p.functionCall.args).slice(0, 50)}...)`));
+                    response.toolCalls.forEach(call => {
+                         console.log(chalk.gray(`[${this.name}] 🛠️  ${call.name}(${JSON.stringify(call.args).slice(0, 50)}...)`));
                     });
 
                     // Execute Tools Sequentially (to avoid race conditions on same files)
-                    const functionResponses = [];
-                    for (const part of funcCallParts) {
-                        const call = part.functionCall;
+                    const results = [];
+                    for (const call of response.toolCalls) {
                         let result;
+                        const startedAt = Date.now();
                         if (this.toolSet) {
-                            result = await this.toolSet.execute(call.name, call.args, this.name);
+                            result = await this.toolSet.execute(call.name, call.args, this.name, { signal });
                         } else {
                             result = "Error: No tools available.";
                         }
+                        this.geminiClient.trace('tool', { ...llmMeta, tool: call.name, args: call.args, result, durationMs: Date.now() - startedAt });
                         
-                        functionResponses.push({
-                            functionResponse: {
-                                name: call.name,
-                                response: { content: result } 
-                            }
-                        });
+                        results.push({ id: call.id, name: call.name, content: result });
                     }
 
                     // Update History
-                    history.push({ role: 'model', parts: parts });
-                    history.push({ role: 'function', parts: functionResponses });
+                    history.push({ role: 'assistant', text: response.text, toolCalls: response.toolCalls, providerData: response.providerData });
+                    history.push({ role: 'tool', results });
                     
                 } else {
-                    return response.text();
+                    this.geminiClient.trace('agent-end', { ...llmMeta, text: response.text });
+                    return response.text;
                 }
 
             } catch (error) {
-                console.error(`[${this.name}] Error executing task:`, error.message);
+                if (!(error instanceof CancelledError)) console.error(`[${this.name}] Error executing task:`, error.message);
+                this.geminiClient.trace('agent-end', { ...llmMeta, error: error.message });
                 throw error;
             }
         }
         
-        throw new Error(`[${this.name}] Exceeded max tool steps.`);
+        const error = new Error(`[${this.name}] Exceeded max tool steps.`);
+        this.geminiClient.trace('agent-end', { ...llmMeta, error: error.message });
+        throw error;
     }
 }
 
@@ -0,0 +1,235 @@
+const path = require('path');
+const chalk = require('chalk');
+const { NonInteractiveError } = require('./Prompter');
+const { patchPaths } = require('./Patch');
+
+// Human approval for tool calls. Every call gets a mode:
+//   auto - run it
+//   ask  - show the exact command / diff and let the user decide
+//   deny - refuse without asking
+// Rules are checked in order and the first match wins: project rules from the `approval`
+// section of codegrounds.config.json, then the built-in rules below. A project rule decides on
+// its own; a built-in rule (and a built-in tool mode) can only make the per-tool mode, or
+// `default`, stricter. Decisions go back to the agent as the tool result.
+
+const MODES = ['auto', 'ask', 'deny'];
+
+// Matched against the full shell string of run_command and start_process.
+const BUILTIN_COMMAND_RULES = [
+    { pattern: '\\brm\\s+(-\\w+\\s+)*(/|~|\\$HOME)/?(\\s|$)', mode: 'deny', reason: 'deletes the root or home directory' },
+    { pattern: '\\bmkfs\\b|\\bdd\\b.*\\bof=/dev/|:\\(\\)\\s*\\{', mode: 'deny', reason: 'can destroy the machine' },
+    { pattern: '\\b(curl|wget)\\b[^|]*\\|\\s*(sudo\\s+)?(ba|z)?sh\\b', mode: 'ask', reason: 'pipes a download into a shell' },
+    { pattern: '(^|[;&|(]\\s*)sudo\\b', mode: 'ask', reason: 'runs as root' },
+    { pattern: '(^|[;&|(]\\s*)rm\\s', mode: 'ask', reason: 'deletes files' },
+    { pattern: '\\bgit\\s+push\\b', mode: 'ask', reason: 'publishes commits' },
+    { pattern: '\\bgit\\s+(reset\\s+--hard|clean\\s+-\\w*f|checkout\\s+--?\\s|push\\s+-f)', mode: 'ask', reason: 'discards work' },
+    {
+        pattern: '\\b(npm\\s+(i|install|add|ci)|yarn(\\s+global)?\\s+add|pnpm\\s+(i|install|add)|pip3?\\s+install|poetry\\s+add|apt(-get)?\\s+install|brew\\s+install|cargo\\s+(add|install)|go\\s+(get|install)|gem\\s+install)\\b',
+        mode: 'ask',
+        reason: 'installs packages'
+    }
+];
+
+// Matched against the path argument of file-writing tools (relative to the project).
+const BUILTIN_PATH_RULES = [
+    { pattern: '(^|/)\\.env(\\.|$)', mode: 'ask', reason: 'edits secrets' },
+    { pattern: '(^|/)\\.git/', mode: 'deny', reason: 'edits git internals' }
+];
+
+// Like `rm` in run_command, deleting asks first.
+const BUILTIN_TOOL_MODES = { delete_file: 'ask' };
+
+const COMMAND_TOOLS = ['run_command', 'start_process'];
+const WRITE_TOOLS = ['write_file', 'replace_in_file', 'delete_file', 'create_directory', 'git_restore_file'];
+
+const RULE_SCHEMA = {
+    type: 'object',
+    properties: {
+        pattern: { type: 'string', minLength: 1 },
+        mode: { type: 'string', enum: MODES },
+        reason: { type: 'string' }
+    },
+    required: ['pattern', 'mode'],
+    additionalProperties: false
+};
+
+const APPROVAL_SCHEMA = {
+    type: 'object',
+    properties: {
+        default: { type: 'string', enum: MODES },
+        tools: { type: 'object' },
+        commands: { type: 'array', items: RULE_SCHEMA },
+        paths: { type: 'array', items: RULE_SCHEMA },
+        builtinRules: { type: 'boolean' },
+        nonInteractive: { type: 'string', enum: ['auto', 'deny'], description: 'What "ask" becomes without a terminal.' }
+    },
+    additionalProperties: false
+};
+
+function compileRules(rules) {
+    return rules.map(rule => {
+        try {
+            return { ...rule, regex: new RegExp(rule.pattern, 'i') };
+        } catch (e) {
+            throw new Error(`Invalid approval pattern /${rule.pattern}/: ${e.message}`);
+        }
+    });
+}
+
+class ApprovalPolicy {
+    // config: the `approval` section of codegrounds.config.json
+    // options: { prompter, workspaceDir, onDecision({ tool, args, agent, mode, decision, reason }) }
+    constructor(config = {}, options = {}) {
+        this.defaultMode = config.default || 'auto';
+        const builtin = config.builtinRules !== false;
+        this.builtinToolModes = builtin ? BUILTIN_TOOL_MODES : {};
+        this.toolModes = { ...(config.tools || {}) };
+        this.configuredTools = Object.keys(config.tools || {});
+        this.nonInteractive = config.nonInteractive || 'deny';
+        const builtinRules = rules => (builtin ? rules.map(rule => ({ ...rule, builtin: true })) : []);
+        this.commandRules = compileRules([...(config.commands || []), ...builtinRules(BUILTIN_COMMAND_RULES)]);
+        this.pathRules = compileRules([...(config.paths || []), ...builtinRules(BUILTIN_PATH_RULES)]);
+
+        this.prompter = options.prompter || null;
+        this.workspaceDir = options.workspaceDir || null;
+        this.onDecision = options.onDecision || null;
+        this.remembered = new Map(); // "always allow" answers, for the rest of the run
+    }
+
+    // A plugin tool's own default mode; approval.tools in the config still wins.
+    setToolDefault(name, mode) {
+        if (!this.configuredTools.includes(name)) this.toolModes[name] = mode;
+    }
+
+    // -> { mode, reason, key } ; key identifies what an "always allow" answer applies to
+    evaluate(name, args = {}) {
+        const base = this.toolVerdict(name);
+        if (COMMAND_TOOLS.includes(name) && typeof args.command === 'string') {
+            const rule = this.commandRules.find(r => r.regex.test(args.command));
+            if (rule) return this.applyRule(rule, base, `command:${rule.pattern}`);
+        }
+
+        // A patch may touch several files; the strictest verdict among them applies
+        const verdicts = this.writtenPaths(name, args).map(p => this.evaluatePath(name, p, base));
+        if (verdicts.length === 0) return base;
+        return verdicts.reduce((a, b) => (MODES.indexOf(b.mode) > MODES.indexOf(a.mode) ? b : a));
+    }
+
+    // The per-tool mode (config or plugin default), else `default`, tightened by a built-in tool mode
+    toolVerdict(name) {
+        const mode = this.toolModes[name] || this.strictest(this.defaultMode, this.builtinToolModes[name] || 'auto');
+        return { mode, reason: `${name} is set to "${mode}"`, key: `tool:${name}` };
+    }
+
+    applyRule(rule, base, key) {
+        const verdict = { mode: rule.mode, reason: rule.reason || `matches /${rule.pattern}/`, key };
+        return rule.builtin && MODES.indexOf(base.mode) > MODES.indexOf(rule.mode) ? base : verdict;
+    }
+
+    writtenPaths(name, args) {
+        if (name === 'apply_patch') return args.dryRun ? [] : patchPaths(args);
+        if (name === 'move_file') return [args.from, args.to].filter(p => typeof p === 'string');
+        return WRITE_TOOLS.includes(name) && typeof args.path === 'string' ? [args.path] : [];
+    }
+
+    // Files no rule matches get the tool's own verdict
+    evaluatePath(name, p, base) {
+        const target = this.relativePath(p);
+        if (target.startsWith('..') || path.isAbsolute(target)) {
+            return { mode: this.strictest('ask', base.mode), reason: 'writes outside the project', key: `outside:${name}` };
+        }
+        const rule = this.pathRules.find(r => r.regex.test(target));
+        return rule ? this.applyRule(rule, base, `path:${rule.pattern}`) : base;
+    }
+
+    strictest(a, b) {
+        return MODES.indexOf(b) > MODES.indexOf(a) ? b : a;
+    }
+
+    relativePath(p) {
+        if (!this.workspaceDir) return p;
+        return path.relative(this.workspaceDir, path.resolve(this.workspaceDir, p)).split(path.sep).join('/');
+    }
+
+    // -> { approved: true } or { approved: false, message } where message is the tool result for the agent.
+    // preview() lazily renders what the user is asked to approve (command, diff, ...).
+    async review(name, args, agentName, preview = null) {
+        const verdict = this.evaluate(name, args);
+        let mode = verdict.mode;
+        if (mode === 'ask' && this.remembered.get(verdict.key) === 'auto') mode = 'auto';
+
+        if (mode === 'auto') return { approved: true };
+
+        if (mode === 'deny') {
+            this.report(name, args, agentName, verdict, 'denied');
+            return {
+                approved: false,
+                message: `Error: ${name} was blocked by the approval policy (${verdict.reason}). Do not retry it; find another way or explain to the user (post_message) why it is needed.`
+            };
+        }
+
+        if (!this.prompter || !this.prompter.interactive) {
+            const decision = this.nonInteractive === 'auto' ? 'approved' : 'denied';
+            this.report(name, args, agentName, verdict, `${decision} (non-interactive)`);
+            if (decision === 'approved') return { approved: true };
+            return {
+                approved: false,
+                message: `Error: ${name} needs user approval (${verdict.reason}), but nobody is available to approve it. Do not retry it; find another way.`
+            };
+        }
+
+        return this.ask(name, args, agentName, verdict, preview);
+    }
+
+    async ask(name, args, agentName, verdict, preview) {
+        let answers;
+        try {
+            answers = await this.prompter.prompt([
+                {
+                    type: 'list',
+                    name: 'choice',
+                    message: this.formatQuestion(name, args, agentName, verdict, preview ? await preview() : ''),
+                    choices: [
+                        { name: 'Allow once', value: 'once' },
+                        { name: `Always allow this run (${verdict.reason})`, value: 'always' },
+                        { name: 'Deny', value: 'deny' },
+                        { name: 'Deny and tell the agent why', value: 'feedback' }
+                    ]
+                },
+                {
+                    type: 'input',
+                    name: 'feedback',
+                    message: 'What should the agent do instead?',
+                    when: a => a.choice === 'feedback'
+                }
+            ]);
+        } catch (e) {
+            if (!(e instanceof NonInteractiveError)) throw e;
+            answers = { choice: this.nonInteractive === 'auto' ? 'once' : 'deny' };
+        }
+
+        if (answers.choice === 'always') this.remembered.set(verdict.key, 'auto');
+        if (answers.choice === 'once' || answers.choice === 'always') {
+            this.report(name, args, agentName, verdict, 'approved');
+            return { approved: true };
+        }
+
+        this.report(name, args, agentName, verdict, 'denied', answers.feedback);
+        const feedback = answers.feedback ? ` The user says: "${answers.feedback}".` : '';
+        return {
+            approved: false,
+            message: `Error: The user rejected this ${name} call.${feedback} Do not repeat the same call; adjust your approach.`
+        };
+    }
+
+    formatQuestion(name, args, agentName, verdict, preview) {
+        const header = `${chalk.yellow.bold('🔐 Approval needed')} ${chalk.cyan(`[${agentName}]`)} ${chalk.bold(name)} ${chalk.gray(`(${verdict.reason})`)}`;
+        return `${header}\n${preview}\n${chalk.bold('Allow?')}`;
+    }
+
+    report(tool, args, agent, verdict, decision, feedback = null) {
+        if (this.onDecision) this.onDecision({ tool, args, agent, mode: verdict.mode, reason: verdict.reason, decision, feedback });
+    }
+}
+
+module.exports = { ApprovalPolicy, APPROVAL_SCHEMA, BUILTIN_COMMAND_RULES, BUILTIN_PATH_RULES, BUILTIN_TOOL_MODES, MODES };
@@ -5,6 +5,7 @@ class Blackboard {
     constructor(workspaceDir) {
         this.workspaceDir = workspaceDir;
         this.statePath = path.join(workspaceDir, 'codegrounds.state.json');
+        this.saveQueue = Promise.resolve();
         this.state = {
             project: {
                 name: '',
@@ -20,12 +21,25 @@ class Blackboard {
             checkpoint: {
                 lastPhase: 0,
                 lastFile: '',
-                timestamp: null
+                timestamp: null,
+                // Build progress, so an interrupted build resumes exactly where it stopped
+                status: 'idle', // idle | running | interrupted | failed | complete
+                runId: null,
+                request: '', // The user request being built
+                testsPrepared: false,
+                setupDone: [], // Setup commands that already succeeded
+                files: {}, // path -> { state: pending | in-progress | done | failed, error, updatedAt }
+                verified: false
             },
             qa: {
                 bugs: [], // { id, description, status, file, qualityScore }
                 testResults: []
             },
+            usage: {
+                run: null, // Token/cost totals of the latest run (see UsageTracker.toJSON)
+                lifetime: null // Accumulated over every run on this project
+            },
+            answers: [], // { timestamp, agent, question, answer } from ask_user; shown to every agent
             history: [] // Chronological log of major events
         };
     }
@@ -41,7 +55,8 @@ class Blackboard {
                     project: { ...this.state.project, ...savedState.project },
                     architecture: { ...this.state.architecture, ...savedState.architecture },
                     checkpoint: { ...this.state.checkpoint, ...savedState.checkpoint },
-                    qa: { ...this.state.qa, ...savedState.qa }
+                    qa: { ...this.state.qa, ...savedState.qa },
+                    usage: { ...this.state.usage, ...savedState.usage }
                 };
             } catch (e) {
                 console.error("Failed to load blackboard state, resetting:", e.message);
@@ -51,8 +66,16 @@ class Blackboard {
         }
     }
 
+    // Serialized and atomic (temp file + rename): parallel agents save concurrently,
+    // and an interrupted process must never leave a half-written state file behind.
     async save() {
-        await fs.writeJson(this.statePath, this.state, { spaces: 2 });
+        const write = async () => {
+            const tmpPath = `${this.statePath}.tmp`;
+            await fs.writeJson(tmpPath, this.state, { spaces: 2 });
+            await fs.rename(tmpPath, this.statePath);
+        };
+        this.saveQueue = this.saveQueue.then(write, write);
+        await this.saveQueue;
     }
 
     async updateProject(details) {
@@ -80,11 +103,81 @@ class Blackboard {
     }
 
     async saveCheckpoint(phaseIndex, filePath) {
-        this.state.checkpoint = {
+        Object.assign(this.state.checkpoint, {
             lastPhase: phaseIndex,
             lastFile: filePath,
             timestamp: new Date().toISOString()
-        };
+        });
+        await this.save();
+    }
+
+    // A build that was interrupted, crashed or failed and can be continued.
+    hasUnfinishedBuild() {
+        const { status, request } = this.state.checkpoint;
+        return Boolean(request) && ['running', 'interrupted', 'failed'].includes(status);
+    }
+
+    // A fresh build: every planned file starts pending.
+    async beginBuild(runId, request, filePaths) {
+        const now = new Date().toISOString();
+        Object.assign(this.state.checkpoint, {
+            status: 'running',
+            runId,
+            request,
+            testsPrepared: false,
+            setupDone: [],
+            files: Object.fromEntries(filePaths.map(p => [p, { state: 'pending', error: null, updatedAt: now }])),
+            verified: false,
+            lastPhase: 0,
+            lastFile: '',
+            timestamp: now
+        });
+        this.recordEvent('BUILD_START', `Build started (run ${runId})`);
+        await this.save();
+    }
+
+    // Continue an unfinished build; whatever was in progress when it stopped starts over.
+    async resumeBuild(runId) {
+        const checkpoint = this.state.checkpoint;
+        for (const progress of Object.values(checkpoint.files)) {
+            if (progress.state === 'in-progress') progress.state = 'pending';
+        }
+        Object.assign(checkpoint, { status: 'running', runId, timestamp: new Date().toISOString() });
+        this.recordEvent('BUILD_RESUME', `Build resumed (run ${runId})`);
+        await this.save();
+    }
+
+    getFileProgress(filePath) {
+        const progress = this.state.checkpoint.files[filePath];
+        return progress ? progress.state : 'pending';
+    }
+
+    async setFileProgress(filePath, state, error = null) {
+        this.state.checkpoint.files[filePath] = { state, error, updatedAt: new Date().toISOString() };
+        await this.save();
+    }
+
+    async markSetupDone(command) {
+        if (!this.state.checkpoint.setupDone.includes(command)) this.state.checkpoint.setupDone.push(command);
+        await this.save();
+    }
+
+    async markTestsPrepared() {
+        this.state.checkpoint.testsPrepared = true;
+        await this.save();
+    }
+
+    async markVerified() {
+        this.state.checkpoint.verified = true;
+        await this.save();
+    }
+
+    // status: complete | interrupted | failed
+    async endBuild(status) {
+        if (this.state.checkpoint.status !== 'running') return;
+        this.state.checkpoint.status = status;
+        this.state.checkpoint.timestamp = new Date().toISOString();
+        this.recordEvent('BUILD_END', `Build ${status}`);
         await this.save();
     }
 
@@ -98,6 +191,44 @@ class Blackboard {
         await this.save();
     }
 
+    // A file was deleted: forget its status and build progress, and drop it from the plan.
+    async removeFile(filePath) {
+        const arch = this.state.architecture;
+        if (arch.files) delete arch.files[filePath];
+        if (Array.isArray(arch.phases)) {
+            arch.phases = arch.phases.map(phase => (Array.isArray(phase) ? phase.filter(f => f.path !== filePath) : phase));
+        }
+        delete this.state.checkpoint.files[filePath];
+        this.recordEvent('FILE_DELETE', `Deleted ${filePath}`);
+        await this.save();
+    }
+
+    // A file was moved: its status, build progress and plan entry follow it.
+    async renameFile(fromPath, toPath) {
+        const arch = this.state.architecture;
+        if (arch.files && arch.files[fromPath]) {
+            arch.files[toPath] = arch.files[fromPath];
+            delete arch.files[fromPath];
+        }
+        for (const phase of arch.phases || []) {
+            for (const f of Array.isArray(phase) ? phase : []) {
+                if (f.path === fromPath) f.path = toPath;
+            }
+        }
+        const progress = this.state.checkpoint.files;
+        if (progress[fromPath]) {
+            progress[toPath] = progress[fromPath];
+            delete progress[fromPath];
+        }
+        this.recordEvent('FILE_MOVE', `Moved ${fromPath} to ${toPath}`);
+        await this.save();
+    }
+
+    // Called on every LLM response; persisted with the next save() to avoid a write per call.
+    setUsage(usage) {
+        this.state.usage = usage;
+    }
+
     recordEvent(type, message) {
         this.state.history.push({
             timestamp: new Date().toISOString(),
@@ -119,6 +250,21 @@ class Blackboard {
         if (this.state.messages.length > 20) this.state.messages.shift();
     }
 
+    // The user's answer to an agent's ask_user question.
+    async recordAnswer(agent, question, answer) {
+        this.state.answers.push({ timestamp: new Date().toISOString(), agent, question, answer });
+        if (this.state.answers.length > 50) this.state.answers.shift();
+        this.recordEvent('USER_ANSWER', `${agent} asked "${question}": ${answer}`);
+        await this.save();
+    }
+
+    // The latest answer to the same question (ignoring case, spacing and punctuation), or null.
+    findAnswer(question) {
+        const normalize = (q) => q.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        const wanted = normalize(question);
+        return [...this.state.answers].reverse().find(a => normalize(a.question) === wanted) || null;
+    }
+
     getSnapshot() {
         return JSON.stringify(this.state, null, 2);
     }
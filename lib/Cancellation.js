@@ -0,0 +1,37 @@
+// Cooperative cancellation for a run. The Orchestrator owns one AbortController per run;
+// its signal is handed to agents, which pass it on to LLM requests, key waits and commands.
+
+class CancelledError extends Error {
+    constructor(message = 'Run cancelled by user.') {
+        super(message);
+        this.name = 'CancelledError';
+        this.fatal = true; // Never retried by GeminiClient
+    }
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw new CancelledError();
+}
+
+// setTimeout that rejects with CancelledError as soon as the signal fires.
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(new CancelledError());
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new CancelledError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// fetch / SDK calls reject with their own AbortError; normalize it.
+function isAbortError(error, signal = null) {
+    return error instanceof CancelledError || Boolean(signal && signal.aborted) || (error && error.name === 'AbortError');
+}
+
+module.exports = { CancelledError, throwIfAborted, sleep, isAbortError };
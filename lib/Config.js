@@ -0,0 +1,230 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { validate } = require('./Schema');
+const { APPROVAL_SCHEMA, MODES } = require('./Approval');
+const { SANDBOX_SCHEMA } = require('./Sandbox');
+const { GIT_SCHEMA } = require('./Git');
+const { HTTP_SCHEMA } = require('./Http');
+const { QUESTIONS_SCHEMA } = require('./Questions');
+const { PLUGINS_SCHEMA } = require('./Plugins');
+
+const CONFIG_FILE = 'codegrounds.config.json';
+const READ_ONLY_TOOLS = ['read_file', 'file_outline', 'list_files', 'search_files', 'search_symbols', 'get_file_context', 'dependency_graph', 'find_references', 'call_graph', 'git_diff', 'git_log'];
+
+// The pipeline drives these by id; they can be re-configured but not removed.
+const CORE_AGENTS = ['pm', 'architect', 'devops', 'engineer', 'debugger', 'manager', 'tester'];
+
+// When a custom agent runs:
+//   file   - after each file is built and audited (task sees {{file}} and {{description}})
+//   review - once after construction, before verification
+//   final  - once after verification
+const STAGES = ['file', 'review', 'final'];
+
+// Today's team. `envRole` links an agent to the MODEL_<ROLE> / PROVIDER_<ROLE> env overrides.
+const DEFAULT_CONFIG = {
+    providers: {},
+    approval: {}, // See lib/Approval.js for the built-in rules
+    sandbox: {}, // See lib/Sandbox.js for the default limits and environment allowlist
+    git: { enabled: true, branchPerRun: true },
+    http: {}, // See lib/Http.js: http_request only reaches localhost unless allowHosts says otherwise
+    questions: {}, // See lib/Questions.js: ask_user interrupts at most 5 times per run
+    plugins: {}, // See lib/Plugins.js: custom tools from .codegrounds/tools, paths and packages
+    agents: {
+        pm: {
+            name: 'Alex', role: 'Product Manager',
+            description: 'Analyze the task. If requirements exist, only output the DELTA. Be decisive. Stop reading files once you have the core logic.',
+            envRole: 'MANAGER', geminiModel: 'gemini-1.5-pro', keyIndex: 4, tools: 'read-only', maxSteps: 20
+        },
+        architect: {
+            name: 'Sarah', role: 'Software Architect',
+            description: 'Design the system. If architecture exists, verify only. Output JSON quickly. Do not re-explore the whole project.',
+            envRole: 'ARCHITECT', geminiModel: 'gemini-1.5-pro', keyIndex: 5, tools: 'read-only', maxSteps: 20
+        },
+        devops: {
+            name: 'Ops', role: 'DevOps Engineer',
+            description: 'Manage the environment. Execute setup and build commands efficiently.',
+            envRole: 'DEVOPS', geminiModel: 'gemini-1.5-flash', keyIndex: 1, tools: 'all', maxSteps: 15
+        },
+        engineer: {
+            name: 'Coder', role: 'Lead Developer',
+            description: 'Implement changes. BATCH all tool calls. Use ONE apply_patch per change, with every hunk and file in it. Read only the target file.',
+            envRole: 'ENGINEER', geminiModel: 'gemini-1.5-flash', keyIndex: 2, tools: 'all', maxSteps: 30
+        },
+        debugger: {
+            name: 'Fixer', role: 'Senior Debugger',
+            description: 'Fix specific bugs. Do not rewrite entire modules. Keep fixes surgical.',
+            envRole: 'DEBUGGER', geminiModel: 'gemini-1.5-pro', keyIndex: 6, tools: 'all', maxSteps: 25
+        },
+        manager: {
+            name: 'Manager', role: 'Project Coordinator',
+            description: 'Oversee quality. Be the judge. Decision between REFAC or PATCH must be instant.',
+            envRole: 'MANAGER', geminiModel: 'gemini-1.5-pro', keyIndex: 4, tools: 'read-only', maxSteps: 10
+        },
+        tester: {
+            name: 'Tester', role: 'QA Engineer',
+            description: 'Audit logic. DO NOT write new test files during construction. Run existing tests only or do code-review.',
+            envRole: 'ENGINEER', geminiModel: 'gemini-1.5-flash', keyIndex: 3, tools: 'all', maxSteps: 20
+        }
+    }
+};
+
+const AGENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        role: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 },
+        instructions: { type: 'string', description: 'Extra guidelines appended to the system prompt.' },
+        provider: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1 },
+        envRole: { type: 'string', pattern: '^[A-Z_]+$' },
+        geminiModel: { type: 'string' },
+        keyIndex: { type: 'integer' },
+        tools: { type: ['string', 'array'], items: { type: 'string' } },
+        maxSteps: { type: 'integer' },
+        enabled: { type: 'boolean' },
+        stage: { type: 'string', enum: STAGES },
+        task: { type: 'string', minLength: 1 }
+    },
+    additionalProperties: false
+};
+
+const CONFIG_SCHEMA = {
+    title: 'CodeGroundsConfig',
+    type: 'object',
+    properties: {
+        providers: { type: 'object' },
+        agents: { type: 'object' },
+        approval: APPROVAL_SCHEMA,
+        sandbox: SANDBOX_SCHEMA,
+        git: GIT_SCHEMA,
+        http: HTTP_SCHEMA,
+        questions: QUESTIONS_SCHEMA,
+        plugins: PLUGINS_SCHEMA
+    },
+    additionalProperties: true // Other sections belong to other subsystems
+};
+
+function globalConfigPath() {
+    return process.env.CODEGROUNDS_CONFIG || path.join(os.homedir(), '.codegrounds', CONFIG_FILE);
+}
+
+async function readConfigFile(filePath) {
+    if (!await fs.pathExists(filePath)) return null;
+    try {
+        return await fs.readJson(filePath);
+    } catch (e) {
+        throw new Error(`Invalid ${filePath}: ${e.message}`);
+    }
+}
+
+function isPlainObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key (so a project can tweak one field of one agent); everything else replaces.
+function mergeConfig(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        out[key] = mergeConfig(base[key], value);
+    }
+    return out;
+}
+
+// `partial` layers may tweak a custom agent defined in an earlier layer, so completeness
+// is only checked on the merged result.
+function validateConfig(config, knownTools, source, { partial = false } = {}) {
+    const errors = validate(config, CONFIG_SCHEMA);
+    for (const [id, agent] of Object.entries(config.agents || {})) {
+        const at = `$.agents.${id}`;
+        errors.push(...validate(agent, AGENT_SCHEMA, at));
+        if (!isPlainObject(agent)) continue;
+
+        if (CORE_AGENTS.includes(id)) {
+            if (agent.enabled === false) errors.push(`${at}.enabled: core agent "${id}" cannot be disabled`);
+            if (agent.stage) errors.push(`${at}.stage: core agents are driven by the pipeline and take no stage`);
+        } else if (!partial && agent.enabled !== false) {
+            for (const field of ['name', 'role', 'description', 'stage', 'task']) {
+                if (agent[field] === undefined) errors.push(`${at}.${field}: is required for custom agents`);
+            }
+        }
+
+        if (Array.isArray(agent.tools) && knownTools) {
+            agent.tools.filter(t => !knownTools.includes(t))
+                .forEach(t => errors.push(`${at}.tools: unknown tool "${t}"`));
+        } else if (typeof agent.tools === 'string' && !['all', 'read-only', 'none'].includes(agent.tools)) {
+            errors.push(`${at}.tools: must be "all", "read-only", "none" or a list of tool names`);
+        }
+    }
+
+    const approval = config.approval || {};
+    for (const [tool, mode] of Object.entries(isPlainObject(approval.tools) ? approval.tools : {})) {
+        if (knownTools && !knownTools.includes(tool)) errors.push(`$.approval.tools.${tool}: unknown tool "${tool}"`);
+        if (!MODES.includes(mode)) errors.push(`$.approval.tools.${tool}: must be one of ${MODES.join(', ')}`);
+    }
+    for (const key of ['commands', 'paths']) {
+        (Array.isArray(approval[key]) ? approval[key] : []).forEach((rule, i) => {
+            try {
+                new RegExp(rule.pattern);
+            } catch (e) {
+                errors.push(`$.approval.${key}[${i}].pattern: invalid regular expression (${e.message})`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+}
+
+// defaults <- global (~/.codegrounds/codegrounds.config.json) <- project (<projectDir>/codegrounds.config.json)
+async function loadConfig(projectDir, { knownTools = null } = {}) {
+    let config = DEFAULT_CONFIG;
+    const sources = [globalConfigPath(), projectDir ? path.join(projectDir, CONFIG_FILE) : null].filter(Boolean);
+
+    for (const source of sources) {
+        const layer = await readConfigFile(source);
+        if (!layer) continue;
+        validateConfig(layer, knownTools, source, { partial: true });
+        config = mergeConfig(config, layer);
+    }
+
+    validateConfig(config, knownTools, 'merged');
+    return config;
+}
+
+// Fills in provider/model/tools for one agent spec, honouring PROVIDER_<ROLE> and MODEL_<ROLE>.
+// Precedence: explicit config value > env override > built-in default.
+function resolveAgentSpec(spec, env = process.env) {
+    const role = spec.envRole;
+    const provider = spec.provider || (role && env[`PROVIDER_${role}`]) || env.LLM_PROVIDER || 'gemini';
+    const model = spec.model || (role && env[`MODEL_${role}`]) || (provider === 'gemini' ? spec.geminiModel || null : null);
+
+    let allowedTools = null; // null = every tool
+    if (spec.tools === 'read-only') allowedTools = READ_ONLY_TOOLS;
+    else if (spec.tools === 'none') allowedTools = [];
+    else if (Array.isArray(spec.tools)) allowedTools = spec.tools;
+
+    return {
+        ...spec,
+        provider,
+        model,
+        allowedTools,
+        keyIndex: spec.keyIndex || 1,
+        maxSteps: spec.maxSteps || 15
+    };
+}
+
+module.exports = {
+    loadConfig,
+    resolveAgentSpec,
+    mergeConfig,
+    globalConfigPath,
+    CONFIG_FILE,
+    CORE_AGENTS,
+    STAGES,
+    READ_ONLY_TOOLS,
+    DEFAULT_CONFIG
+};
@@ -0,0 +1,168 @@
+const chalk = require('chalk');
+const { CancelledError } = require('./Cancellation');
+const { patchPaths } = require('./Patch');
+
+const READ_TOOLS = ['read_file', 'file_outline', 'get_file_context'];
+const WRITE_TOOLS = ['write_file', 'replace_in_file', 'apply_patch', 'delete_file', 'move_file', 'git_restore_file'];
+
+// Rough but provider-independent: ~4 characters per token.
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function messageTokens(msg) {
+    if (msg.role === 'user') return estimateTokens(msg.text);
+    if (msg.role === 'assistant') {
+        return estimateTokens(msg.text) + (msg.toolCalls || []).reduce((sum, c) => sum + estimateTokens(JSON.stringify(c.args)), 0);
+    }
+    return (msg.results || []).reduce((sum, r) => sum + estimateTokens(String(r.content)), 0);
+}
+
+// Keeps an agent's conversation inside the model's window without losing the plot:
+//   1. the task (first user message) and the system instruction are pinned, never dropped;
+//   2. file reads already superseded by a later write of the same file are elided;
+//   3. large tool outputs outside the recent window are cut to head + tail;
+//   4. if still too big, older turns are summarized by a cheap model into the pinned message.
+// compact() mutates the normalized history in place (see lib/providers/index.js).
+class ContextManager {
+    constructor(geminiClient, options = {}) {
+        const env = options.env || process.env;
+        this.geminiClient = geminiClient;
+        this.agentName = options.agentName || 'Agent';
+        this.maxTokens = options.maxTokens || Number(env.CONTEXT_TOKEN_LIMIT) || 120000;
+        this.threshold = options.threshold || 0.8; // Compact once history exceeds this share of maxTokens
+        this.target = options.target || 0.5; // ...down to this share
+        this.keepRecent = options.keepRecent || 6; // Messages at the tail that are never touched
+        this.maxToolOutputChars = options.maxToolOutputChars || 4000;
+
+        const provider = env.PROVIDER_SUMMARIZER || options.provider || null;
+        this.summarizer = {
+            provider,
+            model: env.MODEL_SUMMARIZER || ((provider || env.LLM_PROVIDER || 'gemini') === 'gemini' ? 'gemini-1.5-flash' : null)
+        };
+
+        this.pinnedTask = null;
+        this.summary = '';
+    }
+
+    estimate(history, systemInstruction = '') {
+        return estimateTokens(systemInstruction) + history.reduce((sum, msg) => sum + messageTokens(msg), 0);
+    }
+
+    async compact(history, { systemInstruction = '', aggressive = false, meta = {}, signal = null } = {}) {
+        if (history.length === 0) return;
+        if (this.pinnedTask === null) this.pinnedTask = history[0].text;
+
+        this.elideSupersededReads(history);
+
+        // aggressive: the provider already rejected the request, so our estimate was too optimistic
+        const before = this.estimate(history, systemInstruction);
+        if (!aggressive && before <= this.maxTokens * this.threshold) return;
+
+        this.truncateToolOutputs(history);
+        if (aggressive || this.estimate(history, systemInstruction) > this.maxTokens * this.target) {
+            await this.summarizeOlderTurns(history, meta, signal);
+        }
+        this.geminiClient.trace('compaction', { ...meta, before, after: this.estimate(history, systemInstruction) });
+    }
+
+    // Index tool calls by id so results can be matched to their arguments.
+    callsById(history) {
+        const calls = {};
+        for (const msg of history) {
+            if (msg.role === 'assistant') (msg.toolCalls || []).forEach(c => { calls[c.id] = c; });
+        }
+        return calls;
+    }
+
+    elideSupersededReads(history) {
+        const calls = this.callsById(history);
+        const lastWrite = {}; // path -> index of the last message that wrote it
+        history.forEach((msg, i) => {
+            if (msg.role !== 'assistant') return;
+            for (const call of msg.toolCalls || []) {
+                if (!WRITE_TOOLS.includes(call.name) || !call.args) continue;
+                const paths = call.name === 'apply_patch' ? patchPaths(call.args) : [call.args.path || call.args.from].filter(Boolean);
+                paths.forEach(p => { lastWrite[p] = i; });
+            }
+        });
+
+        history.forEach((msg, i) => {
+            if (msg.role !== 'tool') return;
+            for (const result of msg.results) {
+                const call = calls[result.id];
+                if (!call || !READ_TOOLS.includes(call.name) || !call.args || !call.args.path) continue;
+                if (lastWrite[call.args.path] > i && !String(result.content).startsWith('[elided')) {
+                    result.content = `[elided: earlier ${call.name} of ${call.args.path}, superseded by a later write. Read it again if needed.]`;
+                }
+            }
+        });
+    }
+
+    truncateToolOutputs(history) {
+        const cutoff = history.length - this.keepRecent;
+        const max = this.maxToolOutputChars;
+        history.forEach((msg, i) => {
+            if (msg.role !== 'tool' || i >= cutoff) return;
+            for (const result of msg.results) {
+                const content = String(result.content);
+                if (content.length <= max) continue;
+                const head = content.slice(0, Math.floor(max * 0.6));
+                const tail = content.slice(-Math.floor(max * 0.3));
+                result.content = `${head}\n... [${content.length - head.length - tail.length} characters truncated] ...\n${tail}`;
+            }
+        });
+    }
+
+    // The kept tail has to start with an assistant turn so tool calls stay paired with their results.
+    findSplit(history) {
+        let split = Math.max(1, history.length - this.keepRecent);
+        while (split < history.length && history[split].role !== 'assistant') split++;
+        return split;
+    }
+
+    async summarizeOlderTurns(history, meta, signal = null) {
+        const split = this.findSplit(history);
+        if (split <= 1 || split >= history.length) return;
+
+        const older = history.slice(1, split);
+        const transcript = older.map(msg => {
+            if (msg.role === 'user') return `USER: ${msg.text}`;
+            if (msg.role === 'assistant') {
+                const calls = (msg.toolCalls || []).map(c => `${c.name}(${JSON.stringify(c.args).slice(0, 300)})`).join(', ');
+                return `ASSISTANT: ${msg.text || ''}${calls ? ` [tools: ${calls}]` : ''}`;
+            }
+            return msg.results.map(r => `RESULT ${r.name}: ${String(r.content).slice(0, 1500)}`).join('\n');
+        }).join('\n');
+
+        let summary;
+        try {
+            const response = await this.geminiClient.generateText({
+                messages: [{
+                    role: 'user',
+                    text: `${this.summary ? `PREVIOUS SUMMARY:\n${this.summary}\n\n` : ''}TRANSCRIPT:\n${transcript}\n\n` +
+                        `Summarize the work above for the agent that produced it. Keep: files read or written and their key facts ` +
+                        `(names, signatures, decisions), errors hit and how they were resolved, and what remains to be done. ` +
+                        `Be concise and factual. Plain text, no preamble.`
+                }],
+                systemInstruction: 'You compress agent transcripts into dense working notes.',
+                model: this.summarizer.model,
+                provider: this.summarizer.provider,
+                meta: { ...meta, agent: this.agentName, phase: 'context-summary' },
+                signal
+            });
+            summary = response.text.trim();
+        } catch (e) {
+            if (e instanceof CancelledError) throw e;
+            console.warn(chalk.yellow(`[${this.agentName}] Context summary failed (${e.message}). Dropping older turns.`));
+            summary = `${this.summary}\n[${older.length} earlier messages were dropped to fit the context window.]`.trim();
+        }
+
+        this.summary = summary;
+        history.splice(1, split - 1);
+        history[0] = { ...history[0], text: `${this.pinnedTask}\n\n--- SUMMARY OF YOUR EARLIER WORK ---\n${this.summary}` };
+        console.log(chalk.gray(`[${this.agentName}] 🗜️  Compacted ${older.length} older messages into a summary.`));
+    }
+}
+
+module.exports = { ContextManager, estimateTokens };
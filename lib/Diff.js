@@ -0,0 +1,93 @@
+// Line diffs for humans (approval prompts, reports). Classic LCS table, so inputs are
+// capped; beyond the cap only a summary is produced.
+
+const MAX_CELLS = 4000000;
+
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// -> [{ op: ' ' | '-' | '+', line }]
+function diffLines(oldLines, newLines) {
+    // Common prefix/suffix first: most edits touch a small region of a big file
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+    let endOld = oldLines.length;
+    let endNew = newLines.length;
+    while (endOld > start && endNew > start && oldLines[endOld - 1] === newLines[endNew - 1]) {
+        endOld--;
+        endNew--;
+    }
+
+    const a = oldLines.slice(start, endOld);
+    const b = newLines.slice(start, endNew);
+    if (a.length * b.length > MAX_CELLS) return null;
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = oldLines.slice(0, start).map(line => ({ op: ' ', line }));
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ op: ' ', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ op: '-', line: a[i++] });
+        } else {
+            ops.push({ op: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ op: '-', line: a[i++] });
+    while (j < b.length) ops.push({ op: '+', line: b[j++] });
+    return ops.concat(oldLines.slice(endOld).map(line => ({ op: ' ', line })));
+}
+
+// Unified diff text (with @@ hunk headers) between two versions of `filePath`.
+function unifiedDiff(oldText, newText, filePath = 'file', context = 3) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+    const ops = diffLines(oldLines, newLines);
+    if (!ops) return `--- a/${filePath}\n+++ b/${filePath}\n(too large to diff: ${oldLines.length} -> ${newLines.length} lines)`;
+
+    const changed = ops.map((o, idx) => (o.op !== ' ' ? idx : -1)).filter(idx => idx !== -1);
+    if (changed.length === 0) return '';
+
+    // Group changes whose context windows overlap into hunks
+    const hunks = [];
+    for (const idx of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && idx - last.end <= context * 2) last.end = idx;
+        else hunks.push({ start: idx, end: idx });
+    }
+
+    const out = [`--- a/${filePath}`, `+++ b/${filePath}`];
+    for (const hunk of hunks) {
+        const from = Math.max(0, hunk.start - context);
+        const to = Math.min(ops.length - 1, hunk.end + context);
+        // Line numbers of the hunk start in the old and new file
+        let oldLine = 1;
+        let newLine = 1;
+        for (let k = 0; k < from; k++) {
+            if (ops[k].op !== '+') oldLine++;
+            if (ops[k].op !== '-') newLine++;
+        }
+        const slice = ops.slice(from, to + 1);
+        const oldCount = slice.filter(o => o.op !== '+').length;
+        const newCount = slice.filter(o => o.op !== '-').length;
+        out.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+        slice.forEach(o => out.push(`${o.op}${o.line}`));
+    }
+    return out.join('\n');
+}
+
+module.exports = { diffLines, unifiedDiff, splitLines };
@@ -1,84 +1,159 @@
-const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require("@google/generative-ai");
 const chalk = require('chalk');
+const path = require('path');
+const { createProvider } = require('./providers');
+const GeminiProvider = require('./providers/GeminiProvider');
+const { RecordingProvider, ReplayProvider } = require('./providers/Cassette');
+const { UsageTracker } = require('./Usage');
+const { CancelledError, throwIfAborted, sleep, isAbortError } = require('./Cancellation');
 require("dotenv").config();
 
+// Historical name: GeminiClient is the single LLM entry point every Agent talks to.
+// It owns retries, key scheduling and model fallbacks, and routes each request to the
+// provider the agent is configured for (Gemini, OpenAI-compatible, Ollama, Anthropic).
 class GeminiClient {
-    constructor() {
-        this.clients = {}; // Map of index -> GoogleGenerativeAI instance
-        
-        // Load specific keys 1-6
-        for (let i = 1; i <= 6; i++) {
-            const key = process.env[`GEMINI_API_KEY_${i}`];
-            if (key) {
-                this.clients[i] = new GoogleGenerativeAI(key);
-            }
+    constructor(providerConfigs = {}, options = {}) {
+        this.providerConfigs = providerConfigs; // name -> { type, baseUrl, apiKey, model, ... }
+        this.providers = {};
+        this.defaultProvider = process.env.LLM_PROVIDER || 'gemini';
+        this.usage = options.usage || new UsageTracker();
+        this.tracer = options.tracer || null; // lib/Trace.js; set per run by the Orchestrator
+
+        // Record/replay: LLM_CASSETTE_MODE=record captures every response to LLM_CASSETTE,
+        // LLM_CASSETTE_MODE=replay serves them back offline (no API keys, no network).
+        this.cassette = {
+            mode: options.cassetteMode || process.env.LLM_CASSETTE_MODE || null,
+            path: path.resolve(options.cassettePath || process.env.LLM_CASSETTE || 'codegrounds.cassette.jsonl'),
+            strict: options.cassetteStrict !== undefined ? options.cassetteStrict : process.env.LLM_CASSETTE_STRICT === '1'
+        };
+        if (this.cassette.mode && !['record', 'replay'].includes(this.cassette.mode)) {
+            throw new Error(`Invalid LLM_CASSETTE_MODE "${this.cassette.mode}". Use "record" or "replay".`);
         }
-        
-        // Fallback
-        if (!this.clients[1] && process.env.GEMINI_API_KEY) {
-            this.clients[1] = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+
+    // Named endpoints from codegrounds.config.json; replaces any instance already built for those names.
+    // LLM_PROVIDER may name one of them, so the default provider is only checked from here on.
+    setProviderConfigs(providerConfigs = {}) {
+        for (const name of Object.keys(providerConfigs)) delete this.providers[name];
+        this.providerConfigs = { ...this.providerConfigs, ...providerConfigs };
+        if (!this.getProvider(this.defaultProvider).hasKeys()) {
+            console.warn(`Warning: No credentials found for the "${this.defaultProvider}" LLM provider.`);
         }
+    }
 
-        if (Object.keys(this.clients).length === 0) {
-            console.warn("Warning: No Gemini API keys found in environment variables.");
+    getProvider(name) {
+        const providerName = name || this.defaultProvider;
+        if (!this.providers[providerName]) {
+            let provider = createProvider(providerName, this.providerConfigs[providerName]);
+            if (this.cassette.mode === 'record') {
+                provider = new RecordingProvider(provider, this.cassette.path);
+            } else if (this.cassette.mode === 'replay') {
+                provider = new ReplayProvider(provider, this.cassette.path, { strict: this.cassette.strict });
+            }
+            this.providers[providerName] = provider;
         }
+        return this.providers[providerName];
     }
 
-    getClient(index) {
-        if (this.clients[index]) return this.clients[index];
-        const availableKeys = Object.keys(this.clients);
-        if (availableKeys.length > 0) return this.clients[availableKeys[0]];
-        throw new Error(`No API Key available. Requested Key ${index}, but none found.`);
+    trace(type, data) {
+        if (this.tracer) this.tracer.log(type, data);
     }
 
-    async generateText(prompt, systemInstruction = "", modelName, keyIndex = 1, toolDefinitions = null, chatHistory = []) {
-        let currentKeyIndex = keyIndex;
-        let currentModel = modelName || process.env.DEFAULT_MODEL || "gemini-1.5-pro";
+    printPoolStats() {
+        for (const provider of Object.values(this.providers)) {
+            if (provider.pool) provider.pool.printStats(`Key Pool (${provider.name})`);
+        }
+    }
+
+    // request: { messages, systemInstruction, model, provider, keyIndex, tools, meta, onContextOverflow, signal }
+    // meta ({ agent, phase, file }) only attributes token usage; it is never sent to the model.
+    // onContextOverflow() is awaited to shrink `messages` in place when the window is exceeded.
+    // Aborting `signal` rejects with a CancelledError, also while waiting for a key or a retry.
+    // See lib/providers/index.js for the normalized message/response format.
+    async generateText(request) {
+        const provider = this.getProvider(request.provider);
+        const isGemini = provider instanceof GeminiProvider || (provider.inner instanceof GeminiProvider);
+        const chatHistory = request.messages;
+        const meta = request.meta || {};
+        const signal = request.signal || null;
+
+        // Keyed providers lease the healthiest key per attempt; agent.keyIndex is only a preference
+        const pool = provider.pool && provider.pool.size > 0 ? provider.pool : null;
+        const preferredKey = request.keyIndex || 1;
+        // Budget guard: throws BudgetExceededError, or hands back a cheaper model
+        let currentModel = this.usage.enforce(meta.agent, request.model || provider.defaultModel);
         let attempt = 0;
-        const maxRetries = 3;
-        
+        let contextRecoveries = 0;
+        const maxRetries = pool ? Math.max(3, 2 * pool.size) : 3;
+
         while (attempt <= maxRetries) {
+            throwIfAborted(signal);
+            const lease = pool ? await pool.acquire(preferredKey, signal) : null;
+            const keyIndex = lease ? lease.index : preferredKey;
+            const callInfo = { ...meta, provider: provider.name, model: currentModel, key: keyIndex, attempt };
+            const startedAt = Date.now();
             try {
-                return await this._executeRequest(prompt, systemInstruction, currentModel, currentKeyIndex, toolDefinitions, chatHistory);
+                const response = await provider.generate({ ...request, model: currentModel, keyIndex });
+                if (pool) pool.release(lease, { usage: response.usage });
+                this.usage.record({ ...meta, provider: provider.name, model: currentModel, usage: response.usage });
+                this.trace('llm-response', {
+                    ...callInfo, durationMs: Date.now() - startedAt, text: response.text,
+                    toolCalls: response.toolCalls, usage: response.usage, finishReason: response.finishReason
+                });
+                return response;
             } catch (error) {
+                if (isAbortError(error, signal)) {
+                    if (pool) pool.release(lease, { cancelled: true });
+                    this.trace('llm-error', { ...callInfo, durationMs: Date.now() - startedAt, error: 'cancelled', retry: null });
+                    throw error instanceof CancelledError ? error : new CancelledError();
+                }
+
                 const msg = error.message;
                 const isRateLimit = msg.includes("429") || msg.includes("Resource has been exhausted");
-                const isContextError = msg.includes("maximum context length") || msg.includes("too many tokens");
-                const isTransient = msg.includes("fetch failed") || msg.includes("ETIMEDOUT") || 
-                                   msg.includes("ECONNRESET") || msg.includes("500") || 
-                                   msg.includes("503") || msg.includes("Deadline exceeded");
-                
-                if (isRateLimit || isTransient || isContextError) {
-                    const errorType = isRateLimit ? "Rate Limit" : (isContextError ? "Context Overflow" : "Network Error");
-                    console.warn(chalk.yellow(`\n⚠️  ${errorType} on Key ${currentKeyIndex} (${currentModel}). Attempt ${attempt + 1}/${maxRetries}...`));
-                    
+                if (pool) pool.release(lease, { error, rateLimited: isRateLimit });
+                if (error.fatal) {
+                    this.trace('llm-error', { ...callInfo, durationMs: Date.now() - startedAt, error: msg, retry: null });
+                    throw error;
+                }
+
+                const isContextError = msg.includes("maximum context length") || msg.includes("too many tokens") ||
+                                       msg.includes("context_length_exceeded") || msg.includes("prompt is too long");
+                const isTransient = msg.includes("fetch failed") || msg.includes("ETIMEDOUT") ||
+                                   msg.includes("ECONNRESET") || msg.includes("500") ||
+                                   msg.includes("503") || msg.includes("529") || msg.includes("Deadline exceeded");
+
+                const retryable = isRateLimit || isTransient || isContextError;
+                const errorType = isRateLimit ? "Rate Limit" : (isContextError ? "Context Overflow" : "Network Error");
+                this.trace('llm-error', { ...callInfo, durationMs: Date.now() - startedAt, error: msg, retry: retryable ? errorType : null });
+
+                if (retryable) {
+                    console.warn(chalk.yellow(`\n⚠️  ${errorType} on ${provider.name} Key ${keyIndex} (${currentModel}). Attempt ${attempt + 1}/${maxRetries}...`));
+
                     if (isContextError) {
-                        // If context overflows, immediately try to prune history and fallback to a larger model
-                        console.warn(chalk.magenta("✂️  Context overflow detected. Pruning history..."));
-                        if (chatHistory.length > 2) chatHistory.splice(0, chatHistory.length - 2); 
-                        if (!currentModel.includes("pro")) currentModel = "gemini-1.5-pro"; // Switch to Pro for larger window
+                        // Let the caller compact its history (pinned task, summaries); bare callers get the last exchange only
+                        console.warn(chalk.magenta("✂️  Context overflow detected. Compacting history..."));
+                        contextRecoveries++;
+                        if (contextRecoveries > 3) throw error;
+                        if (request.onContextOverflow) {
+                            await request.onContextOverflow();
+                        } else if (chatHistory.length > 3) {
+                            chatHistory.splice(1, chatHistory.length - 3); // Keep the task + latest exchange
+                        }
+                        if (isGemini && !currentModel.includes("pro")) currentModel = "gemini-1.5-pro"; // Switch to Pro for larger window
                         attempt = 0;
                         continue;
                     }
 
                     if (attempt === maxRetries) {
-                        const nextKey = this._getNextAvailableKey(currentKeyIndex);
-                        if (nextKey && nextKey !== currentKeyIndex) {
-                            console.warn(chalk.magenta(`🔄 Rotating to Key ${nextKey}...`));
-                            currentKeyIndex = nextKey;
-                            attempt = 0;
-                            continue;
-                        }
-
-                        if (currentModel.includes("pro") || currentModel.includes("preview")) {
+                        if (isGemini && (currentModel.includes("pro") || currentModel.includes("preview"))) {
                             console.warn(chalk.red(`🚨 Falling back to stable Flash model...`));
                             currentModel = "gemini-1.5-flash";
                             attempt = 0;
                             continue;
                         }
-                    } else {
+                    } else if (!(pool && isRateLimit)) {
+                        // A 429 already put the key on cooldown; the pool paces the next lease itself
                         const delay = Math.pow(2, attempt) * 2000;
-                        await new Promise(resolve => setTimeout(resolve, delay));
+                        await sleep(delay, signal);
                     }
                 } else {
                     throw error;
@@ -86,59 +161,7 @@ class GeminiClient {
             }
             attempt++;
         }
-        throw new Error(`Critical Failure: AI exhausted all retries, rotations, and fallbacks.`);
-    }
-
-    _getNextAvailableKey(currentKey) {
-        const keys = Object.keys(this.clients).map(Number);
-        if (keys.length <= 1) return null;
-        
-        // Simple rotation strategy: Find next highest key, wrap around
-        const next = keys.find(k => k > currentKey) || keys[0];
-        return next;
-    }
-
-    async _executeRequest(prompt, systemInstruction, modelName, keyIndex, toolDefinitions, chatHistory) {
-        const genAI = this.getClient(keyIndex);
-        const selectedModel = modelName || process.env.DEFAULT_MODEL || "gemini-1.5-pro";
-        
-        const tools = [];
-        if (toolDefinitions) {
-            tools.push(toolDefinitions);
-        }
-
-        const model = genAI.getGenerativeModel({ 
-            model: selectedModel, 
-            systemInstruction: {
-                role: "system",
-                parts: [{ text: systemInstruction }]
-            },
-            safetySettings: [
-                { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE }
-            ],
-            tools: tools.length > 0 ? tools : undefined
-        });
-
-        const generationConfig = {
-            temperature: 1.0,
-            maxOutputTokens: 65536
-        };
-
-        try {
-            const chat = model.startChat({
-                history: chatHistory,
-                generationConfig: generationConfig
-            });
-
-            const result = await chat.sendMessage(prompt);
-            const response = await result.response;
-            return response;
-        } catch (error) {
-            throw error; // Let the wrapper handle it
-        }
+        throw new Error(`Critical Failure: AI exhausted all retries, keys, and fallbacks.`);
     }
 }
 
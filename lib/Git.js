@@ -0,0 +1,216 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Git for the project: every run gets its own branch (codegrounds/<runId>) off whatever was
+// checked out, and progress is committed per file and phase. `codegrounds history` / `undo`
+// read the runs recorded in .codegrounds/runs.json.
+// Arguments always go to git as an argv array (execFile), never through a shell.
+
+const RUNS_FILE = path.join('.codegrounds', 'runs.json');
+const BRANCH_PREFIX = 'codegrounds/';
+const OUTPUT_CAP = 8000;
+
+// Written to new projects; existing .gitignore files only get the CodeGrounds entries.
+// Plugin tools in .codegrounds/tools are shared with the team, the rest (traces, runs) is local,
+// and so are the build state and the index: an undo or restore must not rewind them.
+const OWN_FILES = ['codegrounds.state.json', 'codegrounds.index.json'];
+const CODEGROUNDS_IGNORES = ['.codegrounds/*', '!.codegrounds/tools/', ...OWN_FILES, 'codegrounds.state.json.tmp', 'codegrounds.index.json.tmp'];
+const DEFAULT_IGNORES = ['node_modules/', '__pycache__/', '.venv/', 'venv/', 'dist/', 'build/', '.next/', '.cache/', '.env', '.env.*', '.DS_Store'];
+
+const GIT_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean', description: 'Commit run progress to git (default: true).' },
+        branchPerRun: { type: 'boolean', description: 'Run on a new codegrounds/<runId> branch (default: true).' }
+    },
+    additionalProperties: false
+};
+
+class GitError extends Error {
+    constructor(args, stderr) {
+        super(`git ${args[0]} failed: ${(stderr || '').trim().split('\n').slice(-3).join(' ')}`);
+        this.name = 'GitError';
+        this.stderr = stderr;
+    }
+}
+
+class Git {
+    constructor(dir) {
+        this.dir = dir;
+        this.queue = Promise.resolve(); // Agents work in parallel; git's index lock does not like that
+    }
+
+    // -> stdout ; rejects with GitError
+    run(args, { env = null } = {}) {
+        const exec = () => new Promise((resolve, reject) => {
+            execFile('git', args, { cwd: this.dir, maxBuffer: 20 * 1024 * 1024, env: env ? { ...process.env, ...env } : process.env }, (error, stdout, stderr) => {
+                if (error) reject(error.code === 'ENOENT' ? new Error('git is not installed.') : new GitError(args, stderr || error.message));
+                else resolve(stdout);
+            });
+        });
+        const result = this.queue.then(exec, exec);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async available() {
+        try {
+            await this.run(['--version']);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async isRepo() {
+        try {
+            return (await this.run(['rev-parse', '--show-toplevel'])).trim() === fs.realpathSync(this.dir);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Makes the project a repository with an initial commit (if it is not one yet).
+    async ensureRepo() {
+        const created = !await this.isRepo();
+        if (created) await this.run(['init', '-q']);
+        await this.ensureIgnored();
+        if (!await this.head()) await this.commitAll('Initial commit: Project scaffold', { allowEmpty: true });
+        return created;
+    }
+
+    async ensureIgnored() {
+        const ignorePath = path.join(this.dir, '.gitignore');
+        const exists = await fs.pathExists(ignorePath);
+        const current = exists ? await fs.readFile(ignorePath, 'utf8') : '';
+        const lines = current.split(/\r?\n/).map(l => l.trim());
+        const wanted = exists ? CODEGROUNDS_IGNORES : [...CODEGROUNDS_IGNORES, ...DEFAULT_IGNORES];
+        const missing = wanted.filter(entry => !lines.includes(entry));
+        if (missing.length === 0) return;
+        const prefix = current && !current.endsWith('\n') ? '\n' : '';
+        await fs.appendFile(ignorePath, `${prefix}${missing.join('\n')}\n`);
+    }
+
+    // The checked-out branch, or null on a detached HEAD.
+    async currentBranch() {
+        const name = (await this.run(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+        return name === 'HEAD' ? null : name;
+    }
+
+    async head() {
+        try {
+            return (await this.run(['rev-parse', 'HEAD'])).trim();
+        } catch (e) {
+            return null; // No commits yet
+        }
+    }
+
+    async isClean() {
+        return (await this.run(['status', '--porcelain', '--', '.', ...OWN_FILES.map(f => `:(exclude)${f}`)])).trim() === '';
+    }
+
+    async branchExists(name) {
+        try {
+            await this.run(['rev-parse', '--verify', '--quiet', `refs/heads/${name}`]);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async createBranch(name) {
+        await this.run(['checkout', '-q', '-b', name]);
+    }
+
+    async checkout(ref) {
+        await this.run(['checkout', '-q', ref]);
+    }
+
+    // Commits what changed (only `paths`, if given). -> sha, or null when there was nothing to commit
+    // OWN_FILES stay out even where an older commit already tracks them.
+    async commitAll(message, { paths = null, allowEmpty = false } = {}) {
+        await this.ensureIgnored();
+        const spec = paths && paths.length ? ['--', ...paths] : [];
+        const addSpec = ['--', ...(spec.length ? paths : ['.']), ...OWN_FILES.map(f => `:(exclude)${f}`)];
+        await this.run(['add', '-A', ...addSpec]);
+        const staged = (await this.run(['diff', '--cached', '--name-only', ...spec])).trim();
+        if (!staged && !allowEmpty) return null;
+
+        await this.run(['commit', '-q', ...(allowEmpty ? ['--allow-empty'] : []), '-m', message, ...spec], { env: await this.identity() });
+        return this.head();
+    }
+
+    // CodeGrounds commits as itself when the machine has no git identity
+    async identity() {
+        try {
+            if ((await this.run(['config', 'user.email'])).trim()) return null;
+        } catch (e) {}
+        return {
+            GIT_AUTHOR_NAME: 'CodeGrounds', GIT_AUTHOR_EMAIL: 'codegrounds@localhost',
+            GIT_COMMITTER_NAME: 'CodeGrounds', GIT_COMMITTER_EMAIL: 'codegrounds@localhost'
+        };
+    }
+
+    // Working tree against `ref` (default HEAD), plus untracked files.
+    async diff({ path: filePath = null, ref = 'HEAD', stat = false } = {}) {
+        const spec = filePath ? ['--', filePath] : [];
+        const diff = await this.run(['diff', ...(stat ? ['--stat'] : []), ref, ...spec]);
+        const untracked = (await this.run(['ls-files', '--others', '--exclude-standard', ...spec])).trim();
+        return { diff, untracked: untracked ? untracked.split('\n') : [] };
+    }
+
+    // -> [{ sha, date, author, subject }]
+    async log({ path: filePath = null, limit = 10, ref = 'HEAD' } = {}) {
+        const out = await this.run(['log', `-n${limit}`, '--format=%h%x09%ad%x09%an%x09%s', '--date=short', ref, ...(filePath ? ['--', filePath] : [])]);
+        return out.trim().split('\n').filter(Boolean).map(line => {
+            const [sha, date, author, subject] = line.split('\t');
+            return { sha, date, author, subject };
+        });
+    }
+
+    async fileExistsAt(ref, filePath) {
+        try {
+            await this.run(['cat-file', '-e', `${ref}:${filePath}`]);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Brings a file back to its version at `ref`.
+    async restoreFile(filePath, ref = 'HEAD') {
+        await this.run(['checkout', ref, '--', filePath]);
+    }
+}
+
+function clip(text, max = OUTPUT_CAP) {
+    return text.length > max ? `${text.slice(0, max)}\n... (truncated, ${text.length - max} more characters)` : text;
+}
+
+// --- Run history (.codegrounds/runs.json) ---
+// [{ runId, prompt, branch, base, baseCommit, startedAt, endedAt, status, undone, commits: [{ sha, message }] }]
+
+async function readRuns(projectDir) {
+    const file = path.join(projectDir, RUNS_FILE);
+    if (!await fs.pathExists(file)) return [];
+    try {
+        return await fs.readJson(file);
+    } catch (e) {
+        return [];
+    }
+}
+
+async function saveRun(projectDir, run) {
+    const runs = await readRuns(projectDir);
+    const index = runs.findIndex(r => r.runId === run.runId);
+    if (index === -1) runs.push(run);
+    else runs[index] = run;
+    await fs.outputJson(path.join(projectDir, RUNS_FILE), runs, { spaces: 2 });
+}
+
+async function saveRuns(projectDir, runs) {
+    await fs.outputJson(path.join(projectDir, RUNS_FILE), runs, { spaces: 2 });
+}
+
+module.exports = { Git, GitError, GIT_SCHEMA, BRANCH_PREFIX, RUNS_FILE, readRuns, saveRun, saveRuns, clip };
@@ -0,0 +1,248 @@
+// HTTP client behind the http_request tool: any method, headers, JSON / form bodies, a cookie
+// jar per named session, timeouts and assertions with a structured pass/fail verdict.
+// Only hosts in `allowHosts` can be reached (localhost by default), redirects included, so
+// agents test the servers they started and nothing else.
+
+const DEFAULT_ALLOW_HOSTS = ['localhost', '127.0.0.1', '::1', '0.0.0.0'];
+const MAX_REDIRECTS = 5;
+const BODY_CAP = 8000;
+const NOISE_HEADERS = ['connection', 'keep-alive', 'date', 'transfer-encoding']; // Left out of tool results
+
+const HTTP_SCHEMA = {
+    type: 'object',
+    properties: {
+        allowHosts: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Hosts http_request may reach; "*.example.com" matches subdomains, "*" allows every host.'
+        },
+        timeoutSeconds: { type: 'integer' }
+    },
+    additionalProperties: false
+};
+
+class HostNotAllowedError extends Error {
+    constructor(host, allowHosts) {
+        super(`Host "${host}" is not allowed (allowed: ${allowHosts.join(', ')}). Start the server locally and use localhost, or add the host to "http.allowHosts" in codegrounds.config.json.`);
+        this.name = 'HostNotAllowedError';
+    }
+}
+
+function hostAllowed(host, allowHosts) {
+    const name = host.replace(/^\[|\]$/g, '').toLowerCase();
+    return allowHosts.some(pattern => {
+        const p = pattern.toLowerCase();
+        if (p === '*') return true;
+        if (p.startsWith('*.')) return name.endsWith(p.slice(1));
+        return name === p;
+    });
+}
+
+// "$.items[0].name", "items.0.name" -> value or undefined
+function getPath(value, jsonPath) {
+    const parts = jsonPath.replace(/^\$\.?/, '').replace(/\[(\d+|"[^"]*"|'[^']*')\]/g, '.$1').split('.').filter(Boolean);
+    let current = value;
+    for (const raw of parts) {
+        if (current === null || current === undefined) return undefined;
+        current = current[raw.replace(/^["']|["']$/g, '')];
+    }
+    return current;
+}
+
+// Expected values arrive as JSON text ("5", "true", "\"ok\"") or plain strings
+function parseExpected(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+function sameValue(actual, expected) {
+    if (typeof actual === 'object' || typeof expected === 'object') return JSON.stringify(actual) === JSON.stringify(expected);
+    return actual === expected || String(actual) === String(expected);
+}
+
+// name=value pairs per host; enough for session cookies of a local dev server
+class CookieJar {
+    constructor() {
+        this.hosts = new Map();
+    }
+
+    store(host, setCookies) {
+        const jar = this.hosts.get(host) || new Map();
+        for (const header of setCookies) {
+            const [pair, ...attributes] = header.split(';');
+            const eq = pair.indexOf('=');
+            if (eq === -1) continue;
+            const name = pair.slice(0, eq).trim();
+            const value = pair.slice(eq + 1).trim();
+            const expired = attributes.some(a => {
+                const [key, val = ''] = a.split('=').map(s => s.trim());
+                if (/^max-age$/i.test(key)) return Number(val) <= 0;
+                if (/^expires$/i.test(key)) return Date.parse(val) < Date.now();
+                return false;
+            });
+            if (expired) jar.delete(name);
+            else jar.set(name, value);
+        }
+        this.hosts.set(host, jar);
+    }
+
+    header(host) {
+        const jar = this.hosts.get(host);
+        if (!jar || jar.size === 0) return null;
+        return [...jar.entries()].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+}
+
+class HttpClient {
+    // config: the `http` section of codegrounds.config.json
+    constructor(config = {}) {
+        this.allowHosts = config.allowHosts || DEFAULT_ALLOW_HOSTS;
+        this.timeoutSeconds = config.timeoutSeconds || 30;
+        this.sessions = new Map(); // session name -> CookieJar
+    }
+
+    jar(session = 'default') {
+        if (!this.sessions.has(session)) this.sessions.set(session, new CookieJar());
+        return this.sessions.get(session);
+    }
+
+    checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            throw new Error(`Invalid URL "${url}". Use an absolute URL such as http://localhost:3000/api/items.`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error(`Only http and https URLs are supported, not ${parsed.protocol}`);
+        if (!hostAllowed(parsed.hostname, this.allowHosts)) throw new HostNotAllowedError(parsed.hostname, this.allowHosts);
+        return parsed;
+    }
+
+    // options: { method, url, headers: ["Name: value"], json, form, body, session, timeoutSeconds, signal }
+    // -> { status, statusText, headers, body, json, durationMs, redirects, url }
+    async request({ method = 'GET', url, headers = [], json = null, form = null, body = null, session = 'default', timeoutSeconds = null, signal = null }) {
+        const requestHeaders = {};
+        for (const line of headers || []) {
+            const idx = line.indexOf(':');
+            if (idx > 0) requestHeaders[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+        }
+
+        let payload = null;
+        if (json !== null && json !== undefined) {
+            payload = typeof json === 'string' ? json : JSON.stringify(json);
+            try {
+                JSON.parse(payload);
+            } catch (e) {
+                throw new Error(`"json" is not valid JSON: ${e.message}`);
+            }
+            requestHeaders['content-type'] = requestHeaders['content-type'] || 'application/json';
+        } else if (form !== null && form !== undefined) {
+            payload = typeof form === 'string' ? form : new URLSearchParams(form).toString();
+            requestHeaders['content-type'] = requestHeaders['content-type'] || 'application/x-www-form-urlencoded';
+        } else if (body !== null && body !== undefined) {
+            payload = body;
+        }
+
+        const timeout = AbortSignal.timeout((timeoutSeconds || this.timeoutSeconds) * 1000);
+        const abort = signal ? AbortSignal.any([signal, timeout]) : timeout;
+        const jar = this.jar(session);
+        const startedAt = Date.now();
+
+        let current = this.checkUrl(url);
+        let currentMethod = method.toUpperCase();
+        let redirects = 0;
+        while (true) {
+            const cookie = jar.header(current.host);
+            const res = await fetch(current, {
+                method: currentMethod,
+                headers: { ...(cookie && !requestHeaders.cookie ? { cookie } : {}), ...requestHeaders },
+                body: ['GET', 'HEAD'].includes(currentMethod) ? undefined : payload,
+                redirect: 'manual', // Followed below, so every hop is checked against allowHosts
+                signal: abort
+            }).catch(e => {
+                if (timeout.aborted) throw new Error(`Timed out after ${timeoutSeconds || this.timeoutSeconds}s.`);
+                throw new Error(`Request failed: ${e.cause ? e.cause.message : e.message}`);
+            });
+            jar.store(current.host, res.headers.getSetCookie ? res.headers.getSetCookie() : []);
+
+            const location = res.headers.get('location');
+            if (res.status >= 300 && res.status < 400 && location && redirects < MAX_REDIRECTS) {
+                redirects++;
+                current = this.checkUrl(new URL(location, current).toString());
+                if (res.status === 303 || ((res.status === 301 || res.status === 302) && currentMethod === 'POST')) {
+                    currentMethod = 'GET';
+                }
+                continue;
+            }
+
+            const text = await res.text();
+            let parsed;
+            try {
+                parsed = text ? JSON.parse(text) : undefined;
+            } catch (e) {}
+            return {
+                status: res.status,
+                statusText: res.statusText,
+                headers: Object.fromEntries(res.headers.entries()),
+                body: text,
+                json: parsed,
+                durationMs: Date.now() - startedAt,
+                redirects,
+                url: current.toString()
+            };
+        }
+    }
+}
+
+// assertions: { status, headers: [name], jsonPath: [{ path, equals }], bodyContains }
+// -> [{ ok, label, actual }]
+function checkAssertions(response, assertions = {}) {
+    const results = [];
+    if (assertions.status !== undefined && assertions.status !== null) {
+        const expected = Array.isArray(assertions.status) ? assertions.status : [assertions.status];
+        results.push({ ok: expected.map(Number).includes(response.status), label: `status is ${expected.join(' or ')}`, actual: response.status });
+    }
+    for (const name of assertions.headers || []) {
+        const value = response.headers[name.toLowerCase()];
+        results.push({ ok: value !== undefined, label: `header "${name}" present`, actual: value === undefined ? 'missing' : value });
+    }
+    for (const check of assertions.jsonPath || []) {
+        if (response.json === undefined) {
+            results.push({ ok: false, label: `${check.path} equals ${check.equals}`, actual: 'response is not JSON' });
+            continue;
+        }
+        const actual = getPath(response.json, check.path);
+        const ok = check.equals === undefined ? actual !== undefined : sameValue(actual, parseExpected(check.equals));
+        results.push({
+            ok,
+            label: check.equals === undefined ? `${check.path} exists` : `${check.path} equals ${check.equals}`,
+            actual: actual === undefined ? 'undefined' : JSON.stringify(actual)
+        });
+    }
+    if (assertions.bodyContains) {
+        results.push({ ok: response.body.includes(assertions.bodyContains), label: `body contains "${assertions.bodyContains}"`, actual: null });
+    }
+    return results;
+}
+
+function formatResponse(response, results, { bodyCap = BODY_CAP } = {}) {
+    const lines = [`HTTP ${response.status} ${response.statusText} (${response.durationMs}ms${response.redirects ? `, ${response.redirects} redirect(s) to ${response.url}` : ''})`];
+    if (results.length) {
+        const passed = results.filter(r => r.ok).length;
+        lines.push(`ASSERTIONS: ${passed === results.length ? 'PASS' : 'FAIL'} (${passed}/${results.length})`);
+        results.forEach(r => lines.push(`  ${r.ok ? '✔' : '✖'} ${r.label}${r.ok || r.actual === null ? '' : ` (got ${r.actual})`}`));
+    }
+    lines.push('Headers:');
+    Object.entries(response.headers)
+        .filter(([name]) => !NOISE_HEADERS.includes(name))
+        .forEach(([name, value]) => lines.push(`  ${name}: ${value}`));
+    const body = response.json !== undefined ? JSON.stringify(response.json, null, 2) : response.body;
+    lines.push('Body:');
+    lines.push(body.length > bodyCap ? `${body.slice(0, bodyCap)}\n... (${body.length - bodyCap} more characters)` : body);
+    return lines.join('\n');
+}
+
+module.exports = { HttpClient, CookieJar, HostNotAllowedError, HTTP_SCHEMA, DEFAULT_ALLOW_HOSTS, checkAssertions, formatResponse, getPath, hostAllowed };
@@ -0,0 +1,157 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Which project files the tools look at: .gitignore rules (nested files included) plus the
+// directories no agent ever needs to read. Shared by list_files, search_files and the
+// Orchestrator's discovery steps.
+
+const ALWAYS_IGNORED = ['.git/', 'node_modules/', 'venv/', '.venv/', '__pycache__/', 'dist/', 'build/', '.next/', '.cache/', '.codegrounds/'];
+
+// Glob -> RegExp for paths relative to a base directory ("/" separated).
+//   *  any characters except "/"     **  any number of directories     ?  one character
+//   [abc] character class            {a,b} alternatives
+function globToRegExp(glob) {
+    let re = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                const slashAfter = glob[i + 2] === '/';
+                const atSegmentStart = i === 0 || glob[i - 1] === '/';
+                if (atSegmentStart && slashAfter) {
+                    re += '(?:.*/)?'; // "**/" matches zero or more directories
+                    i += 2;
+                } else {
+                    re += '.*';
+                    i += 1;
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                re += '\\[';
+            } else {
+                const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                re += `[${body}]`;
+                i = end;
+            }
+        } else if (c === '{') {
+            const end = glob.indexOf('}', i + 1);
+            if (end === -1) {
+                re += '\\{';
+            } else {
+                re += `(?:${glob.slice(i + 1, end).split(',').map(alt => globToRegExp(alt).source.slice(1, -1)).join('|')})`;
+                i = end;
+            }
+        } else if (c === '\\' && i + 1 < glob.length) {
+            re += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+            re += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+// One .gitignore line -> { regex, negate, dirOnly } or null (blank / comment)
+function parseRule(line) {
+    let text = line.replace(/\r$/, '');
+    if (!text.trim() || text.startsWith('#')) return null;
+    text = text.replace(/(?<!\\)\s+$/, '');
+    const negate = text.startsWith('!');
+    if (negate) text = text.slice(1);
+    if (text.startsWith('\\#') || text.startsWith('\\!')) text = text.slice(1);
+    const dirOnly = text.endsWith('/');
+    if (dirOnly) text = text.slice(0, -1);
+    // A slash at the start or in the middle anchors the pattern to the .gitignore's directory
+    const anchored = text.includes('/');
+    text = text.replace(/^\//, '');
+    return { regex: globToRegExp(anchored ? text : `**/${text}`), negate, dirOnly, pattern: line };
+}
+
+class IgnoreMatcher {
+    // options.extra: more gitignore-style patterns (e.g. from config)
+    constructor(rootDir, options = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.base = this.compile('', [...ALWAYS_IGNORED, ...(options.extra || [])]);
+        this.loaded = new Map(); // dir (relative) -> rules of its .gitignore
+    }
+
+    compile(dir, lines) {
+        return lines.map(parseRule).filter(Boolean).map(rule => ({ ...rule, dir }));
+    }
+
+    // Rules of the .gitignore in `dir` (relative, "" for the root), read once
+    async rulesFor(dir) {
+        if (!this.loaded.has(dir)) {
+            const file = path.join(this.rootDir, dir, '.gitignore');
+            const text = await fs.readFile(file, 'utf8').catch(() => '');
+            this.loaded.set(dir, this.compile(dir, text.split('\n')));
+        }
+        return this.loaded.get(dir);
+    }
+
+    // relPath: "/" separated, relative to the root. The last matching rule wins, like git.
+    async isIgnored(relPath, isDir = false) {
+        const parts = relPath.split('/');
+        // An ignored parent directory hides everything below it
+        for (let i = 1; i < parts.length; i++) {
+            if (await this.matches(parts.slice(0, i).join('/'), true)) return true;
+        }
+        return this.matches(relPath, isDir);
+    }
+
+    async matches(relPath, isDir) {
+        const parts = relPath.split('/');
+        let ignored = false;
+        const check = (rules) => {
+            for (const rule of rules) {
+                if (rule.dirOnly && !isDir) continue;
+                const local = rule.dir ? relPath.slice(rule.dir.length + 1) : relPath;
+                if (rule.dir && !relPath.startsWith(`${rule.dir}/`)) continue;
+                if (rule.regex.test(local)) ignored = !rule.negate;
+            }
+        };
+        check(this.base);
+        for (let i = 0; i < parts.length; i++) {
+            check(await this.rulesFor(parts.slice(0, i).join('/')));
+        }
+        return ignored;
+    }
+
+    // Files under `dir` (relative) that are not ignored, as "/" separated relative paths.
+    // Ignored directories are never entered, so node_modules costs nothing.
+    async listFiles(dir = '.') {
+        const files = [];
+        const start = path.resolve(this.rootDir, dir);
+        const walk = async (absDir) => {
+            const entries = await fs.readdir(absDir, { withFileTypes: true }).catch(() => []);
+            entries.sort((a, b) => a.name.localeCompare(b.name));
+            for (const entry of entries) {
+                const abs = path.join(absDir, entry.name);
+                const rel = path.relative(this.rootDir, abs).split(path.sep).join('/');
+                const isDir = entry.isDirectory();
+                if (await this.matches(rel, isDir)) continue;
+                if (isDir) await walk(abs);
+                else if (entry.isFile()) files.push(rel);
+            }
+        };
+        const rel = path.relative(this.rootDir, start).split(path.sep).join('/');
+        if (rel && await this.isIgnored(rel, true)) return files;
+        await walk(start);
+        return files;
+    }
+}
+
+// include / exclude filters for tools: "*.js" matches at any depth, "src/**/*.ts" from the root
+function globFilter(include = [], exclude = []) {
+    const compile = globs => (globs || []).filter(Boolean).map(g => globToRegExp(g.includes('/') ? g.replace(/^\.?\//, '') : `**/${g}`));
+    const inc = compile(include);
+    const exc = compile(exclude);
+    return (relPath) => (inc.length === 0 || inc.some(re => re.test(relPath))) && !exc.some(re => re.test(relPath));
+}
+
+module.exports = { IgnoreMatcher, globToRegExp, globFilter, parseRule, ALWAYS_IGNORED };
@@ -0,0 +1,158 @@
+const chalk = require('chalk');
+const { sleep } = require('./Cancellation');
+
+const WINDOW_MS = 60000;
+const BASE_COOLDOWN_MS = 2000;
+const MAX_COOLDOWN_MS = 60000;
+
+function numberFromEnv(env, name) {
+    const value = Number(env[name]);
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// Pulls the server-suggested wait out of a 429 message, e.g. `"retryDelay":"27s"` or "retry in 3.5s".
+function parseRetryAfter(message) {
+    const text = message || '';
+    const match = text.match(/retryDelay"?\s*:\s*"?(\d+(?:\.\d+)?)s/i) ||
+                  text.match(/retry (?:in|after) (\d+(?:\.\d+)?)\s*s/i);
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+// Schedules requests across API keys instead of pinning each agent to one.
+// Every key tracks a sliding one-minute window of requests and tokens, the number of
+// in-flight calls and a cooldown after 429s; acquire() hands out the healthiest key,
+// honouring the caller's preferred key only as a tie-breaker, and waits when none is usable.
+class KeyPool {
+    constructor(keys, options = {}) {
+        const env = options.env || process.env;
+        this.limits = {
+            rpm: options.rpm || numberFromEnv(env, 'KEY_RPM_LIMIT'),
+            tpm: options.tpm || numberFromEnv(env, 'KEY_TPM_LIMIT'),
+            maxInFlight: options.maxInFlight || numberFromEnv(env, 'KEY_MAX_IN_FLIGHT') || 4
+        };
+
+        this.keys = {};
+        for (const { index, key } of keys) {
+            this.keys[index] = {
+                index,
+                label: `Key ${index} (…${key.slice(-4)})`,
+                inFlight: 0,
+                requests: [], // timestamps within the window
+                tokens: [], // { t, n } within the window
+                cooldownUntil: 0,
+                consecutiveRateLimits: 0,
+                stats: { requests: 0, successes: 0, rateLimits: 0, errors: 0, tokens: 0, latencyMs: 0 }
+            };
+        }
+    }
+
+    get size() {
+        return Object.keys(this.keys).length;
+    }
+
+    prune(state, now) {
+        while (state.requests.length && now - state.requests[0] > WINDOW_MS) state.requests.shift();
+        while (state.tokens.length && now - state.tokens[0].t > WINDOW_MS) state.tokens.shift();
+    }
+
+    // Milliseconds until this key may take another request (0 = now).
+    waitTime(state, now) {
+        this.prune(state, now);
+        let wait = Math.max(0, state.cooldownUntil - now);
+        if (this.limits.rpm && state.requests.length >= this.limits.rpm) {
+            wait = Math.max(wait, WINDOW_MS - (now - state.requests[0]));
+        }
+        if (this.limits.tpm && state.tokens.reduce((sum, e) => sum + e.n, 0) >= this.limits.tpm) {
+            wait = Math.max(wait, WINDOW_MS - (now - state.tokens[0].t));
+        }
+        return wait;
+    }
+
+    // Lower is healthier: load relative to the limits plus a penalty for recent 429s.
+    score(state) {
+        const rpmLoad = this.limits.rpm ? state.requests.length / this.limits.rpm : state.requests.length / 60;
+        const tokensUsed = state.tokens.reduce((sum, e) => sum + e.n, 0);
+        const tpmLoad = this.limits.tpm ? tokensUsed / this.limits.tpm : 0;
+        return state.inFlight + rpmLoad + tpmLoad + state.consecutiveRateLimits * 0.5;
+    }
+
+    // signal: AbortSignal that ends the wait for a free key with a CancelledError.
+    async acquire(preferredIndex = null, signal = null) {
+        if (this.size === 0) return null;
+
+        for (;;) {
+            const now = Date.now();
+            const states = Object.values(this.keys);
+            const usable = states.filter(s => s.inFlight < this.limits.maxInFlight && this.waitTime(s, now) === 0);
+
+            if (usable.length > 0) {
+                // The preferred key only wins among (nearly) equally healthy keys
+                const rank = (s) => this.score(s) - (s.index === Number(preferredIndex) ? 0.1 : 0);
+                const best = usable.reduce((a, b) => (rank(b) < rank(a) ? b : a));
+                best.inFlight++;
+                best.requests.push(now);
+                best.stats.requests++;
+                return { index: best.index, startedAt: now };
+            }
+
+            const soonest = Math.min(...states.map(s => this.waitTime(s, now) || 250));
+            await sleep(Math.min(Math.max(soonest, 50), 5000), signal);
+        }
+    }
+
+    // cancelled: the caller gave up; the key is freed without counting a success or an error.
+    release(lease, { usage = null, error = null, rateLimited = false, cancelled = false } = {}) {
+        if (!lease) return;
+        const state = this.keys[lease.index];
+        if (!state) return;
+
+        const now = Date.now();
+        state.inFlight = Math.max(0, state.inFlight - 1);
+        state.stats.latencyMs += now - lease.startedAt;
+
+        if (usage && usage.totalTokens) {
+            state.tokens.push({ t: now, n: usage.totalTokens });
+            state.stats.tokens += usage.totalTokens;
+        }
+
+        if (cancelled) {
+            return;
+        } else if (rateLimited) {
+            state.consecutiveRateLimits++;
+            state.stats.rateLimits++;
+            const backoff = Math.min(BASE_COOLDOWN_MS * Math.pow(2, state.consecutiveRateLimits - 1), MAX_COOLDOWN_MS);
+            state.cooldownUntil = now + (parseRetryAfter(error && error.message) || backoff);
+        } else if (error) {
+            state.stats.errors++;
+        } else {
+            state.consecutiveRateLimits = 0;
+            state.stats.successes++;
+        }
+    }
+
+    getStats() {
+        const now = Date.now();
+        return Object.values(this.keys).map(s => ({
+            key: s.label,
+            ...s.stats,
+            avgLatencyMs: s.stats.requests ? Math.round(s.stats.latencyMs / s.stats.requests) : 0,
+            inFlight: s.inFlight,
+            coolingDownMs: Math.max(0, s.cooldownUntil - now)
+        }));
+    }
+
+    printStats(title = 'Key Pool') {
+        const stats = this.getStats().filter(s => s.requests > 0);
+        if (stats.length === 0) return;
+        console.log(chalk.cyan.bold(`\n🔑 ${title}`));
+        for (const s of stats) {
+            const health = s.rateLimits === 0 && s.errors === 0 ? chalk.green('healthy') :
+                (s.coolingDownMs > 0 ? chalk.yellow(`cooling ${Math.ceil(s.coolingDownMs / 1000)}s`) : chalk.yellow('degraded'));
+            console.log(`    ${s.key.padEnd(20)} ${String(s.requests).padStart(4)} req  ${String(s.successes).padStart(4)} ok  ` +
+                `${String(s.rateLimits).padStart(3)} 429  ${String(s.errors).padStart(3)} err  ${String(s.tokens).padStart(9)} tok  ` +
+                `${String(s.avgLatencyMs).padStart(6)}ms avg  ${health}`);
+        }
+    }
+}
+
+module.exports = { KeyPool, parseRetryAfter };
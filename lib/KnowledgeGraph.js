@@ -1,136 +1,457 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+
+const { parseSource, parserFor } = require('./parsers');
+const { ModuleResolver, RESOLUTION_CONFIG_FILES } = require('./Resolver');
+const { IgnoreMatcher } = require('./Ignore');
+const { RetrievalIndex } = require('./Retrieval');
+
+// Bumped whenever the shape of the index changes; an older index is discarded and rebuilt by sync()
+const INDEX_VERSION = 4;
+const MAX_INDEXED_CHARS = 100000; // Minified bundles and generated data are not worth parsing
+// Edits come in bursts (a patch touching ten files); the index is written once they settle
+const SAVE_DELAY_MS = 1000;
+// Symbol kinds shown by outline(); variables and constants only feed symbol search
+const OUTLINE_KINDS = ['module', 'class', 'interface', 'struct', 'trait', 'enum', 'type', 'function', 'method', 'macro'];
+const MAX_SYMBOL_MATCHES = 50;
+// What call_graph follows: calling a class or struct constructs it
+const CALLABLE_KINDS = ['function', 'method', 'class', 'struct', 'macro'];
 
 class KnowledgeGraph {
     constructor(workspaceDir) {
         this.workspaceDir = workspaceDir;
         this.indexPath = path.join(workspaceDir, 'codegrounds.index.json');
-        this.symbols = {}; // symbol_name -> [{ file, type, signature }]
+        this.symbols = {}; // symbol_name -> [{ file, kind, exported, parent, params, signature, line, endLine }]
         this.fileMap = {}; // file -> [symbols]
-        this.dependencies = {}; // file -> [imported_files/modules]
+        this.dependencies = {}; // file -> [import specifiers as written]
+        this.references = {}; // file -> { name: [line] } identifier uses outside declarations
+        this.calls = {}; // file -> { name: [line] } the uses that are calls
+        // file -> { hash, size, mtimeMs } of the content last indexed; size and mtime are only
+        // known for files sync() read from disk and let it skip unchanged files without reading them
+        this.files = {};
+        this.resolver = new ModuleResolver(workspaceDir);
+        // file -> resolved imports (see imports()). Not persisted: recomputed on demand, dropped
+        // when the file is re-indexed, moved or deleted.
+        this.resolved = new Map();
+        // file -> Set of exported names whose signature changed, appeared or disappeared since
+        // takeExportChanges(), or null when the file's exports cannot be told apart (see there)
+        this.exportChanges = new Map();
+        this.retrieval = new RetrievalIndex(workspaceDir, this); // Not persisted; reads the files on first use
+        this.saveTimer = null;
+        this.saveQueue = Promise.resolve();
     }
 
     async load() {
         if (await fs.pathExists(this.indexPath)) {
             try {
                 const data = await fs.readJson(this.indexPath);
+                if (data.version !== INDEX_VERSION) return;
                 this.symbols = data.symbols || {};
                 this.fileMap = data.fileMap || {};
                 this.dependencies = data.dependencies || {};
+                this.references = data.references || {};
+                this.calls = data.calls || {};
+                this.files = data.files || {};
             } catch (e) {}
         }
     }
 
+    // Serialized and atomic like Blackboard.save(). Callers that change the index use
+    // scheduleSave(); save() is for writing right away.
     async save() {
-        await fs.writeJson(this.indexPath, { 
-            symbols: this.symbols,
-            fileMap: this.fileMap,
-            dependencies: this.dependencies
-        }, { spaces: 2 });
+        if (this.saveTimer) clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        const write = async () => {
+            const tmpPath = `${this.indexPath}.tmp`;
+            await fs.writeJson(tmpPath, {
+                version: INDEX_VERSION,
+                files: this.files,
+                symbols: this.symbols,
+                fileMap: this.fileMap,
+                dependencies: this.dependencies,
+                references: this.references,
+                calls: this.calls
+            });
+            await fs.rename(tmpPath, this.indexPath);
+        };
+        this.saveQueue = this.saveQueue.then(write, write);
+        await this.saveQueue;
     }
 
-    async indexFile(filePath, content) {
-        // Clear old symbols for this file
-        if (this.fileMap[filePath]) {
-            for (const symName of this.fileMap[filePath]) {
-                if (this.symbols[symName]) {
-                    this.symbols[symName] = this.symbols[symName].filter(entry => entry.file !== filePath);
-                    if (this.symbols[symName].length === 0) delete this.symbols[symName];
-                }
+    // Debounced: one write after the last change of a burst. The timer does not keep the
+    // process alive, so whoever ends the run calls flush().
+    scheduleSave() {
+        if (this.saveTimer) clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(() => {});
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    // Writes a pending save now and waits for writes in flight
+    async flush() {
+        if (this.saveTimer) await this.save();
+        else await this.saveQueue.catch(() => {});
+    }
+
+    // Symbol names are arbitrary identifiers; "constructor" or "toString" must not hit Object.prototype
+    entries(name) {
+        return Object.hasOwn(this.symbols, name) ? this.symbols[name] : [];
+    }
+
+    forgetSymbols(filePath) {
+        if (!this.fileMap[filePath]) return;
+        for (const symName of this.fileMap[filePath]) {
+            if (Object.hasOwn(this.symbols, symName)) {
+                this.symbols[symName] = this.symbols[symName].filter(entry => entry.file !== filePath);
+                if (this.symbols[symName].length === 0) delete this.symbols[symName];
             }
         }
+    }
+
+    // Drops every entry of a deleted file.
+    async removeFile(filePath) {
+        if (!this.fileMap[filePath] && !this.dependencies[filePath]) return;
+        this.forgetSymbols(filePath);
+        delete this.fileMap[filePath];
+        delete this.dependencies[filePath];
+        delete this.references[filePath];
+        delete this.calls[filePath];
+        delete this.files[filePath];
+        this.exportChanges.delete(filePath);
+        // Importers keep their resolution to the deleted file: they still import it, and
+        // getDependents() must find them to invalidate them
+        this.resolved.delete(filePath);
+        this.scheduleSave();
+    }
+
+    // Re-keys the entries of a moved file; its symbols and imports did not change.
+    async renameFile(fromPath, toPath) {
+        if (!this.fileMap[fromPath] && !this.dependencies[fromPath]) return;
+        for (const symName of this.fileMap[fromPath] || []) {
+            for (const entry of this.entries(symName)) {
+                if (entry.file === fromPath) entry.file = toPath;
+            }
+        }
+        this.forgetSymbols(toPath); // Whatever the target used to be was overwritten
+        this.fileMap[toPath] = this.fileMap[fromPath] || [];
+        this.dependencies[toPath] = this.dependencies[fromPath] || [];
+        this.references[toPath] = this.references[fromPath] || {};
+        this.calls[toPath] = this.calls[fromPath] || {};
+        if (this.files[fromPath]) this.files[toPath] = this.files[fromPath];
+        else delete this.files[toPath];
+        delete this.fileMap[fromPath];
+        delete this.dependencies[fromPath];
+        delete this.references[fromPath];
+        delete this.calls[fromPath];
+        delete this.files[fromPath];
+        this.exportChanges.delete(fromPath);
+        this.exportChanges.delete(toPath);
+        // Relative imports of the moved file now mean something else; importers still point at
+        // the old path until they are edited
+        this.resolved.delete(fromPath);
+        this.resolved.delete(toPath);
+        this.scheduleSave();
+    }
+
+    // stat: { size, mtimeMs } of the file on disk, when the caller has it (see sync())
+    async indexFile(filePath, content, stat = null) {
+        const exportsBefore = this.exportedInterface(filePath);
+        // Clear old symbols for this file
+        this.forgetSymbols(filePath);
+        this.resolved.delete(filePath);
+        if (RESOLUTION_CONFIG_FILES.includes(path.basename(filePath))) {
+            this.resolver.reset();
+            this.resolved.clear();
+        }
         this.fileMap[filePath] = [];
         this.dependencies[filePath] = [];
+        this.references[filePath] = {};
+        this.calls[filePath] = {};
+        this.files[filePath] = { hash: hashContent(content), ...(stat ? { size: stat.size, mtimeMs: stat.mtimeMs } : {}) };
+        this.scheduleSave();
 
         // Optimization: Don't index massive files like minified JS or large JSON
-        if (content.length > 100000) return;
-
-        // Robust Regex Extractor
-        const patterns = [
-            // JS/TS/Go/Rust/C/C++ Functions
-            { type: 'function', regex: /(?:async\s+)?(?:function|func|def|fn|void|int|string|bool)\s+([a-zA-Z0-9_]+)\s*\(.*?\)/g },
-            // Arrow Functions / Variable Assignments as Functions
-            { type: 'function', regex: /(?:const|let|var)\s+([a-zA-Z0-9_]+)\s*=\s*(?:async\s*)?\(.*?\)\s*=>/g },
-            // Classes/Structs/Interfaces
-            { type: 'class', regex: /(?:class|struct|interface|type)\s+([a-zA-Z0-9_]+)/g },
-            // Variables
-            { type: 'variable', regex: /(?:const|let|var|global|static)\s+([a-zA-Z0-9_]+)\s*=/g },
-            // Exports
-            { type: 'export', regex: /(?:export|pub)\s+(?:const|let|var|function|class|struct|fn)?\s*([a-zA-Z0-9_]+)/g },
-            // React Components (Functional)
-            { type: 'component', regex: /function\s+([A-Z][a-zA-Z0-9_]*)\s*\(.*?\)\s*\{/g },
-            // Method definitions in classes
-            { type: 'method', regex: /^\s*([a-zA-Z0-9_]+)\s*\(.*?\)\s*\{/gm }
-        ];
-
-        // Dependency Extraction (Basic JS/TS)
-        const depPatterns = [
-            /require\(['"](.+?)['"]\)/g,
-            /from\s+['"](.+?)['"]/g,
-            /import\s+['"](.+?)['"]/g
-        ];
-
-        for (const regex of depPatterns) {
-            let match;
-            while ((match = regex.exec(content)) !== null) {
-                this.dependencies[filePath].push(match[1]);
+        if (content.length > MAX_INDEXED_CHARS) {
+            this.noteExportChanges(filePath, exportsBefore);
+            return;
+        }
+
+        // Language parsers live in lib/parsers; files without one just have no symbols
+        const { symbols, imports, references } = parseSource(filePath, content);
+        this.dependencies[filePath] = [...new Set(imports)];
+        for (const ref of references) {
+            for (const map of ref.call ? [this.references[filePath], this.calls[filePath]] : [this.references[filePath]]) {
+                if (!Object.hasOwn(map, ref.name)) map[ref.name] = [];
+                if (!map[ref.name].includes(ref.line)) map[ref.name].push(ref.line);
             }
         }
-        
-        for (const pat of patterns) {
-            let match;
-            pat.regex.lastIndex = 0;
-            while ((match = pat.regex.exec(content)) !== null) {
-                const name = match[1];
-                
-                if (!this.symbols[name]) {
-                    this.symbols[name] = [];
-                }
-                
-                this.symbols[name].push({ 
-                    file: filePath, 
-                    type: pat.type, 
-                    signature: match[0].substring(0, 100) 
-                });
-                
-                this.fileMap[filePath].push(name);
+        for (const map of [this.references[filePath], this.calls[filePath]]) {
+            for (const lines of Object.values(map)) lines.sort((a, b) => a - b);
+        }
+        for (const symbol of symbols) {
+            if (!Object.hasOwn(this.symbols, symbol.name)) {
+                this.symbols[symbol.name] = [];
+            }
+            this.symbols[symbol.name].push({
+                file: filePath,
+                kind: symbol.kind,
+                exported: symbol.exported,
+                parent: symbol.parent,
+                params: symbol.params,
+                signature: symbol.signature,
+                line: symbol.line,
+                endLine: symbol.endLine
+            });
+            this.fileMap[filePath].push(symbol.name);
+        }
+        this.noteExportChanges(filePath, exportsBefore);
+    }
+
+    // What importers can see of a file: exported symbols plus the members of exported classes
+    // (and impl/receiver types), as name -> "kind signature" lines
+    exportedInterface(filePath) {
+        const own = [...new Set(this.fileMap[filePath] || [])].flatMap(name => this.entries(name).filter(e => e.file === filePath).map(e => ({ name, ...e })));
+        const exportedParents = new Set(own.filter(s => s.exported).map(s => s.name));
+        const api = new Map();
+        for (const s of own) {
+            if (!s.exported && !(s.parent && exportedParents.has(s.parent))) continue;
+            api.set(s.name, [...(api.get(s.name) || []), `${s.kind} ${s.signature}`].sort());
+        }
+        return api;
+    }
+
+    noteExportChanges(filePath, before) {
+        const after = this.exportedInterface(filePath);
+        const changed = [...new Set([...before.keys(), ...after.keys()])]
+            .filter(name => (before.get(name) || []).join('\n') !== (after.get(name) || []).join('\n'));
+        const pending = this.exportChanges.has(filePath) ? this.exportChanges.get(filePath) : new Set();
+        // Without named exports (module.exports = function, export default {...}, a file without
+        // a parser) or with a changed default export, importers cannot be matched by name
+        const opaque = pending === null || (before.size === 0 && after.size === 0) || changed.includes('default');
+        if (opaque) this.exportChanges.set(filePath, null);
+        else if (changed.length) this.exportChanges.set(filePath, new Set([...pending, ...changed]));
+    }
+
+    // Exported names of the file that changed since the last call -> [name], or null when any
+    // change may matter to every importer. Forgets them: the caller acts on them once.
+    takeExportChanges(filePath) {
+        const changes = this.exportChanges.has(filePath) ? this.exportChanges.get(filePath) : new Set();
+        this.exportChanges.delete(filePath);
+        return changes === null ? null : [...changes];
+    }
+
+    // Brings the index up to date with the workspace: source files that are new or whose
+    // content hash changed are re-indexed, files that are gone (or ignored now) are dropped.
+    // Covers edits made outside the tools: by hand, by scaffolders run through run_command.
+    // -> { added: [file], changed: [file], removed: [file], unchanged: n }
+    async sync() {
+        const result = { added: [], changed: [], removed: [], unchanged: 0 };
+        const onDisk = (await new IgnoreMatcher(this.workspaceDir).listFiles()).map(file => file.split('/').join(path.sep));
+        const present = new Set(onDisk);
+
+        // Files without a parser have nothing to index; the tools still record them when they write one
+        for (const file of onDisk.filter(f => parserFor(f))) {
+            const stat = await fs.stat(path.join(this.workspaceDir, file)).catch(() => null);
+            if (!stat) continue;
+            const known = this.files[file];
+            if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+                result.unchanged++;
+                continue;
+            }
+            const content = await fs.readFile(path.join(this.workspaceDir, file), 'utf8').catch(() => null);
+            if (content === null) continue;
+            if (known && known.hash === hashContent(content)) {
+                // Touched but not changed (checkout, formatter run): only the stat is new
+                this.files[file] = { ...known, size: stat.size, mtimeMs: stat.mtimeMs };
+                this.scheduleSave();
+                result.unchanged++;
+                continue;
             }
+            await this.indexFile(file, content, stat);
+            (known ? result.changed : result.added).push(file);
         }
 
-        await this.save();
+        for (const file of Object.keys(this.fileMap)) {
+            if (present.has(file)) continue;
+            await this.removeFile(file);
+            result.removed.push(file);
+        }
+        // Only edits made during the run invalidate dependents (see takeExportChanges())
+        this.exportChanges.clear();
+        return result;
+    }
+
+    // Files ranked for a natural-language query (see Retrieval.js):
+    // [{ file, score, reasons, snippet: { line, text } | null }]
+    async getRelevantFiles(query, options = {}) {
+        return this.retrieval.search(query, options);
     }
 
-    getRelevantFiles(query) {
-        const seenFiles = new Set();
-        const tokens = query.split(/[^a-zA-Z0-9_]+/).filter(t => t.length > 3);
-        
-        for (const token of tokens) {
-            if (this.symbols[token]) {
-                this.symbols[token].forEach(entry => seenFiles.add(entry.file));
+    // Symbols ranked for a query: exact names, then name parts matching its words
+    async searchSymbols(query, options = {}) {
+        return this.retrieval.searchSymbols(query, options);
+    }
+
+    // Symbols whose name matches a word of the query: exact (ignoring case) matches first,
+    // then names containing the word. -> [{ name, ...entry }]
+    findSymbols(query) {
+        const words = query.toLowerCase().split(/[^a-z0-9_$]+/).filter(w => w.length >= 3);
+        if (words.length === 0) return [];
+        const exact = [];
+        const partial = [];
+        for (const [name, entries] of Object.entries(this.symbols)) {
+            const lower = name.toLowerCase();
+            const bucket = words.includes(lower) ? exact : (words.some(w => w.length > 3 && lower.includes(w)) ? partial : null);
+            if (bucket) entries.forEach(entry => bucket.push({ name, ...entry }));
+        }
+        // Declarations before variables, exported before internal
+        const weight = (s) => (OUTLINE_KINDS.includes(s.kind) ? 0 : 2) + (s.exported ? 0 : 1);
+        const byWeight = (a, b) => weight(a) - weight(b) || a.file.localeCompare(b.file) || a.line - b.line;
+        return [...exact.sort(byWeight), ...partial.sort(byWeight)].slice(0, MAX_SYMBOL_MATCHES);
+    }
+
+    // Declarations of a file with their line spans, nested by span:
+    // [{ name, kind, exported, params, line, endLine, signature, children: [...] }]
+    outline(filePath) {
+        const items = [];
+        for (const name of new Set(this.fileMap[filePath] || [])) {
+            for (const entry of this.entries(name)) {
+                if (entry.file !== filePath || !OUTLINE_KINDS.includes(entry.kind)) continue;
+                items.push({ name, kind: entry.kind, exported: entry.exported, params: entry.params, line: entry.line, endLine: entry.endLine, signature: entry.signature, children: [] });
             }
         }
-        return Array.from(seenFiles);
+
+        const roots = [];
+        const stack = [];
+        items.sort((a, b) => a.line - b.line || b.endLine - a.endLine);
+        for (const item of items) {
+            while (stack.length && item.line > stack[stack.length - 1].endLine) stack.pop();
+            const parent = stack[stack.length - 1];
+            if (parent && item.endLine <= parent.endLine) parent.children.push(item);
+            else roots.push(item);
+            stack.push(item);
+        }
+        return roots;
     }
 
+    // Import specifiers as written in the file
     getDependencies(filePath) {
         return this.dependencies[filePath] || [];
     }
 
-    getDependents(targetFile) {
-        const dependents = [];
-        for (const [file, deps] of Object.entries(this.dependencies)) {
-            // Check if 'file' imports 'targetFile'
-            // Naive check: does the import string contain the filename?
-            // Realistically, we need to resolve paths, but for now we'll match on partials
-            // or the exact relative path if possible.
-            const targetBase = path.basename(targetFile, path.extname(targetFile));
-            
-            if (deps.some(d => d.includes(targetBase) || d.includes(targetFile))) {
-                dependents.push(file);
+    // The file's imports resolved against the project: [{ specifier, kind, path?, dir?, name? }]
+    // (see Resolver.js). Imports that did not resolve are retried, the file may exist by now.
+    imports(filePath) {
+        const cached = this.resolved.get(filePath);
+        const resolved = cached
+            ? cached.map(r => (r.kind === 'unresolved' ? this.resolver.resolve(filePath, r.specifier) : r))
+            : this.getDependencies(filePath).map(spec => this.resolver.resolve(filePath, spec));
+        this.resolved.set(filePath, resolved);
+        return resolved;
+    }
+
+    // Whether `file` imports targetFile (a Go import of its package directory counts)
+    importsFile(file, targetFile) {
+        const targetDir = path.dirname(targetFile);
+        return file !== targetFile && this.imports(file).some(r =>
+            r.kind === 'local' && (r.dir
+                ? r.path === targetDir && targetFile.endsWith('.go') && path.dirname(file) !== targetDir
+                : r.path === targetFile)
+        );
+    }
+
+    // Indexed files that import targetFile. With `names` (exports that changed, see
+    // takeExportChanges()) only those that use one of them, plus importers that use none of the
+    // target's exports by name (export * from, side-effect imports): they may depend on anything.
+    getDependents(targetFile, names = null) {
+        const dependents = Object.keys(this.dependencies).filter(file => this.importsFile(file, targetFile));
+        if (!names) return dependents;
+        const exported = [...this.exportedInterface(targetFile).keys(), ...names];
+        return dependents.filter(file => names.some(name => this.uses(file, name)) || !exported.some(name => this.uses(file, name)));
+    }
+
+    uses(file, name) {
+        return Boolean(this.references[file]) && Object.hasOwn(this.references[file], name);
+    }
+
+    // Whether code in `file` can reach a symbol defined in defFile: same file, an import of it,
+    // or the same Go package
+    sees(file, defFile) {
+        if (file === defFile || this.importsFile(file, defFile)) return true;
+        return file.endsWith('.go') && defFile.endsWith('.go') && path.dirname(file) === path.dirname(defFile);
+    }
+
+    // Innermost function or method around a line -> { name, ...entry } or null at module level
+    enclosingCallable(file, line) {
+        let best = null;
+        for (const name of new Set(this.fileMap[file] || [])) {
+            for (const entry of this.entries(name)) {
+                if (entry.file !== file || (entry.kind !== 'function' && entry.kind !== 'method')) continue;
+                if (line < entry.line || line > entry.endLine) continue;
+                if (!best || entry.endLine - entry.line < best.endLine - best.line) best = { name, ...entry };
+            }
+        }
+        return best;
+    }
+
+    // Definitions of `name` -> [{ name, ...entry }]. "Parent.name" picks members of one class
+    // (or impl/receiver type); `file` keeps the definitions in that file.
+    definitions(name, file = null) {
+        const dot = name.lastIndexOf('.');
+        const parent = dot > 0 ? name.slice(0, dot) : null;
+        const member = dot > 0 ? name.slice(dot + 1) : name;
+        return this.entries(member)
+            .filter(e => (!parent || e.parent === parent) && (!file || e.file === file))
+            .map(e => ({ name: member, ...e }));
+    }
+
+    // Uses of a symbol across the index -> [{ file, line, call, caller, certain }], by file and line.
+    // definitions: from definitions(); without any, every use of the name is reported as uncertain.
+    // certain: the using file defines the symbol or imports a file that does. Uses in files that
+    // only see another symbol of the same name are left out; the rest match by name alone
+    // (methods called on objects from elsewhere, globals, dynamic imports).
+    findReferences(name, definitions) {
+        const defFiles = [...new Set(definitions.map(d => d.file))];
+        const others = [...new Set(this.entries(name).map(e => e.file))].filter(f => !defFiles.includes(f));
+        const shadowing = this.entries(name).filter(e => e.parent === null && others.includes(e.file)).map(e => e.file);
+        const found = [];
+        for (const file of Object.keys(this.references).sort()) {
+            // A module-level symbol of that name in the file itself shadows the definition
+            if (!this.uses(file, name) || shadowing.includes(file)) continue;
+            const certain = defFiles.some(defFile => this.sees(file, defFile));
+            if (!certain && others.some(other => this.sees(file, other))) continue;
+            const calls = Object.hasOwn(this.calls[file] || {}, name) ? this.calls[file][name] : [];
+            for (const line of this.references[file][name]) {
+                const caller = this.enclosingCallable(file, line);
+                found.push({ file, line, call: calls.includes(line), caller, certain });
             }
         }
-        return dependents;
+        return found;
+    }
+
+    // Callables the definition calls, each resolved to its definitions like findReferences()
+    // does it: [{ name, line, definitions: [{ name, ...entry }], certain }] in call order.
+    // Names without a callable definition in the index (built-ins, packages) are left out.
+    callees(definition) {
+        const calls = this.calls[definition.file] || {};
+        const found = [];
+        for (const name of Object.keys(calls)) {
+            const line = calls[name].find(l => l >= definition.line && l <= definition.endLine);
+            if (line === undefined) continue;
+            const targets = this.definitions(name).filter(d => CALLABLE_KINDS.includes(d.kind));
+            if (targets.length === 0) continue;
+            const seen = targets.filter(d => this.sees(definition.file, d.file));
+            found.push({ name, line, definitions: seen.length ? seen : targets, certain: seen.length > 0 });
+        }
+        return found.sort((a, b) => a.line - b.line);
     }
 }
 
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
 module.exports = KnowledgeGraph;
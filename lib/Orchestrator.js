@@ -3,21 +3,49 @@ const Workspace = require('./Workspace');
 const GeminiClient = require('./Gemini');
 const Blackboard = require('./Blackboard');
 const KnowledgeGraph = require('./KnowledgeGraph');
-const { ToolSet } = require('./Tools');
+const { ToolSet, TOOL_DEFINITIONS } = require('./Tools');
+const { ApprovalPolicy } = require('./Approval');
+const { Sandbox } = require('./Sandbox');
+const { ProcessManager } = require('./Processes');
+const { Git, BRANCH_PREFIX, saveRun } = require('./Git');
+const { HttpClient } = require('./Http');
+const { UserQuestions, QuestionUnansweredError } = require('./Questions');
+const { loadPlugins } = require('./Plugins');
+const { Prompter, NonInteractiveError } = require('./Prompter');
+const { loadConfig, resolveAgentSpec, CORE_AGENTS } = require('./Config');
+const { Tracer } = require('./Trace');
+const { BudgetExceededError } = require('./Usage');
+const { CancelledError } = require('./Cancellation');
+const { validate, PLAN_SCHEMA, PLAN_CHECK_SCHEMA, CLARIFICATION_SCHEMA, JUDGMENT_SCHEMA, TEST_VERDICT_SCHEMA } = require('./Schema');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
-const inquirer = require('inquirer');
+
+const JUDGMENT_LINES = 150; // Lines of an existing file the Manager sees (after its outline) when judging it
+const DISCOVERY_FILES = 12; // Ranked files the PM and Architect get for a request on an existing project
 
 class Orchestrator {
-    constructor() {
-        this.gemini = new GeminiClient();
+    constructor(gemini = null) {
+        // Injectable so runs can be driven by a pre-configured client (e.g. cassette replay)
+        this.gemini = gemini || new GeminiClient();
         this.workspace = new Workspace();
         this.blackboard = null; 
         this.kg = null;
         this.toolSet = null; // Will init with project dir
         this.agents = {};
+        this.customAgents = [];
+        this.config = null;
+        this.tracer = null;
+        this.gitRun = null; // This run's entry in .codegrounds/runs.json, while git is in use
+        this.abortController = null;
+        this.spinners = new Set();
+        this.pausedSpinners = [];
+        // Every question to the user goes through here; spinners pause while a prompt is open
+        this.prompter = new Prompter({
+            onPause: () => this.pauseSpinners(),
+            onResume: () => this.resumeSpinners()
+        });
     }
 
     async init(projectDir) {
@@ -26,58 +54,155 @@ class Orchestrator {
         
         this.kg = new KnowledgeGraph(projectDir);
         await this.kg.load();
+        // Files edited by hand or generated by commands since the last run are picked up here
+        const indexed = await this.kg.sync();
+        const reindexed = indexed.added.length + indexed.changed.length + indexed.removed.length;
+        if (reindexed > 0) {
+            console.log(chalk.gray(`Knowledge Graph: ${indexed.added.length} new, ${indexed.changed.length} changed, ${indexed.removed.length} removed file(s) indexed (${indexed.unchanged} unchanged).`));
+        }
 
-        this.toolSet = new ToolSet(projectDir, this.kg, this.workspace, this.blackboard);
-        this.agents = this.initializeAgents();
+        // Plugin tools may be named in the config (agent tools, approval.tools), so they load first
+        const builtinTools = TOOL_DEFINITIONS.map(t => t.name);
+        const plugins = await loadPlugins(projectDir, (await loadConfig(projectDir)).plugins, { reservedNames: builtinTools });
+        plugins.errors.forEach(error => console.warn(chalk.yellow(`⚠️  Plugin skipped: ${error}`)));
+        const knownTools = [...builtinTools, ...plugins.tools.map(t => t.definition.name)];
+        this.config = await loadConfig(projectDir, { knownTools });
+        this.gemini.setProviderConfigs(this.config.providers);
+
+        const approval = new ApprovalPolicy(this.config.approval, {
+            prompter: this.prompter,
+            workspaceDir: projectDir,
+            onDecision: (d) => this.recordApproval(d)
+        });
+        const sandbox = new Sandbox(projectDir, this.config.sandbox);
+        const processes = new ProcessManager(sandbox);
+        this.toolSet = new ToolSet(projectDir, this.kg, this.workspace, this.blackboard, {
+            approval,
+            sandbox,
+            processes,
+            git: new Git(projectDir),
+            http: new HttpClient(this.config.http),
+            questions: new UserQuestions(this.config.questions, {
+                prompter: this.prompter,
+                blackboard: this.blackboard,
+                onAnswer: (a) => this.recordAnswer(a)
+            }),
+            onFilesChanged: (change) => this.invalidateDependents(change.path, change.action === 'move'
+                ? `Dependency ${change.path} was moved to ${change.to}.`
+                : `Dependency ${change.path} was deleted.`)
+        });
+        for (const tool of plugins.tools) {
+            this.toolSet.registerTool(tool);
+            if (tool.approval) approval.setToolDefault(tool.definition.name, tool.approval);
+        }
+        if (plugins.tools.length) console.log(chalk.gray(`Plugin tools: ${plugins.tools.map(t => t.definition.name).join(', ')}`));
+        this.agents = this.initializeAgents(this.config);
     }
 
-    initializeAgents() {
-        const tools = this.toolSet;
-        const READ_ONLY_TOOLS = ['read_file', 'list_files', 'search_files', 'search_symbols', 'get_file_context'];
-        
-        const modelManager = process.env.MODEL_MANAGER || 'gemini-1.5-pro';
-        const modelArchitect = process.env.MODEL_ARCHITECT || 'gemini-1.5-pro';
-        const modelEngineer = process.env.MODEL_ENGINEER || 'gemini-1.5-flash';
-        const modelDevops = process.env.MODEL_DEVOPS || 'gemini-1.5-flash';
-        const modelDebugger = process.env.MODEL_DEBUGGER || 'gemini-1.5-pro';
-
-        return {
-            pm: new Agent('Alex', 'Product Manager', 
-                'Analyze the task. If requirements exist, only output the DELTA. Be decisive. Stop reading files once you have the core logic.', 
-                this.gemini, modelManager, 4, tools, READ_ONLY_TOOLS, 20),
-            
-            architect: new Agent('Sarah', 'Software Architect', 
-                'Design the system. If architecture exists, verify only. Output JSON quickly. Do not re-explore the whole project.', 
-                this.gemini, modelArchitect, 5, tools, READ_ONLY_TOOLS, 20),
-            
-            devops: new Agent('Ops', 'DevOps Engineer', 
-                'Manage the environment. Execute setup and build commands efficiently.', 
-                this.gemini, modelDevops, 1, tools, null, 15),
-            
-            engineer: new Agent('Coder', 'Lead Developer', 
-                'Implement changes. BATCH all tool calls. Use ONE replace_in_file per file with multiple blocks. Read only the target file.', 
-                this.gemini, modelEngineer, 2, tools, null, 30),
-            
-            debugger: new Agent('Fixer', 'Senior Debugger', 
-                'Fix specific bugs. Do not rewrite entire modules. Keep fixes surgical.', 
-                this.gemini, modelDebugger, 6, tools, null, 25),
+    // Builds the roster from the merged codegrounds.config.json (see lib/Config.js for the defaults).
+    // Core agents are addressed by id below; custom agents run at their configured stage.
+    initializeAgents(config) {
+        const agents = {};
+        this.customAgents = [];
+
+        for (const [id, entry] of Object.entries(config.agents)) {
+            if (entry.enabled === false) continue;
+            const spec = resolveAgentSpec(entry);
+            const agent = new Agent(spec.name, spec.role, spec.description,
+                this.gemini, spec.model, spec.keyIndex, this.toolSet, spec.allowedTools, spec.maxSteps, spec.provider);
+            agent.instructions = spec.instructions || null;
+            agent.signal = this.abortController ? this.abortController.signal : null;
+            agent.blackboard = this.blackboard;
+            agents[id] = agent;
+
+            if (!CORE_AGENTS.includes(id)) {
+                this.customAgents.push({ id, agent, stage: spec.stage, task: spec.task });
+            }
+        }
+        return agents;
+    }
+
+    // Runs every custom agent registered for `stage`; their reports go to the Blackboard.
+    // vars fill the {{placeholders}} of the configured task (requirements, stack, file, description).
+    async runCustomAgents(stage, vars, meta = {}) {
+        for (const { id, agent, task } of this.customAgents.filter(c => c.stage === stage)) {
+            const prompt = task.replace(/\{\{(\w+)\}\}/g, (match, key) => vars[key] !== undefined ? String(vars[key]) : match);
+            const spinner = this.startSpinner(`${agent.name} (${agent.role}) is working...`);
+            try {
+                const report = await agent.execute(prompt, {}, { phase: `custom-${id}`, ...meta });
+                this.blackboard.addMessage(agent.name, 'team', report);
+                spinner.succeed(`${agent.name} (${agent.role}) done.`);
+            } catch (e) {
+                spinner.fail(`${agent.name} (${agent.role}): ${e.message}`);
+                if (e instanceof BudgetExceededError || e instanceof CancelledError || e instanceof QuestionUnansweredError) throw e;
+            }
+        }
+    }
+
+    // The project files most relevant to a request, ranked by the Knowledge Graph's retrieval
+    // (see lib/Retrieval.js), as a prompt section; empty when nothing matches.
+    async discoverFiles(query) {
+        const files = await this.kg.getRelevantFiles(query, { limit: DISCOVERY_FILES });
+        if (files.length === 0) return '';
+        const lines = files.map(f => `- ${f.file} (score ${f.score})${f.snippet ? `: line ${f.snippet.line}: ${f.snippet.text}` : ''}`);
+        return `\n\nMost relevant existing files for this request (best first):\n${lines.join('\n')}`;
+    }
 
-            manager: new Agent('Manager', 'Project Coordinator', 
-                'Oversee quality. Be the judge. Decision between REFAC or PATCH must be instant.', 
-                this.gemini, modelManager, 4, tools, READ_ONLY_TOOLS, 10),
+    // Spinners are tracked so an interrupted run never leaves one animating (and the process alive).
+    startSpinner(text) {
+        const spinner = ora(text).start();
+        this.spinners.add(spinner);
+        return spinner;
+    }
 
-            tester: new Agent('Tester', 'QA Engineer',
-                'Audit logic. DO NOT write new test files during construction. Run existing tests only or do code-review.',
-                this.gemini, modelEngineer, 3, tools, null, 20)
-        };
+    pauseSpinners() {
+        this.pausedSpinners = [...this.spinners].filter(s => s.isSpinning);
+        this.pausedSpinners.forEach(s => s.stop());
     }
 
-    async runWithRetry(agent, prompt, maxRetries = 2) {
+    resumeSpinners() {
+        this.pausedSpinners.forEach(s => s.start());
+        this.pausedSpinners = [];
+    }
+
+    // Without a terminal (CI, piped input) the fallback answers are used instead.
+    async ask(questions, fallback) {
+        try {
+            return await this.prompter.prompt(questions);
+        } catch (e) {
+            if (e instanceof NonInteractiveError) return fallback;
+            throw e;
+        }
+    }
+
+    recordAnswer({ agent, question, choices, answer, source }) {
+        if (this.tracer) this.tracer.log('question', { agent, question, choices, answer, source });
+        if (source !== 'user') console.log(chalk.gray(`  ❓ ${agent} asked "${question}": ${answer ? `"${answer}", ` : ''}${source}`));
+    }
+
+    recordApproval({ tool, args, agent, reason, decision, feedback }) {
+        const subject = tool === 'run_command' ? args.command : (args.path || '');
+        this.blackboard.recordEvent('APPROVAL', `${agent} ${tool} ${subject}: ${decision} (${reason})${feedback ? ` - "${feedback}"` : ''}`);
+        if (this.tracer) this.tracer.log('approval', { agent, tool, args, reason, decision, feedback });
+        if (decision.startsWith('denied')) console.log(chalk.red(`  🔐 ${agent}: ${tool} ${subject} ${decision} (${reason})`));
+    }
+
+    stopSpinners() {
+        for (const spinner of this.spinners) {
+            if (spinner.isSpinning) spinner.stop();
+        }
+        this.spinners.clear();
+    }
+
+    // With a schema the agent must answer with validated JSON (see Agent.executeStructured).
+    async runWithRetry(agent, prompt, meta = {}, { schema = null, maxRetries = 2 } = {}) {
         let lastError;
         for (let i = 0; i <= maxRetries; i++) {
             try {
-                return await agent.execute(prompt);
+                if (schema) return await agent.executeStructured(prompt, schema, { meta });
+                return await agent.execute(prompt, {}, meta);
             } catch (e) {
+                if (e instanceof BudgetExceededError || e instanceof CancelledError || e instanceof QuestionUnansweredError) throw e;
                 lastError = e;
                 console.warn(chalk.yellow(`\n⚠️  Agent ${agent.name} failed phase. Retry ${i + 1}/${maxRetries}...`));
                 // Provide a hint to the agent on retry
@@ -87,7 +212,59 @@ class Orchestrator {
         throw lastError;
     }
 
-    async run(userPrompt, existingProjectPath = null) {
+    // options.resume: continue the project's unfinished build (see Blackboard.hasUnfinishedBuild)
+    // instead of starting a new one; userPrompt is then taken from the checkpoint.
+    async run(userPrompt, existingProjectPath = null, { resume = false } = {}) {
+        const startedAt = Date.now();
+        let failure = null;
+
+        // First Ctrl-C cancels the agents cleanly and keeps the progress; the second one force-quits
+        this.abortController = new AbortController();
+        const onInterrupt = () => {
+            if (this.abortController.signal.aborted) {
+                console.log(chalk.red('\nForce quit.'));
+                process.exit(130);
+            }
+            console.log(chalk.yellow('\n🛑 Interrupted. Stopping agents and saving progress... (Ctrl-C again to force quit)'));
+            this.abortController.abort();
+        };
+        process.on('SIGINT', onInterrupt);
+
+        try {
+            await this.runPipeline(userPrompt, existingProjectPath, resume);
+        } catch (e) {
+            failure = e;
+            if (!(e instanceof CancelledError)) throw e;
+        } finally {
+            process.removeListener('SIGINT', onInterrupt);
+            this.stopSpinners();
+            if (this.toolSet) {
+                const stopped = await this.toolSet.processes.stopAll();
+                if (stopped > 0) console.log(chalk.gray(`Stopped ${stopped} background process(es).`));
+            }
+            const cancelled = failure instanceof CancelledError;
+            if (this.blackboard) {
+                await this.blackboard.endBuild(cancelled ? 'interrupted' : (failure ? 'failed' : 'complete'));
+                if (cancelled || (failure && this.blackboard.hasUnfinishedBuild())) {
+                    console.log(chalk.yellow('\n⏸️  Build stopped. Progress is saved; choose "Resume Existing Project" to continue where it left off.'));
+                }
+                this.gemini.usage.printSummary();
+                this.gemini.printPoolStats();
+                await this.blackboard.save();
+            }
+            if (this.kg) await this.kg.flush();
+            await this.finishGitRun(cancelled ? 'interrupted' : (failure ? 'failed' : 'complete'));
+            if (this.tracer) {
+                const status = cancelled ? 'interrupted' : (failure ? 'failed' : 'success');
+                this.tracer.log('run-end', { status, error: failure ? failure.message : undefined, durationMs: Date.now() - startedAt });
+                await this.tracer.flush();
+                this.gemini.tracer = null;
+                console.log(chalk.gray(`Trace: ${this.tracer.path} (view with "codegrounds trace ${this.tracer.runId}")`));
+            }
+        }
+    }
+
+    async runPipeline(userPrompt, existingProjectPath = null, resume = false) {
         console.log(chalk.blue.bold('\n🚀 CodeGrounds 8.0: The "Real" Multi-Agent Studio...'));
         let projectDir;
         let isUpdate = false;
@@ -98,12 +275,27 @@ class Orchestrator {
             isUpdate = true;
             console.log(`Resumed Workspace: ${chalk.green(projectDir)}`);
         } else {
-            const spinner = ora('Creating Workspace...').start();
+            const spinner = this.startSpinner('Creating Workspace...');
             projectDir = await this.workspace.createProject(userPrompt.slice(0, 20)); 
             spinner.succeed(`Workspace: ${chalk.green(projectDir)}`);
         }
 
         await this.init(projectDir);
+        this.tracer = new Tracer(projectDir);
+        this.gemini.tracer = this.tracer;
+        this.tracer.log('run-start', { prompt: userPrompt, project: projectDir });
+        this.blackboard.recordEvent('run', `Run ${this.tracer.runId} started`);
+        this.gemini.usage.reset(this.blackboard.state.usage.lifetime);
+        this.gemini.usage.onChange = (usage) => this.blackboard.setUsage(usage);
+
+        if (resume && !this.blackboard.hasUnfinishedBuild()) {
+            throw new Error('There is no unfinished build to resume in this project.');
+        }
+        if (resume) {
+            userPrompt = this.blackboard.state.checkpoint.request;
+            console.log(chalk.cyan(`⏯️  Resuming build: "${userPrompt.split('\n')[0].slice(0, 80)}"`));
+        }
+        await this.startGitRun(userPrompt);
         
         // Smart Resume: Check if we already have requirements/architecture
         const hasRequirements = this.blackboard.state.project.goals.length > 0;
@@ -111,29 +303,33 @@ class Orchestrator {
 
         await this.blackboard.updateProject({ description: userPrompt });
 
+        const { pm, architect, tester } = this.agents;
+
         // --- Phase 1: Clarification & Requirements (PM) ---
         let requirements;
-        if (isUpdate && hasRequirements && !userPrompt.toLowerCase().includes("check all files")) {
+        if (resume) {
+            requirements = this.blackboard.state.project.goals[0];
+        } else if (isUpdate && hasRequirements && !userPrompt.toLowerCase().includes("check all files")) {
             console.log(chalk.gray("Using existing requirements..."));
             requirements = this.blackboard.state.project.goals[0];
         } else {
-            const spinnerPM = ora('Agent Alex (PM) is analyzing...').start();
-            const clarifyPrompt = `Analyze this request: "${userPrompt}". Are there ambiguities? If so, ask 1-3 questions. Otherwise, reply "CLEAR".`;
-            const clarification = await this.agents.pm.execute(clarifyPrompt);
-            if (clarification.trim() !== "CLEAR") {
+            const spinnerPM = this.startSpinner(`Agent ${pm.name} (${pm.role}) is analyzing...`);
+            const clarifyPrompt = `Analyze this request: "${userPrompt}". Are there ambiguities? If so, set status "QUESTIONS" and ask 1-3 questions. Otherwise, set status "CLEAR".`;
+            const clarification = await this.agents.pm.executeStructured(clarifyPrompt, CLARIFICATION_SCHEMA, { meta: { phase: 'requirements' } });
+            if (clarification.status === "QUESTIONS" && clarification.questions && clarification.questions.length > 0) {
                 spinnerPM.stop();
-                console.log(chalk.yellow(`\n🤔 PM Alex has some questions:`));
-                console.log(chalk.white(clarification));
-                const { answer } = await inquirer.prompt([{ type: 'input', name: 'answer', message: 'Your response:' }]);
-                userPrompt += `\nUser clarification: ${answer}`;
-                spinnerPM.start('Alex is finalizing requirements...');
+                console.log(chalk.yellow(`\n🤔 ${pm.name} has some questions:`));
+                clarification.questions.forEach((q, i) => console.log(chalk.white(`  ${i + 1}. ${q}`)));
+                const { answer } = await this.ask([{ type: 'input', name: 'answer', message: 'Your response:' }], { answer: '' });
+                if (answer) userPrompt += `\nUser clarification: ${answer}`;
+                spinnerPM.start(`${pm.name} is finalizing requirements...`);
             }
 
             const pmPrompt = isUpdate 
-                ? `Update requirements for: "${userPrompt}". Project Snapshot: ${this.blackboard.getSnapshot()}` 
+                ? `Update requirements for: "${userPrompt}". Project Snapshot: ${this.blackboard.getSnapshot()}${await this.discoverFiles(userPrompt)}` 
                 : `Define requirements for: "${userPrompt}". Create a detailed plan.`;
             
-            requirements = await this.runWithRetry(this.agents.pm, pmPrompt);
+            requirements = await this.runWithRetry(this.agents.pm, pmPrompt, { phase: 'requirements' });
             spinnerPM.succeed('Requirements defined.');
             await this.blackboard.updateProject({ goals: [requirements] });
         }
@@ -142,11 +338,11 @@ class Orchestrator {
         let archJson;
         const needsRecheck = userPrompt.toLowerCase().includes("recheck all files");
 
-        if (isUpdate && hasArchitecture && !needsRecheck) {
-            const spinnerVerify = ora('Sarah is verifying existing plan against current files...').start();
-            const filesOnDisk = (await this.toolSet.listFiles('.', true)).split('\n');
-            const ignoreList = ['node_modules', '.git', 'venv', '.venv', '__pycache__', 'dist', 'build', '.next', '.cache'];
-            const filteredDisk = filesOnDisk.filter(f => !ignoreList.some(ignore => f.includes(ignore))).join('\n');
+        if (resume) {
+            archJson = this.blackboard.state.architecture;
+        } else if (isUpdate && hasArchitecture && !needsRecheck) {
+            const spinnerVerify = this.startSpinner(`${architect.name} is verifying existing plan against current files...`);
+            const filteredDisk = (await this.toolSet.projectFiles()).join('\n');
 
             // Quick integrity check: Does the disk match the plan?
             const verifyPrompt = `
@@ -155,55 +351,61 @@ Current Files on Disk:
 ${filteredDisk}
 
 Is the existing plan still valid and complete for the current state of the project? 
-If YES, reply exactly with "VALID".
-If NO (incomplete files, missing modules, or disk out of sync), reply "STALE" and explain why.
+If YES, set verdict "VALID".
+If NO (incomplete files, missing modules, or disk out of sync), set verdict "STALE" and explain why in reason.
 `;
-            const verification = await this.agents.architect.execute(verifyPrompt);
+            const planErrors = validate(this.blackboard.state.architecture, PLAN_SCHEMA);
+            const verification = planErrors.length > 0
+                ? { verdict: 'STALE', reason: `Stored plan is malformed: ${planErrors.join('; ')}` }
+                : await this.agents.architect.executeStructured(verifyPrompt, PLAN_CHECK_SCHEMA, { meta: { phase: 'architecture' } });
             
-            if (verification.trim() === "VALID") {
+            if (verification.verdict === "VALID") {
                 spinnerVerify.succeed("Existing architecture verified.");
                 archJson = this.blackboard.state.architecture;
             } else {
-                spinnerVerify.warn(`Plan is stale: ${verification.substring(0, 100)}...`);
+                spinnerVerify.warn(`Plan is stale: ${(verification.reason || '').substring(0, 100)}...`);
                 console.log(chalk.yellow("Re-designing to ensure robustness."));
                 archJson = null; // Force re-design
             }
         }
 
         if (!archJson) {
-            const spinnerArch = ora('Agent Sarah (Architect) is designing...').start();
+            const spinnerArch = this.startSpinner(`Agent ${architect.name} (${architect.role}) is designing...`);
             let projectSummary = "";
             if (isUpdate) {
-                const files = (await this.toolSet.listFiles('.', true)).split('\n');
-                const ignoreList = ['node_modules', '.git', 'venv', '.venv', '__pycache__', 'dist', 'build', '.next', '.cache'];
-                projectSummary = "Existing Files:\n" + files.filter(f => !ignoreList.some(ignore => f.includes(ignore))).join('\n');
+                projectSummary = "Existing Files:\n" + (await this.toolSet.projectFiles()).join('\n') + await this.discoverFiles(`${userPrompt}\n${requirements}`);
             }
 
-            const archPrompt = `Based on requirements: ${requirements}\nDiscovery: ${projectSummary}\nOutput JSON: { "phases": [[{"path": "...", "description": "...", "independent": true}]], "stack": "...", "setupCommands": [], "runCommand": "..." }`;
+            const archPrompt = `Based on requirements: ${requirements}\nDiscovery: ${projectSummary}\nDesign the build plan: phases of files (each with path and description), the stack, setup commands and the run command.`;
             
-            for (let i = 0; i < 3; i++) {
-                const response = await this.runWithRetry(this.agents.architect, archPrompt);
-                archJson = this.parseJson(response);
-                if (archJson) break;
-                console.warn(chalk.red("Architect provided invalid JSON. Retrying..."));
-            }
-
-            if (!archJson) throw new Error("Architect failed to produce valid JSON.");
+            // Validated against PLAN_SCHEMA, with errors fed back to the Architect for repair
+            archJson = await this.runWithRetry(this.agents.architect, archPrompt, { phase: 'architecture' }, { schema: PLAN_SCHEMA });
             spinnerArch.succeed(`Plan: ${archJson.phases.flat().length} files.`);
             await this.blackboard.setArchitecture(archJson);
         }
 
         // --- User Approval ---
-        console.log(chalk.yellow('\n📋 Plan:'));
-        archJson.phases.flat().forEach(f => console.log(`  - ${f.path}`));
-        
-        const { start } = await inquirer.prompt([{ type: 'confirm', name: 'start', message: 'Start Build?', default: true }]);
-        if (!start) process.exit();
+        if (resume) {
+            const progress = archJson.phases.flat().map(f => this.blackboard.getFileProgress(f.path));
+            console.log(chalk.yellow(`\n📋 Plan: ${progress.filter(p => p === 'done').length}/${progress.length} files already done.`));
+            await this.blackboard.resumeBuild(this.tracer.runId);
+        } else {
+            console.log(chalk.yellow('\n📋 Plan:'));
+            archJson.phases.flat().forEach(f => console.log(`  - ${f.path}`));
+
+            const { start } = await this.ask([{ type: 'confirm', name: 'start', message: 'Start Build?', default: true }], { start: true });
+            if (!start) process.exit();
+            await this.blackboard.beginBuild(this.tracer.runId, userPrompt, archJson.phases.flat().map(f => f.path));
+        }
+        const checkpoint = this.blackboard.state.checkpoint;
 
         // --- Phase 2.5: Test Strategy (Tester) ---
-        const spinnerTest = ora('Agent Tester is preparing test skeletons...').start();
-        const existingTests = await this.toolSet.listFiles('tests', false);
-        const testPrompt = `
+        if (checkpoint.testsPrepared) {
+            console.log(chalk.gray('  ⏭️  Test skeletons already prepared.'));
+        } else {
+            const spinnerTest = this.startSpinner(`Agent ${tester.name} is preparing test skeletons...`);
+            const existingTests = await this.toolSet.listFiles('tests', false);
+            const testPrompt = `
 Requirements: ${requirements}
 Architecture: ${JSON.stringify(archJson)}
 Existing Tests: ${existingTests}
@@ -213,23 +415,30 @@ TASK:
 2. If a test already exists and is valid, SKIP it.
 3. Be surgical and fast. DO NOT RUN tests yet.
 `;
-        await this.agents.tester.execute(testPrompt);
-        spinnerTest.succeed('Test strategy prepared.');
+            await this.agents.tester.execute(testPrompt, {}, { phase: 'test-strategy' });
+            await this.blackboard.markTestsPrepared();
+            await this.commitProgress('Add test skeletons');
+            spinnerTest.succeed('Test strategy prepared.');
+        }
 
         // --- Phase 3: Construction (Engineer + DevOps) ---
         console.log(chalk.yellow('\n⚡ Construction Started...'));
 
-        if (archJson.setupCommands) {
-            const spinnerSetup = ora('DevOps: Setting up environment...').start();
-            for (const cmd of archJson.setupCommands) {
-                await this.agents.devops.execute(`Run setup command: ${cmd}. If it fails, try to fix it.`);
+        const pendingSetup = (archJson.setupCommands || []).filter(cmd => !checkpoint.setupDone.includes(cmd));
+        if (pendingSetup.length > 0) {
+            const spinnerSetup = this.startSpinner('DevOps: Setting up environment...');
+            for (const cmd of pendingSetup) {
+                await this.agents.devops.execute(`Run setup command: ${cmd}. If it fails, try to fix it.`, {}, { phase: 'setup' });
+                await this.blackboard.markSetupDone(cmd);
+                await this.commitProgress(`Set up environment: ${cmd}`);
             }
             spinnerSetup.succeed('Environment Ready.');
+        } else if (archJson.setupCommands && archJson.setupCommands.length > 0) {
+            console.log(chalk.gray('  ⏭️  Environment already set up.'));
         }
 
-        const lastPhase = (this.blackboard.state.checkpoint && this.blackboard.state.checkpoint.lastPhase) || 0;
-
-        for (let i = lastPhase; i < archJson.phases.length; i++) {
+        // Per-file progress decides what is left; phases are still walked in order
+        for (let i = 0; i < archJson.phases.length; i++) {
             const phase = archJson.phases[i];
             console.log(chalk.blue(`\n--- Phase ${i + 1} ---`));
             
@@ -241,14 +450,22 @@ TASK:
             }
 
             for (const chunk of chunks) {
-                await Promise.all(chunk.map(async (file) => {
+                // allSettled: on Ctrl-C every file of the chunk gets to record its progress before we stop
+                const outcomes = await Promise.allSettled(chunk.map(async (file) => {
+                    if (this.blackboard.getFileProgress(file.path) === 'done') {
+                        console.log(chalk.gray(`  ⏭️  Already built: ${file.path}`));
+                        return;
+                    }
+
                     // Smart Checkpoint Skip
                     if (isUpdate && this.blackboard.state.architecture.files?.[file.path]?.status === 'PERFECTED') {
                         console.log(chalk.gray(`  ⏭️  Skipping perfected file: ${file.path}`));
                         return;
                     }
 
-                    const spinnerFile = ora(`Processing ${file.path}...`).start();
+                    const spinnerFile = this.startSpinner(`Processing ${file.path}...`);
+                    const fileMeta = { phase: `construction-${i + 1}`, file: file.path };
+                    await this.blackboard.setFileProgress(file.path, 'in-progress');
 
                     try {
                         const exists = await fs.pathExists(path.join(projectDir, file.path));
@@ -259,25 +476,27 @@ TASK:
                             // 2. Judgment (Manager) - Combined with Audit for speed
                             // "Manager, check this file. If it meets requirements '${file.description}', reply SKIP. Else REFAC."
                             // We skip the separate "Tester Audit" step to save 1 round trip.
-                            const context = await this.toolSet.getFileContext(file.path);
+                            // Outline of the whole file plus its first lines, cut at a line boundary
+                            const context = await this.toolSet.getFileContext(file.path, { maxLines: JUDGMENT_LINES });
                             const judgmentPrompt = `
     Req: ${file.description}
     Code Context:
-    ${context.substring(0, 5000)} ...
+    ${context}
 
-    Action: REFAC (if needs changes), SKIP (if perfect). Reply 1 word.
+    Decision: REFAC (if needs changes), SKIP (if perfect).
     `;
-                            judgment = await this.agents.manager.execute(judgmentPrompt);
+                            judgment = (await this.agents.manager.executeStructured(judgmentPrompt, JUDGMENT_SCHEMA, { meta: fileMeta })).decision;
                         }
 
-                        if (judgment.includes("SKIP")) {
+                        if (judgment === "SKIP") {
                             spinnerFile.succeed(`${file.path} (Already Perfect)`);
                             await this.blackboard.updateFileStatus(file.path, 'PERFECTED', "Skipped by Manager");
+                            await this.blackboard.setFileProgress(file.path, 'done');
                             return;
                         }
 
                         // 3. Build (Engineer)
-                        const license = judgment.includes("REFAC") ? "LICENSE TO REFACTOR: The current code is sub-par. Overwrite or refactor." : "CREATION MODE: Build this file.";
+                        const license = judgment === "REFAC" ? "LICENSE TO REFACTOR: The current code is sub-par. Overwrite or refactor." : "CREATION MODE: Build this file.";
                         
                         const devPrompt = `
     ${license}
@@ -286,76 +505,167 @@ TASK:
     Project Requirements: ${requirements}
 
     GUIDELINES:
-    1. BATCH OPERATIONS: You can call read_file multiple times or replace_in_file multiple times in ONE turn.
+    1. BATCH OPERATIONS: You can call read_file multiple times in ONE turn. Put all edits of an existing file into ONE apply_patch call.
     2. Focus ONLY on this file.
     3. Make it work.
     `;
-                        await this.agents.engineer.execute(devPrompt);
+                        await this.agents.engineer.execute(devPrompt, {}, fileMeta);
                         
                         // 4. Post-Build Verification
                         // Use a lighter check.
-                        const postAudit = await this.agents.tester.execute(`Quick sanity check on ${file.path}. PASS or FAIL?`);
-                        await this.blackboard.updateFileStatus(file.path, postAudit.includes("PASS") ? 'PERFECTED' : 'BUILT', postAudit);
+                        const postAudit = await this.agents.tester.executeStructured(`Quick sanity check on ${file.path}. PASS or FAIL?`, TEST_VERDICT_SCHEMA, { meta: fileMeta });
+                        const auditReport = [postAudit.summary, ...(postAudit.issues || [])].join('\n');
+                        await this.blackboard.updateFileStatus(file.path, postAudit.verdict === "PASS" ? 'PERFECTED' : 'BUILT', auditReport);
                         
+                        await this.runCustomAgents('file', { requirements, stack: archJson.stack, file: file.path, description: file.description }, fileMeta);
+
+                        await this.blackboard.setFileProgress(file.path, 'done');
                         await this.blackboard.saveCheckpoint(i, file.path);
+                        await this.commitProgress(`${judgment === 'REFAC' ? 'Rework' : 'Build'} ${file.path}\n\n${file.description || ''}`.trim(), [file.path]);
                         await this.invalidateDependents(file.path);
                         spinnerFile.succeed(file.path);
                     } catch (e) {
+                        if (e instanceof CancelledError) {
+                            spinnerFile.warn(`${file.path} (interrupted)`);
+                            await this.blackboard.setFileProgress(file.path, 'pending');
+                            throw e;
+                        }
                         spinnerFile.fail(`${file.path}: ${e.message}`);
+                        await this.blackboard.setFileProgress(file.path, 'failed', e.message);
+                        if (e instanceof BudgetExceededError || e instanceof QuestionUnansweredError) throw e;
                     }
                 }));
+
+                const stopped = outcomes.find(o => o.status === 'rejected');
+                if (stopped) throw stopped.reason;
             }
+            await this.commitProgress(`Phase ${i + 1}: remaining changes`);
         }
 
+        const stageVars = { requirements, stack: archJson.stack, runCommand: archJson.runCommand };
+        await this.runCustomAgents('review', stageVars, { phase: 'review' });
+
         // --- Phase 4: Verification (Tester & Debugger) ---
-        console.log(chalk.magenta('\n🔄 Verification...'));
-        const verifyPrompt = `
+        if (!checkpoint.verified) {
+            console.log(chalk.magenta('\n🔄 Verification...'));
+            const verifyPrompt = `
 Verify the application "${archJson.stack}".
 Run Command: ${archJson.runCommand}
 1. Create a test script if needed.
-2. Run the app.
-3. If it fails, analyze the error and fix the files.
-4. Repeat until success or max retries.
+2. Run the app. If it keeps running (a server, a watcher), start it with start_process instead of run_command,
+   then wait_for_process (its port or a "listening" log line), exercise it with http_request (use its assert option
+   to check status codes and JSON fields of the API) and check read_process_output for errors.
+3. If it fails, analyze the error and fix the files. Restart the process (stop_process, start_process) after fixing it.
+4. Repeat until success or max retries, then stop_process everything you started.
 `;
-        await this.agents.debugger.execute(verifyPrompt);
+            await this.agents.debugger.execute(verifyPrompt, {}, { phase: 'verification' });
+            await this.blackboard.markVerified();
+            await this.commitProgress('Verification fixes');
+        }
+        await this.runCustomAgents('final', stageVars, { phase: 'final' });
 
         console.log(chalk.green.bold('\n✨ Mission Complete! ✨'));
     }
 
-    async invalidateDependents(filePath) {
+    // Each run works on its own branch off whatever was checked out (see lib/Git.js).
+    // Git problems never stop a build; they only turn the commits off.
+    async startGitRun(prompt) {
+        const settings = this.config.git;
+        const git = this.toolSet.git;
+        if (!settings.enabled || !await git.available()) return;
+
+        try {
+            if (await git.ensureRepo()) console.log(chalk.gray('Initialized a git repository for the project.'));
+            const base = await git.currentBranch();
+            const baseCommit = await git.head();
+            const dirty = !await git.isClean();
+            let branch = base;
+            if (settings.branchPerRun) {
+                // Uncommitted changes move along to the run branch; the base branch stays as it was
+                branch = `${BRANCH_PREFIX}${this.tracer.runId}`;
+                await git.createBranch(branch);
+                console.log(chalk.gray(`Working on branch ${branch} (from ${base || baseCommit.slice(0, 7)}).`));
+            } else if (dirty) {
+                const { commit } = await this.ask([{
+                    type: 'confirm', name: 'commit', default: false,
+                    message: `The project has uncommitted changes. Commit them to ${base || 'HEAD'} before the run?`
+                }], { commit: false });
+                if (!commit) {
+                    console.log(chalk.yellow('⚠️  Git disabled for this run: commit or stash your changes to have the run committed.'));
+                    return;
+                }
+            }
+            const snapshot = dirty ? await git.commitAll(`Save uncommitted changes before CodeGrounds run ${this.tracer.runId}`) : null;
+            if (snapshot) console.log(chalk.gray(`Committed your uncommitted changes to ${branch || 'HEAD'} first (${snapshot.slice(0, 7)}).`));
+            this.gitRun = {
+                runId: this.tracer.runId,
+                prompt,
+                branch,
+                base: base || baseCommit,
+                baseCommit,
+                branchPerRun: settings.branchPerRun,
+                startedAt: new Date().toISOString(),
+                endedAt: null,
+                status: 'running',
+                undone: false,
+                commits: []
+            };
+            await saveRun(this.toolSet.workspaceDir, this.gitRun);
+        } catch (e) {
+            console.warn(chalk.yellow(`⚠️  Git disabled for this run: ${e.message}`));
+            this.gitRun = null;
+        }
+    }
+
+    // paths: commit only these files (other agents may be mid-edit elsewhere)
+    async commitProgress(message, paths = null) {
+        if (!this.gitRun) return;
+        try {
+            const sha = await this.toolSet.git.commitAll(message, { paths });
+            if (!sha) return;
+            this.gitRun.commits.push({ sha, message: message.split('\n')[0] });
+            await saveRun(this.toolSet.workspaceDir, this.gitRun);
+        } catch (e) {
+            console.warn(chalk.yellow(`⚠️  Commit failed (${message.split('\n')[0]}): ${e.message}`));
+        }
+    }
+
+    async finishGitRun(status) {
+        if (!this.gitRun) return;
+        await this.commitProgress(`Run ${this.gitRun.runId}: ${status}`);
+        Object.assign(this.gitRun, { status, endedAt: new Date().toISOString() });
+        await saveRun(this.toolSet.workspaceDir, this.gitRun);
+        const where = this.gitRun.branchPerRun ? `branch ${chalk.cyan(this.gitRun.branch)}` : `${this.gitRun.branch || 'HEAD'}`;
+        console.log(chalk.gray(`${this.gitRun.commits.length} commit(s) on ${where}. Inspect with "codegrounds history", revert with "codegrounds undo".`));
+        this.gitRun = null;
+    }
+
+    // After a file is built, only importers that use an export whose signature changed (or that
+    // appeared or disappeared) go STALE. With a reason (the file was deleted or moved) every importer does.
+    async invalidateDependents(filePath, reason = null) {
         if (!this.kg) return;
-        const dependents = this.kg.getDependents(filePath);
+        let dependents;
+        if (reason) {
+            dependents = this.kg.getDependents(filePath);
+        } else {
+            const changed = this.kg.takeExportChanges(filePath);
+            if (changed && changed.length === 0) return;
+            dependents = this.kg.getDependents(filePath, changed);
+            reason = changed
+                ? `Dependency ${filePath} changed: ${changed.slice(0, 5).join(', ')}${changed.length > 5 ? ', ...' : ''}.`
+                : `Dependency ${filePath} changed.`;
+        }
         for (const dep of dependents) {
             // Check if file is tracked in architecture
             if (this.blackboard.state.architecture.files && this.blackboard.state.architecture.files[dep]) {
                 const currentStatus = this.blackboard.state.architecture.files[dep].status;
                 if (currentStatus === 'PERFECTED' || currentStatus === 'BUILT') {
-                    await this.blackboard.updateFileStatus(dep, 'STALE', `Dependency ${filePath} changed.`);
+                    await this.blackboard.updateFileStatus(dep, 'STALE', reason);
                     console.log(chalk.yellow(`  ⚠️  Invalidated ${dep} due to change in ${filePath}`));
                 }
             }
         }
     }
-
-    parseJson(text) {
-        try {
-            let clean = text;
-            const match = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-            if (match) {
-                clean = match[1];
-            } else {
-                const firstBrace = text.indexOf('{');
-                const lastBrace = text.lastIndexOf('}');
-                if (firstBrace !== -1 && lastBrace !== -1) {
-                    clean = text.substring(firstBrace, lastBrace + 1);
-                }
-            }
-            return JSON.parse(clean);
-        } catch (e) {
-            console.error(chalk.red("JSON Parse Failed:"), e.message);
-            return null;
-        }
-    }
 }
 
 module.exports = Orchestrator;
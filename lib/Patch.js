@@ -0,0 +1,362 @@
+const path = require('path');
+const { splitLines } = require('./Diff');
+
+// Multi-file edits for apply_patch: a standard unified diff and/or search/replace edits.
+// Everything is planned in memory first; if any hunk or edit fails, nothing is written and
+// the caller gets a report of what failed and where the closest matching region is.
+//
+// Hunks are located leniently, the way LLM-written diffs need it:
+//   - line numbers are a hint: the nearest match wins (offsets are reported);
+//   - hunk line counts are not trusted;
+//   - whitespace differences are tolerated (exact first, then trailing, then all whitespace);
+//   - as a last resort up to MAX_FUZZ outer context lines are ignored.
+
+const MAX_FUZZ = 2;
+const MAX_SIMILARITY_CELLS = 2000000;
+
+class PatchParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PatchParseError';
+    }
+}
+
+function stripPrefix(p) {
+    const clean = p.split('\t')[0].trim();
+    if (clean === '/dev/null') return null;
+    return clean.replace(/^[ab]\//, '');
+}
+
+// -> [{ oldPath, newPath, hunks: [{ header, oldStart, oldCount, newStart, newCount, lines: [{ op, text }] }] }]
+function parseUnifiedDiff(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const files = [];
+    let file = null;
+    let hunk = null;
+
+    const closeHunk = () => {
+        if (!hunk) return;
+        // Blank lines after the declared counts are separators, not empty context lines
+        if (hunk.oldCount !== null) {
+            const count = op => hunk.lines.filter(l => l.op === op || l.op === ' ').length;
+            while (hunk.lines.length && hunk.lines[hunk.lines.length - 1].text === '' && hunk.lines[hunk.lines.length - 1].op === ' ' &&
+                (count('-') > hunk.oldCount || count('+') > hunk.newCount)) {
+                hunk.lines.pop();
+            }
+        } else {
+            while (hunk.lines.length && hunk.lines[hunk.lines.length - 1].raw === '') hunk.lines.pop();
+        }
+        file.hunks.push(hunk);
+        hunk = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+            closeHunk();
+            file = { oldPath: stripPrefix(line.slice(4)), newPath: stripPrefix(lines[i + 1].slice(4)), hunks: [] };
+            files.push(file);
+            i++;
+            continue;
+        }
+        if (line.startsWith('@@')) {
+            if (!file) throw new PatchParseError(`Hunk header before any "--- a/file" / "+++ b/file" lines: ${line}`);
+            closeHunk();
+            const m = line.match(/^@@+ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+            hunk = {
+                header: line,
+                oldStart: m ? Number(m[1]) : null,
+                oldCount: m ? (m[2] === undefined ? 1 : Number(m[2])) : null,
+                newStart: m ? Number(m[3]) : null,
+                newCount: m ? (m[4] === undefined ? 1 : Number(m[4])) : null,
+                lines: []
+            };
+            continue;
+        }
+        if (!hunk) continue; // diff --git, index, mode lines and any prose around the diff
+        if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+        if (line.startsWith('diff ')) {
+            closeHunk();
+            continue;
+        }
+
+        const op = line[0];
+        if (op === '+' || op === '-' || op === ' ') hunk.lines.push({ op, text: line.slice(1), raw: line });
+        else if (line === '') hunk.lines.push({ op: ' ', text: '', raw: line }); // Editors strip the lone space of empty context lines
+        else {
+            closeHunk(); // Anything else ends the hunk
+        }
+    }
+    closeHunk();
+
+    for (const f of files) {
+        if (f.hunks.length === 0) throw new PatchParseError(`No hunks for ${f.newPath || f.oldPath}.`);
+    }
+    return files;
+}
+
+const COMPARATORS = [
+    { name: 'exact', eq: (a, b) => a === b },
+    { name: 'trailing whitespace ignored', eq: (a, b) => a.trimEnd() === b.trimEnd() },
+    { name: 'whitespace ignored', eq: (a, b) => a.replace(/\s+/g, '') === b.replace(/\s+/g, '') }
+];
+
+function matchesAt(fileLines, pos, expected, eq) {
+    if (pos < 0 || pos + expected.length > fileLines.length) return false;
+    for (let k = 0; k < expected.length; k++) {
+        if (!eq(fileLines[pos + k], expected[k])) return false;
+    }
+    return true;
+}
+
+// Nearest position to `hint` (at or after `min`) where `expected` matches.
+function findNearest(fileLines, expected, hint, min, eq) {
+    const maxPos = fileLines.length - expected.length;
+    const start = Math.min(Math.max(hint, min), Math.max(maxPos, min));
+    for (let d = 0; start - d >= min || start + d <= maxPos; d++) {
+        if (start + d <= maxPos && matchesAt(fileLines, start + d, expected, eq)) return start + d;
+        if (d > 0 && start - d >= min && matchesAt(fileLines, start - d, expected, eq)) return start - d;
+    }
+    return -1;
+}
+
+// The window of `fileLines` most similar to `expected` -> { start, end, score } (1-based lines)
+function closestRegion(fileLines, expected) {
+    if (expected.length === 0 || fileLines.length === 0) return null;
+    if (fileLines.length * expected.length > MAX_SIMILARITY_CELLS) return null;
+    const norm = s => s.replace(/\s+/g, '');
+    const file = fileLines.map(norm);
+    const want = expected.map(norm);
+    let best = null;
+    for (let pos = 0; pos <= Math.max(0, file.length - want.length); pos++) {
+        let same = 0;
+        for (let k = 0; k < want.length && pos + k < file.length; k++) {
+            if (file[pos + k] === want[k]) same++;
+        }
+        if (!best || same > best.same) best = { pos, same };
+    }
+    if (!best || best.same === 0) return null;
+    const end = Math.min(best.pos + want.length, fileLines.length);
+    return { start: best.pos + 1, end, score: best.same / want.length };
+}
+
+function describeRegion(fileLines, region) {
+    if (!region) return 'No similar region found in the file.';
+    const shown = fileLines.slice(region.start - 1, region.end).map((l, k) => `${String(region.start + k).padStart(5)}| ${l}`);
+    return `Closest match: lines ${region.start}-${region.end} (${Math.round(region.score * 100)}% of lines equal):\n${shown.join('\n')}`;
+}
+
+// Applies the hunks of one file to `fileLines`.
+// -> { lines, notes } or { error } with error = { hunk, message }
+function applyHunks(fileLines, hunks) {
+    let lines = fileLines.slice();
+    let shift = 0; // Lines added minus lines removed by the hunks applied so far
+    let drift = 0; // Offset of the previous hunk: wrong line numbers tend to be wrong by the same amount
+    let min = 0; // Hunks apply in order
+    const notes = [];
+
+    for (let h = 0; h < hunks.length; h++) {
+        const hunk = hunks[h];
+        const label = `Hunk ${h + 1}/${hunks.length} (${hunk.header})`;
+        const oldLines = hunk.lines.filter(l => l.op !== '+').map(l => l.text);
+        const stated = hunk.oldStart === null ? null : (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + shift;
+        const hint = stated === null ? min : Math.max(0, stated + drift);
+
+        let found = null;
+        if (oldLines.length === 0) {
+            found = { pos: Math.min(hint, lines.length), how: 'exact', trimTop: 0, trimBottom: 0 };
+        }
+        for (let fuzz = 0; !found && fuzz <= MAX_FUZZ; fuzz++) {
+            // Only context lines may be ignored, never the lines being removed
+            for (let top = 0; !found && top <= fuzz; top++) {
+                const bottom = fuzz - top;
+                const body = hunk.lines.slice(top, hunk.lines.length - bottom);
+                if (fuzz > 0 && (hunk.lines.slice(0, top).some(l => l.op !== ' ') ||
+                    hunk.lines.slice(hunk.lines.length - bottom).some(l => l.op !== ' '))) continue;
+                const expected = body.filter(l => l.op !== '+').map(l => l.text);
+                if (expected.length === 0) continue;
+                for (const cmp of COMPARATORS) {
+                    const pos = findNearest(lines, expected, hint + top, min, cmp.eq);
+                    if (pos !== -1) {
+                        found = { pos, how: cmp.name, trimTop: top, trimBottom: bottom };
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (!found) {
+            return { error: { hunk: h + 1, message: `${label} did not apply. Expected:\n${oldLines.map(l => `     | ${l}`).join('\n')}\n${describeRegion(lines, closestRegion(lines, oldLines))}` } };
+        }
+
+        const body = hunk.lines.slice(found.trimTop, hunk.lines.length - found.trimBottom);
+        const out = [];
+        let cursor = found.pos;
+        for (const l of body) {
+            if (l.op === ' ') out.push(lines[cursor++]); // The file's version of context lines
+            else if (l.op === '-') cursor++;
+            else out.push(l.text);
+        }
+        lines = [...lines.slice(0, found.pos), ...out, ...lines.slice(cursor)];
+
+        const offset = stated === null ? 0 : found.pos - found.trimTop - stated;
+        const details = [];
+        if (offset !== 0) details.push(`offset ${offset > 0 ? '+' : ''}${offset} lines`);
+        if (found.how !== 'exact') details.push(found.how);
+        if (found.trimTop + found.trimBottom > 0) details.push(`fuzz ${found.trimTop + found.trimBottom}`);
+        if (details.length) notes.push(`hunk ${h + 1}: ${details.join(', ')}`);
+
+        shift += out.length - (cursor - found.pos);
+        drift = offset;
+        min = found.pos + out.length;
+    }
+    return { lines, notes };
+}
+
+// Re-indents `replace` when the search text only matched after ignoring indentation.
+function reindent(replace, searchFirstLine, fileFirstLine) {
+    const have = (searchFirstLine.match(/^\s*/) || [''])[0];
+    const want = (fileFirstLine.match(/^\s*/) || [''])[0];
+    if (have === want) return replace;
+    return replace.split('\n').map(l => (l.startsWith(have) && l.trim() ? want + l.slice(have.length) : l)).join('\n');
+}
+
+// One search/replace edit on `content`. -> { content, note } or { error }
+function applyEdit(content, edit) {
+    const { search, replace = '', all = false } = edit;
+    if (!search) return { error: 'Empty "search". To create a file, use a unified diff against /dev/null or write_file.' };
+
+    const count = content.split(search).length - 1;
+    if (count === 1 || (count > 1 && all)) {
+        return { content: content.split(search).join(replace), note: count > 1 ? `${count} occurrences replaced` : null };
+    }
+    if (count > 1) {
+        return { error: `"search" matches ${count} places. Add surrounding lines to make it unique, or set all: true.` };
+    }
+
+    // Line-based match with whitespace ignored
+    const fileLines = content.split('\n');
+    const searchLines = splitLines(search.replace(/\r\n/g, '\n'));
+    while (searchLines.length && !searchLines[0].trim()) searchLines.shift();
+    const eq = COMPARATORS[2].eq;
+    const positions = [];
+    for (let pos = 0; pos + searchLines.length <= fileLines.length && searchLines.length; pos++) {
+        if (matchesAt(fileLines, pos, searchLines, eq)) positions.push(pos);
+    }
+    if (positions.length === 1 || (positions.length > 1 && all)) {
+        let lines = fileLines;
+        for (const pos of positions.reverse()) {
+            const replacement = splitLines(reindent(replace, searchLines[0], lines[pos]));
+            lines = [...lines.slice(0, pos), ...replacement, ...lines.slice(pos + searchLines.length)];
+        }
+        return { content: lines.join('\n'), note: 'whitespace ignored' };
+    }
+    if (positions.length > 1) {
+        return { error: `"search" matches ${positions.length} places (ignoring whitespace). Add surrounding lines to make it unique, or set all: true.` };
+    }
+    return { error: `"search" not found.\n${describeRegion(fileLines, closestRegion(fileLines, searchLines))}` };
+}
+
+// Every path a patch call writes (for approval rules, previews and context bookkeeping).
+function patchPaths(args = {}) {
+    const paths = new Set();
+    if (typeof args.patch === 'string') {
+        try {
+            for (const f of parseUnifiedDiff(args.patch)) {
+                if (f.newPath || f.oldPath) paths.add(normalizePath(f.newPath || f.oldPath));
+            }
+        } catch (e) {}
+    }
+    for (const edit of Array.isArray(args.edits) ? args.edits : []) {
+        if (edit && typeof edit.path === 'string') paths.add(normalizePath(edit.path));
+    }
+    return [...paths];
+}
+
+// "./src/a.js", "src//a.js" and "src/b/../a.js" are all "src/a.js"
+function normalizePath(p) {
+    return path.posix.normalize(p.replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+// Plans the whole change without writing anything.
+//   readFile(path) -> content, or null if the file does not exist
+//   keyOf(path) -> the file's identity, so two spellings of one path share their changes
+// -> { files: [{ path, before, after, created, notes }], rejects: [{ path, hunk?, edit?, message }] }
+async function planPatch({ patch = null, edits = [] } = {}, readFile, keyOf = normalizePath) {
+    const state = new Map(); // key -> { path, before, after, created, notes }
+    const rejects = [];
+
+    const load = async (p) => {
+        const key = keyOf(p);
+        if (!state.has(key)) {
+            const content = await readFile(key);
+            state.set(key, { path: key, before: content, after: content, created: false, notes: [] });
+        }
+        return state.get(key);
+    };
+
+    if (patch) {
+        for (const f of parseUnifiedDiff(patch)) {
+            const target = f.newPath;
+            if (!target) {
+                rejects.push({ path: f.oldPath, message: `Deleting files is not supported by apply_patch.` });
+                continue;
+            }
+            if (f.oldPath && f.oldPath !== target) {
+                rejects.push({ path: target, message: `Renames are not supported (${f.oldPath} -> ${target}).` });
+                continue;
+            }
+            const entry = await load(target);
+            if (entry.after === null && f.oldPath) {
+                rejects.push({ path: target, message: `File not found. Use "--- /dev/null" to create it.` });
+                continue;
+            }
+            if (entry.after !== null && !f.oldPath && entry.before !== null) {
+                rejects.push({ path: target, message: `File already exists, but the diff creates it (--- /dev/null).` });
+                continue;
+            }
+
+            const text = entry.after || '';
+            const eol = text.includes('\r\n') ? '\r\n' : '\n';
+            const result = applyHunks(splitLines(text.replace(/\r\n/g, '\n')), f.hunks);
+            if (result.error) {
+                rejects.push({ path: target, hunk: result.error.hunk, message: result.error.message });
+                continue;
+            }
+            const endsWithNewline = entry.after === null || entry.after === '' || entry.after.endsWith('\n');
+            entry.after = result.lines.join(eol) + (endsWithNewline && result.lines.length ? eol : '');
+            entry.created = entry.before === null;
+            entry.notes.push(...result.notes);
+        }
+    }
+
+    for (let i = 0; i < edits.length; i++) {
+        const edit = edits[i] || {};
+        if (typeof edit.path !== 'string') {
+            rejects.push({ path: '?', edit: i + 1, message: 'Edit has no "path".' });
+            continue;
+        }
+        const entry = await load(edit.path);
+        if (entry.after === null) {
+            rejects.push({ path: edit.path, edit: i + 1, message: 'File not found.' });
+            continue;
+        }
+        const result = applyEdit(entry.after, edit);
+        if (result.error) {
+            rejects.push({ path: edit.path, edit: i + 1, message: `Edit ${i + 1} did not apply: ${result.error}` });
+            continue;
+        }
+        entry.after = result.content;
+        if (result.note) entry.notes.push(`edit ${i + 1}: ${result.note}`);
+    }
+
+    const files = [...state.values()].filter(e => e.after !== null && e.after !== e.before);
+    return { files, rejects };
+}
+
+// Rejection report for the agent.
+function formatRejects(rejects) {
+    return rejects.map(r => `✖ ${r.path}: ${r.message}`).join('\n\n');
+}
+
+module.exports = { parseUnifiedDiff, applyHunks, applyEdit, planPatch, patchPaths, formatRejects, PatchParseError };
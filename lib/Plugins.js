@@ -0,0 +1,117 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+// Custom tools without editing lib/Tools.js. A plugin is a CommonJS module that exports one
+// tool, an array of tools, or { tools: [...] }:
+//
+//   module.exports = {
+//       name: 'seed_db',                       // [a-zA-Z_][a-zA-Z0-9_-]*, unique
+//       description: 'Seed the dev database with fixtures.',
+//       parameters: { type: 'object', properties: { table: { type: 'string' } } },
+//       approval: 'ask',                       // optional default mode; approval.tools still wins
+//       async handler(args, ctx) { ... return 'text' or any JSON value }
+//   };
+//
+// ctx: { workspaceDir, workspace, kg, blackboard, agentName, signal,
+//        run(command) -> { stdout, stderr, exitCode }, readFile(path), writeFile(path, content) }
+//
+// Searched in this order; the first tool with a name wins:
+//   <project>/.codegrounds/tools/*.js, `plugins.paths`, `plugins.packages`, ~/.codegrounds/tools/*.js
+
+const PROJECT_TOOLS_DIR = path.join('.codegrounds', 'tools');
+const TOOL_NAME = /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/;
+const APPROVAL_MODES = ['auto', 'ask', 'deny'];
+
+const PLUGINS_SCHEMA = {
+    type: 'object',
+    properties: {
+        paths: { type: 'array', items: { type: 'string' }, description: 'Plugin files or directories, relative to the project.' },
+        packages: { type: 'array', items: { type: 'string' }, description: 'npm packages that export tools, resolved from the project.' },
+        userTools: { type: 'boolean', description: 'Load ~/.codegrounds/tools (default: true).' }
+    },
+    additionalProperties: false
+};
+
+function userToolsDir() {
+    return path.join(os.homedir(), '.codegrounds', 'tools');
+}
+
+// Plugin files of a directory (not recursive), or the file itself
+async function pluginFiles(target) {
+    const stat = await fs.stat(target).catch(() => null);
+    if (!stat) return [];
+    if (stat.isFile()) return [target];
+    const names = (await fs.readdir(target)).filter(n => /\.c?js$/.test(n)).sort();
+    return names.map(n => path.join(target, n));
+}
+
+// -> array of tool specs, or throws with what is wrong
+function toolsOf(exported) {
+    const list = Array.isArray(exported) ? exported : (exported && Array.isArray(exported.tools) ? exported.tools : [exported]);
+    return list.map((tool, i) => {
+        const problems = [];
+        if (!tool || typeof tool !== 'object') throw new Error(`export #${i + 1} is not a tool object`);
+        if (typeof tool.name !== 'string' || !TOOL_NAME.test(tool.name)) problems.push('"name" must match [a-zA-Z_][a-zA-Z0-9_-]*');
+        if (typeof tool.description !== 'string' || !tool.description.trim()) problems.push('"description" is required');
+        if (typeof tool.handler !== 'function') problems.push('"handler" must be a function');
+        if (tool.parameters !== undefined && (!tool.parameters || tool.parameters.type !== 'object')) problems.push('"parameters" must be a JSON schema with type "object"');
+        if (tool.approval !== undefined && !APPROVAL_MODES.includes(tool.approval)) problems.push(`"approval" must be one of ${APPROVAL_MODES.join(', ')}`);
+        if (problems.length) throw new Error(`${tool.name || `export #${i + 1}`}: ${problems.join('; ')}`);
+        return tool;
+    });
+}
+
+// config: the `plugins` section of codegrounds.config.json
+// -> { tools: [{ definition: { name, description, parameters }, handler, approval, source }], errors: [string] }
+// A broken plugin is reported in `errors` and skipped; it never stops the run.
+async function loadPlugins(projectDir, config = {}, { reservedNames = [], homeToolsDir = userToolsDir() } = {}) {
+    const sources = [];
+    for (const file of await pluginFiles(path.join(projectDir, PROJECT_TOOLS_DIR))) sources.push({ label: path.relative(projectDir, file), load: () => require(file) });
+    for (const p of config.paths || []) {
+        const files = await pluginFiles(path.resolve(projectDir, p));
+        if (files.length === 0) sources.push({ label: p, load: () => { throw new Error('not found'); } });
+        for (const file of files) sources.push({ label: path.relative(projectDir, file), load: () => require(file) });
+    }
+    for (const pkg of config.packages || []) {
+        sources.push({ label: pkg, load: () => require(require.resolve(pkg, { paths: [projectDir] })) });
+    }
+    if (config.userTools !== false) {
+        for (const file of await pluginFiles(homeToolsDir)) sources.push({ label: file, load: () => require(file) });
+    }
+
+    const tools = [];
+    const errors = [];
+    const taken = new Map(); // name -> source
+    for (const source of sources) {
+        let specs;
+        try {
+            specs = toolsOf(source.load());
+        } catch (e) {
+            errors.push(`${source.label}: ${e.message.split('\n')[0]}`);
+            continue;
+        }
+        for (const spec of specs) {
+            if (reservedNames.includes(spec.name)) {
+                errors.push(`${source.label}: "${spec.name}" is a built-in tool`);
+            } else if (taken.has(spec.name)) {
+                errors.push(`${source.label}: "${spec.name}" is already defined by ${taken.get(spec.name)}`);
+            } else {
+                taken.set(spec.name, source.label);
+                tools.push({
+                    definition: {
+                        name: spec.name,
+                        description: spec.description,
+                        parameters: spec.parameters || { type: 'object', properties: {} }
+                    },
+                    handler: spec.handler,
+                    approval: spec.approval || null,
+                    source: source.label
+                });
+            }
+        }
+    }
+    return { tools, errors };
+}
+
+module.exports = { loadPlugins, PLUGINS_SCHEMA, PROJECT_TOOLS_DIR, userToolsDir };
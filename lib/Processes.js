@@ -0,0 +1,222 @@
+const net = require('net');
+const { sleep, throwIfAborted } = require('./Cancellation');
+
+// Long-running commands (dev servers, watchers, REPLs) that agents start in the background
+// and talk to through a handle ("p1", "p2", ...). They run through the Sandbox like
+// run_command does (scrubbed env, ulimits, own process group) but without the wall-clock
+// timeout; whoever owns the manager must call stopAll() when the run ends.
+
+const MAX_RUNNING = 8;
+const LOG_CAP = 256 * 1024; // Characters kept per stream; older output is dropped
+const READ_CAP = 8000; // Characters returned by one read
+const STOP_GRACE_MS = 5000;
+const POLL_MS = 250;
+
+// Append-only text with absolute offsets, so readers can ask "what is new since X".
+class OutputLog {
+    constructor(cap = LOG_CAP) {
+        this.cap = cap;
+        this.text = '';
+        this.base = 0; // Offset of text[0] in the whole stream
+    }
+
+    get end() {
+        return this.base + this.text.length;
+    }
+
+    append(chunk) {
+        this.text += chunk;
+        if (this.text.length > this.cap) {
+            const drop = this.text.length - this.cap;
+            this.text = this.text.slice(drop);
+            this.base += drop;
+        }
+    }
+
+    // -> { text, skipped } ; skipped counts characters that were dropped or not returned
+    since(offset, max = READ_CAP) {
+        const start = Math.max(offset, this.base);
+        let text = this.text.slice(start - this.base);
+        let skipped = start - offset;
+        if (text.length > max) {
+            skipped += text.length - max;
+            text = text.slice(-max);
+        }
+        return { text, skipped };
+    }
+}
+
+function portOpen(port, host) {
+    return new Promise(resolve => {
+        const socket = net.connect({ port, host });
+        const done = (open) => {
+            socket.destroy();
+            resolve(open);
+        };
+        socket.setTimeout(1000, () => done(false));
+        socket.once('connect', () => done(true));
+        socket.once('error', () => done(false));
+    });
+}
+
+class ProcessManager {
+    constructor(sandbox) {
+        this.sandbox = sandbox;
+        this.processes = new Map();
+        this.nextId = 1;
+        this.exitHook = null;
+    }
+
+    get(id) {
+        const proc = this.processes.get(id);
+        if (!proc) {
+            const known = [...this.processes.keys()].join(', ') || 'none';
+            throw new Error(`No process "${id}" (known: ${known}). Use list_processes.`);
+        }
+        return proc;
+    }
+
+    running() {
+        return [...this.processes.values()].filter(p => p.status === 'running');
+    }
+
+    start(command, { cwd = null, name = null } = {}) {
+        if (this.running().length >= MAX_RUNNING) {
+            throw new Error(`Too many background processes (${MAX_RUNNING}). Stop one with stop_process first.`);
+        }
+
+        const child = this.sandbox.spawn(command, { cwd, stdin: true });
+        const proc = {
+            id: `p${this.nextId++}`,
+            name: name || command,
+            command,
+            cwd: cwd || '.',
+            child,
+            pid: child.pid,
+            status: 'running',
+            exitCode: null,
+            signal: null,
+            error: null,
+            startedAt: Date.now(),
+            stdout: new OutputLog(),
+            stderr: new OutputLog(),
+            cursor: { stdout: 0, stderr: 0 }
+        };
+        proc.exited = new Promise(resolve => {
+            const finish = (code, signal, error = null) => {
+                if (proc.status !== 'running') return;
+                proc.status = 'exited';
+                proc.exitCode = code;
+                proc.signal = signal;
+                if (error) {
+                    proc.error = error.message;
+                    proc.stderr.append(error.message);
+                }
+                resolve();
+            };
+            child.on('error', error => finish(null, null, error));
+            child.on('close', (code, signal) => finish(code, signal));
+        });
+
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+        child.stdout.on('data', chunk => proc.stdout.append(chunk));
+        child.stderr.on('data', chunk => proc.stderr.append(chunk));
+        child.stdin.on('error', () => {}); // Writing to a process that already exited
+
+        this.processes.set(proc.id, proc);
+        this.installExitHook();
+        return proc;
+    }
+
+    // New output since the previous read (the read moves the cursor).
+    read(id) {
+        const proc = this.get(id);
+        const out = proc.stdout.since(proc.cursor.stdout);
+        const err = proc.stderr.since(proc.cursor.stderr);
+        proc.cursor = { stdout: proc.stdout.end, stderr: proc.stderr.end };
+        return { proc, stdout: out.text, stderr: err.text, skipped: out.skipped + err.skipped };
+    }
+
+    write(id, input, { close = false } = {}) {
+        const proc = this.get(id);
+        if (proc.status !== 'running') throw new Error(`Process ${id} is not running (${this.describeStatus(proc)}).`);
+        if (input) proc.child.stdin.write(input);
+        if (close) proc.child.stdin.end();
+        return proc;
+    }
+
+    // Resolves when the port accepts connections, the pattern shows up in the output, or the
+    // process exits. Without port and pattern it waits for the exit.
+    // -> { ready, reason, proc }
+    async waitFor(id, { port = null, host = 'localhost', pattern = null, timeoutSeconds = 30, signal = null } = {}) {
+        const proc = this.get(id);
+        const regex = pattern ? new RegExp(pattern, 'i') : null;
+        const deadline = Date.now() + timeoutSeconds * 1000;
+
+        while (true) {
+            throwIfAborted(signal);
+            if (regex && (regex.test(proc.stdout.text) || regex.test(proc.stderr.text))) {
+                return { ready: true, reason: `output matched /${pattern}/`, proc };
+            }
+            if (port && await portOpen(port, host)) {
+                return { ready: true, reason: `port ${port} is accepting connections`, proc };
+            }
+            if (proc.status !== 'running') {
+                return { ready: !port && !regex, reason: `process ${this.describeStatus(proc)}`, proc };
+            }
+            if (Date.now() >= deadline) {
+                return { ready: false, reason: `timed out after ${timeoutSeconds}s`, proc };
+            }
+            await sleep(POLL_MS, signal);
+        }
+    }
+
+    // SIGTERM to the whole process group, SIGKILL if it is still alive after the grace period.
+    async stop(id) {
+        const proc = this.get(id);
+        if (proc.status === 'running') {
+            this.sandbox.kill(proc.child, 'SIGTERM');
+            const timer = setTimeout(() => this.sandbox.kill(proc.child, 'SIGKILL'), STOP_GRACE_MS);
+            await proc.exited;
+            clearTimeout(timer);
+            proc.stoppedByUs = true;
+        }
+        return proc;
+    }
+
+    // -> number of processes that were still running
+    async stopAll() {
+        const running = this.running();
+        await Promise.all(running.map(p => this.stop(p.id)));
+        this.removeExitHook();
+        return running.length;
+    }
+
+    list() {
+        return [...this.processes.values()];
+    }
+
+    describeStatus(proc) {
+        if (proc.status === 'running') return `running for ${Math.round((Date.now() - proc.startedAt) / 1000)}s`;
+        if (proc.stoppedByUs) return 'stopped';
+        if (proc.error) return `failed to start: ${proc.error}`;
+        if (proc.signal) return `killed by ${proc.signal}`;
+        return `exited with code ${proc.exitCode}`;
+    }
+
+    // Process groups are detached, so they would outlive a force-quit without this
+    installExitHook() {
+        if (this.exitHook) return;
+        this.exitHook = () => this.running().forEach(p => this.sandbox.kill(p.child, 'SIGKILL'));
+        process.on('exit', this.exitHook);
+    }
+
+    removeExitHook() {
+        if (!this.exitHook) return;
+        process.removeListener('exit', this.exitHook);
+        this.exitHook = null;
+    }
+}
+
+module.exports = { ProcessManager, OutputLog, MAX_RUNNING };
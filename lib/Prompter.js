@@ -0,0 +1,40 @@
+const inquirer = require('inquirer');
+
+class NonInteractiveError extends Error {
+    constructor(message = 'No interactive terminal available to ask the user.') {
+        super(message);
+        this.name = 'NonInteractiveError';
+    }
+}
+
+// Single entry point for questions to the user. Agents work in parallel, so prompts are
+// queued and asked one at a time; onPause/onResume let the caller silence spinners meanwhile.
+class Prompter {
+    constructor(options = {}) {
+        this.interactive = options.interactive !== undefined
+            ? options.interactive
+            : Boolean(process.stdin.isTTY) && process.env.CODEGROUNDS_NON_INTERACTIVE !== '1';
+        this.onPause = options.onPause || null;
+        this.onResume = options.onResume || null;
+        this.queue = Promise.resolve();
+    }
+
+    // Same questions format as inquirer.prompt. Rejects with NonInteractiveError without a TTY.
+    prompt(questions) {
+        if (!this.interactive) return Promise.reject(new NonInteractiveError());
+
+        const ask = async () => {
+            if (this.onPause) this.onPause();
+            try {
+                return await inquirer.prompt(questions);
+            } finally {
+                if (this.onResume) this.onResume();
+            }
+        };
+        const answer = this.queue.then(ask, ask);
+        this.queue = answer.catch(() => {});
+        return answer;
+    }
+}
+
+module.exports = { Prompter, NonInteractiveError };
@@ -0,0 +1,128 @@
+const chalk = require('chalk');
+const { NonInteractiveError } = require('./Prompter');
+
+// Questions agents put to the user mid-run (the ask_user tool). The agent waits for the
+// answer, which comes back as the tool result and is recorded on the Blackboard so later
+// agents do not ask again. Interruptions are capped per run; without a terminal the
+// agent's default answer is used, or the run fails if `nonInteractive` is "fail".
+
+const DEFAULT_MAX_PER_RUN = 5;
+const OTHER = '__other__';
+const AGENT_DECIDES = '__agent__';
+
+const QUESTIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        maxPerRun: { type: 'integer', minimum: 0, description: 'Questions agents may ask per run (default: 5, 0 disables ask_user).' },
+        nonInteractive: { type: 'string', enum: ['default', 'fail'], description: 'Without a terminal: use the default answer, or fail the run.' }
+    },
+    additionalProperties: false
+};
+
+// Thrown when a question cannot be answered and the config says the run must stop.
+// fatal: ToolSet.execute rethrows it instead of handing it to the agent.
+class QuestionUnansweredError extends Error {
+    constructor(agentName, question) {
+        super(`${agentName} needs an answer to "${question}", but no user is available (questions.nonInteractive is "fail").`);
+        this.name = 'QuestionUnansweredError';
+        this.fatal = true;
+    }
+}
+
+class UserQuestions {
+    // config: the `questions` section of codegrounds.config.json
+    // options: { prompter, blackboard, onAnswer({ agent, question, choices, answer, source }) }
+    constructor(config = {}, options = {}) {
+        this.maxPerRun = config.maxPerRun !== undefined ? config.maxPerRun : DEFAULT_MAX_PER_RUN;
+        this.nonInteractive = config.nonInteractive || 'default';
+        this.prompter = options.prompter || null;
+        this.blackboard = options.blackboard || null;
+        this.onAnswer = options.onAnswer || null;
+        this.asked = 0;
+    }
+
+    // -> tool result text for the agent
+    async ask(agentName, { question, choices = [], defaultAnswer = null, context = null }) {
+        if (!question || !question.trim()) return 'Error: "question" is required.';
+        choices = (choices || []).filter(c => typeof c === 'string' && c.trim());
+
+        // Already settled earlier (this run or a previous one): no need to interrupt again
+        const known = this.blackboard ? this.blackboard.findAnswer(question) : null;
+        if (known) {
+            return `The user already answered this (asked by ${known.agent}): "${known.answer}". Go with it.`;
+        }
+
+        if (this.asked >= this.maxPerRun) {
+            return `Error: The limit of ${this.maxPerRun} question(s) to the user for this run is reached. Make the most reasonable choice yourself and state the assumption in your final answer.`;
+        }
+
+        if (!this.prompter || !this.prompter.interactive) {
+            if (this.nonInteractive === 'fail') throw new QuestionUnansweredError(agentName, question);
+            const fallback = defaultAnswer || null;
+            await this.record(agentName, question, choices, fallback, 'default (non-interactive)');
+            return fallback
+                ? `No user is available; use your default: "${fallback}". State this assumption in your final answer.`
+                : `No user is available to answer. Make the most reasonable choice yourself and state the assumption in your final answer.`;
+        }
+
+        this.asked++;
+        let answer;
+        try {
+            answer = await this.prompt(agentName, question, choices, defaultAnswer, context);
+        } catch (e) {
+            if (!(e instanceof NonInteractiveError)) throw e;
+            if (this.nonInteractive === 'fail') throw new QuestionUnansweredError(agentName, question);
+            answer = null;
+        }
+
+        if (answer === AGENT_DECIDES || answer === null) {
+            await this.record(agentName, question, choices, null, 'left to the agent');
+            return `The user left this to you${defaultAnswer ? `; your default "${defaultAnswer}" is fine` : ''}. Make the most reasonable choice and state it in your final answer.`;
+        }
+        await this.record(agentName, question, choices, answer, 'user');
+        return `The user answered: "${answer}"`;
+    }
+
+    async prompt(agentName, question, choices, defaultAnswer, context) {
+        const message = `${chalk.cyan(`[${agentName}]`)} asks: ${question}${context ? `\n${chalk.gray(context)}` : ''}\n`;
+        if (choices.length === 0) {
+            const { answer } = await this.prompter.prompt([{
+                type: 'input',
+                name: 'answer',
+                message: `${message}${chalk.gray('(leave empty to let the agent decide)')}`,
+                default: defaultAnswer || undefined
+            }]);
+            return answer && answer.trim() ? answer.trim() : AGENT_DECIDES;
+        }
+
+        const { choice, other } = await this.prompter.prompt([
+            {
+                type: 'list',
+                name: 'choice',
+                message,
+                default: defaultAnswer && choices.includes(defaultAnswer) ? defaultAnswer : undefined,
+                choices: [
+                    ...choices.map(c => ({ name: c === defaultAnswer ? `${c} ${chalk.gray('(suggested)')}` : c, value: c })),
+                    { name: 'Something else...', value: OTHER },
+                    { name: 'Let the agent decide', value: AGENT_DECIDES }
+                ]
+            },
+            {
+                type: 'input',
+                name: 'other',
+                message: 'Your answer:',
+                when: a => a.choice === OTHER
+            }
+        ]);
+        if (choice !== OTHER) return choice;
+        return other && other.trim() ? other.trim() : AGENT_DECIDES;
+    }
+
+    // Only real answers from the user go to the Blackboard; fallbacks are just traced
+    async record(agentName, question, choices, answer, source) {
+        if (this.blackboard && answer && source === 'user') await this.blackboard.recordAnswer(agentName, question, answer);
+        if (this.onAnswer) this.onAnswer({ agent: agentName, question, choices, answer, source });
+    }
+}
+
+module.exports = { UserQuestions, QuestionUnansweredError, QUESTIONS_SCHEMA, DEFAULT_MAX_PER_RUN };
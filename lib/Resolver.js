@@ -0,0 +1,428 @@
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+
+// Where an import points. Specifiers come from the parsers exactly as written; resolving them
+// against the project gives one of:
+//   { specifier, kind: 'local', path }            a project file (relative to the project)
+//   { specifier, kind: 'local', path, dir: true } a Go package directory
+//   { specifier, kind: 'package', name }          a third-party package
+//   { specifier, kind: 'builtin' }                the language's standard library
+//   { specifier, kind: 'unresolved' }             looks local, but no such file
+//
+// JavaScript/TypeScript: relative paths with extension and index-file probing (including
+// "./x.js" written for "x.ts"), tsconfig/jsconfig `paths` and `baseUrl`, and packages of the
+// project itself (the root package.json and its `workspaces`) through `exports` or `main`.
+// Python: relative imports and modules under the project root or src/. Go: packages under the
+// go.mod module path. Rust: crate::, self:: and super:: paths and `mod` files.
+//
+// Synchronous, with parsed config files cached until reset().
+
+const JS_SOURCE = /\.([cm]?[jt]sx?)$/i;
+const JS_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+const EXPORT_CONDITIONS = ['source', 'import', 'require', 'node', 'module', 'default', 'types'];
+// Files that change how imports resolve; indexing one of them calls reset()
+const RESOLUTION_CONFIG_FILES = ['package.json', 'tsconfig.json', 'jsconfig.json', 'go.mod', 'Cargo.toml'];
+const PYTHON_STDLIB = new Set(['abc', 'argparse', 'array', 'ast', 'asyncio', 'base64', 'bisect', 'builtins', 'calendar', 'codecs', 'collections', 'concurrent', 'contextlib', 'copy', 'csv', 'ctypes', 'dataclasses', 'datetime', 'decimal', 'difflib', 'email', 'enum', 'errno', 'fnmatch', 'fractions', 'functools', 'gc', 'getpass', 'glob', 'gzip', 'hashlib', 'heapq', 'hmac', 'html', 'http', 'importlib', 'inspect', 'io', 'ipaddress', 'itertools', 'json', 'locale', 'logging', 'math', 'mimetypes', 'multiprocessing', 'operator', 'os', 'pathlib', 'pickle', 'platform', 'pprint', 'queue', 'random', 're', 'secrets', 'select', 'shlex', 'shutil', 'signal', 'socket', 'sqlite3', 'ssl', 'stat', 'statistics', 'string', 'struct', 'subprocess', 'sys', 'tempfile', 'textwrap', 'threading', 'time', 'timeit', 'traceback', 'types', 'typing', 'unicodedata', 'unittest', 'urllib', 'uuid', 'warnings', 'weakref', 'xml', 'zipfile', 'zlib', '__future__']);
+const RUST_BUILTIN_CRATES = new Set(['std', 'core', 'alloc', 'proc_macro', 'test']);
+
+// JSON with comments and trailing commas (tsconfig.json)
+function parseJsonc(text) {
+    let out = '';
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '"') {
+            const start = i;
+            for (i++; i < text.length && text[i] !== '"'; i++) {
+                if (text[i] === '\\') i++;
+            }
+            out += text.slice(start, i + 1);
+        } else if (c === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            out += '\n';
+        } else if (c === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else {
+            out += c;
+        }
+    }
+    return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// "@scope/name/sub" -> "@scope/name", "name/sub" -> "name"
+function packageName(specifier) {
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+// Target paths of a package.json "exports" field for a subpath ("." or "./x"), best first
+function exportTargets(exports, subpath) {
+    const flatten = (value, star = null) => {
+        if (typeof value === 'string') return [star === null ? value : value.split('*').join(star)];
+        if (Array.isArray(value)) return value.flatMap(v => flatten(v, star));
+        if (value && typeof value === 'object') {
+            const conditions = Object.keys(value).sort((a, b) => {
+                const rank = (k) => (EXPORT_CONDITIONS.includes(k) ? EXPORT_CONDITIONS.indexOf(k) : EXPORT_CONDITIONS.length);
+                return rank(a) - rank(b);
+            });
+            return conditions.flatMap(k => flatten(value[k], star));
+        }
+        return [];
+    };
+    if (typeof exports === 'string' || Array.isArray(exports)) return subpath === '.' ? flatten(exports) : [];
+    if (!exports || typeof exports !== 'object') return [];
+    if (!Object.keys(exports).some(k => k.startsWith('.'))) return subpath === '.' ? flatten(exports) : [];
+    if (Object.hasOwn(exports, subpath)) return flatten(exports[subpath]);
+    for (const key of Object.keys(exports)) {
+        const star = key.indexOf('*');
+        if (star === -1) continue;
+        const prefix = key.slice(0, star);
+        const suffix = key.slice(star + 1);
+        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= prefix.length + suffix.length) {
+            return flatten(exports[key], subpath.slice(prefix.length, subpath.length - suffix.length));
+        }
+    }
+    return [];
+}
+
+class ModuleResolver {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.cache = new Map(); // config file / lookup -> parsed value
+    }
+
+    // Forget parsed config files (package.json, tsconfig.json, go.mod, ...)
+    reset() {
+        this.cache.clear();
+    }
+
+    cached(key, compute) {
+        if (!this.cache.has(key)) this.cache.set(key, compute());
+        return this.cache.get(key);
+    }
+
+    // Project-relative path, or null when it leaves the project
+    normalize(relPath) {
+        const normal = path.normalize(relPath).replace(/^\.\//, '');
+        if (normal === '..' || normal.startsWith(`..${path.sep}`) || path.isAbsolute(normal)) return null;
+        return normal === '' ? '.' : normal;
+    }
+
+    stat(relPath) {
+        return fs.statSync(path.join(this.rootDir, relPath), { throwIfNoEntry: false });
+    }
+
+    isFile(relPath) {
+        const s = relPath === null ? null : this.stat(relPath);
+        return Boolean(s && s.isFile());
+    }
+
+    isDir(relPath) {
+        const s = relPath === null ? null : this.stat(relPath);
+        return Boolean(s && s.isDirectory());
+    }
+
+    readJson(relPath) {
+        return this.cached(`json:${relPath}`, () => {
+            try {
+                return parseJsonc(fs.readFileSync(path.join(this.rootDir, relPath), 'utf8'));
+            } catch (e) {
+                return null;
+            }
+        });
+    }
+
+    readText(relPath) {
+        return this.cached(`text:${relPath}`, () => {
+            try {
+                return fs.readFileSync(path.join(this.rootDir, relPath), 'utf8');
+            } catch (e) {
+                return null;
+            }
+        });
+    }
+
+    // fromFile: project-relative path of the importing file
+    resolve(fromFile, specifier) {
+        const ext = path.extname(fromFile).toLowerCase();
+        let result;
+        if (ext === '.py' || ext === '.pyi') result = this.resolvePython(fromFile, specifier);
+        else if (ext === '.go') result = this.resolveGo(specifier);
+        else if (ext === '.rs') result = this.resolveRust(fromFile, specifier);
+        else if (JS_SOURCE.test(fromFile)) result = this.resolveJs(fromFile, specifier);
+        else result = this.resolveOther(fromFile, specifier);
+        return { specifier, ...result };
+    }
+
+    // --- JavaScript / TypeScript ---
+
+    resolveJs(fromFile, specifier) {
+        const spec = specifier.replace(/[?#].*$/, ''); // Bundler query strings
+        if (spec.startsWith('node:') || builtinModules.includes(spec)) return { kind: 'builtin' };
+        if (spec.startsWith('.') || spec.startsWith('/')) {
+            const base = spec.startsWith('/') ? spec.slice(1) : path.join(path.dirname(fromFile), spec);
+            const found = this.probeJs(base);
+            return found ? { kind: 'local', path: found } : { kind: 'unresolved' };
+        }
+        const aliased = this.resolveTsPaths(fromFile, spec);
+        if (aliased) return { kind: 'local', path: aliased };
+        const name = packageName(spec);
+        const packageDir = this.localPackages().get(name);
+        if (packageDir !== undefined) {
+            const found = this.resolvePackageEntry(packageDir, `.${spec.slice(name.length)}`);
+            return found ? { kind: 'local', path: found } : { kind: 'unresolved' };
+        }
+        return { kind: 'package', name };
+    }
+
+    // The file an extensionless or directory import means -> project-relative path or null
+    probeJs(base) {
+        const target = this.normalize(base);
+        if (target === null) return null;
+        if (this.isFile(target)) return target;
+        // "./util.js" in TypeScript source means util.ts
+        const stem = target.replace(/\.([cm]?js|jsx)$/, '');
+        for (const ext of JS_EXTENSIONS) {
+            if (this.isFile(`${stem}${ext}`)) return `${stem}${ext}`;
+        }
+        if (this.isDir(target)) {
+            if (this.isFile(path.join(target, 'package.json'))) {
+                const found = this.resolvePackageEntry(target, '.');
+                if (found) return found;
+            }
+            for (const ext of JS_EXTENSIONS) {
+                const index = path.join(target, `index${ext}`);
+                if (this.isFile(index)) return index;
+            }
+        }
+        return null;
+    }
+
+    // subpath: "." or "./x" of the package in packageDir, via "exports", then main/module
+    resolvePackageEntry(packageDir, subpath) {
+        const pkg = this.readJson(path.join(packageDir, 'package.json')) || {};
+        if (pkg.exports !== undefined) {
+            for (const target of exportTargets(pkg.exports, subpath)) {
+                const found = this.probeJs(path.join(packageDir, target));
+                if (found) return found;
+            }
+        }
+        if (subpath === '.') {
+            for (const entry of [pkg.source, pkg.module, pkg.main, 'index'].filter(e => typeof e === 'string')) {
+                const found = this.probeJs(path.join(packageDir, entry));
+                if (found) return found;
+            }
+            return null;
+        }
+        return this.probeJs(path.join(packageDir, subpath));
+    }
+
+    // Package name -> directory of every package.json package in this project: the root one
+    // and its npm/yarn `workspaces`
+    localPackages() {
+        return this.cached('packages', () => {
+            const packages = new Map();
+            const root = this.readJson('package.json');
+            if (!root) return packages;
+            if (typeof root.name === 'string') packages.set(root.name, '.');
+            const patterns = Array.isArray(root.workspaces) ? root.workspaces : ((root.workspaces && root.workspaces.packages) || []);
+            for (const pattern of patterns) {
+                const dirs = [];
+                const clean = pattern.replace(/\/+$/, '');
+                if (/\/\*\*?$/.test(clean)) {
+                    const parent = clean.replace(/\/\*\*?$/, '');
+                    if (this.isDir(parent)) {
+                        for (const entry of fs.readdirSync(path.join(this.rootDir, parent), { withFileTypes: true })) {
+                            if (entry.isDirectory()) dirs.push(path.join(parent, entry.name));
+                        }
+                    }
+                } else if (!clean.includes('*')) {
+                    dirs.push(clean);
+                }
+                for (const dir of dirs) {
+                    const pkg = this.readJson(path.join(dir, 'package.json'));
+                    if (pkg && typeof pkg.name === 'string') packages.set(pkg.name, path.normalize(dir));
+                }
+            }
+            return packages;
+        });
+    }
+
+    // compilerOptions of the nearest tsconfig.json / jsconfig.json, following `extends`
+    // -> { baseUrl: dir or null, pathsBase: dir, paths: {} } or null
+    tsConfigFor(fromFile) {
+        let dir = path.dirname(fromFile);
+        for (;;) {
+            for (const name of ['tsconfig.json', 'jsconfig.json']) {
+                const file = path.join(dir, name);
+                if (this.isFile(file)) return this.cached(`tsconfig:${file}`, () => this.loadTsConfig(file, 0));
+            }
+            if (dir === '.' || dir === '' || dir === path.dirname(dir)) return null;
+            dir = path.dirname(dir);
+        }
+    }
+
+    loadTsConfig(file, depth) {
+        const json = this.readJson(file);
+        if (!json) return null;
+        let config = { baseUrl: null, pathsBase: null, paths: null };
+        if (typeof json.extends === 'string' && json.extends.startsWith('.') && depth < 5) {
+            const parent = path.join(path.dirname(file), json.extends.endsWith('.json') ? json.extends : `${json.extends}.json`);
+            config = this.loadTsConfig(parent, depth + 1) || config;
+        }
+        const options = json.compilerOptions || {};
+        const dir = path.dirname(file);
+        const baseUrl = typeof options.baseUrl === 'string' ? path.join(dir, options.baseUrl) : config.baseUrl;
+        if (options.paths && typeof options.paths === 'object') {
+            return { baseUrl, pathsBase: baseUrl || dir, paths: options.paths };
+        }
+        // Inherited paths are relative to the effective baseUrl, if any
+        return { baseUrl, pathsBase: baseUrl || config.pathsBase, paths: config.paths };
+    }
+
+    resolveTsPaths(fromFile, spec) {
+        const config = this.tsConfigFor(fromFile);
+        if (!config) return null;
+        // Like TypeScript: the pattern with the longest prefix before "*" wins
+        const patterns = Object.keys(config.paths || {}).sort((a, b) => b.split('*')[0].length - a.split('*')[0].length);
+        for (const pattern of patterns) {
+            const star = pattern.indexOf('*');
+            let captured = null;
+            if (star === -1) {
+                if (pattern === spec) captured = '';
+            } else {
+                const prefix = pattern.slice(0, star);
+                const suffix = pattern.slice(star + 1);
+                if (spec.startsWith(prefix) && spec.endsWith(suffix) && spec.length >= prefix.length + suffix.length) {
+                    captured = spec.slice(prefix.length, spec.length - suffix.length);
+                }
+            }
+            if (captured === null) continue;
+            const targets = Array.isArray(config.paths[pattern]) ? config.paths[pattern] : [];
+            for (const target of targets) {
+                const found = this.probeJs(path.join(config.pathsBase, target.split('*').join(captured)));
+                if (found) return found;
+            }
+        }
+        return config.baseUrl !== null ? this.probeJs(path.join(config.baseUrl, spec)) : null;
+    }
+
+    // --- Python ---
+
+    resolvePython(fromFile, spec) {
+        const probe = (base) => {
+            for (const candidate of [`${base}.py`, `${base}.pyi`, path.join(base, '__init__.py')]) {
+                const target = this.normalize(candidate);
+                if (target !== null && this.isFile(target)) return target;
+            }
+            return null;
+        };
+
+        const dots = spec.match(/^\.*/)[0].length;
+        const modulePath = spec.slice(dots).split('.').filter(Boolean).join('/');
+        if (dots > 0) {
+            // "." is the importing file's package, each further dot one package up
+            let base = path.dirname(fromFile);
+            for (let i = 1; i < dots; i++) base = path.dirname(base);
+            const found = probe(modulePath ? path.join(base, modulePath) : base);
+            return found ? { kind: 'local', path: found } : { kind: 'unresolved' };
+        }
+
+        const top = modulePath.split('/')[0];
+        // Scripts import their neighbours; packages are imported from the root or src/
+        for (const root of [path.dirname(fromFile), '.', 'src']) {
+            const found = probe(path.join(root, modulePath));
+            if (found) return { kind: 'local', path: found };
+        }
+        return PYTHON_STDLIB.has(top) ? { kind: 'builtin' } : { kind: 'package', name: top };
+    }
+
+    // --- Go ---
+
+    resolveGo(spec) {
+        const modulePath = this.cached('gomod', () => {
+            const text = this.readText('go.mod');
+            const m = text && text.match(/^module\s+(\S+)/m);
+            return m ? m[1] : null;
+        });
+        if (modulePath && (spec === modulePath || spec.startsWith(`${modulePath}/`))) {
+            const dir = this.normalize(spec.slice(modulePath.length + 1) || '.');
+            return dir !== null && this.isDir(dir) ? { kind: 'local', path: dir, dir: true } : { kind: 'unresolved' };
+        }
+        // Standard library paths have no dot in their first element
+        if (!spec.split('/')[0].includes('.')) return { kind: 'builtin' };
+        return { kind: 'package', name: spec };
+    }
+
+    // --- Rust ---
+
+    resolveRust(fromFile, spec) {
+        const segments = spec.replace(/::\{.*$|::\*$/, '').split('::').filter(Boolean);
+        const first = segments[0];
+        let base;
+        if (first === 'crate') {
+            base = this.rustCrateRoot(fromFile);
+        } else if (first === 'self' || first === 'super') {
+            // A module's children live in a directory named after it (foo.rs -> foo/), except
+            // for mod.rs, lib.rs and main.rs, whose children are their neighbours
+            const stem = path.basename(fromFile, '.rs');
+            base = ['mod', 'lib', 'main'].includes(stem) ? path.dirname(fromFile) : path.join(path.dirname(fromFile), stem);
+            for (let i = 0; i < segments.length && segments[i] === 'super'; i++) base = path.dirname(base);
+        } else {
+            return RUST_BUILTIN_CRATES.has(first) ? { kind: 'builtin' } : { kind: 'package', name: first };
+        }
+        const rest = segments.filter(s => !['crate', 'self', 'super'].includes(s));
+        // `use crate::a::b::Item` - the longest prefix that is a module file wins
+        for (let n = rest.length; n >= 1; n--) {
+            const modulePath = path.join(base, ...rest.slice(0, n));
+            for (const candidate of [`${modulePath}.rs`, path.join(modulePath, 'mod.rs')]) {
+                const target = this.normalize(candidate);
+                if (target !== null && this.isFile(target)) return { kind: 'local', path: target };
+            }
+        }
+        // `use crate::Item`: an item of the crate root
+        if (first === 'crate') {
+            const rootFile = ['lib.rs', 'main.rs'].map(f => this.normalize(path.join(base, f))).find(f => this.isFile(f));
+            if (rootFile) return { kind: 'local', path: rootFile };
+        }
+        return { kind: 'unresolved' };
+    }
+
+    // src/ of the nearest Cargo.toml above the file
+    rustCrateRoot(fromFile) {
+        let dir = path.dirname(fromFile);
+        for (;;) {
+            if (this.isFile(path.join(dir, 'Cargo.toml'))) return path.join(dir, 'src');
+            if (dir === '.' || dir === '' || dir === path.dirname(dir)) return 'src';
+            dir = path.dirname(dir);
+        }
+    }
+
+    // --- C-like fallback: #include, Java/Kotlin imports, require of PHP and Ruby ---
+
+    resolveOther(fromFile, spec) {
+        const candidates = [];
+        const dir = path.dirname(fromFile);
+        if (/[\\/]|\.\w+$/.test(spec)) {
+            // A path: relative to the file, then the project root and include/
+            for (const root of [dir, '.', 'include', 'src']) {
+                candidates.push(path.join(root, spec));
+                if (!path.extname(spec)) candidates.push(...['.rb', '.php'].map(ext => path.join(root, `${spec}${ext}`)));
+            }
+        } else if (spec.includes('.')) {
+            // A dotted class name: com.example.Foo under the usual source roots
+            const rel = spec.replace(/\.\*$/, '').split('.').join('/');
+            for (const root of ['.', 'src', 'src/main/java', 'src/main/kotlin', 'app/src/main/java']) {
+                for (const ext of ['.java', '.kt', '.scala']) candidates.push(path.join(root, `${rel}${ext}`));
+            }
+        }
+        for (const candidate of candidates) {
+            const target = this.normalize(candidate);
+            if (target !== null && this.isFile(target)) return { kind: 'local', path: target };
+        }
+        return { kind: 'package', name: spec };
+    }
+}
+
+module.exports = { ModuleResolver, RESOLUTION_CONFIG_FILES, packageName, exportTargets, parseJsonc };
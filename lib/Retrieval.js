@@ -0,0 +1,294 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { IgnoreMatcher } = require('./Ignore');
+const { readText, LOCK_FILES } = require('./Search');
+
+// Ranked file retrieval behind KnowledgeGraph.getRelevantFiles and search_symbols, entirely
+// offline. A file scores by
+//   - BM25 over its contents and, weighted higher, over the names of its symbols,
+//   - query words found in its path ("login" matches src/auth/LoginForm.tsx),
+//   - graph proximity: the project files a strong hit imports get part of its score.
+// Words are split at camelCase, snake_case and kebab-case boundaries and stemmed, so
+// "validation" finds validateForm() and "users" finds user_service.py.
+//
+// Contents are read from disk on the first query and re-read when a file's size or mtime
+// changes; only term counts are kept in memory.
+
+const K1 = 1.2;
+const B = 0.75;
+const SYMBOL_WEIGHT = 2; // A word in a class or function name says more than one in a comment
+const PATH_WEIGHT = 1.5;
+const DEPENDENCY_WEIGHT = 0.3; // Share of a hit's score passed to each project file it imports
+const GRAPH_SOURCES = 10; // Only the strongest hits pass score on to their imports
+const MAX_DOCUMENT_BYTES = 256 * 1024;
+const SNIPPET_CAP = 160;
+// The index and the Blackboard state (which quotes every request) would match any query
+const OWN_FILES = /^codegrounds\.(index|state)\.json(\.tmp)?$/;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'into', 'as', 'is',
+    'are', 'was', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'we', 'i', 'you', 'our', 'my', 'so', 'if',
+    'then', 'than', 'not', 'no', 'do', 'does', 'should', 'would', 'could', 'can', 'will', 'must', 'want', 'need', 'please',
+    'fix', 'add', 'make', 'implement', 'update', 'change', 'some', 'all', 'any', 'each', 'when', 'there', 'which', 'what'
+]);
+
+// "parseHTTPResponse2" -> ["parse", "http", "response", "2"]; "user_id" -> ["user", "id"]
+function splitIdentifier(word) {
+    return word
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+|(?<=[A-Za-z])(?=[0-9])|(?<=[0-9])(?=[A-Za-z])/)
+        .filter(Boolean)
+        .map(part => part.toLowerCase());
+}
+
+// A light suffix stripper (not full Porter): enough for "validation", "validates" and
+// "validating" to meet at "validat", and "queries" at "query".
+function stem(word) {
+    let w = word;
+    if (w.length <= 3) return w;
+    if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+    else if (/(ss|x|ch|sh)es$/.test(w)) w = w.slice(0, -2);
+    else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+    const strip = (suffix, replacement = '', minStem = 3) => {
+        if (w.endsWith(suffix) && w.length - suffix.length >= minStem) {
+            w = w.slice(0, -suffix.length) + replacement;
+            return true;
+        }
+        return false;
+    };
+    if (strip('ing') || strip('ed')) {
+        // running -> runn -> run, logged -> logg -> log
+        if (/([^aeioulsz])\1$/.test(w)) w = w.slice(0, -1);
+    }
+    strip('ational', 'ate') || strip('ization', 'ize') || strip('ation', 'ate') || strip('ment') || strip('ness')
+        || strip('able') || strip('ible') || strip('ful') || strip('ly') || strip('er', '', 4);
+    if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+    return w;
+}
+
+// Text -> stemmed terms. Identifiers count by their parts; a compound like loginForm also
+// counts whole ("loginform"), so a query for the exact name ranks its file first.
+function tokenize(text) {
+    const terms = [];
+    for (const [word] of text.matchAll(/[A-Za-z][A-Za-z0-9_]*/g)) {
+        const parts = splitIdentifier(word).filter(p => p.length > 1 && !/^[0-9]+$/.test(p));
+        for (const part of parts) {
+            if (!STOP_WORDS.has(part)) terms.push(stem(part));
+        }
+        if (parts.length > 1) terms.push(parts.join(''));
+    }
+    return terms;
+}
+
+function countTerms(terms) {
+    const counts = new Map();
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+    return counts;
+}
+
+// One field of a BM25F-style score: documents are { counts: Map, length }
+function bm25(field, queryTerms) {
+    const docs = [...field.values()];
+    const n = docs.length;
+    if (n === 0) return new Map();
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / n || 1;
+    const scores = new Map();
+    for (const term of queryTerms) {
+        let df = 0;
+        for (const doc of docs) if (doc.counts.has(term)) df++;
+        if (df === 0) continue;
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        for (const [file, doc] of field) {
+            const tf = doc.counts.get(term);
+            if (!tf) continue;
+            const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+            scores.set(file, (scores.get(file) || 0) + score);
+        }
+    }
+    return scores;
+}
+
+class RetrievalIndex {
+    constructor(workspaceDir, kg) {
+        this.workspaceDir = workspaceDir;
+        this.kg = kg;
+        this.documents = new Map(); // file -> { counts, length, size, mtimeMs }
+        this.refreshing = null;
+    }
+
+    // Re-reads files that are new or changed on disk, drops the ones that are gone
+    async refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.readWorkspace().finally(() => { this.refreshing = null; });
+        }
+        return this.refreshing;
+    }
+
+    async readWorkspace() {
+        const files = (await new IgnoreMatcher(this.workspaceDir).listFiles())
+            .filter(file => !LOCK_FILES.includes(path.posix.basename(file)) && !OWN_FILES.test(path.posix.basename(file)))
+            .map(file => file.split('/').join(path.sep));
+        const present = new Set(files);
+        for (const file of files) {
+            const fullPath = path.join(this.workspaceDir, file);
+            const stat = await fs.stat(fullPath).catch(() => null);
+            if (!stat || stat.size > MAX_DOCUMENT_BYTES) {
+                this.documents.delete(file);
+                continue;
+            }
+            const known = this.documents.get(file);
+            if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) continue;
+            const text = await readText(fullPath);
+            if (text === null) {
+                this.documents.delete(file);
+                continue;
+            }
+            const terms = tokenize(text);
+            this.documents.set(file, { counts: countTerms(terms), length: terms.length, size: stat.size, mtimeMs: stat.mtimeMs });
+        }
+        for (const file of this.documents.keys()) {
+            if (!present.has(file)) this.documents.delete(file);
+        }
+    }
+
+    // Symbol names of each file, as a BM25 field
+    symbolField() {
+        const field = new Map();
+        for (const file of this.documents.keys()) {
+            const terms = (this.kg.fileMap[file] || []).flatMap(name => tokenize(name));
+            if (terms.length) field.set(file, { counts: countTerms(terms), length: terms.length });
+        }
+        return field;
+    }
+
+    // -> [{ file, score, reasons: [string], snippet: { line, text } | null }], best first.
+    // options.limit: results returned (default 10); options.snippets: false skips reading them
+    async search(query, { limit = 10, snippets = true } = {}) {
+        await this.refresh();
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+        const contentScores = bm25(this.documents, queryTerms);
+        const symbolScores = bm25(this.symbolField(), queryTerms);
+        const results = new Map(); // file -> { file, score, reasons }
+        const result = (file) => {
+            if (!results.has(file)) results.set(file, { file, score: 0, reasons: [] });
+            return results.get(file);
+        };
+        for (const [file, score] of contentScores) {
+            result(file).score += score;
+            result(file).reasons.push('content');
+        }
+        for (const [file, score] of symbolScores) {
+            result(file).score += SYMBOL_WEIGHT * score;
+            result(file).reasons.push('symbols');
+        }
+        // Path words weigh by how rare they are in the contents, like in BM25
+        const n = this.documents.size;
+        const idf = new Map(queryTerms.map(term => {
+            let df = 0;
+            for (const doc of this.documents.values()) if (doc.counts.has(term)) df++;
+            return [term, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+        }));
+        for (const file of this.documents.keys()) {
+            const pathTerms = new Set(tokenize(file.split(path.sep).join(' ')));
+            const matched = queryTerms.filter(term => pathTerms.has(term));
+            if (matched.length === 0) continue;
+            result(file).score += PATH_WEIGHT * matched.reduce((sum, term) => sum + idf.get(term), 0);
+            result(file).reasons.push('path');
+        }
+
+        // Scores as they were before any boost, so boosts do not compound
+        const strongest = [...results.values()].sort((a, b) => b.score - a.score).slice(0, GRAPH_SOURCES)
+            .map(hit => ({ file: hit.file, score: hit.score }));
+        for (const hit of strongest) {
+            const dependencies = [...new Set(this.kg.imports(hit.file)
+                .filter(r => r.kind === 'local' && !r.dir && r.path !== hit.file && this.documents.has(r.path))
+                .map(r => r.path))];
+            // A file importing half the project (an entry point) spreads thinner
+            const share = DEPENDENCY_WEIGHT * hit.score / Math.sqrt(Math.max(1, dependencies.length));
+            for (const file of dependencies) {
+                const dependency = result(file);
+                dependency.score += share;
+                if (!dependency.reasons.some(reason => reason.startsWith('imported by'))) dependency.reasons.push(`imported by ${hit.file}`);
+            }
+        }
+
+        const ranked = [...results.values()]
+            .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file))
+            .slice(0, limit);
+        for (const hit of ranked) {
+            hit.score = Math.round(hit.score * 100) / 100;
+            hit.snippet = snippets ? await this.snippet(hit.file, queryTerms) : null;
+        }
+        return ranked;
+    }
+
+    // The line with the most distinct query terms
+    async snippet(file, queryTerms) {
+        const text = await readText(path.join(this.workspaceDir, file));
+        if (!text) return null;
+        let best = null;
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (line.length > 2000) return; // Minified
+            const terms = new Set(tokenize(line));
+            const hits = queryTerms.filter(term => terms.has(term)).length;
+            if (hits > 0 && (!best || hits > best.hits)) best = { line: i + 1, hits, text: line };
+        });
+        if (!best) return null;
+        const flat = best.text.trim().replace(/\s+/g, ' ');
+        return { line: best.line, text: flat.length > SNIPPET_CAP ? `${flat.slice(0, SNIPPET_CAP - 1)}…` : flat };
+    }
+
+    // Symbols ranked for a query: exact names first (findSymbols), then symbols whose name
+    // parts match query words, rarer words and more relevant files first.
+    // -> [{ name, score, ...entry }]
+    async searchSymbols(query, { limit = 50 } = {}) {
+        const fileScores = new Map((await this.search(query, { limit: 50, snippets: false })).map(hit => [hit.file, hit.score]));
+        const queryTerms = new Set(tokenize(query));
+        const lowerQuery = query.toLowerCase().split(/[^a-z0-9_$]+/);
+
+        const names = Object.keys(this.kg.symbols);
+        const termCounts = new Map();
+        const nameTerms = new Map();
+        for (const name of names) {
+            const terms = new Set(tokenize(name));
+            nameTerms.set(name, terms);
+            for (const term of terms) termCounts.set(term, (termCounts.get(term) || 0) + 1);
+        }
+
+        const found = new Map(); // "file:line:name" -> symbol
+        const add = (name, entry, score) => {
+            const key = `${entry.file}:${entry.line}:${name}`;
+            const current = found.get(key);
+            if (!current || current.score < score) found.set(key, { name, score, ...entry });
+        };
+        const fileBoost = (file) => Math.log(1 + (fileScores.get(file) || 0));
+        // An exact name wins outright; a name merely containing a word ("form" in formatDate) barely counts
+        for (const symbol of this.kg.findSymbols(query)) {
+            const { name, ...entry } = symbol;
+            add(name, entry, (lowerQuery.includes(name.toLowerCase()) ? 100 : 0.5) + fileBoost(entry.file));
+        }
+        for (const name of names) {
+            const terms = nameTerms.get(name);
+            const matched = [...terms].filter(term => queryTerms.has(term));
+            if (matched.length === 0) continue;
+            const idf = matched.reduce((sum, term) => sum + Math.log(1 + names.length / termCounts.get(term)), 0);
+            const coverage = matched.length / terms.size;
+            for (const entry of this.kg.entries(name)) {
+                add(name, entry, idf * coverage + fileBoost(entry.file));
+            }
+        }
+
+        // Declarations before variables, exported before internal, on equal scores
+        const weight = (s) => (s.kind === 'variable' || s.kind === 'constant' ? 1 : 0) + (s.exported ? 0 : 0.5);
+        return [...found.values()]
+            .sort((a, b) => b.score - a.score || weight(a) - weight(b) || a.file.localeCompare(b.file) || a.line - b.line)
+            .slice(0, limit)
+            .map(s => ({ ...s, score: Math.round(s.score * 100) / 100 }));
+    }
+}
+
+module.exports = { RetrievalIndex, tokenize, splitIdentifier, stem };
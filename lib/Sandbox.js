@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Where agents' shell commands and file tools are allowed to reach.
+//   - commands get a scrubbed environment (allowlist), a wall-clock timeout, capped output
+//     and, on POSIX shells, ulimit-based CPU / file-size (and opt-in memory) limits;
+//   - paths are confined to the project directory, symlinks included.
+
+// Enough for compilers, package managers and test runners; never credentials.
+const DEFAULT_ENV_ALLOW = [
+    'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LANGUAGE', 'LC_*', 'TERM', 'TZ', 'TMPDIR', 'TEMP', 'TMP',
+    'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'http_proxy', 'https_proxy', 'no_proxy',
+    'NVM_DIR', 'NVM_BIN', 'PYENV_ROOT', 'VIRTUAL_ENV', 'GOPATH', 'GOROOT', 'CARGO_HOME', 'RUSTUP_HOME', 'JAVA_HOME',
+    'SystemRoot', 'ComSpec', 'PATHEXT', 'WINDIR', 'APPDATA', 'LOCALAPPDATA', 'USERPROFILE'
+];
+
+const DEFAULT_LIMITS = {
+    timeoutSeconds: 300,
+    maxOutputKb: 64,
+    cpuSeconds: 600,
+    memoryMb: null, // ulimit -v caps address space, and WebAssembly (Node's fetch) reserves gigabytes of it
+    fileSizeMb: 1024,
+    maxProcesses: null // ulimit -u counts every process of the user, so it is opt-in
+};
+
+const SANDBOX_SCHEMA = {
+    type: 'object',
+    properties: {
+        timeoutSeconds: { type: 'integer' },
+        maxOutputKb: { type: 'integer' },
+        cpuSeconds: { type: ['integer', 'null'] },
+        memoryMb: { type: ['integer', 'null'] },
+        fileSizeMb: { type: ['integer', 'null'] },
+        maxProcesses: { type: ['integer', 'null'] },
+        env: {
+            type: 'object',
+            properties: {
+                allow: { type: 'array', items: { type: 'string' }, description: 'Extra variable names; a trailing * matches a prefix.' },
+                set: { type: 'object', description: 'Variables to set for every command.' }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+class PathEscapeError extends Error {
+    constructor(requested) {
+        super(`Path "${requested}" is outside the project directory. File tools only work inside the project.`);
+        this.name = 'PathEscapeError';
+    }
+}
+
+function isInside(root, target) {
+    const rel = path.relative(root, target);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+// The real path of `target`: each component is lstat'ed and symlinks are followed by hand, so
+// dangling links count where they point and paths of files that do not exist yet are checked too.
+const MAX_LINKS = 40;
+
+function realPath(target, links = { count: 0 }) {
+    const { root } = path.parse(target);
+    const parts = target.slice(root.length).split(path.sep).filter(Boolean);
+    let current = root;
+    for (let i = 0; i < parts.length; i++) {
+        const next = path.join(current, parts[i]);
+        let stat;
+        try {
+            stat = fs.lstatSync(next);
+        } catch (e) {
+            return path.join(next, ...parts.slice(i + 1)); // Not there (yet): nothing left to follow
+        }
+        if (!stat.isSymbolicLink()) {
+            current = next;
+            continue;
+        }
+        if (++links.count > MAX_LINKS) throw new Error(`Too many levels of symbolic links: ${target}`);
+        current = realPath(path.resolve(current, fs.readlinkSync(next)), links);
+    }
+    return current;
+}
+
+function matchesName(name, patterns) {
+    return patterns.some(p => (p.endsWith('*') ? name.startsWith(p.slice(0, -1)) : name === p));
+}
+
+class Sandbox {
+    // config: the `sandbox` section of codegrounds.config.json
+    constructor(rootDir, config = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.limits = { ...DEFAULT_LIMITS, ...config };
+        const env = config.env || {};
+        this.envAllow = [...DEFAULT_ENV_ALLOW, ...(env.allow || [])];
+        this.envSet = env.set || {};
+    }
+
+    // Absolute path for `p` (relative to the project), or PathEscapeError — including
+    // `../` traversal, absolute paths elsewhere and symlinks that point out of the project.
+    resolve(p) {
+        const target = path.resolve(this.rootDir, p || '.');
+        if (!isInside(this.rootDir, target)) throw new PathEscapeError(p);
+        let real;
+        try {
+            real = realPath(target);
+        } catch (e) {
+            throw new PathEscapeError(p); // Symlink loop
+        }
+        if (!isInside(realPath(this.rootDir), real)) throw new PathEscapeError(p);
+        return target;
+    }
+
+    buildEnv(source = process.env) {
+        const env = {};
+        for (const [name, value] of Object.entries(source)) {
+            if (matchesName(name, this.envAllow)) env[name] = value;
+        }
+        return { ...env, ...this.envSet, CI: '1' }; // CI=1 keeps tools from waiting for input
+    }
+
+    // POSIX shells apply the limits to the command and everything it spawns.
+    wrap(command) {
+        const { cpuSeconds, memoryMb, fileSizeMb, maxProcesses } = this.limits;
+        const prelude = [
+            cpuSeconds ? `ulimit -t ${cpuSeconds}` : null,
+            memoryMb ? `ulimit -v ${memoryMb * 1024}` : null,
+            fileSizeMb ? `ulimit -f ${fileSizeMb * 2048}` : null, // 512-byte blocks
+            maxProcesses ? `ulimit -u ${maxProcesses}` : null
+        ].filter(Boolean).map(cmd => `${cmd} 2>/dev/null;`).join(' ');
+        return ['/bin/sh', ['-c', `${prelude} exec /bin/sh -c "$1"`, 'sh', command]];
+    }
+
+    // Starts `command` with the sandbox environment and limits, in its own process group.
+    // stdin: keep a pipe open for input (background processes).
+    spawn(command, { cwd = null, stdin = false } = {}) {
+        const isWindows = process.platform === 'win32';
+        const [file, args] = isWindows ? [command, []] : this.wrap(command);
+        return spawn(file, args, {
+            cwd: cwd ? this.resolve(cwd) : this.rootDir,
+            env: this.buildEnv(),
+            shell: isWindows,
+            detached: !isWindows, // Own process group, so the whole tree can be killed
+            stdio: [stdin ? 'pipe' : 'ignore', 'pipe', 'pipe']
+        });
+    }
+
+    // Signals the child and everything it spawned.
+    kill(child, signal = 'SIGKILL') {
+        try {
+            if (process.platform === 'win32') child.kill(signal);
+            else process.kill(-child.pid, signal);
+        } catch (e) {}
+    }
+
+    // -> { stdout, stderr, exitCode, signal, timedOut, cancelled, truncated, durationMs }
+    run(command, { cwd = null, timeoutSeconds = null, signal = null } = {}) {
+        const timeoutMs = (timeoutSeconds || this.limits.timeoutSeconds) * 1000;
+        const cap = this.limits.maxOutputKb * 1024;
+        const startedAt = Date.now();
+
+        return new Promise((resolve) => {
+            const child = this.spawn(command, { cwd });
+            const stdout = new CappedBuffer(cap);
+            const stderr = new CappedBuffer(cap);
+            let timedOut = false;
+            let cancelled = false;
+
+            const kill = () => this.kill(child);
+            const timer = setTimeout(() => { timedOut = true; kill(); }, timeoutMs);
+            const onAbort = () => { cancelled = true; kill(); };
+            if (signal) {
+                if (signal.aborted) onAbort();
+                else signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            child.stdout.on('data', chunk => stdout.push(chunk));
+            child.stderr.on('data', chunk => stderr.push(chunk));
+
+            const finish = (exitCode, exitSignal, error = null) => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve({
+                    stdout: stdout.toString(),
+                    stderr: error ? `${stderr.toString()}${error.message}` : stderr.toString(),
+                    exitCode,
+                    signal: exitSignal,
+                    timedOut,
+                    cancelled,
+                    truncated: stdout.dropped + stderr.dropped,
+                    durationMs: Date.now() - startedAt
+                });
+            };
+            child.on('error', error => finish(null, null, error));
+            child.on('close', (code, exitSignal) => finish(code, exitSignal));
+        });
+    }
+}
+
+// Keeps the first 60% and the last 40% of a stream; the middle is counted, not stored.
+class CappedBuffer {
+    constructor(cap) {
+        this.headCap = Math.floor(cap * 0.6);
+        this.tailCap = cap - this.headCap;
+        this.head = [];
+        this.headSize = 0;
+        this.tail = [];
+        this.tailSize = 0;
+        this.dropped = 0;
+    }
+
+    push(chunk) {
+        if (this.headSize < this.headCap) {
+            const take = chunk.subarray(0, this.headCap - this.headSize);
+            this.head.push(take);
+            this.headSize += take.length;
+            chunk = chunk.subarray(take.length);
+        }
+        if (chunk.length === 0) return;
+
+        this.tail.push(chunk);
+        this.tailSize += chunk.length;
+        while (this.tailSize > this.tailCap) {
+            const excess = this.tailSize - this.tailCap;
+            const first = this.tail[0];
+            if (first.length <= excess) {
+                this.tail.shift();
+                this.tailSize -= first.length;
+                this.dropped += first.length;
+            } else {
+                this.tail[0] = first.subarray(excess);
+                this.tailSize -= excess;
+                this.dropped += excess;
+            }
+        }
+    }
+
+    toString() {
+        const head = Buffer.concat(this.head).toString('utf8');
+        const tail = Buffer.concat(this.tail).toString('utf8');
+        if (this.dropped === 0) return head + tail;
+        return `${head}\n... [${this.dropped} bytes truncated] ...\n${tail}`;
+    }
+}
+
+module.exports = { Sandbox, PathEscapeError, SANDBOX_SCHEMA, DEFAULT_ENV_ALLOW, DEFAULT_LIMITS };
@@ -0,0 +1,205 @@
+// Structured answers from agents: JSON schemas, a small validator with precise error paths,
+// and JSON extraction from model text. The schemas are plain JSON schema so providers with a
+// native structured-output mode (Gemini responseSchema, OpenAI json_schema, Ollama format)
+// can enforce them directly; validate() is the safety net for everyone else.
+
+const PLAN_SCHEMA = {
+    title: 'ArchitecturePlan',
+    type: 'object',
+    properties: {
+        stack: { type: 'string', minLength: 1, description: 'Languages, frameworks and key libraries.' },
+        phases: {
+            type: 'array',
+            minItems: 1,
+            description: 'Build phases in order. Files within one phase can be built in parallel.',
+            items: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string', minLength: 1, description: 'File path relative to the project root.' },
+                        description: { type: 'string', minLength: 1, description: 'What this file must implement.' },
+                        independent: { type: 'boolean' }
+                    },
+                    required: ['path', 'description']
+                }
+            }
+        },
+        setupCommands: { type: 'array', items: { type: 'string' }, description: 'Shell commands to prepare the environment.' },
+        runCommand: { type: 'string', description: 'Command that starts or tests the application.' }
+    },
+    required: ['stack', 'phases', 'setupCommands', 'runCommand']
+};
+
+const PLAN_CHECK_SCHEMA = {
+    title: 'PlanCheck',
+    type: 'object',
+    properties: {
+        verdict: { type: 'string', enum: ['VALID', 'STALE'] },
+        reason: { type: 'string' }
+    },
+    required: ['verdict']
+};
+
+const CLARIFICATION_SCHEMA = {
+    title: 'Clarification',
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: ['CLEAR', 'QUESTIONS'] },
+        questions: { type: 'array', maxItems: 3, items: { type: 'string', minLength: 1 } }
+    },
+    required: ['status']
+};
+
+const JUDGMENT_SCHEMA = {
+    title: 'Judgment',
+    type: 'object',
+    properties: {
+        decision: { type: 'string', enum: ['SKIP', 'REFAC'] },
+        reason: { type: 'string' }
+    },
+    required: ['decision']
+};
+
+const TEST_VERDICT_SCHEMA = {
+    title: 'TestVerdict',
+    type: 'object',
+    properties: {
+        verdict: { type: 'string', enum: ['PASS', 'FAIL'] },
+        summary: { type: 'string' },
+        issues: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['verdict', 'summary']
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+// The subset validate() implements. Anything else would be silently ignored, so it throws instead.
+const KEYWORDS = [
+    'type', 'enum', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'items', 'minItems', 'maxItems', 'properties', 'required', 'additionalProperties'
+];
+const ANNOTATIONS = ['title', 'description', 'default', 'examples', '$comment'];
+
+// Returns a list of human-readable errors ("$.phases[0][2].path: is required"); empty means valid.
+function validate(value, schema, at = '$') {
+    const errors = [];
+    if (!schema) return errors;
+    const unknown = Object.keys(schema).find(k => !KEYWORDS.includes(k) && !ANNOTATIONS.includes(k));
+    if (unknown) throw new Error(`Unsupported JSON schema keyword "${unknown}" (validating ${at}).`);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must not be shorter than ${schema.minLength} character(s)`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${at}: must not be longer than ${schema.maxLength} character(s)`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at}: must match /${schema.pattern}/`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}, got ${value}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${at}: must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push(`${at}: must be less than ${schema.exclusiveMaximum}, got ${value}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} item(s), got ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at}: must have at most ${schema.maxItems} item(s), got ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+        }
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validate(child, properties[key], `${at}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${key}: is not allowed`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(child, schema.additionalProperties, `${at}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Pulls the first JSON value out of model text (fenced block or outermost braces).
+// Returns { value } or { error }.
+function extractJson(text) {
+    if (typeof text !== 'string' || !text.trim()) return { error: 'Response is empty; expected JSON.' };
+    try {
+        let clean = text;
+        const match = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+        if (match) {
+            clean = match[1];
+        } else {
+            const firstBrace = text.indexOf('{');
+            const lastBrace = text.lastIndexOf('}');
+            if (firstBrace !== -1 && lastBrace !== -1) {
+                clean = text.substring(firstBrace, lastBrace + 1);
+            }
+        }
+        return { value: JSON.parse(clean) };
+    } catch (e) {
+        return { error: `Response is not valid JSON (${e.message}).` };
+    }
+}
+
+// Prompt fragment describing the expected shape, for providers without native enforcement.
+function formatInstructions(schema) {
+    return `RESPONSE FORMAT: When you are done, reply with ONLY a JSON object (no prose) that matches this JSON schema:\n${JSON.stringify(schema, null, 2)}`;
+}
+
+module.exports = {
+    validate,
+    extractJson,
+    formatInstructions,
+    PLAN_SCHEMA,
+    PLAN_CHECK_SCHEMA,
+    CLARIFICATION_SCHEMA,
+    JUDGMENT_SCHEMA,
+    TEST_VERDICT_SCHEMA
+};
@@ -0,0 +1,210 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Worker, isMainThread, workerData, parentPort } = require('worker_threads');
+const { IgnoreMatcher, globFilter } = require('./Ignore');
+const { CancelledError, throwIfAborted } = require('./Cancellation');
+
+// Text search behind search_files. Walks the project through the IgnoreMatcher (so .gitignore
+// is honored), never spawns a shell, and returns structured matches that the tool formats and pages.
+// The pattern comes from an agent, so the scan runs in a worker thread: a regex that backtracks
+// forever is stopped by the timeout or Ctrl-C instead of freezing the run.
+
+const MAX_FILE_BYTES = 1024 * 1024; // Bigger files are generated or data; skip them
+const BINARY_PROBE_BYTES = 8000;
+const LINE_CAP = 300; // Characters of a matched line shown around the match
+const LOCK_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'Cargo.lock', 'poetry.lock', 'composer.lock'];
+const SEARCH_TIMEOUT_SECONDS = 30;
+
+class SearchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchError';
+    }
+}
+
+function buildRegExp(pattern, { literal = false, caseSensitive = false } = {}) {
+    if (!pattern) throw new SearchError('Empty search pattern.');
+    const source = literal ? pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : pattern;
+    try {
+        return new RegExp(source, caseSensitive ? '' : 'i');
+    } catch (e) {
+        throw new SearchError(`Invalid regex ${e.message.replace(/^Invalid regular expression: /, '')}. Escape special characters or set literal: true.`);
+    }
+}
+
+// Long minified lines would swamp the result; keep a window around the match
+function clipLine(text, column = 1) {
+    if (text.length <= LINE_CAP) return text;
+    const start = Math.max(0, Math.min(column - 1 - LINE_CAP / 3, text.length - LINE_CAP));
+    return `${start > 0 ? '…' : ''}${text.slice(start, start + LINE_CAP)}${start + LINE_CAP < text.length ? '…' : ''}`;
+}
+
+async function readText(file) {
+    const stat = await fs.stat(file).catch(() => null);
+    if (!stat || stat.size > MAX_FILE_BYTES) return null;
+    const buffer = await fs.readFile(file).catch(() => null);
+    if (!buffer || buffer.subarray(0, BINARY_PROBE_BYTES).includes(0)) return null;
+    return buffer.toString('utf8');
+}
+
+function isInside(root, target) {
+    const rel = path.relative(root, target);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+// options: { pattern, path, literal, caseSensitive, include: [glob], exclude: [glob],
+//            maxPerFile, context, offset, limit, signal, timeoutSeconds }
+// -> { matches: [{ file, line, column, text, before: [{ line, text }], after }],
+//      total, files, filesSearched, cappedFiles: [file], offset, limit }
+// `total` counts every match, so callers can page with offset / limit.
+function searchFiles(rootDir, options = {}) {
+    const { signal = null, timeoutSeconds = SEARCH_TIMEOUT_SECONDS, ...rest } = options;
+    try {
+        throwIfAborted(signal);
+        buildRegExp(rest.pattern, rest); // Syntax errors are reported without starting a worker
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { rootDir, options: rest } });
+        let settled = false;
+        const settle = (fn, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            worker.terminate();
+            fn(value);
+        };
+        const timer = setTimeout(() => settle(reject, new SearchError(
+            `Search timed out after ${timeoutSeconds}s. Simplify the pattern (nested quantifiers such as (a+)+ can run forever) or narrow path / include.`
+        )), timeoutSeconds * 1000);
+        const onAbort = () => settle(reject, new CancelledError());
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        worker.on('message', ({ result, error }) => {
+            if (!error) return settle(resolve, result);
+            settle(reject, error.name === 'SearchError' ? new SearchError(error.message) : new Error(error.message));
+        });
+        worker.on('error', error => settle(reject, error));
+        worker.on('exit', code => settle(reject, new Error(`Search stopped unexpectedly (exit code ${code}).`)));
+    });
+}
+
+async function scanFiles(rootDir, options) {
+    const {
+        pattern, path: dir = '.', literal = false, caseSensitive = false, include = [], exclude = [],
+        maxPerFile = 20, context = 2, offset = 0, limit = 50
+    } = options;
+    const regex = buildRegExp(pattern, { literal, caseSensitive });
+    const filter = globFilter(include, exclude);
+    const skipLocks = !include || include.length === 0;
+
+    const root = path.resolve(rootDir);
+    const start = path.resolve(root, dir);
+    if (!isInside(root, start)) throw new SearchError(`Path "${dir}" is outside the workspace.`);
+    const stat = await fs.stat(start).catch(() => null);
+    if (!stat) throw new SearchError(`Path "${dir}" does not exist.`);
+    // Symlinks may point anywhere; only files that really live in the project are read
+    const realRoot = await fs.realpath(root);
+    const realStart = await fs.realpath(start);
+    if (!isInside(realRoot, realStart)) throw new SearchError(`Path "${dir}" is outside the workspace.`);
+
+    const candidates = stat.isFile()
+        ? [path.relative(root, start).split(path.sep).join('/')]
+        : await new IgnoreMatcher(root).listFiles(path.relative(root, start) || '.');
+
+    const matches = [];
+    const matchedFiles = new Set();
+    const cappedFiles = [];
+    let total = 0;
+    let filesSearched = 0;
+
+    for (const file of candidates) {
+        if (!filter(file) || (skipLocks && LOCK_FILES.includes(path.posix.basename(file)))) continue;
+        const real = await fs.realpath(path.join(root, file)).catch(() => null);
+        if (!real || !isInside(realRoot, real)) continue;
+        const text = await readText(real);
+        if (text === null) continue;
+        filesSearched++;
+
+        const lines = text.split(/\r?\n/);
+        if (lines[lines.length - 1] === '') lines.pop(); // Trailing newline
+        let inFile = 0;
+        for (let i = 0; i < lines.length; i++) {
+            const found = regex.exec(lines[i]);
+            if (!found) continue;
+            if (inFile >= maxPerFile) {
+                cappedFiles.push(file);
+                break;
+            }
+            inFile++;
+            total++;
+            matchedFiles.add(file);
+            // Only the requested page is materialized; the rest is just counted
+            if (total > offset && matches.length < limit) {
+                const column = found.index + 1;
+                const around = (from, to) => lines.slice(Math.max(0, from), Math.max(0, to))
+                    .map((t, k) => ({ line: Math.max(0, from) + k + 1, text: clipLine(t) }));
+                matches.push({
+                    file,
+                    line: i + 1,
+                    column,
+                    text: clipLine(lines[i], column),
+                    before: around(i - context, i),
+                    after: around(i + 1, Math.min(lines.length, i + 1 + context))
+                });
+            }
+        }
+    }
+
+    return { matches, total, files: matchedFiles.size, filesSearched, cappedFiles, offset, limit };
+}
+
+// grep-like text: "file:line:col: text" for matches, "file-line- text" for context,
+// "--" between groups that are not adjacent.
+function formatSearchResult(result) {
+    if (result.total === 0) return `No matches found (${result.filesSearched} files searched).`;
+    if (result.matches.length === 0) return `No matches past offset ${result.offset} (${result.total} in total).`;
+
+    const out = [];
+    let lastFile = null;
+    let lastLine = 0;
+    for (const m of result.matches) {
+        const first = m.before.length ? m.before[0].line : m.line;
+        if (m.file !== lastFile || first > lastLine + 1) {
+            if (lastFile !== null) out.push('--');
+            lastLine = 0;
+        } else if (m.file === lastFile && m.line <= lastLine) {
+            // Already printed as context of the previous match; replace that line with the match
+            const idx = out.findIndex(l => l.startsWith(`${m.file}-${m.line}- `));
+            if (idx !== -1) out[idx] = `${m.file}:${m.line}:${m.column}: ${m.text}`;
+            else out.push(`${m.file}:${m.line}:${m.column}: ${m.text}`);
+        }
+        for (const b of m.before) {
+            if (b.line > lastLine) out.push(`${m.file}-${b.line}- ${b.text}`);
+        }
+        if (m.line > lastLine) out.push(`${m.file}:${m.line}:${m.column}: ${m.text}`);
+        for (const a of m.after) {
+            if (a.line > lastLine && a.line > m.line) out.push(`${m.file}-${a.line}- ${a.text}`);
+        }
+        lastFile = m.file;
+        lastLine = Math.max(lastLine, m.after.length ? m.after[m.after.length - 1].line : m.line);
+    }
+
+    const shownTo = result.offset + result.matches.length;
+    const summary = [`Matches ${result.offset + 1}-${shownTo} of ${result.total} in ${result.files} file${result.files === 1 ? '' : 's'} (${result.filesSearched} searched).`];
+    if (shownTo < result.total) summary.push(`More results: call again with offset: ${shownTo}.`);
+    if (result.cappedFiles.length) summary.push(`Stopped at maxPerFile in: ${result.cappedFiles.join(', ')}.`);
+    return `${out.join('\n')}\n\n${summary.join(' ')}`;
+}
+
+if (!isMainThread && workerData && workerData.rootDir) {
+    scanFiles(workerData.rootDir, workerData.options).then(
+        result => parentPort.postMessage({ result }),
+        error => parentPort.postMessage({ error: { name: error.name, message: error.message } })
+    );
+}
+
+module.exports = { searchFiles, formatSearchResult, buildRegExp, readText, SearchError, LOCK_FILES };
@@ -1,14 +1,54 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const chalk = require('chalk');
+const { unifiedDiff } = require('./Diff');
+const { Sandbox } = require('./Sandbox');
+const { ProcessManager } = require('./Processes');
+const { planPatch, formatRejects } = require('./Patch');
+const { Git, clip } = require('./Git');
+const { HttpClient, checkAssertions, formatResponse } = require('./Http');
+const { IgnoreMatcher } = require('./Ignore');
+const { searchFiles, formatSearchResult } = require('./Search');
+const Workspace = require('./Workspace');
 
-// Define tool schemas for Gemini
+const SEARCH_PAGE_SIZE = 50; // Matches per search_files call; the rest is reached with offset
+const READ_LINE_LIMIT = 400; // Lines read_file returns when no range is given
+const SYMBOL_RESULTS = 30; // Ranked symbols search_symbols lists
+const RELATED_FILES = 5; // Files search_symbols adds after the symbols
+const REFERENCE_LIMIT = 100; // Uses find_references lists; the total is still reported
+
+// Define tool schemas (JSON schema parameters, shared by all LLM providers)
 const TOOL_DEFINITIONS = [
     {
         name: "read_file",
-        description: "Read the contents of a file. Use this to inspect code, configuration, or text files.",
+        description: `Read a file (or a range of its lines) with line numbers, plus its total line count. Without a range, long files stop after ${READ_LINE_LIMIT} lines. The "N| " prefixes are not part of the file: leave them out of patches and edits.`,
+        parameters: {
+            type: "object",
+            properties: {
+                path: { type: "string", description: "The relative path to the file." },
+                startLine: { type: "integer", description: "First line to read (1-based, default: 1)." },
+                endLine: { type: "integer", description: "Last line to read (inclusive)." }
+            },
+            required: ["path"]
+        }
+    },
+    {
+        name: "ask_user",
+        description: "Ask the user a question and wait for the answer. Only for genuine ambiguities the requirements and the code cannot settle (which port, which external API or key, a design choice with real trade-offs); never for things you can decide or look up. Offer choices and a suggestion when you can. Questions per run are limited, and answers are shared with the whole team.",
+        parameters: {
+            type: "object",
+            properties: {
+                question: { type: "string", description: "One clear question." },
+                choices: { type: "array", items: { type: "string" }, description: "Options to pick from (the user can still type another answer)." },
+                suggestion: { type: "string", description: "Your recommended answer; used when no user is available." },
+                context: { type: "string", description: "One or two sentences on why it matters." }
+            },
+            required: ["question"]
+        }
+    },
+    {
+        name: "file_outline",
+        description: "List the classes, functions and methods of a file with their line spans, without the code. Use it on large files, then read_file just the lines you need.",
         parameters: {
             type: "object",
             properties: {
@@ -19,7 +59,7 @@ const TOOL_DEFINITIONS = [
     },
     {
         name: "list_files",
-        description: "List files in a directory. Recursive by default.",
+        description: "List files in a directory. Recursive by default; recursive listings skip .gitignore'd files and dependency/build directories.",
         parameters: {
             type: "object",
             properties: {
@@ -30,7 +70,7 @@ const TOOL_DEFINITIONS = [
     },
     {
         name: "run_command",
-        description: "Execute a shell command. Use this to run build scripts, tests, installs, or git commands.",
+        description: "Execute a shell command and wait for it to exit. Use this to run build scripts, tests, installs, or git commands. For servers, watchers or anything that keeps running, use start_process instead.",
         parameters: {
             type: "object",
             properties: {
@@ -39,6 +79,79 @@ const TOOL_DEFINITIONS = [
             required: ["command"]
         }
     },
+    {
+        name: "start_process",
+        description: "Start a long-running command (dev server, watcher, REPL) in the background and return a handle (e.g. 'p1') right away, with its first second of output.",
+        parameters: {
+            type: "object",
+            properties: {
+                command: { type: "string", description: "The command to run (e.g., 'npm start', 'python app.py')." },
+                name: { type: "string", description: "Optional label shown in list_processes." },
+                cwd: { type: "string", description: "Working directory relative to the project (default: .)" }
+            },
+            required: ["command"]
+        }
+    },
+    {
+        name: "wait_for_process",
+        description: "Wait until a background process is ready: its port accepts connections and/or a pattern appears in its output. Returns early if the process exits. Without port and pattern, waits for it to exit.",
+        parameters: {
+            type: "object",
+            properties: {
+                id: { type: "string", description: "Process handle from start_process." },
+                port: { type: "integer", description: "TCP port to wait for (on localhost)." },
+                pattern: { type: "string", description: "Regex to wait for in stdout/stderr (e.g. 'listening on')." },
+                timeoutSeconds: { type: "integer", description: "How long to wait (default 30, max 300)." }
+            },
+            required: ["id"]
+        }
+    },
+    {
+        name: "read_process_output",
+        description: "Read the stdout/stderr a background process printed since the last read, plus its status.",
+        parameters: {
+            type: "object",
+            properties: {
+                id: { type: "string", description: "Process handle from start_process." }
+            },
+            required: ["id"]
+        }
+    },
+    {
+        name: "send_process_input",
+        description: "Write text to the stdin of a background process.",
+        parameters: {
+            type: "object",
+            properties: {
+                id: { type: "string", description: "Process handle from start_process." },
+                input: { type: "string", description: "Text to send." },
+                newline: { type: "boolean", description: "Append a newline (default: true)." },
+                close: { type: "boolean", description: "Close stdin afterwards (sends EOF)." }
+            },
+            required: ["id", "input"]
+        }
+    },
+    {
+        name: "stop_process",
+        description: "Stop a background process (and everything it spawned) and return its remaining output.",
+        parameters: {
+            type: "object",
+            properties: {
+                id: { type: "string", description: "Process handle from start_process." }
+            },
+            required: ["id"]
+        }
+    },
+    {
+        name: "list_processes",
+        description: "List the background processes started in this run and their status.",
+        parameters: {
+            type: "object",
+            properties: {
+                running: { type: "boolean", description: "Only list processes that are still running." }
+            }
+        }
+    },
     {
         name: "write_file",
         description: "Write content to a file. Overwrites existing content. Creates directories if needed. Automatically updates the Knowledge Graph.",
@@ -64,32 +177,135 @@ const TOOL_DEFINITIONS = [
             required: ["path", "search", "replace"]
         }
     },
+    {
+        name: "apply_patch",
+        description: "Edit one or more files in a single atomic step: either every change applies or nothing is written. Takes a unified diff (several files and hunks; '--- /dev/null' creates a file; line numbers may be approximate) and/or a list of search/replace edits. Failures report which hunk or edit failed and the closest matching lines.",
+        parameters: {
+            type: "object",
+            properties: {
+                patch: { type: "string", description: "Unified diff with '--- a/path' / '+++ b/path' headers and '@@' hunks." },
+                edits: {
+                    type: "array",
+                    description: "Search/replace edits, applied in order (after the diff).",
+                    items: {
+                        type: "object",
+                        properties: {
+                            path: { type: "string", description: "File path." },
+                            search: { type: "string", description: "Exact content to replace; must match exactly one place." },
+                            replace: { type: "string", description: "The new content." },
+                            all: { type: "boolean", description: "Replace every occurrence." }
+                        },
+                        required: ["path", "search", "replace"]
+                    }
+                },
+                dryRun: { type: "boolean", description: "Only check that everything applies; write nothing." }
+            }
+        }
+    },
+    {
+        name: "delete_file",
+        description: "Delete a file, or a directory with recursive: true. Keeps the Knowledge Graph and build plan in sync and lists the files that import it. Use this instead of 'rm'.",
+        parameters: {
+            type: "object",
+            properties: {
+                path: { type: "string", description: "File or directory path." },
+                recursive: { type: "boolean", description: "Required to delete a non-empty directory." }
+            },
+            required: ["path"]
+        }
+    },
+    {
+        name: "move_file",
+        description: "Move or rename a file or directory. Keeps the Knowledge Graph and build plan in sync and lists the files whose imports must be updated. Use this instead of 'mv'.",
+        parameters: {
+            type: "object",
+            properties: {
+                from: { type: "string", description: "Current path." },
+                to: { type: "string", description: "New path. Missing parent directories are created." },
+                overwrite: { type: "boolean", description: "Replace the target if it exists (default: false)." }
+            },
+            required: ["from", "to"]
+        }
+    },
+    {
+        name: "create_directory",
+        description: "Create a directory (and missing parents).",
+        parameters: {
+            type: "object",
+            properties: {
+                path: { type: "string", description: "Directory path." }
+            },
+            required: ["path"]
+        }
+    },
+    {
+        name: "git_diff",
+        description: "Show uncommitted changes (working tree vs HEAD, or vs another commit/branch), plus untracked files. Use it to review what changed before finishing.",
+        parameters: {
+            type: "object",
+            properties: {
+                path: { type: "string", description: "Limit to a file or directory." },
+                ref: { type: "string", description: "Commit or branch to compare against (default: HEAD)." },
+                stat: { type: "boolean", description: "Only list changed files with line counts." }
+            }
+        }
+    },
+    {
+        name: "git_log",
+        description: "Show recent commits (optionally only those touching a path).",
+        parameters: {
+            type: "object",
+            properties: {
+                path: { type: "string", description: "Limit to a file or directory." },
+                limit: { type: "integer", description: "Number of commits (default 10, max 50)." }
+            }
+        }
+    },
+    {
+        name: "git_restore_file",
+        description: "Discard changes to a file by restoring its version from a commit (default: HEAD). Use it to back out a bad edit.",
+        parameters: {
+            type: "object",
+            properties: {
+                path: { type: "string", description: "File path." },
+                ref: { type: "string", description: "Commit or branch to restore from (default: HEAD)." }
+            },
+            required: ["path"]
+        }
+    },
     {
         name: "search_files",
-        description: "Search for a regex pattern in files.",
+        description: "Search file contents (honors .gitignore). Returns file:line:column matches with context, paged: when there are more results, call again with the given offset.",
         parameters: {
             type: "object",
             properties: {
-                pattern: { type: "string", description: "Regex pattern." },
-                path: { type: "string", description: "Directory to search (default: .)" }
+                pattern: { type: "string", description: "Regex pattern (JavaScript syntax), or plain text with literal: true." },
+                path: { type: "string", description: "Directory or file to search (default: .)" },
+                literal: { type: "boolean", description: "Match the pattern as plain text (default: false)." },
+                caseSensitive: { type: "boolean", description: "Default: false." },
+                include: { type: "array", items: { type: "string" }, description: "Only files matching these globs, e.g. [\"*.js\", \"src/**/*.ts\"]." },
+                exclude: { type: "array", items: { type: "string" }, description: "Skip files matching these globs, e.g. [\"*.test.js\"]." },
+                maxPerFile: { type: "integer", description: "Matches reported per file (default: 20)." },
+                contextLines: { type: "integer", description: "Lines of context around each match (default: 2)." },
+                offset: { type: "integer", description: "Skip this many matches (for the next page)." }
             },
             required: ["pattern"]
         }
     },
     {
         name: "search_symbols",
-        description: "Search the Knowledge Graph for symbols (functions, classes, etc.). FAST and indexed.",
+        description: "Search the Knowledge Graph for symbols (functions, classes, methods, types...) by name or by what they do (\"login form validation\"). Returns ranked matches with file, line, kind and parameters, then the most relevant files with a matching line. FAST and indexed.",
         parameters: {
             type: "object",
             properties: {
-                query: { type: "string", description: "Symbol name or keyword." }
+                query: { type: "string", description: "Symbol name, or words describing the code you are looking for." }
             },
             required: ["query"]
         }
     },
     {
         name: "get_file_context",
-        description: "Get full context of a file including content, symbols, and dependencies.",
+        description: "Get a file's outline, dependencies and dependents, and its content with line numbers (long files are cut; use read_file with a range for the rest).",
         parameters: {
             type: "object",
             properties: {
@@ -98,9 +314,48 @@ const TOOL_DEFINITIONS = [
             required: ["path"]
         }
     },
+    {
+        name: "dependency_graph",
+        description: "Show what a file imports, resolved to project files, packages or built-ins, and which project files import it. Use it before changing a module's exports to find everything that depends on them.",
+        parameters: {
+            type: "object",
+            properties: {
+                path: { type: "string", description: "File path." },
+                direction: { type: "string", enum: ["imports", "importers", "both"], description: "What to show (default: both)." },
+                depth: { type: "integer", description: "Levels of importers to follow: 1 = direct importers only (default), up to 3." }
+            },
+            required: ["path"]
+        }
+    },
+    {
+        name: "find_references",
+        description: "Find every use of a function, class, method, type or variable across the project: file:line, the source line and the function it is in. Use it before changing a signature to find every call site that must change with it.",
+        parameters: {
+            type: "object",
+            properties: {
+                symbol: { type: "string", description: "Symbol name, or Parent.name for a method of one class." },
+                path: { type: "string", description: "File that defines the symbol, when several symbols share the name." }
+            },
+            required: ["symbol"]
+        }
+    },
+    {
+        name: "call_graph",
+        description: "Show which functions call a function or method (callers) and which project functions it calls (callees), following up to 3 levels.",
+        parameters: {
+            type: "object",
+            properties: {
+                symbol: { type: "string", description: "Function or method name, or Parent.name for a method of one class." },
+                path: { type: "string", description: "File that defines the symbol, when several symbols share the name." },
+                direction: { type: "string", enum: ["callers", "callees", "both"], description: "What to show (default: both)." },
+                depth: { type: "integer", description: "Levels to follow: 1 = direct callers/callees only (default), up to 3." }
+            },
+            required: ["symbol"]
+        }
+    },
     {
         name: "fetch_url",
-        description: "Fetch the content of a URL. Use to verify server responses.",
+        description: "Fetch the content of a URL (localhost unless more hosts are allowed). Use to verify server responses.",
         parameters: {
             type: "object",
             properties: {
@@ -109,6 +364,45 @@ const TOOL_DEFINITIONS = [
             required: ["url"]
         }
     },
+    {
+        name: "http_request",
+        description: "Send an HTTP request to a local server (any method, headers, JSON or form body) and optionally check the response. Cookies are kept per session across calls (log in once, then call protected routes). Returns status, headers, body and a PASS/FAIL verdict for the assertions.",
+        parameters: {
+            type: "object",
+            properties: {
+                method: { type: "string", description: "GET, POST, PUT, PATCH, DELETE, HEAD or OPTIONS (default: GET)." },
+                url: { type: "string", description: "Absolute URL, e.g. http://localhost:3000/api/items." },
+                headers: { type: "array", items: { type: "string" }, description: "Headers as 'Name: value' strings." },
+                json: { type: "string", description: "JSON body as text; sets Content-Type: application/json." },
+                form: { type: "string", description: "URL-encoded form body ('a=1&b=2'); sets the form Content-Type." },
+                body: { type: "string", description: "Raw body (set Content-Type yourself)." },
+                session: { type: "string", description: "Cookie session name (default: 'default')." },
+                timeoutSeconds: { type: "integer", description: "Request timeout (default 30)." },
+                assert: {
+                    type: "object",
+                    description: "Checks on the response.",
+                    properties: {
+                        status: { type: "integer", description: "Expected status code." },
+                        headers: { type: "array", items: { type: "string" }, description: "Header names that must be present." },
+                        jsonPath: {
+                            type: "array",
+                            description: "JSON values to check, e.g. { path: '$.items[0].id', equals: '1' }.",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    path: { type: "string", description: "Path like $.data.name or items[0].id." },
+                                    equals: { type: "string", description: "Expected value as JSON text (1, true, \"ok\"); omit to only check it exists." }
+                                },
+                                required: ["path"]
+                            }
+                        },
+                        bodyContains: { type: "string", description: "Text the body must contain." }
+                    }
+                }
+            },
+            required: ["url"]
+        }
+    },
     {
         name: "post_message",
         description: "Post a message to the shared Blackboard for other agents or the Orchestrator to see.",
@@ -123,44 +417,198 @@ const TOOL_DEFINITIONS = [
     }
 ];
 
+// "export function name(a, b)" for outlines and symbol search
+function describeSymbol(symbol) {
+    const params = symbol.params ? `(${symbol.params.join(', ')})` : '';
+    return `${symbol.exported ? 'export ' : ''}${symbol.kind} ${symbol.name}${params}`;
+}
+
+// A source line as a one-line excerpt
+function collapseLine(text) {
+    const flat = text.trim().replace(/\s+/g, ' ');
+    return flat.length > 160 ? `${flat.slice(0, 159)}…` : flat;
+}
+
+// "src/lib/index.ts", "react (package)", "fs (built-in)", "./gone (not found)"
+function describeImport(r, { missing = false } = {}) {
+    if (r.kind === 'local') return `${r.path}${r.dir ? '/' : ''}${missing ? ' (deleted)' : ''}`;
+    if (r.kind === 'package') return `${r.name} (package)`;
+    if (r.kind === 'builtin') return `${r.specifier} (built-in)`;
+    return `${r.specifier} (not found)`;
+}
+
+function lineSpan(symbol) {
+    return symbol.endLine > symbol.line ? `lines ${symbol.line}-${symbol.endLine}` : `line ${symbol.line}`;
+}
+
 class ToolSet {
-    constructor(workspaceDir, knowledgeGraph = null, workspace = null, blackboard = null) {
+    // options.approval: ApprovalPolicy (lib/Approval.js) consulted before every call
+    // options.sandbox: Sandbox (lib/Sandbox.js) that runs commands and confines paths
+    // options.processes: ProcessManager (lib/Processes.js) for background processes
+    // options.git: Git (lib/Git.js) for the git_* tools
+    // options.http: HttpClient (lib/Http.js) for http_request; sessions last as long as the ToolSet
+    // options.questions: UserQuestions (lib/Questions.js) for ask_user
+    // options.onFilesChanged({ action: 'delete' | 'move', path, to }): after a file is deleted or moved
+    constructor(workspaceDir, knowledgeGraph = null, workspace = null, blackboard = null, options = {}) {
         this.workspaceDir = workspaceDir;
         this.kg = knowledgeGraph;
         this.workspace = workspace;
         this.blackboard = blackboard;
+        this.approval = options.approval || null;
+        this.sandbox = options.sandbox || new Sandbox(workspaceDir);
+        this.processes = options.processes || new ProcessManager(this.sandbox);
+        this.onFilesChanged = options.onFilesChanged || null;
+        this.git = options.git || new Git(workspaceDir);
+        this.http = options.http || new HttpClient();
+        this.questions = options.questions || null;
+        this.plugins = new Map(); // Plugin tools by name, see registerTool()
     }
 
+    // Provider-agnostic declarations; each LLM provider converts them to its own tool format.
+    // Built-in tools plus registered plugin tools.
     getDefinitions(allowedTools = null) {
+        const definitions = [...TOOL_DEFINITIONS, ...[...this.plugins.values()].map(p => p.definition)];
         if (!allowedTools) {
-            return { function_declarations: TOOL_DEFINITIONS };
+            return definitions;
         }
         
-        return {
-            function_declarations: TOOL_DEFINITIONS.filter(t => allowedTools.includes(t.name))
-        };
+        return definitions.filter(t => allowedTools.includes(t.name));
     }
 
-    async execute(name, args, agentName = "Unknown") {
+    // tool: { definition: { name, description, parameters }, handler(args, ctx), source } (see lib/Plugins.js)
+    registerTool(tool) {
+        const name = tool.definition.name;
+        if (TOOL_DEFINITIONS.some(t => t.name === name) || this.plugins.has(name)) {
+            throw new Error(`Tool "${name}" is already registered.`);
+        }
+        this.plugins.set(name, tool);
+    }
+
+    async runPlugin(name, args, agentName, signal) {
+        const result = await this.plugins.get(name).handler(args, {
+            workspaceDir: this.workspaceDir,
+            workspace: this.workspace,
+            kg: this.kg,
+            blackboard: this.blackboard,
+            agentName,
+            signal,
+            run: (command) => this.sandbox.run(command, { signal }),
+            readFile: (filePath) => fs.readFile(this.resolvePath(filePath), 'utf8'),
+            writeFile: (filePath, content) => this.writeFile(filePath, content) // Keeps the Knowledge Graph in sync
+        });
+        if (result === undefined || result === null) return `${name} finished.`;
+        return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+    }
+
+    // options.signal: AbortSignal of the run; long-running commands are killed when it fires.
+    async execute(name, args, agentName = "Unknown", { signal = null } = {}) {
         try {
+            if (this.approval) {
+                const review = await this.approval.review(name, args || {}, agentName, () => this.previewCall(name, args || {}));
+                if (!review.approved) return review.message;
+            }
+
             switch (name) {
-                case 'read_file': return await this.readFile(args.path);
+                case 'read_file': return await this.readFileLines(args.path, args.startLine, args.endLine);
+                case 'file_outline': return await this.fileOutline(args.path);
                 case 'list_files': return await this.listFiles(args.path, args.recursive);
-                case 'run_command': return await this.runCommand(args.command);
+                case 'run_command': return await this.runCommand(args.command, signal);
+                case 'start_process': return await this.startProcess(args.command, args.name, args.cwd);
+                case 'wait_for_process': return await this.waitForProcess(args.id, args, signal);
+                case 'read_process_output': return this.readProcessOutput(args.id);
+                case 'send_process_input': return this.sendProcessInput(args.id, args.input, args);
+                case 'stop_process': return await this.stopProcess(args.id);
+                case 'list_processes': return this.listProcesses(args && args.running);
                 case 'write_file': return await this.writeFile(args.path, args.content);
                 case 'replace_in_file': return await this.replaceInFile(args.path, args.search, args.replace);
-                case 'search_files': return await this.searchFiles(args.pattern, args.path);
+                case 'apply_patch': return await this.applyPatch(args);
+                case 'delete_file': return await this.deleteFile(args.path, args.recursive);
+                case 'move_file': return await this.moveFile(args.from, args.to, args.overwrite);
+                case 'create_directory': return await this.createDirectory(args.path);
+                case 'git_diff': return await this.gitDiff(args.path, args.ref, args.stat);
+                case 'git_log': return await this.gitLog(args.path, args.limit);
+                case 'git_restore_file': return await this.gitRestoreFile(args.path, args.ref);
+                case 'search_files': return await this.searchFiles(args, signal);
                 case 'search_symbols': return await this.searchSymbols(args.query);
                 case 'get_file_context': return await this.getFileContext(args.path);
-                case 'fetch_url': return await this.fetchUrl(args.url);
+                case 'dependency_graph': return await this.dependencyGraph(args);
+                case 'find_references': return await this.findReferences(args);
+                case 'call_graph': return await this.callGraph(args);
+                case 'fetch_url': return await this.fetchUrl(args.url, signal);
+                case 'http_request': return await this.httpRequest(args, signal);
                 case 'post_message': return await this.postMessage(agentName, args.to, args.content);
-                default: return `Error: Unknown tool ${name}`;
+                case 'ask_user': return await this.askUser(agentName, args);
+                default:
+                    if (this.plugins.has(name)) return await this.runPlugin(name, args || {}, agentName, signal);
+                    return `Error: Unknown tool ${name}`;
             }
         } catch (e) {
+            if (e.fatal) throw e; // Cancellation, budget, a question that must be answered: stop the agent
             return `Error executing ${name}: ${e.message}`;
         }
     }
 
+    // What the user sees when asked to approve a call: the exact command, or the diff a write would make.
+    async previewCall(name, args, maxLines = 80) {
+        let text;
+        if (name === 'run_command' || name === 'start_process') {
+            const where = name === 'start_process' ? `in the background, in ${path.join(this.workspaceDir, args.cwd || '.')}` : `in ${this.workspaceDir}`;
+            text = `${chalk.gray(`(${where})`)}\n${chalk.bold(`$ ${args.command}`)}`;
+        } else if (name === 'write_file' || name === 'replace_in_file') {
+            const fullPath = this.resolvePath(args.path);
+            const exists = await fs.pathExists(fullPath);
+            const current = exists ? await fs.readFile(fullPath, 'utf8') : '';
+            let next = args.content || '';
+            if (name === 'replace_in_file') {
+                next = Workspace.replaceContent(current, args.search || '', args.replace || '');
+            }
+            text = next === null
+                ? `${args.path}: search content not found (the call will fail)`
+                : `${exists ? '' : chalk.gray('(new file)\n')}${unifiedDiff(current, next, args.path) || '(no changes)'}`;
+        } else if (name === 'delete_file') {
+            const fullPath = this.resolvePath(args.path);
+            const stat = await fs.stat(fullPath).catch(() => null);
+            const count = stat && stat.isDirectory() ? (await this.filesIn(fullPath)).length : null;
+            text = chalk.red(`Delete ${args.path}${count !== null ? ` (directory, ${count} file${count === 1 ? '' : 's'})` : ''}`);
+        } else if (name === 'git_restore_file') {
+            const current = await this.readFile(args.path);
+            const restored = await this.git.run(['show', `${args.ref || 'HEAD'}:${this.relativePath(this.resolvePath(args.path))}`]).catch(() => null);
+            text = restored === null
+                ? `${args.path}: not found at ${args.ref || 'HEAD'} (the call will fail)`
+                : unifiedDiff(current.startsWith('Error') ? '' : current, restored, args.path) || '(no changes)';
+        } else if (name === 'move_file') {
+            text = chalk.bold(`Move ${args.from} → ${args.to}${args.overwrite ? ' (overwrite)' : ''}`);
+        } else if (name === 'apply_patch') {
+            const plan = await this.planPatch(args);
+            text = [
+                ...plan.files.map(f => `${f.created ? chalk.gray('(new file)\n') : ''}${unifiedDiff(f.before || '', f.after, f.path)}`),
+                plan.rejects.length ? `${formatRejects(plan.rejects)}\n(the call will fail)` : ''
+            ].filter(Boolean).join('\n') || '(no changes)';
+        } else {
+            text = JSON.stringify(args, null, 2);
+        }
+
+        const lines = text.split('\n');
+        const shown = lines.slice(0, maxLines).map(line => {
+            if (line.startsWith('+') && !line.startsWith('+++')) return chalk.green(line);
+            if (line.startsWith('-') && !line.startsWith('---')) return chalk.red(line);
+            if (line.startsWith('@@')) return chalk.cyan(line);
+            return line;
+        });
+        if (lines.length > maxLines) shown.push(chalk.gray(`... ${lines.length - maxLines} more lines`));
+        return shown.join('\n');
+    }
+
+    async askUser(agentName, args) {
+        if (!this.questions) return "Error: No user is reachable from this tool set. Decide yourself and state the assumption.";
+        return this.questions.ask(agentName, {
+            question: args.question,
+            choices: args.choices,
+            defaultAnswer: args.suggestion || null,
+            context: args.context || null
+        });
+    }
+
     async postMessage(from, to, content) {
         if (!this.blackboard) return "Error: Blackboard not active.";
         this.blackboard.addMessage(from, to, content);
@@ -168,18 +616,24 @@ class ToolSet {
         return `Message posted to ${to}.`;
     }
 
-    async fetchUrl(url) {
+    // Same host policy as http_request (localhost unless http.allowHosts says otherwise)
+    async fetchUrl(url, signal = null) {
         try {
-            const res = await fetch(url);
-            const text = await res.text();
-            return `Status: ${res.status}\nContent:\n${text.substring(0, 2000)}...`; 
+            const res = await this.http.request({ url, signal });
+            return `Status: ${res.status}\nContent:\n${res.body.substring(0, 2000)}...`;
         } catch (e) {
             return `Fetch Failed: ${e.message}`;
         }
     }
 
+    async httpRequest(args, signal = null) {
+        const response = await this.http.request({ ...args, signal });
+        return formatResponse(response, checkAssertions(response, args.assert || {}));
+    }
+
+    // Throws PathEscapeError for anything outside the project (traversal, absolute paths, symlinks)
     resolvePath(p) {
-        return path.resolve(this.workspaceDir, p || '.');
+        return this.sandbox.resolve(p);
     }
 
     async readFile(filePath) {
@@ -188,6 +642,49 @@ class ToolSet {
         return await fs.readFile(fullPath, 'utf8');
     }
 
+    // Line-numbered text of lines startLine..endLine (1-based, inclusive) with the total count.
+    async readFileLines(filePath, startLine = null, endLine = null, limit = READ_LINE_LIMIT) {
+        const content = await this.readFile(filePath);
+        if (content === "Error: File not found.") return content;
+        const lines = content.split('\n');
+        if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+        const total = lines.length;
+
+        const ranged = Number.isInteger(startLine) || Number.isInteger(endLine);
+        const first = Math.max(1, Number.isInteger(startLine) ? startLine : 1);
+        if (first > total) return `Error: ${filePath} has only ${total} line${total === 1 ? '' : 's'}.`;
+        const last = Math.min(total, Number.isInteger(endLine) ? Math.max(endLine, first) : first + limit - 1);
+
+        const width = String(last).length;
+        const body = lines.slice(first - 1, last).map((line, i) => `${String(first + i).padStart(width)}| ${line}`).join('\n');
+        let header = `${filePath} (${total} line${total === 1 ? '' : 's'})`;
+        if (first > 1 || last < total) {
+            header = `${filePath} (lines ${first}-${last} of ${total}`;
+            header += !ranged && last < total ? `; use startLine/endLine or file_outline to read the rest)` : ')';
+        }
+        return `${header}\n${body}`;
+    }
+
+    async fileOutline(filePath) {
+        if (!this.kg) return "Error: Knowledge Graph not active.";
+        const content = await this.readFile(filePath);
+        if (content === "Error: File not found.") return content;
+        // Files can change outside the tools (run_command, git), so index what is on disk now
+        const relPath = this.relativePath(this.resolvePath(filePath));
+        await this.kg.indexFile(relPath, content);
+
+        const total = content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+        const outline = this.kg.outline(relPath);
+        if (outline.length === 0) return `${relPath} (${total} lines): no classes or functions found. Use read_file.`;
+        const out = [`${relPath} (${total} lines):`];
+        const walk = (items, depth) => items.forEach(item => {
+            out.push(`${'  '.repeat(depth)}${describeSymbol(item)} (${lineSpan(item)})`);
+            walk(item.children, depth + 1);
+        });
+        walk(outline, 0);
+        return out.join('\n');
+    }
+
     async writeFile(filePath, content) {
         const fullPath = this.resolvePath(filePath);
         if (this.workspace) {
@@ -221,8 +718,8 @@ class ToolSet {
             result = await this.workspace.applyPatch(filePath, search, replace);
         } else {
             const content = await fs.readFile(fullPath, 'utf8');
-            if (content.includes(search)) {
-                const newContent = content.split(search).join(replace);
+            const newContent = Workspace.replaceContent(content, search, replace);
+            if (newContent !== null) {
                 await fs.outputFile(fullPath, newContent);
                 result = { success: true };
             } else {
@@ -250,82 +747,458 @@ class ToolSet {
         }
     }
 
+    async planPatch({ patch = null, edits = [] } = {}) {
+        return planPatch({ patch, edits: edits || [] }, async (p) => {
+            const fullPath = this.resolvePath(p);
+            return await fs.pathExists(fullPath) ? fs.readFile(fullPath, 'utf8') : null;
+        }, p => this.relativePath(this.resolvePath(p)));
+    }
+
+    // All files or none: a failed write restores the files already written.
+    async applyPatch({ patch = null, edits = [], dryRun = false } = {}) {
+        if (!patch && !(edits && edits.length)) return "Error: Provide a unified diff in 'patch' and/or search/replace 'edits'.";
+        const plan = await this.planPatch({ patch, edits });
+        if (plan.rejects.length) {
+            const clean = plan.files.filter(f => !plan.rejects.some(r => r.path === f.path)).map(f => f.path);
+            const ok = clean.length ? `\nThese files would have applied cleanly: ${clean.join(', ')}.` : '';
+            return `Error: Patch rejected, no files were changed.\n\n${formatRejects(plan.rejects)}${ok}\nFix the failing parts (read the file again if unsure) and resend the whole patch.`;
+        }
+        if (plan.files.length === 0) return "Patch applies but changes nothing.";
+
+        const summary = plan.files.map(f => {
+            const diff = unifiedDiff(f.before || '', f.after, f.path).split('\n');
+            const added = diff.filter(l => l.startsWith('+') && !l.startsWith('+++')).length;
+            const removed = diff.filter(l => l.startsWith('-') && !l.startsWith('---')).length;
+            const notes = f.notes.length ? ` [${f.notes.join('; ')}]` : '';
+            return `  ${f.path}${f.created ? ' (new)' : ''}: +${added} -${removed}${notes}`;
+        }).join('\n');
+        if (dryRun) return `Dry run: the patch applies cleanly. Nothing was written.\n${summary}`;
+
+        const written = [];
+        try {
+            for (const f of plan.files) {
+                await fs.outputFile(this.resolvePath(f.path), f.after);
+                written.push(f);
+            }
+        } catch (e) {
+            for (const f of written) {
+                const fullPath = this.resolvePath(f.path);
+                if (f.before === null) await fs.remove(fullPath).catch(() => {});
+                else await fs.outputFile(fullPath, f.before).catch(() => {});
+            }
+            return `Error: Writing ${plan.files[written.length].path} failed (${e.message}); all changes were rolled back.`;
+        }
+
+        let warnings = "";
+        for (const f of plan.files) {
+            if (this.kg) await this.kg.indexFile(path.relative(this.workspaceDir, this.resolvePath(f.path)), f.after);
+            if (this.workspace) {
+                const check = await this.workspace.validateSyntax(f.path);
+                if (!check.valid) warnings += `\n⚠️  WARNING: Syntax error detected in ${f.path} after patch:\n${check.error}`;
+            }
+        }
+        return `Successfully applied patch to ${plan.files.length} file(s):\n${summary}${warnings}`;
+    }
+
+    relativePath(fullPath) {
+        return path.relative(this.workspaceDir, fullPath).split(path.sep).join('/');
+    }
+
+    async filesIn(dir) {
+        const files = [];
+        const walk = async (d) => {
+            for (const dirent of await fs.readdir(d, { withFileTypes: true })) {
+                const res = path.join(d, dirent.name);
+                if (dirent.isDirectory()) await walk(res);
+                else files.push(this.relativePath(res));
+            }
+        };
+        await walk(dir);
+        return files;
+    }
+
+    // Files outside `paths` that import one of them (per the Knowledge Graph).
+    importersOf(paths) {
+        if (!this.kg) return [];
+        const importers = new Set();
+        for (const p of paths) this.kg.getDependents(p).forEach(d => importers.add(d));
+        return [...importers].filter(f => !paths.includes(f));
+    }
+
+    async deleteFile(filePath, recursive = false) {
+        const fullPath = this.resolvePath(filePath);
+        if (fullPath === this.sandbox.rootDir) return "Error: Refusing to delete the project directory.";
+        const stat = await fs.lstat(fullPath).catch(() => null);
+        if (!stat) return "Error: File not found.";
+
+        const isDir = stat.isDirectory();
+        const files = isDir ? await this.filesIn(fullPath) : [this.relativePath(fullPath)];
+        if (isDir && files.length > 0 && !recursive) {
+            return `Error: ${filePath} is a directory with ${files.length} files. Pass recursive: true to delete it.`;
+        }
+        const importers = this.importersOf(files);
+
+        await fs.remove(fullPath);
+        for (const f of files) {
+            if (this.kg) await this.kg.removeFile(f);
+            if (this.blackboard) await this.blackboard.removeFile(f);
+            if (this.onFilesChanged) await this.onFilesChanged({ action: 'delete', path: f });
+        }
+
+        const what = isDir ? `directory ${filePath} (${files.length} file${files.length === 1 ? '' : 's'})` : filePath;
+        const hint = importers.length ? `\nThese files import it and need updating: ${importers.join(', ')}` : '';
+        return `Deleted ${what}.${hint}`;
+    }
+
+    async moveFile(from, to, overwrite = false) {
+        const fromPath = this.resolvePath(from);
+        const toPath = this.resolvePath(to);
+        if (fromPath === this.sandbox.rootDir) return "Error: Refusing to move the project directory.";
+        const stat = await fs.lstat(fromPath).catch(() => null);
+        if (!stat) return `Error: ${from} not found.`;
+        if (toPath.startsWith(`${fromPath}${path.sep}`)) return `Error: Cannot move ${from} into itself.`;
+        if (await fs.pathExists(toPath) && !overwrite) {
+            return `Error: ${to} already exists. Pass overwrite: true to replace it.`;
+        }
+
+        const isDir = stat.isDirectory();
+        const files = isDir ? await this.filesIn(fromPath) : [this.relativePath(fromPath)];
+        const renames = files.map(f => [f, this.relativePath(path.join(toPath, path.relative(fromPath, path.join(this.workspaceDir, f))))]);
+        const importers = this.importersOf(files);
+
+        await fs.move(fromPath, toPath, { overwrite: Boolean(overwrite) });
+        for (const [oldPath, newPath] of renames) {
+            if (this.kg) await this.kg.renameFile(oldPath, newPath);
+            if (this.blackboard) await this.blackboard.renameFile(oldPath, newPath);
+            if (this.onFilesChanged) await this.onFilesChanged({ action: 'move', path: oldPath, to: newPath });
+        }
+
+        const what = isDir ? `directory ${from} (${files.length} file${files.length === 1 ? '' : 's'})` : from;
+        const hint = importers.length ? `\nThese files import the old path and need updating: ${importers.join(', ')}` : '';
+        return `Moved ${what} to ${to}.${hint}`;
+    }
+
+    async createDirectory(dirPath) {
+        const fullPath = this.resolvePath(dirPath);
+        const stat = await fs.stat(fullPath).catch(() => null);
+        if (stat && !stat.isDirectory()) return `Error: ${dirPath} exists and is a file.`;
+        await fs.ensureDir(fullPath);
+        return stat ? `Directory ${dirPath} already exists.` : `Created directory ${dirPath}.`;
+    }
+
+    // Refs are passed to git as arguments, never through a shell; still, no options
+    checkRef(ref) {
+        if (ref && (ref.startsWith('-') || /\s/.test(ref))) throw new Error(`Invalid ref "${ref}".`);
+    }
+
+    async gitDiff(filePath = null, ref = 'HEAD', stat = false) {
+        this.checkRef(ref);
+        const target = filePath ? this.relativePath(this.resolvePath(filePath)) : null;
+        const { diff, untracked } = await this.git.diff({ path: target, ref: ref || 'HEAD', stat });
+        if (!diff.trim() && untracked.length === 0) return `No changes${target ? ` in ${target}` : ''} against ${ref || 'HEAD'}.`;
+        const extra = untracked.length ? `\nUntracked files:\n${untracked.join('\n')}` : '';
+        return clip(`${diff}${extra}`);
+    }
+
+    async gitLog(filePath = null, limit = 10) {
+        const target = filePath ? this.relativePath(this.resolvePath(filePath)) : null;
+        const commits = await this.git.log({ path: target, limit: Math.min(Math.max(limit || 10, 1), 50) });
+        if (commits.length === 0) return "No commits.";
+        return commits.map(c => `${c.sha} ${c.date} ${c.author}: ${c.subject}`).join('\n');
+    }
+
+    async gitRestoreFile(filePath, ref = 'HEAD') {
+        this.checkRef(ref);
+        const target = this.relativePath(this.resolvePath(filePath));
+        if (!await this.git.fileExistsAt(ref || 'HEAD', target)) {
+            return `Error: ${target} does not exist at ${ref || 'HEAD'}. To drop a new file, use delete_file.`;
+        }
+        await this.git.restoreFile(target, ref || 'HEAD');
+        if (this.kg) await this.kg.indexFile(target, await fs.readFile(this.resolvePath(target), 'utf8'));
+        return `Restored ${target} from ${ref || 'HEAD'}.`;
+    }
+
     async listFiles(dirPath = '.', recursive = true) {
         const fullPath = this.resolvePath(dirPath);
         if (recursive) {
-            const files = [];
-            const getFiles = async (dir) => {
-                const dirents = await fs.readdir(dir, { withFileTypes: true });
-                for (const dirent of dirents) {
-                    const res = path.resolve(dir, dirent.name);
-                    if (dirent.isDirectory()) {
-                        if (dirent.name !== 'node_modules' && dirent.name !== '.git') {
-                            await getFiles(res);
-                        }
-                    } else {
-                        files.push(path.relative(this.workspaceDir, res));
-                    }
-                }
-            };
-            await getFiles(fullPath);
+            const files = await this.projectFiles(this.relativePath(fullPath));
             return files.length > 0 ? files.join('\n') : "No files found.";
         } else {
-            const files = await fs.readdir(fullPath);
-            return files.join('\n');
+            // A directory that doesn't exist yet (tests/ of a new project) has no files, like above
+            const files = await fs.pathExists(fullPath) ? await fs.readdir(fullPath) : [];
+            return files.length > 0 ? files.join('\n') : "No files found.";
         }
     }
 
-    async runCommand(command) {
-        try {
-            const { stdout, stderr } = await execPromise(command, { cwd: this.workspaceDir });
-            return `STDOUT:\n${stdout}\nSTDERR:\n${stderr}`;
-        } catch (e) {
-            return `Execution Failed:\n${e.message}\nSTDOUT:\n${e.stdout}\nSTDERR:\n${e.stderr}`;
-        }
+    // Files the agents should see: .gitignore and the always-ignored directories applied.
+    // Re-read on every call, since agents edit .gitignore during a run.
+    async projectFiles(dirPath = '.') {
+        return new IgnoreMatcher(this.workspaceDir).listFiles(dirPath || '.');
     }
 
-    async searchFiles(pattern, dirPath = '.') {
-        const fullPath = this.resolvePath(dirPath);
-        
-        try {
-            const safePattern = pattern.replace(/"/g, '\\"');
-            const command = `grep -r -n -I -i -E -C 2 "${safePattern}" "${fullPath}" --exclude-dir=node_modules --exclude-dir=.git --exclude-dir=dist --exclude-dir=build --exclude-dir=.next --exclude-dir=.cache --exclude=package-lock.json`;
-            
-            const { stdout } = await execPromise(command, { encoding: 'utf8' }).catch(e => ({ stdout: "" })); 
-            
-            if (!stdout) return "No matches found.";
-            
-            if (stdout.length > 8000) {
-                return stdout.substring(0, 8000) + "\n... (Truncated)";
-            }
-            return stdout;
-        } catch (e) {
-            return `Search failed: ${e.message}`;
+    async runCommand(command, signal = null) {
+        const result = await this.sandbox.run(command, { signal });
+        const output = `STDOUT:\n${result.stdout}\nSTDERR:\n${result.stderr}`;
+
+        let failure = null;
+        if (result.timedOut) {
+            failure = `Timed out after ${this.sandbox.limits.timeoutSeconds}s and was killed. Start servers and watchers with start_process instead.`;
+        } else if (result.cancelled) {
+            failure = 'Cancelled.';
+        } else if (result.exitCode !== 0) {
+            failure = result.signal ? `Killed by ${result.signal} (a resource limit may have been hit).` : `Exit code ${result.exitCode}.`;
         }
+        return failure ? `Execution Failed: ${failure}\n${output}` : output;
+    }
+
+    formatProcessOutput(id) {
+        const { proc, stdout, stderr, skipped } = this.processes.read(id);
+        const note = skipped ? `\n(${skipped} earlier characters not shown)` : '';
+        return `Process ${proc.id} [${proc.name}] pid ${proc.pid}: ${this.processes.describeStatus(proc)}.${note}\nSTDOUT:\n${stdout}\nSTDERR:\n${stderr}`;
+    }
+
+    async startProcess(command, name = null, cwd = null) {
+        const proc = this.processes.start(command, { name, cwd });
+        // Give it a moment so immediate failures (missing binary, syntax error) show up in the result
+        await Promise.race([proc.exited, new Promise(resolve => setTimeout(resolve, 1000))]);
+        const hint = proc.status === 'running'
+            ? `Use wait_for_process to wait until it is ready, read_process_output for new logs, stop_process when done.`
+            : `It already exited; fix the problem and start it again.`;
+        return `Started ${proc.id}. ${hint}\n${this.formatProcessOutput(proc.id)}`;
+    }
+
+    async waitForProcess(id, { port = null, pattern = null, timeoutSeconds = 30 } = {}, signal = null) {
+        const timeout = Math.min(Math.max(timeoutSeconds || 30, 1), 300);
+        const result = await this.processes.waitFor(id, { port, pattern, timeoutSeconds: timeout, signal });
+        const verdict = result.ready ? `Ready: ${result.reason}.` : `Not ready: ${result.reason}.`;
+        return `${verdict}\n${this.formatProcessOutput(id)}`;
+    }
+
+    readProcessOutput(id) {
+        return this.formatProcessOutput(id);
+    }
+
+    sendProcessInput(id, input, { newline = true, close = false } = {}) {
+        const text = newline === false ? input : `${input}\n`;
+        const proc = this.processes.write(id, text, { close });
+        return `Sent ${text.length} characters to ${proc.id}${close ? ' and closed its stdin' : ''}. Use read_process_output to see the response.`;
+    }
+
+    async stopProcess(id) {
+        await this.processes.stop(id);
+        return this.formatProcessOutput(id);
+    }
+
+    listProcesses(runningOnly = false) {
+        const procs = runningOnly ? this.processes.running() : this.processes.list();
+        if (procs.length === 0) return "No background processes.";
+        return procs.map(p => `${p.id} [${p.name}] pid ${p.pid}: ${this.processes.describeStatus(p)}`).join('\n');
+    }
+
+    async searchFiles(args, signal = null) {
+        const clamp = (value, fallback, min, max) => Math.min(Math.max(Number.isInteger(value) ? value : fallback, min), max);
+        const start = this.resolvePath(args.path || '.'); // Throws PathEscapeError, symlinks included
+        const result = await searchFiles(this.workspaceDir, {
+            pattern: args.pattern,
+            path: path.relative(this.workspaceDir, start) || '.',
+            literal: Boolean(args.literal),
+            caseSensitive: Boolean(args.caseSensitive),
+            include: args.include,
+            exclude: args.exclude,
+            maxPerFile: clamp(args.maxPerFile, 20, 1, 200),
+            context: clamp(args.contextLines, 2, 0, 10),
+            offset: clamp(args.offset, 0, 0, Number.MAX_SAFE_INTEGER),
+            limit: SEARCH_PAGE_SIZE,
+            signal
+        });
+        return formatSearchResult(result);
     }
 
     async searchSymbols(query) {
         if (!this.kg) return "Error: Knowledge Graph not active.";
-        const files = this.kg.getRelevantFiles(query);
-        if (files.length === 0) return "No relevant symbols found in Knowledge Graph.";
-        
-        return `Found relevant symbols in:\n${files.join('\n')}`;
+        if (!query || !query.trim()) return "Error: query is required.";
+        const symbols = (await this.kg.searchSymbols(query)).slice(0, SYMBOL_RESULTS);
+        const files = await this.kg.getRelevantFiles(query, { limit: RELATED_FILES });
+        if (symbols.length === 0 && files.length === 0) return "No relevant symbols found in Knowledge Graph.";
+
+        const out = symbols.length
+            ? [`Found ${symbols.length} symbol${symbols.length === 1 ? '' : 's'}:`, ...symbols.map(s => `${s.file}:${s.line}: ${describeSymbol(s)}${s.parent ? ` (in ${s.parent})` : ''}`)]
+            : ['No symbol names match.'];
+        if (files.length) {
+            out.push('', 'Most relevant files:');
+            for (const f of files) {
+                out.push(`${f.file} (score ${f.score}; ${f.reasons.join(', ')})${f.snippet ? `\n  ${f.snippet.line}: ${f.snippet.text}` : ''}`);
+            }
+        }
+        return out.join('\n');
     }
 
-    async getFileContext(filePath) {
-        const content = await this.readFile(filePath);
+    // Outline and imports first, so a cut-off content still shows the whole file's shape.
+    async getFileContext(filePath, { maxLines = READ_LINE_LIMIT } = {}) {
+        const content = await this.readFileLines(filePath, null, null, maxLines);
         if (content.startsWith("Error")) return content;
 
-        let context = `--- FILE: ${filePath} ---\n${content}\n`;
-
+        let context = `--- FILE: ${filePath} ---\n`;
         if (this.kg) {
-            const symbols = this.kg.fileMap[filePath] || [];
-            const deps = this.kg.getDependencies(filePath);
-            context += `\nSymbols defined: ${symbols.join(', ')}`;
-            context += `\nDependencies: ${deps.join(', ')}`;
+            const relPath = this.relativePath(this.resolvePath(filePath));
+            const outline = (await this.fileOutline(relPath)).split('\n').slice(1).join('\n'); // Re-indexes the file too
+            context += `Outline:\n${outline || '(no classes or functions)'}\n`;
+            context += `Dependencies: ${this.kg.imports(relPath).map(describeImport).join(', ') || 'none'}\n`;
+            context += `Used by: ${this.kg.getDependents(relPath).filter(f => f !== relPath).join(', ') || 'none'}\n`;
         }
+        return `${context}\n${content}`;
+    }
+
+    async dependencyGraph({ path: filePath, direction = 'both', depth = 1 }) {
+        if (!this.kg) return "Error: Knowledge Graph not active.";
+        const content = await this.readFile(filePath);
+        if (content === "Error: File not found.") return content;
+        const relPath = this.relativePath(this.resolvePath(filePath));
+        await this.kg.indexFile(relPath, content);
+
+        const out = [];
+        if (direction !== 'importers') {
+            const imports = this.kg.imports(relPath);
+            out.push(imports.length ? `${relPath} imports:` : `${relPath} imports nothing.`);
+            for (const r of imports) out.push(`  ${r.specifier} -> ${describeImport(r, { missing: !this.isInWorkspace(r) })}`);
+        }
+        if (direction !== 'imports') {
+            // Breadth-first up the importers, each file listed once at its nearest level
+            const maxDepth = Math.min(Math.max(parseInt(depth, 10) || 1, 1), 3);
+            const seen = new Set([relPath]);
+            const lines = [];
+            let level = [relPath];
+            for (let d = 1; d <= maxDepth && level.length; d++) {
+                const next = [];
+                for (const file of level) {
+                    for (const importer of this.kg.getDependents(file)) {
+                        if (seen.has(importer)) continue;
+                        seen.add(importer);
+                        next.push(importer);
+                        lines.push(`  ${importer}${d > 1 ? ` (via ${file})` : ''}`);
+                    }
+                }
+                level = next;
+            }
+            if (out.length) out.push('');
+            out.push(lines.length ? `Imported by${maxDepth > 1 ? ` (up to ${maxDepth} levels)` : ''}:` : `No indexed file imports ${relPath}.`, ...lines);
+        }
+        return out.join('\n');
+    }
+
+    // Definitions of a find_references / call_graph symbol -> [{ name, ...entry }] or an "Error: ..." string
+    symbolDefinitions(symbol, filePath) {
+        if (!symbol) return "Error: symbol is required.";
+        const relPath = filePath ? this.relativePath(this.resolvePath(filePath)) : null;
+        const definitions = this.kg.definitions(symbol, relPath);
+        if (relPath && definitions.length === 0) return `Error: No symbol "${symbol}" is defined in ${relPath}.`;
+        return definitions;
+    }
+
+    async findReferences({ symbol, path: filePath }) {
+        if (!this.kg) return "Error: Knowledge Graph not active.";
+        const definitions = this.symbolDefinitions(symbol, filePath);
+        if (typeof definitions === 'string') return definitions;
+        const name = symbol.split('.').pop();
+        const references = this.kg.findReferences(name, definitions);
+
+        const out = definitions.length
+            ? definitions.map(d => `${d.file}:${d.line}: ${describeSymbol(d)}${d.parent ? ` (in ${d.parent})` : ''}`)
+            : [`"${symbol}" is not defined in the project; listing uses of the name.`];
+        if (references.length === 0) return [...out, `No uses of ${name} found.`].join('\n');
+
+        const sourceLines = new Map();
+        const lineText = async (file, line) => {
+            if (!sourceLines.has(file)) {
+                sourceLines.set(file, (await fs.readFile(path.join(this.workspaceDir, file), 'utf8').catch(() => '')).split(/\r?\n/));
+            }
+            return collapseLine(sourceLines.get(file)[line - 1] || '');
+        };
+        const format = async (r) => `${r.file}:${r.line}${r.caller ? ` [in ${r.caller.parent ? `${r.caller.parent}.` : ''}${r.caller.name}]` : ''}: ${await lineText(r.file, r.line)}`;
+
+        const certain = references.filter(r => r.certain);
+        const byName = references.filter(r => !r.certain);
+        const files = new Set(references.map(r => r.file)).size;
+        const calls = references.filter(r => r.call).length;
+        out.push('', `${references.length} use${references.length === 1 ? '' : 's'} in ${files} file${files === 1 ? '' : 's'} (${calls} call${calls === 1 ? '' : 's'}):`);
+        let shown = 0;
+        for (const r of certain) {
+            if (shown++ >= REFERENCE_LIMIT) break;
+            out.push(await format(r));
+        }
+        if (byName.length && shown < REFERENCE_LIMIT) {
+            out.push('', definitions.length
+                ? 'Same name in files that do not import the definition (other objects, globals or dynamic access; check before relying on them):'
+                : 'Uses:');
+            for (const r of byName) {
+                if (shown++ >= REFERENCE_LIMIT) break;
+                out.push(await format(r));
+            }
+        }
+        if (references.length > REFERENCE_LIMIT) out.push(`... and ${references.length - REFERENCE_LIMIT} more.`);
+        return out.join('\n');
+    }
+
+    async callGraph({ symbol, path: filePath, direction = 'both', depth = 1 }) {
+        if (!this.kg) return "Error: Knowledge Graph not active.";
+        const definitions = this.symbolDefinitions(symbol, filePath);
+        if (typeof definitions === 'string') return definitions;
+        if (definitions.length === 0) return `No symbol named "${symbol}" in the Knowledge Graph. Try search_symbols.`;
+
+        const maxDepth = Math.min(Math.max(parseInt(depth, 10) || 1, 1), 3);
+        const label = (d) => `${d.parent ? `${d.parent}.` : ''}${d.name}`;
+        const where = (d) => `${d.file}:${d.line}`;
+        const key = (d) => `${d.file}:${d.line}:${d.name}`;
+        const out = definitions.map(d => `${where(d)}: ${describeSymbol(d)}${d.parent ? ` (in ${d.parent})` : ''}`);
+
+        if (direction !== 'callees') {
+            // Breadth-first: each level's callers are the functions around the calls of the previous level
+            const seen = new Set(definitions.map(key));
+            const lines = [];
+            let level = [{ name: definitions[0].name, definitions, via: null }];
+            for (let d = 1; d <= maxDepth && level.length; d++) {
+                const next = [];
+                for (const target of level) {
+                    for (const r of this.kg.findReferences(target.name, target.definitions).filter(ref => ref.call)) {
+                        const caller = r.caller;
+                        const id = caller ? key(caller) : `${r.file}:top`;
+                        if (seen.has(id)) continue;
+                        seen.add(id);
+                        lines.push(`  ${'  '.repeat(d - 1)}${r.file}:${r.line}: ${caller ? label(caller) : '(module level)'}${target.via ? ` (via ${target.via})` : ''}${r.certain ? '' : ' (name match only)'}`);
+                        if (caller) next.push({ name: caller.name, definitions: [caller], via: label(caller) });
+                    }
+                }
+                level = next;
+            }
+            out.push('', lines.length ? `Called by${maxDepth > 1 ? ` (up to ${maxDepth} levels)` : ''}:` : `No calls to ${symbol} found.`, ...lines);
+        }
+
+        if (direction !== 'callers') {
+            const seen = new Set(definitions.map(key));
+            const lines = [];
+            let level = definitions.map(definition => ({ definition, via: null }));
+            for (let d = 1; d <= maxDepth && level.length; d++) {
+                const next = [];
+                for (const { definition, via } of level) {
+                    for (const callee of this.kg.callees(definition)) {
+                        const targets = callee.definitions.filter(t => !seen.has(key(t)));
+                        if (targets.length === 0) continue;
+                        targets.forEach(t => seen.add(key(t)));
+                        const shown = targets.slice(0, 3).map(where).join(', ') + (targets.length > 3 ? ', ...' : '');
+                        lines.push(`  ${'  '.repeat(d - 1)}${callee.name} -> ${shown}${via ? ` (via ${via})` : ''}${callee.certain ? '' : ' (name match only)'}`);
+                        // Ambiguous names are not followed further: the graph would fan out into guesses
+                        if (targets.length === 1) next.push({ definition: targets[0], via: label(targets[0]) });
+                    }
+                }
+                level = next;
+            }
+            out.push('', lines.length ? `Calls${maxDepth > 1 ? ` (up to ${maxDepth} levels)` : ''}:` : `${symbol} calls no function defined in the project.`, ...lines);
+        }
+        return out.join('\n');
+    }
 
-        return context;
+    isInWorkspace(resolved) {
+        return resolved.kind !== 'local' || fs.existsSync(path.join(this.workspaceDir, resolved.path));
     }
 }
 
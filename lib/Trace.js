@@ -0,0 +1,175 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+// Per-run agent transcripts: <project>/.codegrounds/traces/<runId>.jsonl, one event per line.
+// Every event has { ts, type } plus the attribution fields that apply (agent, phase, file, conversation).
+//
+//   run-start        { prompt, project }
+//   agent-start      { agent, role, conversation, provider, model, systemInstruction, task }
+//   user-message     { agent, conversation, text }                 (follow-ups, e.g. schema repairs)
+//   llm-response     { agent, provider, model, key, attempt, durationMs, text, toolCalls, usage, finishReason }
+//   llm-error        { agent, provider, model, key, attempt, durationMs, error, retry }
+//   tool             { agent, conversation, tool, args, result, durationMs }
+//   compaction       { agent, conversation, before, after }
+//   approval         { agent, tool, args, reason, decision, feedback }
+//   question         { agent, question, choices, answer, source }       (ask_user)
+//   agent-end        { agent, conversation, text } | { agent, conversation, error }
+//   run-end          { status, error?, durationMs }
+
+const TRACE_DIR = path.join('.codegrounds', 'traces');
+
+function traceDir(projectDir) {
+    return path.join(projectDir, TRACE_DIR);
+}
+
+// Sortable and readable: 20261019-142501-ab12
+function newRunId(date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+class Tracer {
+    constructor(projectDir, runId = newRunId()) {
+        this.runId = runId;
+        this.path = path.join(traceDir(projectDir), `${runId}.jsonl`);
+        this.writeQueue = fs.ensureDir(path.dirname(this.path));
+        this.failed = false;
+    }
+
+    // Fire and forget; appends are serialized so parallel agents never interleave lines.
+    log(type, data = {}) {
+        const line = JSON.stringify({ ts: new Date().toISOString(), type, ...data }) + '\n';
+        this.writeQueue = this.writeQueue
+            .then(() => fs.appendFile(this.path, line))
+            .catch(e => {
+                if (!this.failed) console.warn(chalk.yellow(`⚠️  Trace disabled: ${e.message}`));
+                this.failed = true;
+            });
+    }
+
+    async flush() {
+        await this.writeQueue;
+    }
+}
+
+// Newest first: [{ runId, path, size, mtime }]
+async function listRuns(projectDir) {
+    const dir = traceDir(projectDir);
+    if (!await fs.pathExists(dir)) return [];
+    const runs = [];
+    for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith('.jsonl')) continue;
+        const fullPath = path.join(dir, name);
+        const stat = await fs.stat(fullPath);
+        runs.push({ runId: name.slice(0, -'.jsonl'.length), path: fullPath, size: stat.size, mtime: stat.mtime });
+    }
+    return runs.sort((a, b) => b.runId.localeCompare(a.runId));
+}
+
+// A run that was killed mid-write may end with a partial line; it is skipped.
+async function readTrace(projectDir, runId) {
+    const runs = await listRuns(projectDir);
+    const run = runId === 'latest' ? runs[0] : runs.find(r => r.runId === runId || r.runId.startsWith(runId));
+    if (!run) throw new Error(`No trace "${runId}" in ${traceDir(projectDir)}`);
+
+    const events = [];
+    for (const line of (await fs.readFile(run.path, 'utf8')).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            events.push(JSON.parse(line));
+        } catch (e) {}
+    }
+    return { run, events };
+}
+
+// filters: { agent, file, tool, type } — substring match, case-insensitive.
+// Tool filters keep the LLM responses that issued the call, so the "why" stays next to the "what".
+function filterEvents(events, filters = {}) {
+    const has = (value, needle) => value !== undefined && value !== null && String(value).toLowerCase().includes(needle.toLowerCase());
+    const inArgs = (args, file) => args && (has(args.path, file) || has(args.from, file) || has(args.to, file) || has(args.patch, file) ||
+        (args.edits || []).some(x => x && has(x.path, file)));
+    const mentionsFile = (e, file) => has(e.file, file) || inArgs(e.args, file) || (e.toolCalls || []).some(c => inArgs(c.args, file));
+
+    return events.filter(e => {
+        if (filters.agent && !has(e.agent, filters.agent)) return false;
+        if (filters.type && !has(e.type, filters.type)) return false;
+        if (filters.file && !mentionsFile(e, filters.file)) return false;
+        if (filters.tool) {
+            const issued = (e.toolCalls || []).some(c => has(c.name, filters.tool));
+            if (!has(e.tool, filters.tool) && !issued) return false;
+        }
+        return true;
+    });
+}
+
+function clip(text, max) {
+    const str = typeof text === 'string' ? text : JSON.stringify(text);
+    if (str === undefined) return '';
+    return max && str.length > max ? `${str.slice(0, max)}… (${str.length - max} more chars)` : str;
+}
+
+function indent(text) {
+    return text.split('\n').map(line => `      ${line}`).join('\n');
+}
+
+// One event as terminal text. `full` prints prompts, arguments and results untruncated.
+function formatEvent(event, { full = false } = {}) {
+    const max = full ? 0 : 300;
+    const time = chalk.gray(event.ts ? event.ts.slice(11, 19) : '--:--:--');
+    const who = event.agent ? chalk.cyan(`[${event.agent}]`) : '';
+    const where = [event.phase, event.file].filter(Boolean).join(' ');
+    const head = `${time} ${who} ${where ? chalk.gray(where) + ' ' : ''}`;
+
+    switch (event.type) {
+        case 'run-start':
+            return `${time} ${chalk.blue.bold('▶ Run started')} ${event.project || ''}\n${indent(clip(event.prompt, max))}`;
+        case 'run-end':
+            return `${time} ${event.status === 'success' ? chalk.green.bold('■ Run finished') : chalk.red.bold(`■ Run ${event.status}`)}` +
+                `${event.durationMs ? chalk.gray(` (${(event.durationMs / 1000).toFixed(1)}s)`) : ''}${event.error ? `: ${event.error}` : ''}`;
+        case 'agent-start':
+            return `${head}${chalk.bold(`→ ${event.role || 'task'}`)} ${chalk.gray(`#${event.conversation} ${event.provider || ''} ${event.model || ''}`)}\n` +
+                (full && event.systemInstruction ? `${indent(chalk.gray(event.systemInstruction.trim()))}\n` : '') +
+                indent(clip(event.task, max));
+        case 'user-message':
+            return `${head}${chalk.bold('→ follow-up')}\n${indent(clip(event.text, max))}`;
+        case 'llm-response': {
+            const calls = (event.toolCalls || []).map(c => `${c.name}(${clip(c.args, full ? 0 : 120)})`);
+            const tokens = event.usage ? `${event.usage.totalTokens || 0} tok` : '';
+            return `${head}${chalk.magenta('🤖')} ${chalk.gray(`${event.model} key ${event.key} · ${event.durationMs}ms · ${tokens}`)}` +
+                (event.text ? `\n${indent(clip(event.text, max))}` : '') +
+                (calls.length ? `\n${indent(calls.map(c => chalk.yellow(`🛠️  ${c}`)).join('\n'))}` : '');
+        }
+        case 'llm-error':
+            return `${head}${chalk.red('⚠️  LLM error')} ${chalk.gray(`${event.model} key ${event.key} attempt ${event.attempt + 1}`)}` +
+                `${event.retry ? chalk.yellow(` → retry (${event.retry})`) : ''}\n${indent(clip(event.error, max))}`;
+        case 'tool': {
+            const failed = typeof event.result === 'string' && event.result.startsWith('Error');
+            return `${head}${chalk.yellow(`🛠️  ${event.tool}`)} ${chalk.gray(`${event.durationMs}ms`)}\n` +
+                `${indent(chalk.gray(`args: ${clip(event.args, full ? 0 : 200)}`))}\n` +
+                indent((failed ? chalk.red : (s => s))(clip(event.result, max)));
+        }
+        case 'approval': {
+            const args = event.args || {};
+            const subject = args.command || args.path || (args.from ? `${args.from} → ${args.to}` : '');
+            const color = event.decision.startsWith('approved') ? chalk.green : chalk.red;
+            return `${head}${color(`🔐 ${event.decision}`)} ${event.tool} ${clip(subject, max)} ${chalk.gray(`(${event.reason})`)}` +
+                (event.feedback ? `\n${indent(`user: ${event.feedback}`)}` : '');
+        }
+        case 'question':
+            return `${head}${chalk.cyan(`❓ ${clip(event.question, max)}`)}` +
+                `${event.choices && event.choices.length ? chalk.gray(` [${event.choices.join(' | ')}]`) : ''}\n` +
+                indent(`${event.source === 'user' ? 'user' : event.source}: ${event.answer || '(no answer)'}`);
+        case 'compaction':
+            return `${head}${chalk.magenta('🗜️  compacted')} ${chalk.gray(`~${event.before} → ~${event.after} tokens`)}`;
+        case 'agent-end':
+            return event.error
+                ? `${head}${chalk.red(`✖ failed: ${event.error}`)}`
+                : `${head}${chalk.green('✔ done')}${event.text ? `\n${indent(clip(event.text, max))}` : ''}`;
+        default:
+            return `${head}${event.type} ${clip(event, max)}`;
+    }
+}
+
+module.exports = { Tracer, newRunId, traceDir, listRuns, readTrace, filterEvents, formatEvent };
@@ -0,0 +1,181 @@
+const chalk = require('chalk');
+
+// USD per 1M tokens. Matched against the model name by the longest contained key,
+// so "models/gemini-1.5-pro-002" resolves to "gemini-1.5-pro". Override with LLM_PRICING (JSON).
+const DEFAULT_PRICING = {
+    'gemini-1.5-pro': { input: 1.25, output: 5.0 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.0 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-3-pro': { input: 2.0, output: 12.0 },
+    'gemini-3-flash': { input: 0.5, output: 3.0 },
+    'gpt-4o': { input: 2.5, output: 10.0 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'claude-opus': { input: 15.0, output: 75.0 },
+    'claude-sonnet': { input: 3.0, output: 15.0 },
+    'claude-haiku': { input: 0.8, output: 4.0 }
+};
+
+class BudgetExceededError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.fatal = true; // Never retried by GeminiClient
+    }
+}
+
+function emptyTotals() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTo(totals, entry) {
+    totals.calls += 1;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.totalTokens += entry.totalTokens;
+    totals.cost += entry.cost;
+}
+
+function numberFromEnv(env, name) {
+    const value = Number(env[name]);
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+class UsageTracker {
+    constructor(options = {}) {
+        const env = options.env || process.env;
+        let customPricing = {};
+        if (env.LLM_PRICING) {
+            try {
+                customPricing = JSON.parse(env.LLM_PRICING);
+            } catch (e) {
+                console.warn(chalk.yellow(`Ignoring invalid LLM_PRICING: ${e.message}`));
+            }
+        }
+        this.pricing = { ...DEFAULT_PRICING, ...customPricing, ...(options.pricing || {}) };
+
+        // Budgets: null means unlimited. Action is "stop" (fail the call) or "downgrade" (switch model).
+        this.budgets = {
+            runTokens: numberFromEnv(env, 'BUDGET_RUN_TOKENS'),
+            runCost: numberFromEnv(env, 'BUDGET_RUN_USD'),
+            agentTokens: numberFromEnv(env, 'BUDGET_AGENT_TOKENS'),
+            agentCost: numberFromEnv(env, 'BUDGET_AGENT_USD'),
+            action: env.BUDGET_ACTION === 'downgrade' ? 'downgrade' : 'stop',
+            downgradeModel: env.BUDGET_DOWNGRADE_MODEL || null,
+            ...(options.budgets || {})
+        };
+
+        this.onChange = null; // Set by the Orchestrator to persist into the Blackboard
+        this.reset();
+    }
+
+    reset(lifetime = null) {
+        this.run = emptyTotals();
+        this.byAgent = {};
+        this.byPhase = {};
+        this.byFile = {};
+        this.byModel = {};
+        this.lifetime = { ...emptyTotals(), ...(lifetime || {}) };
+        this.warned = new Set();
+    }
+
+    priceFor(model) {
+        if (!model) return null;
+        const key = Object.keys(this.pricing)
+            .filter(k => model.includes(k))
+            .sort((a, b) => b.length - a.length)[0];
+        return key ? this.pricing[key] : null;
+    }
+
+    record({ agent = 'Unknown', phase = null, file = null, provider = null, model = null, usage = {} }) {
+        const price = this.priceFor(model);
+        const inputTokens = usage.inputTokens || 0;
+        const outputTokens = usage.outputTokens || 0;
+        const entry = {
+            inputTokens,
+            outputTokens,
+            totalTokens: usage.totalTokens || inputTokens + outputTokens,
+            cost: price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0
+        };
+
+        addTo(this.run, entry);
+        addTo(this.lifetime, entry);
+        addTo(this.byAgent[agent] || (this.byAgent[agent] = emptyTotals()), entry);
+        if (phase) addTo(this.byPhase[phase] || (this.byPhase[phase] = emptyTotals()), entry);
+        if (file) addTo(this.byFile[file] || (this.byFile[file] = emptyTotals()), entry);
+        const modelKey = provider && model ? `${provider}:${model}` : (model || provider || 'unknown');
+        addTo(this.byModel[modelKey] || (this.byModel[modelKey] = emptyTotals()), entry);
+
+        if (this.onChange) this.onChange(this.toJSON());
+        return entry;
+    }
+
+    // Returns { action: 'ok' | 'downgrade' | 'stop', reason }
+    check(agent) {
+        const b = this.budgets;
+        const agentTotals = this.byAgent[agent] || emptyTotals();
+        let reason = null;
+
+        if (b.runTokens && this.run.totalTokens >= b.runTokens) {
+            reason = `run used ${this.run.totalTokens} tokens (budget ${b.runTokens})`;
+        } else if (b.runCost && this.run.cost >= b.runCost) {
+            reason = `run cost $${this.run.cost.toFixed(4)} (budget $${b.runCost})`;
+        } else if (b.agentTokens && agentTotals.totalTokens >= b.agentTokens) {
+            reason = `${agent} used ${agentTotals.totalTokens} tokens (budget ${b.agentTokens})`;
+        } else if (b.agentCost && agentTotals.cost >= b.agentCost) {
+            reason = `${agent} cost $${agentTotals.cost.toFixed(4)} (budget $${b.agentCost})`;
+        }
+
+        if (!reason) return { action: 'ok', reason: null };
+        return { action: b.action, reason };
+    }
+
+    // Throws BudgetExceededError or returns the model to use for the next call.
+    enforce(agent, model) {
+        const verdict = this.check(agent);
+        if (verdict.action === 'ok') return model;
+
+        if (verdict.action === 'downgrade' && this.budgets.downgradeModel) {
+            if (!this.warned.has(agent)) {
+                console.warn(chalk.yellow(`\n💸 Budget reached (${verdict.reason}). ${agent} downgraded to ${this.budgets.downgradeModel}.`));
+                this.warned.add(agent);
+            }
+            return this.budgets.downgradeModel;
+        }
+
+        throw new BudgetExceededError(`Budget exceeded: ${verdict.reason}.`);
+    }
+
+    toJSON() {
+        return {
+            run: this.run,
+            lifetime: this.lifetime,
+            byAgent: this.byAgent,
+            byPhase: this.byPhase,
+            byFile: this.byFile,
+            byModel: this.byModel
+        };
+    }
+
+    printSummary() {
+        if (this.run.calls === 0) return;
+        const fmt = (t) => `${String(t.calls).padStart(4)} calls  ${String(t.inputTokens).padStart(9)} in  ${String(t.outputTokens).padStart(8)} out  $${t.cost.toFixed(4)}`;
+        const section = (title, group) => {
+            const rows = Object.entries(group).sort((a, b) => b[1].totalTokens - a[1].totalTokens);
+            if (rows.length === 0) return;
+            console.log(chalk.bold(`  ${title}`));
+            rows.forEach(([name, totals]) => console.log(`    ${name.padEnd(36).slice(0, 36)} ${fmt(totals)}`));
+        };
+
+        console.log(chalk.cyan.bold('\n💰 Token Usage'));
+        section('By Agent', this.byAgent);
+        section('By Phase', this.byPhase);
+        section('By Model', this.byModel);
+        const topFiles = Object.fromEntries(Object.entries(this.byFile).sort((a, b) => b[1].totalTokens - a[1].totalTokens).slice(0, 10));
+        section('Top Files', topFiles);
+        console.log(chalk.bold(`${'  Run Total'.padEnd(41)}${fmt(this.run)}`));
+        console.log(chalk.gray(`${'  Project Total'.padEnd(41)}${fmt(this.lifetime)}`));
+    }
+}
+
+module.exports = { UsageTracker, BudgetExceededError, DEFAULT_PRICING };
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { exec } = require('child_process');
+const { Git } = require('./Git');
 
 class Workspace {
     constructor(baseDir = 'projects') {
@@ -29,18 +30,16 @@ class Workspace {
 
     async initGit() {
         if (!this.projectDir) return;
-        await this.runCommand('git init');
-        await this.runCommand('git add .');
-        await this.runCommand('git commit -m "Initial commit: Project scaffold"');
+        await new Git(this.projectDir).ensureRepo();
     }
 
+    // -> sha of the new commit, or null (nothing to commit, or git failed)
     async gitCommit(message) {
-        if (!this.projectDir) return;
+        if (!this.projectDir) return null;
         try {
-            await this.runCommand('git add .');
-            await this.runCommand(`git commit -m "${message}"`);
+            return await new Git(this.projectDir).commitAll(message);
         } catch (e) {
-            // Ignore empty commits or errors
+            return null;
         }
     }
 
@@ -186,80 +185,84 @@ class Workspace {
         const fullPath = path.join(this.projectDir, filePath);
         
         try {
-            let content = await fs.readFile(fullPath, 'utf8');
-            
-            // 1. Try Exact Match
-            const cleanSearch = searchContent.trim();
-            if (content.includes(cleanSearch)) {
-                const newContent = content.replace(cleanSearch, replaceContent.trim());
-                await fs.outputFile(fullPath, newContent);
-                return { success: true };
-            }
+            const content = await fs.readFile(fullPath, 'utf8');
+            if (!searchContent.trim()) return { success: false, error: "Search content empty" };
+            const newContent = Workspace.replaceContent(content, searchContent, replaceContent);
+            if (newContent === null) return { success: false, error: "Search content not found (even with robust match)." };
+            await fs.outputFile(fullPath, newContent);
+            return { success: true };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
 
-            // 2. Try Robust Line-by-Line Match (Ignoring Whitespace and Empty Lines)
-            const contentLines = content.split(/\r?\n/);
-            
-            // Map content lines to objects { text: trimmed, originalIndex: i }
-            // Filter out empty lines
-            const normalizedContent = contentLines
-                .map((line, index) => ({ text: line.trim(), index }))
-                .filter(l => l.text.length > 0);
-                
-            const normalizedSearch = cleanSearch
-                .split(/\r?\n/)
-                .map(l => l.trim())
-                .filter(l => l.length > 0);
+    // The text applyPatch writes: the first occurrence of searchContent replaced, or null if it is not found.
+    // Also used for the approval preview, so the diff the user approves is the one that gets written.
+    static replaceContent(content, searchContent, replaceContent) {
+        // 1. Try Exact Match
+        const cleanSearch = searchContent.trim();
+        const exactAt = cleanSearch ? content.indexOf(cleanSearch) : -1;
+        if (exactAt !== -1) {
+            return content.slice(0, exactAt) + replaceContent.trim() + content.slice(exactAt + cleanSearch.length);
+        }
+
+        // 2. Try Robust Line-by-Line Match (Ignoring Whitespace and Empty Lines)
+        const contentLines = content.split(/\r?\n/);
+        
+        // Map content lines to objects { text: trimmed, originalIndex: i }
+        // Filter out empty lines
+        const normalizedContent = contentLines
+            .map((line, index) => ({ text: line.trim(), index }))
+            .filter(l => l.text.length > 0);
             
-            if (normalizedSearch.length === 0) return { success: false, error: "Search content empty" };
+        const normalizedSearch = cleanSearch
+            .split(/\r?\n/)
+            .map(l => l.trim())
+            .filter(l => l.length > 0);
+        
+        if (normalizedSearch.length === 0) return null;
 
-            let matchStartIndex = -1;
+        let matchStartIndex = -1;
 
-            // Search for the sequence
-            for (let i = 0; i <= normalizedContent.length - normalizedSearch.length; i++) {
-                let match = true;
-                for (let j = 0; j < normalizedSearch.length; j++) {
-                    if (normalizedContent[i + j].text !== normalizedSearch[j]) {
-                        match = false;
-                        break;
-                    }
-                }
-                
-                if (match) {
-                    matchStartIndex = i;
+        // Search for the sequence
+        for (let i = 0; i <= normalizedContent.length - normalizedSearch.length; i++) {
+            let match = true;
+            for (let j = 0; j < normalizedSearch.length; j++) {
+                if (normalizedContent[i + j].text !== normalizedSearch[j]) {
+                    match = false;
                     break;
                 }
             }
-
-            if (matchStartIndex !== -1) {
-                // Found match!
-                // Get the original line numbers
-                const startLine = normalizedContent[matchStartIndex].index;
-                const endLine = normalizedContent[matchStartIndex + normalizedSearch.length - 1].index;
-                
-                // Get indentation of the start line
-                const originalIndentation = contentLines[startLine].match(/^\s*/)[0];
-                
-                // Prepare replacement with correct indentation
-                const replaceLines = replaceContent.trim().split(/\r?\n/);
-                const indentedReplace = replaceLines.map((line, i) => {
-                    // If the line is empty, don't indent it
-                    if (line.trim().length === 0) return "";
-                    return originalIndentation + line;
-                }).join('\n');
-
-                // Construct new content
-                const before = contentLines.slice(0, startLine);
-                const after = contentLines.slice(endLine + 1);
-                
-                const newContent = [...before, indentedReplace, ...after].join('\n');
-                await fs.outputFile(fullPath, newContent);
-                return { success: true };
-            }
             
-            return { success: false, error: "Search content not found (even with robust match)." };
-        } catch (e) {
-            return { success: false, error: e.message };
+            if (match) {
+                matchStartIndex = i;
+                break;
+            }
         }
+
+        if (matchStartIndex === -1) return null;
+
+        // Found match!
+        // Get the original line numbers
+        const startLine = normalizedContent[matchStartIndex].index;
+        const endLine = normalizedContent[matchStartIndex + normalizedSearch.length - 1].index;
+        
+        // Get indentation of the start line
+        const originalIndentation = contentLines[startLine].match(/^\s*/)[0];
+        
+        // Prepare replacement with correct indentation
+        const replaceLines = replaceContent.trim().split(/\r?\n/);
+        const indentedReplace = replaceLines.map((line, i) => {
+            // If the line is empty, don't indent it
+            if (line.trim().length === 0) return "";
+            return originalIndentation + line;
+        }).join('\n');
+
+        // Construct new content
+        const before = contentLines.slice(0, startLine);
+        const after = contentLines.slice(endLine + 1);
+        
+        return [...before, indentedReplace, ...after].join('\n');
     }
 
     async runCommand(command) {
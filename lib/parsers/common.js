@@ -0,0 +1,211 @@
+// Helpers shared by the language parsers: line lookup, bracket matching, parameter splitting,
+// reference collection and a tokenizer for C-like languages (Go, Rust, and the generic fallback).
+//
+// Tokens: { type: 'ident' | 'punct' | 'string' | 'number', value, start, end } with offsets into
+// the source; comments and whitespace are dropped.
+
+const SIGNATURE_CAP = 300;
+
+// offset -> 1-based line
+function lineIndex(content) {
+    const starts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') starts.push(i + 1);
+    }
+    return (offset) => {
+        let lo = 0;
+        let hi = starts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo + 1;
+    };
+}
+
+function collapse(text, max = SIGNATURE_CAP) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+
+// index of an opening bracket token -> index of its closing token (and back). Unbalanced
+// brackets are left out, so callers must handle a missing match.
+function matchBrackets(tokens) {
+    const match = new Map();
+    const stack = [];
+    tokens.forEach((t, i) => {
+        if (t.type !== 'punct') return;
+        if (OPENERS[t.value]) {
+            stack.push(i);
+        } else if (CLOSERS[t.value]) {
+            // Skip over openers that were never closed (broken code) to find our partner
+            for (let k = stack.length - 1; k >= 0; k--) {
+                if (tokens[stack[k]].value === CLOSERS[t.value]) {
+                    match.set(stack[k], i);
+                    match.set(i, stack[k]);
+                    stack.length = k;
+                    break;
+                }
+            }
+        }
+    });
+    return match;
+}
+
+// Comma-separated items between two bracket tokens (exclusive), as source text.
+// "<" after an identifier opens type arguments, so "Map<K, V>" stays one item.
+function splitList(src, tokens, open, close) {
+    const items = [];
+    let depth = 0;
+    let angle = 0;
+    let first = null;
+    let last = null;
+    const flush = () => {
+        if (first !== null) items.push(collapse(src.slice(tokens[first].start, tokens[last].end), 120));
+        first = null;
+    };
+    for (let i = open + 1; i < close; i++) {
+        const t = tokens[i];
+        if (t.type === 'punct') {
+            if (OPENERS[t.value]) depth++;
+            else if (CLOSERS[t.value]) depth--;
+            else if (t.value === '<' && i > 0 && tokens[i - 1].type === 'ident') angle++;
+            else if (t.value === '>' && angle > 0) angle--;
+            else if (t.value === ',' && depth === 0 && angle === 0) {
+                flush();
+                continue;
+            }
+        }
+        if (first === null) first = i;
+        last = i;
+    }
+    flush();
+    return items;
+}
+
+// Tokenizer for Go, Rust and other C-like languages.
+// options: { backtickRaw: Go raw strings, rust: raw strings (r#"..."#), byte strings and lifetimes,
+//            hashComments: "#" starts a comment, preprocessor: "#" lines (C, C#) are skipped }
+function tokenizeCLike(src, { backtickRaw = false, rust = false, hashComments = false, preprocessor = false } = {}) {
+    const tokens = [];
+    const n = src.length;
+    let i = 0;
+    while (i < n) {
+        const c = src[i];
+        if (/\s/.test(c)) {
+            i++;
+        } else if (c === '/' && src[i + 1] === '/') {
+            const end = src.indexOf('\n', i);
+            i = end === -1 ? n : end;
+        } else if (c === '/' && src[i + 1] === '*') {
+            // Rust block comments nest
+            let depth = 1;
+            i += 2;
+            while (i < n && depth > 0) {
+                if (rust && src[i] === '/' && src[i + 1] === '*') { depth++; i += 2; }
+                else if (src[i] === '*' && src[i + 1] === '/') { depth--; i += 2; }
+                else i++;
+            }
+        } else if (hashComments && c === '#') {
+            const end = src.indexOf('\n', i);
+            i = end === -1 ? n : end;
+        } else if (preprocessor && c === '#' && /^[ \t]*$/.test(src.slice(src.lastIndexOf('\n', i - 1) + 1, i))) {
+            // #include, #define ... with backslash continuations
+            while (i < n && src[i] !== '\n') i += src[i] === '\\' ? 2 : 1;
+        } else if (rust && (c === 'r' || (c === 'b' && src[i + 1] === 'r')) && /^b?r#*"/.test(src.slice(i, i + 260))) {
+            const head = src.slice(i).match(/^b?r(#*)"/);
+            const closer = `"${head[1]}`;
+            const end = src.indexOf(closer, i + head[0].length);
+            const stop = end === -1 ? n : end + closer.length;
+            tokens.push({ type: 'string', value: src.slice(i, stop), start: i, end: stop });
+            i = stop;
+        } else if (c === '"' || (c === '`' && backtickRaw) || (rust && c === 'b' && src[i + 1] === '"')) {
+            const start = i;
+            if (c === 'b') i++;
+            const quote = src[i];
+            i++;
+            while (i < n && src[i] !== quote) {
+                if (src[i] === '\\' && quote !== '`') i++;
+                i++;
+            }
+            i++;
+            tokens.push({ type: 'string', value: src.slice(start, i), start, end: i });
+        } else if (c === "'") {
+            const start = i;
+            if (rust && /[A-Za-z_]/.test(src[i + 1] || '') && src[i + 2] !== "'" && !(src.codePointAt(i + 1) > 0xffff)) {
+                // Lifetime or label ('a, 'static): not a character literal
+                i++;
+                while (i < n && /\w/.test(src[i])) i++;
+                tokens.push({ type: 'punct', value: src.slice(start, i), start, end: i });
+                continue;
+            }
+            i++;
+            while (i < n && src[i] !== "'" && src[i] !== '\n') {
+                if (src[i] === '\\') i++;
+                i++;
+            }
+            i++;
+            tokens.push({ type: 'string', value: src.slice(start, i), start, end: i });
+        } else if (/[\p{L}_$]/u.test(c)) {
+            const start = i;
+            while (i < n && /[\p{L}\p{N}_$]/u.test(src[i])) i++;
+            tokens.push({ type: 'ident', value: src.slice(start, i), start, end: i });
+        } else if (/[0-9]/.test(c)) {
+            const start = i;
+            while (i < n && /[\w.]/.test(src[i])) i++;
+            tokens.push({ type: 'number', value: src.slice(start, i), start, end: i });
+        } else {
+            const two = src.slice(i, i + 2);
+            const value = ['::', '->', '=>', ':='].includes(two) ? two : c;
+            tokens.push({ type: 'punct', value, start: i, end: i + value.length });
+            i += value.length;
+        }
+    }
+    return tokens;
+}
+
+// Identifier uses in a token run -> [{ name, line, call }]. `call`: followed by "(" (also
+// "name!(", Rust macros). Keywords are left out, and so are declarations: `declarations` are
+// [{ name, from, to }] source ranges of the file's symbol headers, and the first occurrence of
+// the name in one is where it is declared. Members count too: `api.fetchUser()` uses fetchUser.
+function collectReferences(tokens, lineAt, keywords, declarations = []) {
+    const declaring = new Set();
+    for (const { name, from, to } of declarations) {
+        let lo = 0;
+        let hi = tokens.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (tokens[mid].start < from) lo = mid + 1;
+            else hi = mid;
+        }
+        for (let k = lo; k < tokens.length && tokens[k].start < to; k++) {
+            if (tokens[k].type === 'ident' && tokens[k].value === name) {
+                declaring.add(tokens[k].start);
+                break;
+            }
+        }
+    }
+
+    const references = [];
+    tokens.forEach((t, k) => {
+        if (t.type !== 'ident' || keywords.has(t.value) || declaring.has(t.start)) return;
+        const next = tokens[k + 1];
+        const call = isPunct(next, '(') || (isPunct(next, '!') && Boolean(tokens[k + 2]) && ['(', '[', '{'].includes(tokens[k + 2].value));
+        references.push({ name: t.value, line: lineAt(t.start), call });
+    });
+    return references;
+}
+
+function isPunct(token, value) {
+    return Boolean(token) && token.type === 'punct' && token.value === value;
+}
+
+function isIdent(token, value = null) {
+    return Boolean(token) && token.type === 'ident' && (value === null || token.value === value);
+}
+
+module.exports = { lineIndex, collapse, matchBrackets, splitList, collectReferences, tokenizeCLike, isPunct, isIdent, SIGNATURE_CAP };
@@ -0,0 +1,150 @@
+const { lineIndex, collapse, matchBrackets, splitList, collectReferences, tokenizeCLike, isPunct, isIdent } = require('./common');
+
+// Fallback for other curly-brace languages (C, C++, Java, Kotlin, C#, Swift, PHP, Dart, ...):
+// type declarations (class, struct, interface, enum, ...) with their bodies, and
+// `name(params) {` definitions at type or namespace level. Function bodies are not walked,
+// so calls and control flow inside them never turn into symbols.
+
+const TYPE_KEYWORDS = { class: 'class', struct: 'struct', interface: 'interface', enum: 'enum', trait: 'trait', record: 'class', object: 'class', protocol: 'interface', union: 'struct' };
+const NOT_FUNCTIONS = new Set(['if', 'for', 'foreach', 'while', 'switch', 'catch', 'return', 'sizeof', 'new', 'else', 'do', 'synchronized', 'using', 'lock', 'fixed', 'when', 'guard', 'defer', 'assert', 'typeof', 'nameof']);
+const HIDDEN = new Set(['private', 'protected', 'static', 'internal', 'fileprivate']);
+const HASH_COMMENTS = /\.(rb|sh|bash|pl|pm|r|cr|coffee)$/i;
+// Common to most of these languages; references to a same-named symbol are harmless noise
+const KEYWORDS = new Set([
+    'if', 'else', 'for', 'foreach', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'return', 'goto',
+    'try', 'catch', 'finally', 'throw', 'throws', 'new', 'delete', 'this', 'self', 'super', 'null', 'nil', 'true', 'false',
+    'class', 'struct', 'interface', 'enum', 'union', 'trait', 'record', 'object', 'protocol', 'extends', 'implements',
+    'import', 'package', 'namespace', 'using', 'include', 'require', 'public', 'private', 'protected', 'internal', 'static',
+    'final', 'const', 'val', 'var', 'let', 'fun', 'func', 'def', 'end', 'void', 'int', 'long', 'short', 'char', 'float',
+    'double', 'bool', 'boolean', 'byte', 'unsigned', 'signed', 'auto', 'typedef', 'sizeof', 'virtual', 'override',
+    'abstract', 'sealed', 'async', 'await', 'in', 'is', 'as', 'instanceof', 'typeof', 'template', 'typename', 'operator'
+]);
+
+const IMPORT_PATTERNS = [
+    /^\s*#\s*include\s*[<"]([^>"]+)[>"]/gm, // C / C++
+    /^\s*import\s+(?:static\s+)?([\w.*]+)\s*;?\s*$/gm, // Java, Kotlin, Scala, Swift
+    /^\s*using\s+(?:static\s+)?([\w.]+)\s*;/gm, // C#
+    /^\s*(?:require|require_once|include|include_once|require_relative)\s*\(?\s*['"]([^'"]+)['"]/gm // PHP, Ruby
+];
+
+function parseGeneric(content, filePath = '') {
+    const hashComments = HASH_COMMENTS.test(filePath);
+    const tokens = tokenizeCLike(content, { hashComments, preprocessor: !hashComments });
+    const match = matchBrackets(tokens);
+    const lineAt = lineIndex(content);
+    const line = (k) => lineAt(tokens[Math.min(k, tokens.length - 1)].start);
+    const symbols = [];
+    const declarations = [];
+
+    // Modifiers of the declaration ending at k: tokens back to the previous statement boundary
+    const modifiers = (k) => {
+        const found = [];
+        for (let i = k - 1; i >= 0 && !isPunct(tokens[i], ';') && !isPunct(tokens[i], '{') && !isPunct(tokens[i], '}'); i--) {
+            if (tokens[i].type === 'ident') found.push(tokens[i].value);
+        }
+        return found;
+    };
+    const declarationStart = (k) => {
+        let i = k;
+        while (i > 0 && !isPunct(tokens[i - 1], ';') && !isPunct(tokens[i - 1], '{') && !isPunct(tokens[i - 1], '}')) {
+            // An annotation or attribute line above belongs to the previous token run; stop at a line break after one
+            if (isPunct(tokens[i - 1], ')') && line(i - 1) < line(k)) break;
+            i--;
+        }
+        return i;
+    };
+    const add = (name, kind, nameAt, end, signatureEnd, parent, params = null) => {
+        const start = declarationStart(nameAt);
+        const mods = modifiers(nameAt);
+        declarations.push({ name, from: tokens[start].start, to: tokens[signatureEnd].end });
+        symbols.push({
+            name,
+            kind,
+            exported: mods.includes('public') || mods.includes('export') || mods.includes('pub') || (!mods.some(m => HIDDEN.has(m)) && parent === null),
+            parent,
+            params,
+            signature: collapse(content.slice(tokens[start].start, tokens[signatureEnd].end)),
+            line: line(start),
+            endLine: line(end)
+        });
+    };
+
+    const walk = (from, to, parent) => {
+        let i = from;
+        while (i < to) {
+            const t = tokens[i];
+            const prev = tokens[i - 1];
+            const afterDot = prev && prev.type === 'punct' && (prev.value === '.' || prev.value === '->');
+
+            if (isIdent(t) && Object.hasOwn(TYPE_KEYWORDS, t.value) && isIdent(tokens[i + 1]) && !afterDot) {
+                // class Name<T> extends Base implements I { ... }
+                let k = i + 2;
+                while (k < to && !isPunct(tokens[k], '{') && !isPunct(tokens[k], ';')) {
+                    if (match.has(k) && match.get(k) > k) k = match.get(k);
+                    k++;
+                }
+                const name = tokens[i + 1].value;
+                if (isPunct(tokens[k], '{') && match.has(k)) {
+                    add(name, TYPE_KEYWORDS[t.value], i, match.get(k), k - 1, parent);
+                    walk(k + 1, match.get(k), name);
+                    i = match.get(k) + 1;
+                } else {
+                    i = k + 1;
+                }
+                continue;
+            }
+
+            if (isIdent(t) && !NOT_FUNCTIONS.has(t.value) && !afterDot && isPunct(tokens[i + 1], '(') && match.has(i + 1)
+                && !(prev && prev.type === 'punct' && ['=', '(', ',', '!', '&', '|', '?', ':', '+', '-'].includes(prev.value))) {
+                // name(params) [const] [throws X] [: init(...)] [-> T] {
+                const close = match.get(i + 1);
+                let k = close + 1;
+                let guard = 0;
+                while (k < to && !isPunct(tokens[k], '{') && !isPunct(tokens[k], ';') && guard++ < 24) {
+                    if (match.has(k) && match.get(k) > k) k = match.get(k);
+                    k++;
+                }
+                if (isPunct(tokens[k], '{') && match.has(k) && !isPunct(tokens[k - 1], '=')) {
+                    add(t.value, parent ? 'method' : 'function', i, match.get(k), k - 1, parent, splitList(content, tokens, i + 1, close));
+                    i = match.get(k) + 1;
+                    continue;
+                }
+            }
+
+            // Ruby-style `def name` / `class Name` without braces: no span beyond the header
+            if (isIdent(t, 'def') && isIdent(tokens[i + 1]) && !afterDot) {
+                add(tokens[i + 1].value, parent ? 'method' : 'function', i, i + 1, i + 1, parent);
+                i += 2;
+                continue;
+            }
+
+            if (isPunct(t, '{') && match.has(i)) {
+                // namespace / extern "C" / unnamed block at declaration level
+                walk(i + 1, match.get(i), parent);
+                i = match.get(i) + 1;
+                continue;
+            }
+            if (t.type === 'punct' && match.has(i) && match.get(i) > i) {
+                i = match.get(i) + 1;
+                continue;
+            }
+            i++;
+        }
+    };
+    walk(0, tokens.length, null);
+
+    const imports = [];
+    for (const regex of IMPORT_PATTERNS) {
+        regex.lastIndex = 0;
+        let m;
+        while ((m = regex.exec(content)) !== null) imports.push(m[1]);
+    }
+    return { symbols, imports, references: collectReferences(tokens, lineAt, KEYWORDS, declarations) };
+}
+
+module.exports = {
+    name: 'generic',
+    extensions: ['.c', '.h', '.cc', '.cpp', '.cxx', '.hpp', '.hh', '.java', '.kt', '.kts', '.scala', '.cs', '.swift', '.php', '.dart', '.groovy', '.m', '.mm', '.rb'],
+    parse: (content, filePath) => parseGeneric(content, filePath),
+    parseGeneric
+};
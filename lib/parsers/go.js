@@ -0,0 +1,164 @@
+const { lineIndex, collapse, matchBrackets, splitList, collectReferences, tokenizeCLike, isPunct, isIdent } = require('./common');
+
+// Go. Top-level declarations only (Go has no nested named functions): funcs and methods
+// (the receiver type is the parent), type declarations, vars and consts. Capitalized names
+// are exported.
+
+const KEYWORDS = new Set([
+    'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for', 'func', 'go', 'goto',
+    'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var',
+    'true', 'false', 'nil', 'iota', 'string', 'int', 'int8', 'int16', 'int32', 'int64', 'uint', 'uint8', 'uint16',
+    'uint32', 'uint64', 'uintptr', 'float32', 'float64', 'complex64', 'complex128', 'byte', 'rune', 'bool', 'error', 'any'
+]);
+
+function parseGo(content) {
+    const tokens = tokenizeCLike(content, { backtickRaw: true });
+    const match = matchBrackets(tokens);
+    const lineAt = lineIndex(content);
+    const line = (k) => lineAt(tokens[Math.min(k, tokens.length - 1)].start);
+    const text = (from, to) => content.slice(tokens[from].start, tokens[to].end);
+    const isExported = (name) => /^\p{Lu}/u.test(name);
+    const symbols = [];
+    const declarations = [];
+    const imports = [];
+
+    const add = (name, kind, start, end, signatureEnd, extra = {}) => {
+        declarations.push({ name, from: tokens[start].start, to: tokens[signatureEnd].end });
+        symbols.push({
+            name,
+            kind,
+            exported: isExported(name),
+            parent: extra.parent || null,
+            params: extra.params || null,
+            signature: collapse(text(start, signatureEnd)),
+            line: line(start),
+            endLine: line(end)
+        });
+    };
+
+    // Last token of a declaration without braces: everything up to the end of its line,
+    // including brackets that continue onto later lines
+    const lineEnd = (k) => {
+        const startLine = line(k);
+        let last = k;
+        for (let i = k; i < tokens.length; i++) {
+            if (line(i) !== startLine && i > k) return last;
+            if (match.has(i) && match.get(i) > i) i = match.get(i);
+            last = i;
+        }
+        return last;
+    };
+
+    // One spec of a type/var/const declaration, at token k -> index after it
+    const spec = (keyword, k, start) => {
+        if (!isIdent(tokens[k])) return k + 1;
+        const name = tokens[k].value;
+        if (keyword === 'type') {
+            let t = k + 1;
+            if (isPunct(tokens[t], '[') && match.has(t)) t = match.get(t) + 1; // Type parameters
+            if (isPunct(tokens[t], '=')) t++;
+            const kindWord = tokens[t] && tokens[t].value;
+            if ((kindWord === 'struct' || kindWord === 'interface') && isPunct(tokens[t + 1], '{') && match.has(t + 1)) {
+                add(name, kindWord, start, match.get(t + 1), t);
+                return match.get(t + 1) + 1;
+            }
+            const end = lineEnd(k);
+            add(name, 'type', start, end, end);
+            return end + 1;
+        }
+        const end = lineEnd(k);
+        add(name, keyword === 'const' ? 'constant' : 'variable', start, end, end);
+        return end + 1;
+    };
+
+    let i = 0;
+    while (i < tokens.length) {
+        const t = tokens[i];
+        if (t.type === 'punct' && match.has(i) && match.get(i) > i) {
+            i = match.get(i) + 1;
+            continue;
+        }
+        if (!isIdent(t)) {
+            i++;
+            continue;
+        }
+
+        if (t.value === 'import') {
+            let k = i + 1;
+            // import ( ... ), import "x" or import alias "x"
+            let end = isPunct(tokens[k], '(') && match.has(k) ? match.get(k) : k;
+            if (end === k && tokens[k] && tokens[k].type !== 'string') end = k + 1;
+            for (; k <= end && k < tokens.length; k++) {
+                if (tokens[k].type === 'string') imports.push(tokens[k].value.slice(1, -1));
+            }
+            i = end + 1;
+        } else if (t.value === 'func') {
+            let k = i + 1;
+            let parent = null;
+            if (isPunct(tokens[k], '(') && match.has(k)) {
+                // Receiver: (s *Server) or (Server) or (l *List[T])
+                const close = match.get(k);
+                const names = [];
+                for (let r = k + 1; r < close; r++) {
+                    if (isPunct(tokens[r], '[') && match.has(r)) r = match.get(r);
+                    else if (isIdent(tokens[r])) names.push(tokens[r].value);
+                }
+                parent = names[names.length - 1] || null;
+                k = close + 1;
+            }
+            if (!isIdent(tokens[k])) {
+                i = k;
+                continue;
+            }
+            const name = tokens[k++].value;
+            if (isPunct(tokens[k], '[') && match.has(k)) k = match.get(k) + 1;
+            if (!isPunct(tokens[k], '(') || !match.has(k)) {
+                i = k;
+                continue;
+            }
+            const params = splitList(content, tokens, k, match.get(k));
+            // Results run until the body; struct{} and interface{} in them are types, not the body
+            k = match.get(k) + 1;
+            const headerLine = line(k - 1);
+            const toBody = () => {
+                while (k < tokens.length && !isPunct(tokens[k], '{') && line(k) === headerLine) {
+                    if (match.has(k) && match.get(k) > k) k = match.get(k);
+                    k++;
+                }
+            };
+            toBody();
+            while (isPunct(tokens[k], '{') && (isIdent(tokens[k - 1], 'struct') || isIdent(tokens[k - 1], 'interface')) && match.has(k)) {
+                k = match.get(k) + 1;
+                toBody();
+            }
+            if (isPunct(tokens[k], '{') && match.has(k)) {
+                add(name, parent ? 'method' : 'function', i, match.get(k), k - 1, { parent, params });
+                i = match.get(k) + 1;
+            } else {
+                // Declared without a body (implemented in assembly)
+                add(name, parent ? 'method' : 'function', i, k - 1, k - 1, { parent, params });
+                i = k;
+            }
+        } else if (t.value === 'type' || t.value === 'var' || t.value === 'const') {
+            const keyword = t.value;
+            if (isPunct(tokens[i + 1], '(') && match.has(i + 1)) {
+                const close = match.get(i + 1);
+                let k = i + 2;
+                while (k < close) k = spec(keyword, k, k);
+                i = close + 1;
+            } else {
+                i = spec(keyword, i + 1, i);
+            }
+        } else {
+            i++;
+        }
+    }
+    return { symbols, imports, references: collectReferences(tokens, lineAt, KEYWORDS, declarations) };
+}
+
+module.exports = {
+    name: 'go',
+    extensions: ['.go'],
+    parse: (content) => parseGo(content),
+    parseGo
+};
@@ -0,0 +1,48 @@
+const path = require('path');
+
+// Source parsers for the Knowledge Graph, chosen by file extension.
+//
+// A parser is { name, extensions: ['.ext', ...], parse(content, filePath) } and returns
+//   { symbols: [{ name, kind, exported, parent, params, signature, line, endLine }], imports: [string],
+//     references: [{ name, line, call }] }
+// kind: class | interface | type | enum | struct | trait | module | function | method |
+//       variable | constant | macro
+// parent: name of the enclosing class/impl/function, or null at module level
+// params: parameter list as written (callables only, otherwise null)
+// imports: module specifiers as written in the source; resolving them is not the parser's job
+// references: identifier uses outside declarations (keywords left out); `call` when it is called.
+//             Optional: a parser without them leaves its files out of find_references and call_graph
+//
+// registerParser() adds a language or replaces the parser of an extension.
+
+const parsers = new Map(); // extension -> parser
+
+function registerParser(parser) {
+    if (!parser || typeof parser.parse !== 'function' || !Array.isArray(parser.extensions)) {
+        throw new Error('A parser needs "extensions" and a "parse(content, filePath)" function.');
+    }
+    for (const ext of parser.extensions) parsers.set(ext.toLowerCase(), parser);
+}
+
+for (const parser of [require('./generic'), require('./javascript'), require('./python'), require('./go'), require('./rust')]) {
+    registerParser(parser);
+}
+
+function parserFor(filePath) {
+    return parsers.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+// -> { symbols, imports, references }; files without a parser have none of them. A parser failing on odd
+// input must not break indexing, so errors come back as `error` with empty results.
+function parseSource(filePath, content) {
+    const parser = parserFor(filePath);
+    if (!parser) return { symbols: [], imports: [], references: [] };
+    try {
+        const result = parser.parse(content, filePath);
+        return { symbols: result.symbols || [], imports: result.imports || [], references: result.references || [] };
+    } catch (e) {
+        return { symbols: [], imports: [], references: [], error: `${parser.name || 'parser'}: ${e.message}` };
+    }
+}
+
+module.exports = { registerParser, parserFor, parseSource };
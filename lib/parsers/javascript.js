@@ -0,0 +1,807 @@
+const { lineIndex, collapse, matchBrackets, splitList, collectReferences, isPunct, isIdent } = require('./common');
+
+// JavaScript / TypeScript / JSX. A tokenizer that knows strings, template literals, regex
+// literals, comments and JSX, followed by a declaration parser over the tokens. It does not
+// build a full AST: it finds declarations (functions, classes and their members, arrow
+// functions bound to names, interfaces, type aliases, enums, namespaces, top-level variables)
+// and skips everything in between by bracket matching. Identifier uses are collected from the
+// same tokens, JSX expressions and component tags included.
+
+// After these keywords an expression starts, so "/" opens a regex and "<" opens JSX
+const EXPRESSION_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await', 'extends']);
+const MEMBER_MODIFIERS = new Set(['static', 'public', 'private', 'protected', 'readonly', 'abstract', 'override', 'declare', 'async', 'get', 'set', 'accessor']);
+const TYPE_PREFIXES = new Set(['keyof', 'typeof', 'readonly', 'unique', 'infer', 'asserts', 'new', 'abstract']);
+// Keywords that continue an expression onto the next line
+const CONTINUATION_KEYWORDS = new Set(['in', 'of', 'instanceof', 'as', 'satisfies', 'extends', 'keyof', 'typeof']);
+// Never references. Contextual words (get, set, type, module...) are valid names and stay in.
+const KEYWORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export',
+    'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'return',
+    'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'async', 'await',
+    'static', 'of', 'as', 'from', 'undefined', 'implements', 'interface', 'private', 'protected', 'public', 'readonly',
+    'abstract', 'declare', 'keyof', 'infer', 'satisfies', 'any', 'unknown', 'never', 'string', 'number', 'boolean', 'bigint',
+    'symbol', 'object'
+]);
+const OPENERS = new Set(['(', '[', '{']);
+const CLOSERS = new Set([')', ']', '}']);
+
+class Lexer {
+    constructor(src, jsx) {
+        this.src = src;
+        this.jsx = jsx;
+        this.i = 0;
+        this.tokens = [];
+        this.embedded = []; // Token runs lexed apart from the main stream: JSX expressions and tags
+    }
+
+    push(type, value, start) {
+        this.tokens.push({ type, value, start, end: this.i });
+    }
+
+    // Until the end of the source, or - when `nested` - until the "}" closing the expression
+    // container we were started in (JSX "{...}")
+    run(nested = false) {
+        const src = this.src;
+        const n = src.length;
+        const braces = []; // 'brace' | 'template' (a "${" waiting for its "}")
+        if (!nested && src.startsWith('#!')) this.i = src.indexOf('\n') === -1 ? n : src.indexOf('\n');
+
+        while (this.i < n) {
+            const start = this.i;
+            const c = src[this.i];
+            if (/\s/.test(c)) {
+                this.i++;
+            } else if (c === '/' && src[this.i + 1] === '/') {
+                const end = src.indexOf('\n', this.i);
+                this.i = end === -1 ? n : end;
+            } else if (c === '/' && src[this.i + 1] === '*') {
+                const end = src.indexOf('*/', this.i + 2);
+                this.i = end === -1 ? n : end + 2;
+            } else if (c === '"' || c === "'") {
+                this.i++;
+                while (this.i < n && src[this.i] !== c && src[this.i] !== '\n') {
+                    if (src[this.i] === '\\') this.i++;
+                    this.i++;
+                }
+                this.i++;
+                this.push('string', src.slice(start, this.i), start);
+            } else if (c === '`') {
+                this.i++;
+                this.template(braces, start);
+            } else if (c === '}') {
+                this.i++;
+                if (braces.length === 0 && nested) return;
+                if (braces.pop() === 'template') this.template(braces, start);
+                else this.push('punct', '}', start);
+            } else if (c === '{') {
+                this.i++;
+                braces.push('brace');
+                this.push('punct', '{', start);
+            } else if (c === '/' && this.expressionExpected()) {
+                this.regex(start);
+            } else if (c === '<' && this.jsx && this.expressionExpected() && /[\p{L}_$>]/u.test(src[this.i + 1] || '')) {
+                this.skipJsxElement();
+                this.push('jsx', '', start);
+            } else if (/[\p{L}_$#@]/u.test(c) && (c !== '@' && c !== '#' || /[\p{L}_$]/u.test(src[this.i + 1] || ''))) {
+                // "#private" names are identifiers; "@decorator" is "@" + identifier
+                if (c === '@') {
+                    this.i++;
+                    this.push('punct', '@', start);
+                    continue;
+                }
+                this.i++;
+                while (this.i < n && /[\p{L}\p{N}_$]/u.test(src[this.i])) this.i++;
+                this.push('ident', src.slice(start, this.i), start);
+            } else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(src[this.i + 1] || ''))) {
+                while (this.i < n && /[\w.]/.test(src[this.i])) this.i++;
+                this.push('number', src.slice(start, this.i), start);
+            } else {
+                const three = src.slice(this.i, this.i + 3);
+                const two = src.slice(this.i, this.i + 2);
+                const value = three === '...' ? three : (two === '=>' || two === '?.' ? two : c);
+                this.i += value.length;
+                this.push('punct', value, start);
+            }
+        }
+    }
+
+    expressionExpected() {
+        const prev = this.tokens[this.tokens.length - 1];
+        if (!prev) return true;
+        if (prev.type === 'punct') return !CLOSERS.has(prev.value);
+        if (prev.type === 'ident') return EXPRESSION_KEYWORDS.has(prev.value);
+        return false;
+    }
+
+    // Template literal text up to the closing backtick or the next "${"
+    template(braces, start) {
+        const src = this.src;
+        while (this.i < src.length) {
+            const c = src[this.i];
+            if (c === '\\') {
+                this.i += 2;
+            } else if (c === '`') {
+                this.i++;
+                this.push('string', src.slice(start, this.i), start);
+                return;
+            } else if (c === '$' && src[this.i + 1] === '{') {
+                this.i += 2;
+                braces.push('template');
+                this.push('punct', '${', start);
+                return;
+            } else {
+                this.i++;
+            }
+        }
+        this.push('string', src.slice(start), start);
+    }
+
+    regex(start) {
+        const src = this.src;
+        let inClass = false;
+        this.i++;
+        while (this.i < src.length) {
+            const c = src[this.i];
+            if (c === '\n') {
+                // Not a regex after all: a lone "/"
+                this.i = start + 1;
+                this.push('punct', '/', start);
+                return;
+            }
+            if (c === '\\') this.i++;
+            else if (c === '[') inClass = true;
+            else if (c === ']') inClass = false;
+            else if (c === '/' && !inClass) break;
+            this.i++;
+        }
+        this.i++;
+        while (this.i < src.length && /\w/.test(src[this.i])) this.i++;
+        this.push('regex', src.slice(start, this.i), start);
+    }
+
+    // <Tag attr="x" attr={expr}>text {expr} <Child /></Tag>, or a fragment <>...</>
+    skipJsxElement() {
+        const src = this.src;
+        const n = src.length;
+        this.i++;
+        const tagStart = this.i;
+        while (this.i < n && /[\p{L}\p{N}_$.:-]/u.test(src[this.i])) this.i++;
+        // <Button> and <Form.Field> use components; <div> is plain markup
+        if (/^[\p{Lu}_$][\p{L}\p{N}_$]*(\.[\p{L}_$][\p{L}\p{N}_$]*)*$/u.test(src.slice(tagStart, this.i))) {
+            let offset = tagStart;
+            this.embedded.push(src.slice(tagStart, this.i).split('.').map(part => {
+                const token = { type: 'ident', value: part, start: offset, end: offset + part.length };
+                offset += part.length + 1;
+                return token;
+            }));
+        }
+        while (this.i < n) {
+            const c = src[this.i];
+            if (c === '/' && src[this.i + 1] === '>') {
+                this.i += 2;
+                return;
+            }
+            if (c === '>') {
+                this.i++;
+                break;
+            }
+            if (c === '{') {
+                this.skipExpression();
+            } else if (c === '"' || c === "'") {
+                const end = src.indexOf(c, this.i + 1);
+                this.i = end === -1 ? n : end + 1;
+            } else {
+                this.i++;
+            }
+        }
+        while (this.i < n) {
+            const c = src[this.i];
+            if (c === '<' && src[this.i + 1] === '/') {
+                const end = src.indexOf('>', this.i);
+                this.i = end === -1 ? n : end + 1;
+                return;
+            }
+            if (c === '<') this.skipJsxElement();
+            else if (c === '{') this.skipExpression();
+            else this.i++;
+        }
+    }
+
+    // "{...}" inside JSX: tokenized on its own so strings and nested JSX are skipped correctly
+    skipExpression() {
+        const sub = new Lexer(this.src, this.jsx);
+        sub.i = this.i + 1;
+        sub.run(true);
+        this.i = sub.i;
+        this.embedded.push(sub.tokens, ...sub.embedded);
+    }
+}
+
+class Parser {
+    constructor(src, tokens) {
+        this.src = src;
+        this.tokens = tokens;
+        this.match = matchBrackets(tokens);
+        this.lineAt = lineIndex(src);
+        this.symbols = [];
+        this.declarations = []; // [{ name, from, to }] header ranges, see collectReferences()
+        this.exportedNames = new Set();
+    }
+
+    parse() {
+        this.block(0, this.tokens.length, { parent: null, classBody: false, topLevel: true });
+        for (const symbol of this.symbols) {
+            if (symbol.parent === null && this.exportedNames.has(symbol.name)) symbol.exported = true;
+        }
+        return {
+            symbols: this.symbols,
+            imports: this.imports(),
+            references: collectReferences(this.tokens, this.lineAt, KEYWORDS, this.declarations)
+        };
+    }
+
+    block(from, to, scope) {
+        let i = from;
+        while (i < to) {
+            const next = scope.classBody ? this.member(i, to, scope) : this.statement(i, to, scope);
+            if (next > i) {
+                i = next;
+                continue;
+            }
+            const t = this.tokens[i];
+            if (t.type === 'punct' && OPENERS.has(t.value) && this.match.has(i)) {
+                const close = this.match.get(i);
+                this.block(i + 1, close, { parent: scope.parent, classBody: false, topLevel: false });
+                i = close + 1;
+                continue;
+            }
+            i++;
+        }
+    }
+
+    line(index) {
+        return this.lineAt(this.tokens[Math.min(index, this.tokens.length - 1)].start);
+    }
+
+    text(from, to) {
+        return this.src.slice(this.tokens[from].start, this.tokens[to].end);
+    }
+
+    add(symbol, scope, start, end, signatureEnd) {
+        this.declarations.push({ name: symbol.name, from: this.tokens[start].start, to: this.tokens[signatureEnd].end });
+        this.symbols.push({
+            name: symbol.name,
+            kind: symbol.kind,
+            exported: Boolean(symbol.exported && scope.topLevel),
+            parent: scope.parent,
+            params: symbol.params || null,
+            signature: collapse(this.text(start, signatureEnd), symbol.kind === 'variable' ? 120 : undefined),
+            line: this.line(start),
+            endLine: this.line(end)
+        });
+    }
+
+    // A declaration starting at token i -> index after it, or i when there is none
+    statement(i, to, scope) {
+        const tokens = this.tokens;
+        const prev = tokens[i - 1];
+        if (prev && prev.type === 'punct' && (prev.value === '.' || prev.value === '?.')) return i;
+
+        let j = i;
+        let exported = false;
+        let isDefault = false;
+        if (isIdent(tokens[j], 'export')) {
+            exported = true;
+            j++;
+            if (isIdent(tokens[j], 'default')) {
+                isDefault = true;
+                j++;
+            }
+            if (isPunct(tokens[j], '{') && this.match.has(j)) {
+                const close = this.match.get(j);
+                for (const item of splitList(this.src, tokens, j, close)) this.exportedNames.add(item.split(/\s+as\s+/)[0].replace(/^type\s+/, ''));
+                return close + 1;
+            }
+            if (isPunct(tokens[j], '=') && isIdent(tokens[j + 1])) {
+                this.exportedNames.add(tokens[j + 1].value);
+                return j + 2;
+            }
+            if (isDefault && isIdent(tokens[j]) && !this.isDeclarationKeyword(j)) {
+                this.exportedNames.add(tokens[j].value);
+                return j + 1;
+            }
+        }
+        while (isIdent(tokens[j], 'declare') || isIdent(tokens[j], 'abstract')
+            || (isIdent(tokens[j], 'async') && isIdent(tokens[j + 1], 'function'))
+            || (isIdent(tokens[j], 'const') && isIdent(tokens[j + 1], 'enum'))) j++;
+
+        const t = tokens[j];
+        if (!t || t.type !== 'ident') return i;
+        const next = tokens[j + 1];
+        switch (t.value) {
+            case 'function':
+                return this.functionDeclaration(i, j, { exported, isDefault }, scope);
+            case 'class':
+                return this.classDeclaration(i, j, { exported, isDefault, name: null }, scope);
+            case 'interface':
+                if (!isIdent(next)) return i;
+                return this.bracedDeclaration(i, j, 'interface', exported, scope);
+            case 'enum':
+                if (!isIdent(next)) return i;
+                return this.bracedDeclaration(i, j, 'enum', exported, scope);
+            case 'namespace':
+            case 'module':
+                if (!(isIdent(next) || (next && next.type === 'string')) || isPunct(next, '.')) break;
+                return this.namespaceDeclaration(i, j, exported, scope);
+            case 'type': {
+                if (!isIdent(next) || !(isPunct(tokens[j + 2], '=') || isPunct(tokens[j + 2], '<'))) return i;
+                const end = this.statementEnd(j, to);
+                this.add({ name: next.value, kind: 'type', exported }, scope, i, end, end);
+                return end + 1;
+            }
+            case 'const':
+            case 'let':
+            case 'var':
+                return this.variableDeclaration(i, j, to, exported, scope);
+        }
+        return this.commonJsExport(i, to, scope);
+    }
+
+    isDeclarationKeyword(j) {
+        return ['function', 'class', 'async', 'abstract', 'interface', 'enum'].includes(this.tokens[j].value);
+    }
+
+    functionDeclaration(start, j, { exported, isDefault }, scope) {
+        const tokens = this.tokens;
+        let k = j + 1;
+        if (isPunct(tokens[k], '*')) k++;
+        let name = null;
+        if (isIdent(tokens[k])) name = tokens[k++].value;
+        else if (isDefault) name = 'default';
+        if (!name) return start;
+        if (isPunct(tokens[k], '<')) k = this.skipAngles(k);
+        if (!isPunct(tokens[k], '(') || !this.match.has(k)) return start;
+        const open = k;
+        const close = this.match.get(k);
+        const params = splitList(this.src, tokens, open, close);
+        k = close + 1;
+        if (isPunct(tokens[k], ':')) k = this.skipType(k + 1);
+        if (isPunct(tokens[k], '{') && this.match.has(k)) {
+            const bodyEnd = this.match.get(k);
+            this.add({ name, kind: 'function', exported, params }, scope, start, bodyEnd, k - 1);
+            this.block(k + 1, bodyEnd, { parent: name, classBody: false, topLevel: false });
+            return bodyEnd + 1;
+        }
+        // Overload or ambient declaration: no body
+        this.add({ name, kind: 'function', exported, params }, scope, start, k - 1, k - 1);
+        return k;
+    }
+
+    classDeclaration(start, j, { exported, isDefault, name }, scope) {
+        const tokens = this.tokens;
+        let k = j + 1;
+        if (isIdent(tokens[k]) && !['extends', 'implements'].includes(tokens[k].value)) name = tokens[k++].value;
+        if (!name && isDefault) name = 'default';
+        // Type parameters and heritage clauses may hold calls or object types: jump over them
+        while (k < tokens.length && !isPunct(tokens[k], '{')) {
+            if (isPunct(tokens[k], '<')) {
+                k = this.skipAngles(k);
+                continue;
+            }
+            if (tokens[k].type === 'punct' && OPENERS.has(tokens[k].value) && this.match.has(k)) k = this.match.get(k);
+            k++;
+        }
+        if (!this.match.has(k)) return start;
+        const bodyEnd = this.match.get(k);
+        if (name) this.add({ name, kind: 'class', exported }, scope, start, bodyEnd, k - 1);
+        this.block(k + 1, bodyEnd, { parent: name || scope.parent, classBody: Boolean(name), topLevel: false });
+        return bodyEnd + 1;
+    }
+
+    // interface / enum: the members are not symbols of their own
+    bracedDeclaration(start, j, kind, exported, scope) {
+        const tokens = this.tokens;
+        let k = j + 2;
+        while (k < tokens.length && !isPunct(tokens[k], '{')) {
+            if (isPunct(tokens[k], '<')) k = this.skipAngles(k);
+            else k++;
+        }
+        if (!this.match.has(k)) return start;
+        const bodyEnd = this.match.get(k);
+        this.add({ name: tokens[j + 1].value, kind, exported }, scope, start, bodyEnd, k - 1);
+        return bodyEnd + 1;
+    }
+
+    namespaceDeclaration(start, j, exported, scope) {
+        const tokens = this.tokens;
+        let k = j + 1;
+        const parts = [];
+        while (k < tokens.length && !isPunct(tokens[k], '{')) {
+            if (tokens[k].type === 'ident' || tokens[k].type === 'string') parts.push(tokens[k].value.replace(/^['"]|['"]$/g, ''));
+            else if (!isPunct(tokens[k], '.')) return start;
+            k++;
+        }
+        if (!this.match.has(k)) return start;
+        const name = parts.join('.');
+        const bodyEnd = this.match.get(k);
+        this.add({ name, kind: 'module', exported }, scope, start, bodyEnd, k - 1);
+        this.block(k + 1, bodyEnd, { parent: name, classBody: false, topLevel: true });
+        return bodyEnd + 1;
+    }
+
+    variableDeclaration(start, j, to, exported, scope) {
+        const tokens = this.tokens;
+        let k = j + 1;
+        if (!isIdent(tokens[k])) return start; // Destructuring: nothing to name
+        const name = tokens[k++].value;
+        if (isPunct(tokens[k], '!')) k++;
+        if (isPunct(tokens[k], ':')) k = this.skipType(k + 1);
+        if (!isPunct(tokens[k], '=')) {
+            if (scope.topLevel) this.add({ name, kind: 'variable', exported }, scope, start, k - 1, k - 1);
+            return k;
+        }
+        return this.assignment(start, k + 1, to, { name, exported }, scope);
+    }
+
+    // `name = value` where value starts at token v: functions and classes become symbols,
+    // anything else a variable (top level only)
+    assignment(start, v, to, { name, exported }, scope) {
+        const tokens = this.tokens;
+        if (isIdent(tokens[v], 'class')) return this.classDeclaration(start, v, { exported, isDefault: false, name }, scope);
+
+        const fn = this.functionValue(v, to);
+        if (fn) {
+            const end = fn.bodyEnd !== null ? fn.bodyEnd : fn.end;
+            this.add({ name, kind: 'function', exported, params: fn.params }, scope, start, end, fn.signatureEnd);
+            if (fn.bodyEnd !== null) this.block(fn.bodyStart + 1, fn.bodyEnd, { parent: name, classBody: false, topLevel: false });
+            else this.block(fn.signatureEnd + 1, fn.end + 1, { parent: name, classBody: false, topLevel: false });
+            return fn.end + 1;
+        }
+        if (scope.topLevel) {
+            const end = this.statementEnd(v, to);
+            this.add({ name, kind: 'variable', exported }, scope, start, end, end);
+        }
+        return v; // Keep scanning the value for nested declarations
+    }
+
+    // A function expression, arrow function, or one wrapped in a call (memo(...), forwardRef(...))
+    // starting at token v -> { params, signatureEnd, bodyStart, bodyEnd, end } or null
+    functionValue(v, to, wrapped = false) {
+        const tokens = this.tokens;
+        let k = v;
+        if (isIdent(tokens[k], 'async') && (isIdent(tokens[k + 1], 'function') || isPunct(tokens[k + 1], '(') || isIdent(tokens[k + 1]))) k++;
+
+        let params = null;
+        let arrow = false;
+        if (isIdent(tokens[k], 'function')) {
+            k++;
+            if (isPunct(tokens[k], '*')) k++;
+            if (isIdent(tokens[k])) k++;
+        } else if (isIdent(tokens[k]) && isPunct(tokens[k + 1], '=>')) {
+            params = [tokens[k].value];
+            k++;
+            arrow = true;
+        } else if (!wrapped && isIdent(tokens[k]) && !isIdent(tokens[k], 'new')) {
+            // memo(function X() {}), React.forwardRef((props, ref) => ...)
+            while (isIdent(tokens[k]) && isPunct(tokens[k + 1], '.')) k += 2;
+            if (!isIdent(tokens[k])) return null;
+            k++;
+            if (isPunct(tokens[k], '<')) k = this.skipAngles(k);
+            if (!isPunct(tokens[k], '(') || !this.match.has(k)) return null;
+            const close = this.match.get(k);
+            const inner = this.functionValue(k + 1, close, true);
+            if (!inner) return null;
+            return { ...inner, end: Math.max(inner.end, close) };
+        } else {
+            arrow = true;
+        }
+
+        if (params === null) {
+            if (isPunct(tokens[k], '<')) k = this.skipAngles(k);
+            if (!isPunct(tokens[k], '(') || !this.match.has(k)) return null;
+            params = splitList(this.src, tokens, k, this.match.get(k));
+            k = this.match.get(k) + 1;
+            if (isPunct(tokens[k], ':')) k = this.skipType(k + 1, { arrow });
+        }
+        if (arrow) {
+            if (!isPunct(tokens[k], '=>')) return null;
+            k++;
+        }
+        const signatureEnd = k - 1;
+        if (isPunct(tokens[k], '{') && this.match.has(k)) {
+            const bodyEnd = this.match.get(k);
+            return { params, signatureEnd, bodyStart: k, bodyEnd, end: bodyEnd };
+        }
+        if (!arrow) return null;
+        // Expression body
+        return { params, signatureEnd, bodyStart: null, bodyEnd: null, end: this.expressionEnd(k, to) };
+    }
+
+    // module.exports = ..., module.exports.name = ..., exports.name = ...
+    commonJsExport(i, to, scope) {
+        const tokens = this.tokens;
+        if (!scope.topLevel) return i;
+        let k = i;
+        if (isIdent(tokens[k], 'module') && isPunct(tokens[k + 1], '.') && isIdent(tokens[k + 2], 'exports')) k += 3;
+        else if (isIdent(tokens[k], 'exports') && isPunct(tokens[k + 1], '.')) k += 1;
+        else return i;
+
+        if (isPunct(tokens[k], '.') && isIdent(tokens[k + 1]) && isPunct(tokens[k + 2], '=')) {
+            const name = tokens[k + 1].value;
+            this.exportedNames.add(name);
+            return this.assignment(i, k + 3, to, { name, exported: true }, scope);
+        }
+        if (!isPunct(tokens[k], '=')) return i;
+        const v = k + 1;
+        if (isIdent(tokens[v], 'class') && isIdent(tokens[v + 1])) {
+            return this.classDeclaration(i, v, { exported: true, isDefault: false, name: null }, scope);
+        }
+        if (isIdent(tokens[v]) && !isPunct(tokens[v + 1], '(') && !isPunct(tokens[v + 1], '.')) {
+            this.exportedNames.add(tokens[v].value);
+            return v + 1;
+        }
+        if (isPunct(tokens[v], '{') && this.match.has(v)) return this.exportedObject(v, this.match.get(v), scope);
+        return i;
+    }
+
+    // module.exports = { a, b: value, c(args) { ... } }
+    exportedObject(open, close, scope) {
+        const tokens = this.tokens;
+        let k = open + 1;
+        while (k < close) {
+            const start = k;
+            if (isIdent(tokens[k], 'async') && isIdent(tokens[k + 1])) k++;
+            const key = tokens[k];
+            if (key && (key.type === 'ident' || key.type === 'string')) {
+                const name = key.value.replace(/^['"]|['"]$/g, '');
+                const after = tokens[k + 1];
+                if (isPunct(after, ',') || k + 1 === close) {
+                    this.exportedNames.add(name);
+                } else if (isPunct(after, ':')) {
+                    this.exportedNames.add(name);
+                    const fn = this.functionValue(k + 2, close);
+                    if (fn) {
+                        const end = fn.bodyEnd !== null ? fn.bodyEnd : fn.end;
+                        this.add({ name, kind: 'function', exported: true, params: fn.params }, scope, start, end, fn.signatureEnd);
+                        if (fn.bodyEnd !== null) this.block(fn.bodyStart + 1, fn.bodyEnd, { parent: name, classBody: false, topLevel: false });
+                    }
+                } else if (isPunct(after, '(') && this.match.has(k + 1)) {
+                    const paramsEnd = this.match.get(k + 1);
+                    if (isPunct(tokens[paramsEnd + 1], '{') && this.match.has(paramsEnd + 1)) {
+                        const bodyEnd = this.match.get(paramsEnd + 1);
+                        this.exportedNames.add(name);
+                        this.add({ name, kind: 'function', exported: true, params: splitList(this.src, tokens, k + 1, paramsEnd) }, scope, start, bodyEnd, paramsEnd);
+                        this.block(paramsEnd + 2, bodyEnd, { parent: name, classBody: false, topLevel: false });
+                    }
+                }
+            }
+            // On to the next property
+            while (k < close && !isPunct(tokens[k], ',')) {
+                if (tokens[k].type === 'punct' && OPENERS.has(tokens[k].value) && this.match.has(k)) k = this.match.get(k);
+                k++;
+            }
+            k++;
+        }
+        return close + 1;
+    }
+
+    // A class member starting at token i -> index after it, or i when there is none
+    member(i, to, scope) {
+        const tokens = this.tokens;
+        let j = i;
+        if (isPunct(tokens[j], ';')) return j + 1;
+        if (isPunct(tokens[j], '@')) {
+            // Decorator: @name, @a.b, @name(args)
+            j++;
+            while (isIdent(tokens[j]) && isPunct(tokens[j + 1], '.')) j += 2;
+            if (isIdent(tokens[j])) j++;
+            if (isPunct(tokens[j], '(') && this.match.has(j)) j = this.match.get(j) + 1;
+            return j;
+        }
+        if (isIdent(tokens[j], 'static') && isPunct(tokens[j + 1], '{') && this.match.has(j + 1)) {
+            const close = this.match.get(j + 1);
+            this.block(j + 2, close, { parent: scope.parent, classBody: false, topLevel: false });
+            return close + 1;
+        }
+        while (isIdent(tokens[j]) && MEMBER_MODIFIERS.has(tokens[j].value) && this.isMemberName(j + 1)) j++;
+        if (isPunct(tokens[j], '*')) j++;
+
+        let name;
+        const key = tokens[j];
+        if (!key) return i;
+        if (key.type === 'ident' || key.type === 'number') {
+            name = key.value;
+            j++;
+        } else if (key.type === 'string') {
+            name = key.value.slice(1, -1);
+            j++;
+        } else if (isPunct(key, '[') && this.match.has(j)) {
+            name = `[${collapse(this.text(j + 1, this.match.get(j) - 1), 60)}]`;
+            j = this.match.get(j) + 1;
+        } else {
+            return i;
+        }
+        if (isPunct(tokens[j], '?') || isPunct(tokens[j], '!')) j++;
+        if (isPunct(tokens[j], '<')) j = this.skipAngles(j);
+
+        const memberScope = { parent: scope.parent, classBody: false, topLevel: false };
+        if (isPunct(tokens[j], '(') && this.match.has(j)) {
+            const close = this.match.get(j);
+            const params = splitList(this.src, tokens, j, close);
+            let k = close + 1;
+            if (isPunct(tokens[k], ':')) k = this.skipType(k + 1);
+            if (isPunct(tokens[k], '{') && this.match.has(k)) {
+                const bodyEnd = this.match.get(k);
+                this.add({ name, kind: 'method', params }, memberScope, i, bodyEnd, k - 1);
+                this.block(k + 1, bodyEnd, { parent: name, classBody: false, topLevel: false });
+                return bodyEnd + 1;
+            }
+            // Abstract method or overload signature
+            this.add({ name, kind: 'method', params }, memberScope, i, k - 1, k - 1);
+            return isPunct(tokens[k], ';') ? k + 1 : k;
+        }
+
+        // Field: `name: Type = value` - a function value makes it a method
+        let k = j;
+        if (isPunct(tokens[k], ':')) k = this.skipType(k + 1);
+        if (isPunct(tokens[k], '=')) {
+            const fn = this.functionValue(k + 1, to);
+            if (fn) {
+                const end = fn.bodyEnd !== null ? fn.bodyEnd : fn.end;
+                this.add({ name, kind: 'method', params: fn.params }, memberScope, i, end, fn.signatureEnd);
+                if (fn.bodyEnd !== null) this.block(fn.bodyStart + 1, fn.bodyEnd, { parent: name, classBody: false, topLevel: false });
+                return fn.end + 1;
+            }
+            const end = this.statementEnd(k + 1, to);
+            this.block(k + 1, end + 1, memberScope);
+            return end + 1;
+        }
+        return k > i ? k : i;
+    }
+
+    isMemberName(j) {
+        const t = this.tokens[j];
+        if (!t) return false;
+        return t.type === 'ident' || t.type === 'string' || t.type === 'number' || isPunct(t, '[') || isPunct(t, '*');
+    }
+
+    // "<...>" starting at j -> index after the closing ">"
+    skipAngles(j) {
+        const tokens = this.tokens;
+        let depth = 0;
+        for (let k = j; k < tokens.length; k++) {
+            const t = tokens[k];
+            if (t.type !== 'punct') continue;
+            if (t.value === '<') depth++;
+            else if (t.value === '>' && --depth === 0) return k + 1;
+            else if (OPENERS.has(t.value) && this.match.has(k)) k = this.match.get(k);
+            else if (t.value === ';' || CLOSERS.has(t.value)) return k;
+        }
+        return tokens.length;
+    }
+
+    // A TypeScript type starting at token k -> index after it. With `arrow`, a top-level "=>"
+    // ends the type (it belongs to the arrow function whose return type this is).
+    skipType(k, { arrow = false } = {}) {
+        const tokens = this.tokens;
+        let i = k;
+        while (i < tokens.length) {
+            while (isIdent(tokens[i]) && TYPE_PREFIXES.has(tokens[i].value) && tokens[i + 1] && !isPunct(tokens[i + 1], '.')) i++;
+            if (isPunct(tokens[i], '|') || isPunct(tokens[i], '&')) {
+                i++;
+                continue;
+            }
+            const t = tokens[i];
+            if (!t) return i;
+            if (isPunct(t, '<')) {
+                i = this.skipAngles(i);
+                continue;
+            }
+            if (t.type === 'punct' && OPENERS.has(t.value) && this.match.has(i)) i = this.match.get(i) + 1;
+            else if (t.type === 'ident' || t.type === 'string' || t.type === 'number') i++;
+            else return i;
+
+            for (;;) {
+                if (isPunct(tokens[i], '.') && isIdent(tokens[i + 1])) i += 2;
+                else if (isPunct(tokens[i], '<')) i = this.skipAngles(i);
+                else if (isPunct(tokens[i], '[') && this.match.has(i)) i = this.match.get(i) + 1;
+                else break;
+            }
+            const c = tokens[i];
+            if (isPunct(c, '|') || isPunct(c, '&') || isIdent(c, 'is') || isIdent(c, 'extends') || (!arrow && isPunct(c, '=>'))) {
+                i++;
+                continue;
+            }
+            return i;
+        }
+        return i;
+    }
+
+    // Last token of the statement starting at k: a ";", the end of the enclosing block, or a new
+    // line that cannot continue the expression (automatic semicolon insertion)
+    statementEnd(k, to) {
+        const tokens = this.tokens;
+        let last = k;
+        for (let i = k; i < to; i++) {
+            const t = tokens[i];
+            if (t.type === 'punct') {
+                if (OPENERS.has(t.value) && this.match.has(i)) {
+                    i = this.match.get(i);
+                    last = i;
+                    continue;
+                }
+                if (t.value === ';') return i;
+                if (CLOSERS.has(t.value)) return last;
+            }
+            if (i > k && this.startsNewStatement(i)) return last;
+            last = i;
+        }
+        return last;
+    }
+
+    // End of an arrow function's expression body: like a statement, but a "," also ends it
+    expressionEnd(k, to) {
+        const tokens = this.tokens;
+        let last = k;
+        for (let i = k; i < to; i++) {
+            const t = tokens[i];
+            if (t.type === 'punct') {
+                if (OPENERS.has(t.value) && this.match.has(i)) {
+                    i = this.match.get(i);
+                    last = i;
+                    continue;
+                }
+                if (t.value === ';' || t.value === ',' || CLOSERS.has(t.value)) return last;
+            }
+            if (i > k && this.startsNewStatement(i)) return last;
+            last = i;
+        }
+        return last;
+    }
+
+    startsNewStatement(i) {
+        const t = this.tokens[i];
+        const prev = this.tokens[i - 1];
+        if (this.line(i) === this.line(i - 1)) return false;
+        if (!['ident', 'string', 'number', 'regex', 'jsx'].includes(t.type) || CONTINUATION_KEYWORDS.has(t.value)) return false;
+        if (prev.type === 'punct') return CLOSERS.has(prev.value);
+        return !(prev.type === 'ident' && (EXPRESSION_KEYWORDS.has(prev.value) || CONTINUATION_KEYWORDS.has(prev.value)));
+    }
+
+    // import ... from 'x', import 'x', export ... from 'x', require('x'), import('x')
+    imports() {
+        const tokens = this.tokens;
+        const found = [];
+        const literal = (t) => (t && t.type === 'string' && !t.value.startsWith('`') ? t.value.slice(1, -1) : null);
+        tokens.forEach((t, i) => {
+            if (t.type !== 'ident') return;
+            const prev = tokens[i - 1];
+            if (prev && prev.type === 'punct' && (prev.value === '.' || prev.value === '?.')) return;
+            let spec = null;
+            if (t.value === 'from' || (t.value === 'import' && tokens[i + 1] && tokens[i + 1].type === 'string')) {
+                spec = literal(tokens[i + 1]);
+            } else if ((t.value === 'require' || t.value === 'import') && isPunct(tokens[i + 1], '(') && isPunct(tokens[i + 3], ')')) {
+                spec = literal(tokens[i + 2]);
+            }
+            if (spec) found.push(spec);
+        });
+        return found;
+    }
+}
+
+function parseJavaScript(content, { jsx = true } = {}) {
+    const lexer = new Lexer(content, jsx);
+    lexer.run();
+    const parser = new Parser(content, lexer.tokens);
+    const result = parser.parse();
+    for (const run of lexer.embedded) result.references.push(...collectReferences(run, parser.lineAt, KEYWORDS));
+    return result;
+}
+
+module.exports = {
+    name: 'javascript',
+    extensions: ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.cts', '.mts', '.tsx'],
+    // In .ts files "<T>" is a type assertion or generic, never JSX
+    parse: (content, filePath) => parseJavaScript(content, { jsx: !/\.[cm]?ts$/.test(filePath) }),
+    parseJavaScript
+};
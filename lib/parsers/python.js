@@ -0,0 +1,212 @@
+const { collapse } = require('./common');
+
+// Python. The source is first split into logical lines (bracketed continuations and
+// backslashes joined, strings blanked out so "def" inside a docstring is not a definition),
+// then classes and functions are read off the headers and nested by indentation.
+
+const KEYWORDS = new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+    'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or',
+    'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'self', 'cls'
+]);
+
+// -> [{ line, endLine, indent, code, text }] where `code` has string contents replaced by spaces
+function logicalLines(src) {
+    const result = [];
+    const n = src.length;
+    let i = 0;
+    let line = 1;
+    while (i < n) {
+        const startLine = line;
+        let code = '';
+        let text = '';
+        let depth = 0;
+        let done = false;
+        while (i < n && !done) {
+            const c = src[i];
+            if (c === '\n') {
+                line++;
+                i++;
+                if (depth > 0) {
+                    code += ' ';
+                    text += ' ';
+                } else {
+                    done = true;
+                }
+            } else if (c === '\\' && src[i + 1] === '\n') {
+                i += 2;
+                line++;
+                code += ' ';
+                text += ' ';
+            } else if (c === '#') {
+                while (i < n && src[i] !== '\n') i++;
+            } else if (c === '"' || c === "'") {
+                const triple = src.slice(i, i + 3) === c.repeat(3);
+                const quote = triple ? c.repeat(3) : c;
+                let j = i + quote.length;
+                while (j < n && !src.startsWith(quote, j)) {
+                    if (src[j] === '\\') j++;
+                    else if (src[j] === '\n' && !triple) break;
+                    j++;
+                }
+                j = Math.min(n, j + quote.length);
+                const literal = src.slice(i, j);
+                line += (literal.match(/\n/g) || []).length;
+                code += quote + ' '.repeat(Math.max(0, literal.length - 2 * quote.length)) + quote;
+                text += literal;
+                i = j;
+            } else {
+                if ('([{'.includes(c)) depth++;
+                else if (')]}'.includes(c) && depth > 0) depth--;
+                code += c;
+                text += c;
+                i++;
+            }
+        }
+        if (code.trim()) {
+            result.push({ line: startLine, endLine: done ? line - 1 : line, indent: code.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length, code, text });
+        }
+    }
+    return result;
+}
+
+// Top-level names between the brackets of a parameter list, split on depth-0 commas
+function splitParams(text) {
+    const params = [];
+    let depth = 0;
+    let current = '';
+    for (const c of text) {
+        if ('([{'.includes(c)) depth++;
+        else if (')]}'.includes(c)) depth--;
+        if (c === ',' && depth === 0) {
+            if (current.trim()) params.push(collapse(current, 120));
+            current = '';
+        } else {
+            current += c;
+        }
+    }
+    if (current.trim()) params.push(collapse(current, 120));
+    return params;
+}
+
+// Index of the ":" ending a def/class header: the first one outside brackets from `from`
+function headerColon(code, from) {
+    let depth = 0;
+    for (let i = from; i < code.length; i++) {
+        if ('([{'.includes(code[i])) depth++;
+        else if (')]}'.includes(code[i])) depth--;
+        else if (code[i] === ':' && depth === 0) return i;
+    }
+    return -1;
+}
+
+// Index of the ")" closing the "(" at `open`
+function closingParen(code, open) {
+    let depth = 0;
+    for (let i = open; i < code.length; i++) {
+        if (code[i] === '(') depth++;
+        else if (code[i] === ')' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// Identifier uses -> [{ name, line, call }], like collectReferences() in common.js. Lines are
+// those of the logical line's start, so uses inside a call spanning lines share its first line.
+function references(lines) {
+    const found = [];
+    for (const l of lines) {
+        for (const m of l.code.matchAll(/[\p{L}_][\p{L}\p{N}_]*/gu)) {
+            const name = m[0];
+            const before = l.code.slice(0, m.index);
+            const after = l.code.slice(m.index + name.length);
+            if (KEYWORDS.has(name) || /[\p{N}]$/u.test(before) || /^['"]/.test(after)) continue; // 1e5, f"..."
+            if (/\b(?:def|class)\s+$/.test(before)) continue; // Declared here
+            found.push({ name, line: l.line, call: /^\s*\(/.test(after) });
+        }
+    }
+    return found;
+}
+
+function parsePython(content) {
+    const lines = logicalLines(content);
+    const symbols = [];
+    const imports = [];
+    let allNames = null;
+    const stack = []; // open definitions: { symbol, indent }
+
+    lines.forEach((l, index) => {
+        while (stack.length && l.indent <= stack[stack.length - 1].indent) stack.pop();
+        const code = l.code.trim();
+        const text = l.text.trim();
+        const offset = l.code.length - l.code.trimStart().length;
+        const enclosing = stack.length ? stack[stack.length - 1].symbol : null;
+
+        let m;
+        if ((m = code.match(/^import\s+(.+)$/))) {
+            for (const part of m[1].split(',')) imports.push(part.trim().split(/\s+as\s+/)[0]);
+            return;
+        }
+        if ((m = code.match(/^from\s+(\.*[\w.]*)\s+import\b/))) {
+            imports.push(m[1]);
+            return;
+        }
+        if (!enclosing && (m = text.match(/^__all__\s*(?:\+?=)\s*[[(]([\s\S]*)[\])]/))) {
+            allNames = new Set([...(allNames || []), ...[...m[1].matchAll(/['"]([^'"]+)['"]/g)].map(x => x[1])]);
+            return;
+        }
+
+        const def = code.match(/^(async\s+)?def\s+([A-Za-z_]\w*)\s*(?:\[[^\]]*\])?\s*\(/);
+        const cls = code.match(/^class\s+([A-Za-z_]\w*)/);
+        if (!def && !cls) {
+            const assign = !enclosing && code.match(/^([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/);
+            if (assign) {
+                symbols.push({ name: assign[1], kind: 'variable', exported: !assign[1].startsWith('_'), parent: null, params: null, signature: collapse(text, 120), line: l.line, endLine: l.endLine });
+            }
+            return;
+        }
+
+        // The block runs to the last following line indented deeper than the header
+        let endLine = l.endLine;
+        for (let k = index + 1; k < lines.length && lines[k].indent > l.indent; k++) endLine = lines[k].endLine;
+
+        let symbol;
+        let colon;
+        if (def) {
+            const open = offset + def[0].length - 1;
+            const close = closingParen(l.code, open);
+            colon = headerColon(l.code, close === -1 ? open : close + 1);
+            const params = close === -1 ? [] : splitParams(l.text.slice(open + 1, close));
+            symbol = {
+                name: def[2],
+                kind: enclosing && enclosing.kind === 'class' ? 'method' : 'function',
+                params
+            };
+        } else {
+            symbol = { name: cls[1], kind: 'class', params: null };
+            colon = headerColon(l.code, offset + cls[0].length);
+        }
+        Object.assign(symbol, {
+            exported: !enclosing && !symbol.name.startsWith('_'),
+            parent: enclosing ? enclosing.name : null,
+            // `code` and `text` have the same length, so offsets carry over
+            signature: collapse(colon === -1 ? text : l.text.slice(offset, colon)),
+            line: l.line,
+            endLine
+        });
+        symbols.push(symbol);
+        stack.push({ symbol, indent: l.indent });
+    });
+
+    // __all__ is the authoritative export list when present
+    if (allNames) {
+        for (const s of symbols) if (s.parent === null) s.exported = allNames.has(s.name);
+    }
+    return { symbols, imports, references: references(lines) };
+}
+
+module.exports = {
+    name: 'python',
+    extensions: ['.py', '.pyi'],
+    parse: (content) => parsePython(content),
+    parsePython
+};
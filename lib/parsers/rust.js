@@ -0,0 +1,192 @@
+const { lineIndex, collapse, matchBrackets, splitList, collectReferences, tokenizeCLike, isPunct, isIdent } = require('./common');
+
+// Rust. Items at module level and inside `mod`, `impl` and `trait` blocks: fns (methods get
+// the impl/trait type as parent), structs, enums, traits, modules, type aliases, consts,
+// statics and macro_rules!. `pub` (any visibility) counts as exported. `use` paths and
+// `mod name;` files are the dependencies.
+
+const ITEM_MODIFIERS = new Set(['pub', 'async', 'const', 'unsafe', 'extern', 'default']);
+const KEYWORDS = new Set([
+    'as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum', 'extern', 'false', 'fn', 'for',
+    'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static',
+    'struct', 'super', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while', 'macro_rules', 'i8', 'i16', 'i32',
+    'i64', 'i128', 'isize', 'u8', 'u16', 'u32', 'u64', 'u128', 'usize', 'f32', 'f64', 'bool', 'char', 'str'
+]);
+
+function parseRust(content) {
+    const tokens = tokenizeCLike(content, { rust: true });
+    const match = matchBrackets(tokens);
+    const lineAt = lineIndex(content);
+    const line = (k) => lineAt(tokens[Math.min(k, tokens.length - 1)].start);
+    const text = (from, to) => content.slice(tokens[from].start, tokens[to].end);
+    const symbols = [];
+    const declarations = [];
+    const imports = [];
+
+    const add = (name, kind, start, end, signatureEnd, { exported, parent, params = null }) => {
+        declarations.push({ name, from: tokens[start].start, to: tokens[signatureEnd].end });
+        symbols.push({
+            name,
+            kind,
+            exported,
+            parent,
+            params,
+            signature: collapse(text(start, signatureEnd)),
+            line: line(start),
+            endLine: line(end)
+        });
+    };
+
+    // Index of the ";" or "{" ending an item header from k, jumping over brackets and generics
+    const headerEnd = (k, to) => {
+        let angle = 0;
+        for (let i = k; i < to; i++) {
+            const t = tokens[i];
+            if (t.type !== 'punct') continue;
+            if (t.value === '<') angle++;
+            else if (t.value === '>' && angle > 0 && !isPunct(tokens[i - 1], '-') && !isPunct(tokens[i - 1], '=')) angle--;
+            else if ((t.value === '{' && angle === 0) || t.value === ';') return i;
+            else if ((t.value === '(' || t.value === '[' || t.value === '{') && match.has(i)) i = match.get(i);
+        }
+        return to;
+    };
+
+    // Skips "<...>" at k -> index after it
+    const skipGenerics = (k) => {
+        if (!isPunct(tokens[k], '<')) return k;
+        let depth = 0;
+        for (let i = k; i < tokens.length; i++) {
+            if (isPunct(tokens[i], '<')) depth++;
+            else if (isPunct(tokens[i], '>') && !isPunct(tokens[i - 1], '-') && --depth === 0) return i + 1;
+        }
+        return tokens.length;
+    };
+
+    const items = (from, to, scope) => {
+        let i = from;
+        while (i < to) {
+            const start = i;
+            // Attributes: #[derive(...)], #![allow(...)]
+            if (isPunct(tokens[i], '#')) {
+                let k = i + 1;
+                if (isPunct(tokens[k], '!')) k++;
+                i = isPunct(tokens[k], '[') && match.has(k) ? match.get(k) + 1 : k;
+                continue;
+            }
+            let exported = false;
+            let k = i;
+            while (isIdent(tokens[k]) && ITEM_MODIFIERS.has(tokens[k].value) && !(tokens[k].value === 'const' && isIdent(tokens[k + 1]) && !['fn', 'unsafe', 'async', 'extern'].includes(tokens[k + 1].value))) {
+                if (tokens[k].value === 'pub') {
+                    exported = true;
+                    if (isPunct(tokens[k + 1], '(') && match.has(k + 1)) k = match.get(k + 1); // pub(crate)
+                }
+                k++;
+                if (tokens[k] && tokens[k].type === 'string') k++; // extern "C"
+            }
+            const keyword = tokens[k];
+            const nameToken = tokens[k + 1];
+            if (!isIdent(keyword)) {
+                i = (match.has(k) && match.get(k) > k) ? match.get(k) + 1 : k + 1;
+                continue;
+            }
+
+            const end = headerEnd(k, to);
+            const hasBody = isPunct(tokens[end], '{') && match.has(end);
+            const bodyEnd = hasBody ? match.get(end) : end;
+            const next = hasBody && isPunct(tokens[bodyEnd + 1], ';') ? bodyEnd + 2 : bodyEnd + 1;
+            const info = { exported: exported && scope.public, parent: scope.parent };
+
+            switch (keyword.value) {
+                case 'fn': {
+                    if (!isIdent(nameToken)) break;
+                    const open = skipGenerics(k + 2);
+                    const params = isPunct(tokens[open], '(') && match.has(open) ? splitList(content, tokens, open, match.get(open)) : [];
+                    add(nameToken.value, scope.parent && scope.inImpl ? 'method' : 'function', start, bodyEnd, end - 1, { ...info, params });
+                    i = next;
+                    continue;
+                }
+                case 'struct':
+                case 'enum':
+                case 'trait':
+                case 'union':
+                case 'type': {
+                    if (!isIdent(nameToken)) break;
+                    const kind = keyword.value === 'union' ? 'struct' : keyword.value;
+                    // Tuple structs end at ";" after the parens
+                    add(nameToken.value, kind, start, bodyEnd, hasBody ? end - 1 : end, info);
+                    if (kind === 'trait' && hasBody) items(end + 1, bodyEnd, { parent: nameToken.value, inImpl: true, public: exported });
+                    i = next;
+                    continue;
+                }
+                case 'static':
+                case 'const': {
+                    let n = k + 1;
+                    if (isIdent(tokens[n], 'mut')) n++;
+                    if (!isIdent(tokens[n])) break;
+                    // The value may contain braces: the item ends at its ";"
+                    let stop = n;
+                    while (stop < to && !isPunct(tokens[stop], ';')) stop = match.has(stop) && match.get(stop) > stop ? match.get(stop) + 1 : stop + 1;
+                    add(tokens[n].value, 'constant', start, stop, stop, info);
+                    i = stop + 1;
+                    continue;
+                }
+                case 'mod': {
+                    if (!isIdent(nameToken)) break;
+                    if (!hasBody) {
+                        imports.push(`self::${nameToken.value}`);
+                    } else {
+                        add(nameToken.value, 'module', start, bodyEnd, end - 1, info);
+                        items(end + 1, bodyEnd, { parent: nameToken.value, inImpl: false, public: exported });
+                    }
+                    i = next;
+                    continue;
+                }
+                case 'impl': {
+                    if (!hasBody) break;
+                    // impl<T> Trait for Type<T> where ... { } -> the parent is Type
+                    let n = skipGenerics(k + 1);
+                    const forAt = tokens.slice(n, end).findIndex(t => isIdent(t, 'for'));
+                    if (forAt !== -1) n += forAt + 1;
+                    while (isPunct(tokens[n], '&') || isIdent(tokens[n], 'mut') || isIdent(tokens[n], 'dyn')) n++;
+                    let typeName = null;
+                    while (n < end && isIdent(tokens[n])) {
+                        typeName = tokens[n].value;
+                        if (!isPunct(tokens[n + 1], '::')) break;
+                        n += 2;
+                    }
+                    items(end + 1, bodyEnd, { parent: typeName, inImpl: true, public: true });
+                    i = next;
+                    continue;
+                }
+                case 'use': {
+                    // use a::b::{c, d};  - the group braces are part of the path, `as` renames are not
+                    let stop = k + 1;
+                    while (stop < to && !isPunct(tokens[stop], ';')) stop++;
+                    imports.push(text(k + 1, stop - 1).replace(/\s+as\s+\w+/g, '').replace(/\s+/g, ''));
+                    i = stop + 1;
+                    continue;
+                }
+                case 'macro_rules': {
+                    if (!isPunct(nameToken, '!') || !isIdent(tokens[k + 2])) break;
+                    const open = k + 3;
+                    const close = match.has(open) ? match.get(open) : open;
+                    add(tokens[k + 2].value, 'macro', start, close, k + 2, { ...info, exported: false });
+                    i = isPunct(tokens[close + 1], ';') ? close + 2 : close + 1;
+                    continue;
+                }
+            }
+            // Not an item (statements inside fn bodies are never walked): skip a token
+            i = k + 1;
+        }
+    };
+
+    items(0, tokens.length, { parent: null, inImpl: false, public: true });
+    return { symbols, imports, references: collectReferences(tokens, lineAt, KEYWORDS, declarations) };
+}
+
+module.exports = {
+    name: 'rust',
+    extensions: ['.rs'],
+    parse: (content) => parseRust(content),
+    parseRust
+};
@@ -0,0 +1,75 @@
+const { postJson } = require('./request');
+
+// Anthropic Messages API. Tool results travel back as tool_result blocks inside a user turn.
+class AnthropicProvider {
+    constructor(options = {}) {
+        const env = options.env || process.env;
+        this.name = options.name || 'anthropic';
+        this.baseUrl = (options.baseUrl || env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || env.ANTHROPIC_API_KEY || '';
+        this.defaultModel = options.model || env.ANTHROPIC_MODEL || 'claude-sonnet-4-5';
+        this.maxTokens = options.maxTokens || Number(env.ANTHROPIC_MAX_TOKENS) || 8192;
+    }
+
+    hasKeys() {
+        return Boolean(this.apiKey);
+    }
+
+    async generate({ messages, systemInstruction = "", model, tools = null, signal = null }) {
+        const body = {
+            model: model || this.defaultModel,
+            max_tokens: this.maxTokens,
+            messages: this.toMessages(messages)
+        };
+        if (systemInstruction) body.system = systemInstruction;
+        if (tools && tools.length > 0) {
+            body.tools = tools.map(t => ({
+                name: t.name,
+                description: t.description,
+                input_schema: t.parameters || { type: 'object', properties: {} }
+            }));
+        }
+
+        const headers = { 'x-api-key': this.apiKey, 'anthropic-version': '2023-06-01' };
+        const data = await postJson(`${this.baseUrl}/v1/messages`, body, headers, 'Anthropic', signal);
+        return this.fromResponse(data);
+    }
+
+    toMessages(messages) {
+        return messages.map(msg => {
+            if (msg.role === 'user') {
+                return { role: 'user', content: msg.text };
+            }
+            if (msg.role === 'assistant') {
+                const content = [];
+                if (msg.text) content.push({ type: 'text', text: msg.text });
+                for (const call of msg.toolCalls || []) {
+                    content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.args || {} });
+                }
+                return { role: 'assistant', content };
+            }
+            return {
+                role: 'user',
+                content: msg.results.map(r => ({ type: 'tool_result', tool_use_id: r.id, content: String(r.content) }))
+            };
+        });
+    }
+
+    fromResponse(data) {
+        const blocks = data.content || [];
+        const usage = data.usage || {};
+        const inputTokens = usage.input_tokens || 0;
+        const outputTokens = usage.output_tokens || 0;
+
+        return {
+            text: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+            toolCalls: blocks
+                .filter(b => b.type === 'tool_use')
+                .map(b => ({ id: b.id, name: b.name, args: b.input || {} })),
+            usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+            finishReason: data.stop_reason || null
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
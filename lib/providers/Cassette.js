@@ -0,0 +1,129 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+// Record/replay of LLM traffic. A cassette is a JSONL file, one interaction per line:
+//   { fingerprint, stream, provider, model, systemInstruction, messages, tools, response }
+//
+// fingerprint identifies the exact request (provider, model, system prompt, conversation, tool names).
+// stream identifies the conversation "kind" (provider, model, system prompt) and is used as a
+// fallback in non-strict replay, where volatile details (timestamps, temp paths) change the prompt.
+
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+            .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+// Only what the model actually sees takes part in the fingerprint.
+function describeRequest(providerName, request) {
+    return {
+        provider: providerName,
+        model: request.model || null,
+        systemInstruction: request.systemInstruction || '',
+        messages: (request.messages || []).map(({ providerData, ...msg }) => msg),
+        tools: (request.tools || []).map(t => t.name),
+        responseSchema: request.responseSchema || null
+    };
+}
+
+function fingerprint(providerName, request) {
+    return hash(describeRequest(providerName, request));
+}
+
+function streamKey(providerName, request) {
+    const { provider, model, systemInstruction } = describeRequest(providerName, request);
+    return hash({ provider, model, systemInstruction });
+}
+
+// Replay failures are deterministic: flag them so GeminiClient does not retry or rotate keys.
+function replayError(message) {
+    const error = new Error(message);
+    error.fatal = true;
+    return error;
+}
+
+class RecordingProvider {
+    constructor(inner, cassettePath) {
+        this.inner = inner;
+        this.name = inner.name;
+        this.defaultModel = inner.defaultModel;
+        this.pool = inner.pool || null;
+        this.cassettePath = cassettePath;
+        this.writeQueue = Promise.resolve();
+    }
+
+    hasKeys() {
+        return this.inner.hasKeys();
+    }
+
+    async generate(request) {
+        const response = await this.inner.generate(request);
+        const entry = {
+            fingerprint: fingerprint(this.name, request),
+            stream: streamKey(this.name, request),
+            ...describeRequest(this.name, request),
+            response
+        };
+        // Serialize appends; parallel agents must not interleave lines.
+        this.writeQueue = this.writeQueue.then(() => fs.appendFile(this.cassettePath, JSON.stringify(entry) + '\n'));
+        await this.writeQueue;
+        return response;
+    }
+}
+
+class ReplayProvider {
+    constructor(inner, cassettePath, options = {}) {
+        this.inner = inner;
+        this.name = inner.name;
+        this.defaultModel = inner.defaultModel;
+        this.pool = null; // Nothing goes over the wire, so no key scheduling
+        this.cassettePath = cassettePath;
+        this.strict = Boolean(options.strict);
+        this.entries = null;
+    }
+
+    hasKeys() {
+        return true;
+    }
+
+    load() {
+        if (this.entries) return;
+        if (!fs.pathExistsSync(this.cassettePath)) {
+            throw replayError(`Replay cassette not found: ${this.cassettePath}`);
+        }
+        this.entries = fs.readFileSync(this.cassettePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => ({ ...JSON.parse(line), used: false }))
+            .filter(entry => entry.provider === this.name);
+    }
+
+    async generate(request) {
+        this.load();
+        const fp = fingerprint(this.name, request);
+
+        // Identical requests may legitimately occur several times; serve them in recorded order.
+        let entry = this.entries.find(e => !e.used && e.fingerprint === fp);
+        if (!entry && !this.strict) {
+            const stream = streamKey(this.name, request);
+            entry = this.entries.find(e => !e.used && e.stream === stream);
+        }
+        if (!entry) {
+            const left = this.entries.filter(e => !e.used).length;
+            throw replayError(`Replay miss: no recorded ${this.name} response for model "${request.model}"` +
+                `${this.strict ? ' (strict mode)' : ''}, ${left} unused entries left in ${this.cassettePath}`);
+        }
+
+        entry.used = true;
+        return entry.response;
+    }
+}
+
+module.exports = { RecordingProvider, ReplayProvider, fingerprint };
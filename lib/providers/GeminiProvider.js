@@ -0,0 +1,167 @@
+const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require("@google/generative-ai");
+const { KeyPool } = require('../KeyPool');
+
+// Collects every configured key: GEMINI_API_KEY_<n> (any n), GEMINI_API_KEYS (comma separated)
+// and the plain GEMINI_API_KEY. Duplicates are dropped; indices stay stable for agent preferences.
+function loadKeys(env) {
+    const keys = [];
+    const seen = new Set();
+    const add = (index, key) => {
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+        keys.push({ index, key });
+    };
+
+    Object.keys(env)
+        .map(name => name.match(/^GEMINI_API_KEY_(\d+)$/))
+        .filter(Boolean)
+        .sort((a, b) => Number(a[1]) - Number(b[1]))
+        .forEach(match => add(Number(match[1]), env[match[0]]));
+
+    let next = keys.reduce((max, k) => Math.max(max, k.index), 0) + 1;
+    (env.GEMINI_API_KEYS || '').split(',').map(k => k.trim()).forEach(key => {
+        if (key && !seen.has(key)) add(next++, key);
+    });
+
+    if (env.GEMINI_API_KEY && !seen.has(env.GEMINI_API_KEY)) {
+        add(keys.some(k => k.index === 1) ? next++ : 1, env.GEMINI_API_KEY);
+    }
+    return keys;
+}
+
+// Gemini accepts an OpenAPI subset: drop the JSON schema keywords it rejects.
+function toGeminiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (['title', 'additionalProperties', 'minLength', 'pattern', '$schema'].includes(key)) continue;
+        if (key === 'properties') {
+            out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toGeminiSchema(v)]));
+        } else {
+            out[key] = toGeminiSchema(value);
+        }
+    }
+    return out;
+}
+
+class GeminiProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'gemini';
+        const env = options.env || process.env;
+
+        const keys = options.apiKey ? [{ index: 1, key: options.apiKey }] : loadKeys(env);
+        this.clients = {}; // Map of index -> GoogleGenerativeAI instance
+        for (const { index, key } of keys) {
+            this.clients[index] = new GoogleGenerativeAI(key);
+        }
+        // GeminiClient leases a key from the pool for every request
+        this.pool = new KeyPool(keys, { env, ...(options.keyPool || {}) });
+
+        this.defaultModel = options.model || env.DEFAULT_MODEL || "gemini-1.5-pro";
+    }
+
+    hasKeys() {
+        return this.pool.size > 0;
+    }
+
+    getClient(index) {
+        if (this.clients[index]) return this.clients[index];
+        const availableKeys = Object.keys(this.clients);
+        if (availableKeys.length > 0) return this.clients[availableKeys[0]];
+        throw new Error(`No API Key available. Requested Key ${index}, but none found.`);
+    }
+
+    async generate({ messages, systemInstruction = "", model, keyIndex = 1, tools = null, responseSchema = null, signal = null }) {
+        const genAI = this.getClient(keyIndex);
+        const modelName = model || this.defaultModel;
+        const hasTools = tools && tools.length > 0;
+
+        const generativeModel = genAI.getGenerativeModel({
+            model: modelName,
+            systemInstruction: {
+                role: "system",
+                parts: [{ text: systemInstruction }]
+            },
+            safetySettings: [
+                { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+                { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+                { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+                { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE }
+            ],
+            tools: hasTools ? [{ functionDeclarations: tools }] : undefined
+        });
+
+        const generationConfig = {
+            temperature: 1.0,
+            maxOutputTokens: 65536
+        };
+        // JSON mode cannot be combined with function calling before Gemini 3
+        if (responseSchema && (!hasTools || modelName.includes('gemini-3'))) {
+            generationConfig.responseMimeType = 'application/json';
+            generationConfig.responseSchema = toGeminiSchema(responseSchema);
+        }
+
+        const contents = this.toContents(messages);
+        const last = contents.pop();
+
+        const chat = generativeModel.startChat({
+            history: contents,
+            generationConfig
+        });
+
+        const result = await chat.sendMessage(last.parts, signal ? { signal } : {});
+        return this.fromResponse(await result.response);
+    }
+
+    // Normalized messages -> Gemini "contents"
+    toContents(messages) {
+        return messages.map(msg => {
+            if (msg.role === 'user') {
+                return { role: 'user', parts: [{ text: msg.text }] };
+            }
+            if (msg.role === 'assistant') {
+                // Replay Gemini's own parts verbatim so thought signatures survive the round trip
+                if (msg.providerData && msg.providerData.provider === this.name) {
+                    return { role: 'model', parts: msg.providerData.parts };
+                }
+                const parts = [];
+                if (msg.text) parts.push({ text: msg.text });
+                for (const call of msg.toolCalls || []) {
+                    parts.push({ functionCall: { name: call.name, args: call.args } });
+                }
+                return { role: 'model', parts };
+            }
+            return {
+                role: 'function',
+                parts: msg.results.map(r => ({
+                    functionResponse: { name: r.name, response: { content: r.content } }
+                }))
+            };
+        });
+    }
+
+    fromResponse(response) {
+        const candidate = (response.candidates || [])[0];
+        const parts = (candidate && candidate.content && candidate.content.parts) || [];
+
+        const toolCalls = parts
+            .filter(p => p.functionCall)
+            .map((p, i) => ({ id: `${p.functionCall.name}_${i}`, name: p.functionCall.name, args: p.functionCall.args || {} }));
+
+        const usage = response.usageMetadata || {};
+        return {
+            text: toolCalls.length > 0 ? parts.filter(p => p.text).map(p => p.text).join('') : response.text(),
+            toolCalls,
+            usage: {
+                inputTokens: usage.promptTokenCount || 0,
+                outputTokens: usage.candidatesTokenCount || 0,
+                totalTokens: usage.totalTokenCount || 0
+            },
+            finishReason: candidate ? candidate.finishReason : null,
+            providerData: { provider: this.name, parts }
+        };
+    }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,80 @@
+const { postJson, parseArgs } = require('./request');
+
+// Native Ollama /api/chat. No API key; points at a local or self-hosted daemon.
+class OllamaProvider {
+    constructor(options = {}) {
+        const env = options.env || process.env;
+        this.name = options.name || 'ollama';
+        this.baseUrl = (options.baseUrl || env.OLLAMA_HOST || 'http://localhost:11434').replace(/\/+$/, '');
+        this.defaultModel = options.model || env.OLLAMA_MODEL || 'qwen2.5-coder';
+        this.numCtx = options.numCtx || Number(env.OLLAMA_NUM_CTX) || undefined;
+    }
+
+    hasKeys() {
+        return true;
+    }
+
+    async generate({ messages, systemInstruction = "", model, tools = null, responseSchema = null, signal = null }) {
+        const body = {
+            model: model || this.defaultModel,
+            messages: this.toMessages(messages, systemInstruction),
+            stream: false,
+            options: { temperature: 1.0, ...(this.numCtx ? { num_ctx: this.numCtx } : {}) }
+        };
+        if (tools && tools.length > 0) {
+            body.tools = tools.map(t => ({
+                type: 'function',
+                function: { name: t.name, description: t.description, parameters: t.parameters || { type: 'object', properties: {} } }
+            }));
+        }
+
+        // A forced JSON format would suppress tool calls, so only constrain tool-less turns
+        if (responseSchema && !body.tools) body.format = responseSchema;
+
+        const data = await postJson(`${this.baseUrl}/api/chat`, body, {}, 'Ollama', signal);
+        return this.fromResponse(data);
+    }
+
+    toMessages(messages, systemInstruction) {
+        const out = [];
+        if (systemInstruction) out.push({ role: 'system', content: systemInstruction });
+
+        for (const msg of messages) {
+            if (msg.role === 'user') {
+                out.push({ role: 'user', content: msg.text });
+            } else if (msg.role === 'assistant') {
+                const entry = { role: 'assistant', content: msg.text || '' };
+                if (msg.toolCalls && msg.toolCalls.length > 0) {
+                    entry.tool_calls = msg.toolCalls.map(call => ({
+                        function: { name: call.name, arguments: call.args || {} }
+                    }));
+                }
+                out.push(entry);
+            } else {
+                for (const r of msg.results) {
+                    out.push({ role: 'tool', tool_name: r.name, content: String(r.content) });
+                }
+            }
+        }
+        return out;
+    }
+
+    fromResponse(data) {
+        const message = data.message || {};
+        const inputTokens = data.prompt_eval_count || 0;
+        const outputTokens = data.eval_count || 0;
+
+        return {
+            text: message.content || '',
+            toolCalls: (message.tool_calls || []).map((call, i) => ({
+                id: `${call.function.name}_${i}`,
+                name: call.function.name,
+                args: parseArgs(call.function.arguments)
+            })),
+            usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+            finishReason: data.done_reason || null
+        };
+    }
+}
+
+module.exports = OllamaProvider;
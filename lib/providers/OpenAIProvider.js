@@ -0,0 +1,93 @@
+const { postJson, parseArgs } = require('./request');
+
+// Speaks the OpenAI Chat Completions protocol. Works with api.openai.com and any
+// compatible server (vLLM, LM Studio, llama.cpp, OpenRouter, Ollama's /v1 ...).
+class OpenAIProvider {
+    constructor(options = {}) {
+        const env = options.env || process.env;
+        this.name = options.name || 'openai';
+        this.baseUrl = (options.baseUrl || env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || env.OPENAI_API_KEY || '';
+        this.defaultModel = options.model || env.OPENAI_MODEL || 'gpt-4o-mini';
+        // Some compatible servers reject response_format; OPENAI_STRUCTURED_OUTPUT=0 falls back to prompting
+        this.structuredOutput = options.structuredOutput !== undefined ? options.structuredOutput : env.OPENAI_STRUCTURED_OUTPUT !== '0';
+    }
+
+    hasKeys() {
+        return Boolean(this.apiKey) || !this.baseUrl.includes('api.openai.com');
+    }
+
+    async generate({ messages, systemInstruction = "", model, tools = null, responseSchema = null, signal = null }) {
+        const body = {
+            model: model || this.defaultModel,
+            messages: this.toMessages(messages, systemInstruction),
+            temperature: 1.0
+        };
+        if (tools && tools.length > 0) {
+            body.tools = tools.map(t => ({
+                type: 'function',
+                function: { name: t.name, description: t.description, parameters: t.parameters || { type: 'object', properties: {} } }
+            }));
+        }
+
+        if (responseSchema && this.structuredOutput) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: responseSchema.title || 'response', schema: responseSchema, strict: false }
+            };
+        }
+
+        const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+        const data = await postJson(`${this.baseUrl}/chat/completions`, body, headers, 'OpenAI', signal);
+        return this.fromResponse(data);
+    }
+
+    toMessages(messages, systemInstruction) {
+        const out = [];
+        if (systemInstruction) out.push({ role: 'system', content: systemInstruction });
+
+        for (const msg of messages) {
+            if (msg.role === 'user') {
+                out.push({ role: 'user', content: msg.text });
+            } else if (msg.role === 'assistant') {
+                const entry = { role: 'assistant', content: msg.text || null };
+                if (msg.toolCalls && msg.toolCalls.length > 0) {
+                    entry.tool_calls = msg.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+                    }));
+                }
+                out.push(entry);
+            } else {
+                for (const r of msg.results) {
+                    out.push({ role: 'tool', tool_call_id: r.id, content: String(r.content) });
+                }
+            }
+        }
+        return out;
+    }
+
+    fromResponse(data) {
+        const choice = (data.choices || [])[0] || {};
+        const message = choice.message || {};
+        const usage = data.usage || {};
+
+        return {
+            text: message.content || '',
+            toolCalls: (message.tool_calls || []).map((call, i) => ({
+                id: call.id || `${call.function.name}_${i}`,
+                name: call.function.name,
+                args: parseArgs(call.function.arguments)
+            })),
+            usage: {
+                inputTokens: usage.prompt_tokens || 0,
+                outputTokens: usage.completion_tokens || 0,
+                totalTokens: usage.total_tokens || 0
+            },
+            finishReason: choice.finish_reason || null
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,43 @@
+const GeminiProvider = require('./GeminiProvider');
+const OpenAIProvider = require('./OpenAIProvider');
+const OllamaProvider = require('./OllamaProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+
+// Every provider implements the same contract:
+//
+//   generate({ messages, systemInstruction, model, keyIndex, tools, responseSchema, signal }) -> response
+//
+// messages (normalized, provider-agnostic):
+//   { role: 'user', text }
+//   { role: 'assistant', text, toolCalls: [{ id, name, args }], providerData? }
+//   { role: 'tool', results: [{ id, name, content }] }
+//
+// tools: [{ name, description, parameters }] (JSON schema parameters)
+// responseSchema: optional JSON schema for the final answer; providers with a native
+//   structured-output mode enforce it, the others rely on the prompt (see lib/Schema.js)
+// signal: optional AbortSignal; aborting rejects the in-flight request
+//
+// response:
+//   { text, toolCalls: [{ id, name, args }], usage: { inputTokens, outputTokens, totalTokens },
+//     finishReason, providerData? }
+//
+// providerData is opaque; a provider may use it to replay its own turns losslessly.
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAIProvider,
+    ollama: OllamaProvider,
+    anthropic: AnthropicProvider
+};
+
+// `config.type` selects the implementation, so several named endpoints can share one
+// (e.g. { local: { type: 'openai', baseUrl: 'http://localhost:8000/v1' } }).
+function createProvider(name, config = {}) {
+    const type = config.type || name;
+    const Provider = PROVIDERS[type];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${type}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider({ ...config, name });
+}
+
+module.exports = { PROVIDERS, createProvider };
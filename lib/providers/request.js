@@ -0,0 +1,40 @@
+// Minimal JSON-over-HTTP helper shared by the REST based providers.
+// Error messages always carry the HTTP status so GeminiClient's retry
+// classification (429 / 500 / 503 ...) works the same for every backend.
+async function postJson(url, body, headers = {}, label = 'LLM', signal = null) {
+    let res;
+    try {
+        res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: signal || undefined
+        });
+    } catch (e) {
+        if (e.name === 'AbortError') throw e; // Cancellation, not a network problem
+        throw new Error(`${label} fetch failed: ${e.cause ? e.cause.message : e.message}`);
+    }
+
+    const text = await res.text();
+    if (!res.ok) {
+        throw new Error(`${label} request failed (${res.status}): ${text.substring(0, 500)}`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${label} returned invalid JSON: ${text.substring(0, 200)}`);
+    }
+}
+
+function parseArgs(raw) {
+    if (!raw) return {};
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return { _raw: raw };
+    }
+}
+
+module.exports = { postJson, parseArgs };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Agent = require('../lib/Agent');
+const GeminiClient = require('../lib/Gemini');
+const { ToolSet } = require('../lib/Tools');
+const { TEST_VERDICT_SCHEMA } = require('../lib/Schema');
+
+// Replays test/fixtures/agent.cassette.jsonl, recorded with RecordingProvider:
+//   Coder:  read_file greet.js (missing), then write_file greet.js, then a final answer
+//   Tester: an invalid TestVerdict, then the repaired one
+// Replay is strict: the requests, tool results included, must be exactly the recorded ones.
+const CASSETTE = path.join(__dirname, 'fixtures', 'agent.cassette.jsonl');
+const TASK = 'Create greet.js exporting greet(name), which returns "Hello, <name>!".';
+
+function setup(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cg-agent-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+
+    const client = new GeminiClient({}, { cassetteMode: 'replay', cassettePath: CASSETTE, cassetteStrict: true });
+    const events = [];
+    client.tracer = { log: (type, data) => events.push({ type, ...data }) };
+    const tools = new ToolSet(root);
+    const agent = (name, role, description, allowedTools) =>
+        new Agent(name, role, description, client, 'qwen2.5-coder', 1, tools, allowedTools, 5, 'ollama');
+    return { root, events, agent };
+}
+
+test('converse runs the tool calls against the workspace and feeds the results back', async (t) => {
+    const { root, events, agent } = setup(t);
+    const coder = agent('Coder', 'Lead Developer', 'Implement changes.', null);
+    const conversation = coder.startConversation(TASK, {}, { phase: 'construction' });
+
+    assert.strictEqual(await coder.converse(conversation, { phase: 'construction' }), 'Created greet.js with greet(name).');
+    assert.strictEqual(require(path.join(root, 'greet.js')).greet('Ada'), 'Hello, Ada!');
+
+    const { history } = conversation;
+    assert.deepStrictEqual(history.map(m => m.role), ['user', 'assistant', 'tool', 'assistant', 'tool']);
+    // The read went out as an error; once greet.js was written, compaction elided it
+    assert.deepStrictEqual(history[2].results.map(r => [r.id, r.name]), [['call_1', 'read_file']]);
+    assert.match(history[2].results[0].content, /^\[elided: earlier read_file of greet\.js, superseded by a later write/);
+    assert.strictEqual(history[4].results[0].id, history[3].toolCalls[0].id);
+    assert.match(history[4].results[0].content, /^Successfully wrote to greet\.js/);
+
+    const tools = events.filter(e => e.type === 'tool');
+    assert.deepStrictEqual(tools.map(e => [e.agent, e.phase, e.tool]), [['Coder', 'construction', 'read_file'], ['Coder', 'construction', 'write_file']]);
+    assert.strictEqual(tools[0].result, 'Error: File not found.');
+    assert.deepStrictEqual(events.at(-1), { type: 'agent-end', phase: 'construction', agent: 'Coder', conversation: conversation.id, text: 'Created greet.js with greet(name).' });
+});
+
+test('executeStructured asks for a repair when the answer breaks the schema', async (t) => {
+    const { events, agent } = setup(t);
+    const tester = agent('Tester', 'QA Engineer', 'Audit logic.', ['read_file']);
+
+    const verdict = await tester.executeStructured('Quick sanity check on greet.js. PASS or FAIL?', TEST_VERDICT_SCHEMA, { meta: { phase: 'audit' } });
+    assert.deepStrictEqual(verdict, { verdict: 'PASS', summary: 'greet(\'Ada\') returns "Hello, Ada!"', issues: [] });
+
+    const repairs = events.filter(e => e.type === 'user-message');
+    assert.strictEqual(repairs.length, 1);
+    assert.match(repairs[0].text, /does not match the required TestVerdict schema/);
+    assert.match(repairs[0].text, /verdict/);
+    assert.strictEqual(console.warn.mock.callCount(), 1);
+});
+
+test('a request that was never recorded fails the conversation at once', async (t) => {
+    const { events, agent } = setup(t);
+    const coder = agent('Coder', 'Lead Developer', 'Implement changes.', null);
+
+    await assert.rejects(coder.execute('Create bye.js.', {}, { phase: 'construction' }), /Replay miss.*strict mode/);
+    assert.strictEqual(events.filter(e => e.type === 'llm-error').length, 1, 'not retried');
+    assert.match(events.at(-1).error, /Replay miss/);
+});
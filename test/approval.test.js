@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ApprovalPolicy } = require('../lib/Approval');
+
+const mode = (config, name, args) => new ApprovalPolicy(config, { workspaceDir: '/project' }).evaluate(name, args).mode;
+
+test('built-in rules apply on top of an auto default', () => {
+    assert.strictEqual(mode({}, 'run_command', { command: 'npm install lodash' }), 'ask');
+    assert.strictEqual(mode({}, 'run_command', { command: 'rm -rf src' }), 'ask');
+    assert.strictEqual(mode({}, 'run_command', { command: 'rm -rf ~' }), 'deny');
+    assert.strictEqual(mode({}, 'write_file', { path: '.env' }), 'ask');
+    assert.strictEqual(mode({}, 'write_file', { path: '.git/config' }), 'deny');
+    assert.strictEqual(mode({}, 'delete_file', { path: 'a.js' }), 'ask');
+    assert.strictEqual(mode({}, 'write_file', { path: 'src/a.js' }), 'auto');
+});
+
+test('built-in rules never loosen a stricter tool mode or default', () => {
+    const cases = [
+        [{ tools: { run_command: 'deny' } }, 'run_command', { command: 'npm install' }],
+        [{ tools: { run_command: 'deny' } }, 'run_command', { command: 'rm -rf src' }],
+        [{ tools: { write_file: 'deny' } }, 'write_file', { path: '.env' }],
+        [{ tools: { write_file: 'deny' } }, 'write_file', { path: '../outside.txt' }],
+        [{ default: 'deny' }, 'run_command', { command: 'npm install' }],
+        [{ default: 'deny' }, 'write_file', { path: '.env.local' }],
+        [{ default: 'deny' }, 'delete_file', { path: 'a.js' }]
+    ];
+    for (const [config, name, args] of cases) {
+        assert.strictEqual(mode(config, name, args), 'deny', `${name} ${JSON.stringify(args)} with ${JSON.stringify(config)}`);
+        assert.strictEqual(mode({ ...config, nonInteractive: 'auto' }, name, args), 'deny');
+    }
+    assert.strictEqual(mode({ default: 'ask' }, 'run_command', { command: 'rm -rf ~' }), 'deny');
+});
+
+test('project rules and explicit tool modes still decide', () => {
+    assert.strictEqual(mode({ commands: [{ pattern: '^npm install$', mode: 'auto' }] }, 'run_command', { command: 'npm install' }), 'auto');
+    assert.strictEqual(mode({ default: 'deny', tools: { write_file: 'auto' } }, 'write_file', { path: 'src/a.js' }), 'auto');
+    assert.strictEqual(mode({ tools: { delete_file: 'auto' } }, 'delete_file', { path: 'a.js' }), 'auto');
+    assert.strictEqual(mode({ builtinRules: false }, 'run_command', { command: 'rm -rf src' }), 'auto');
+});
+
+test('a patch gets the strictest verdict of the files it touches', () => {
+    const patch = ['--- a/src/a.js', '+++ b/src/a.js', '@@ -1 +1 @@', '-a', '+b', '--- a/.env', '+++ b/.env', '@@ -1 +1 @@', '-A=1', '+A=2', ''].join('\n');
+    assert.strictEqual(mode({}, 'apply_patch', { patch }), 'ask');
+    assert.strictEqual(mode({ paths: [{ pattern: '^\\.env$', mode: 'auto' }], tools: { apply_patch: 'deny' } }, 'apply_patch', { patch }), 'deny');
+});
+
+test('non-interactive review follows the evaluated mode', async () => {
+    const policy = new ApprovalPolicy({ tools: { run_command: 'deny' }, nonInteractive: 'auto' });
+    assert.strictEqual((await policy.review('run_command', { command: 'npm install' }, 'DevOps')).approved, false);
+    const asking = new ApprovalPolicy({ nonInteractive: 'auto' });
+    assert.strictEqual((await asking.review('run_command', { command: 'npm install' }, 'DevOps')).approved, true);
+});
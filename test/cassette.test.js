@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const GeminiClient = require('../lib/Gemini');
+
+// Replays test/fixtures/engineer.cassette.jsonl: two Engineer turns recorded against Ollama,
+// "Write hello.js" then "Write bye.js". No network and no API keys are involved.
+const CASSETTE = path.join(__dirname, 'fixtures', 'engineer.cassette.jsonl');
+
+function replayClient(strict) {
+    process.env.LLM_CASSETTE_STRICT = strict ? '1' : '0';
+    return new GeminiClient({}, { cassetteMode: 'replay', cassettePath: CASSETTE });
+}
+
+function ask(client, text) {
+    return client.generateText({
+        provider: 'ollama',
+        model: 'qwen2.5-coder',
+        systemInstruction: 'You are the Engineer.',
+        messages: [{ role: 'user', text }]
+    });
+}
+
+test('serves the recorded response whose fingerprint matches, whatever the order', async () => {
+    const client = replayClient(false);
+    assert.strictEqual((await ask(client, 'Write bye.js')).text, "console.log('bye');");
+    assert.strictEqual((await ask(client, 'Write hello.js')).text, "console.log('hello');");
+});
+
+test('falls back to the next unused response of the same agent and model', async () => {
+    const client = replayClient(false);
+    assert.strictEqual((await ask(client, 'Write hello.js (started 10:42)')).text, "console.log('hello');");
+    assert.strictEqual((await ask(client, 'Write bye.js (started 10:43)')).text, "console.log('bye');");
+    await assert.rejects(ask(client, 'One more'), /Replay miss/);
+});
+
+test('LLM_CASSETTE_STRICT=1 fails on anything but an exact match', async () => {
+    const client = replayClient(true);
+    await assert.rejects(ask(client, 'Write hello.js (started 10:42)'), /Replay miss.*strict mode/);
+    assert.strictEqual((await ask(client, 'Write hello.js')).text, "console.log('hello');");
+});
+
+test.after(() => {
+    delete process.env.LLM_CASSETTE_STRICT;
+});
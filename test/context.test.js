@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ContextManager, estimateTokens } = require('../lib/ContextManager');
+
+// Stands in for GeminiClient: records summary requests and compaction traces
+function fakeClient(reply = 'Read a.js; wrote b.js.') {
+    return {
+        requests: [],
+        traces: [],
+        async generateText(request) {
+            this.requests.push(request);
+            if (reply instanceof Error) throw reply;
+            return { text: reply };
+        },
+        trace(type, data) {
+            this.traces.push({ type, ...data });
+        }
+    };
+}
+
+// task, then `turns` read_file round trips with `size` characters of output each
+function history(turns, size) {
+    const messages = [{ role: 'user', text: 'TASK: build the app' }];
+    for (let i = 0; i < turns; i++) {
+        messages.push({ role: 'assistant', text: '', toolCalls: [{ id: `c${i}`, name: 'read_file', args: { path: `f${i}.js` } }] });
+        messages.push({ role: 'tool', results: [{ id: `c${i}`, name: 'read_file', content: 'x'.repeat(size) }] });
+    }
+    return messages;
+}
+
+function quiet(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+}
+
+test('estimates about four characters per token', () => {
+    assert.strictEqual(estimateTokens('12345678'), 2);
+    assert.strictEqual(estimateTokens(''), 0);
+    assert.strictEqual(estimateTokens(null), 0);
+});
+
+test('leaves a history under the threshold alone', async () => {
+    const client = fakeClient();
+    const manager = new ContextManager(client, { env: {}, maxTokens: 10000 });
+    const messages = history(3, 100);
+    const copy = JSON.parse(JSON.stringify(messages));
+    await manager.compact(messages);
+    assert.deepStrictEqual(messages, copy);
+    assert.strictEqual(client.requests.length, 0);
+});
+
+test('elides reads superseded by a later write of the same file', async () => {
+    const manager = new ContextManager(fakeClient(), { env: {}, maxTokens: 100000 });
+    const messages = history(1, 100);
+    messages.push({ role: 'assistant', text: '', toolCalls: [{ id: 'w', name: 'write_file', args: { path: 'f0.js', content: 'new' } }] });
+    messages.push({ role: 'tool', results: [{ id: 'w', name: 'write_file', content: 'ok' }] });
+    await manager.compact(messages);
+    assert.match(messages[2].results[0].content, /^\[elided: earlier read_file of f0\.js/);
+});
+
+test('truncates old tool outputs before summarizing', async (t) => {
+    quiet(t);
+    const client = fakeClient();
+    const manager = new ContextManager(client, { env: {}, maxTokens: 3000, keepRecent: 2, maxToolOutputChars: 1000 });
+    const messages = history(4, 3000);
+    await manager.compact(messages);
+    assert.match(messages[2].results[0].content, /\.\.\. \[2100 characters truncated\] \.\.\./);
+    assert.strictEqual(messages[messages.length - 1].results[0].content.length, 3000); // Recent turns untouched
+    assert.strictEqual(client.requests.length, 0);
+    assert.strictEqual(client.traces[0].type, 'compaction');
+});
+
+test('summarizes older turns into the pinned task, keeping tool calls paired', async (t) => {
+    quiet(t);
+    const client = fakeClient('Read f0-f3.');
+    const manager = new ContextManager(client, { env: {}, maxTokens: 2000, keepRecent: 3, maxToolOutputChars: 1000, provider: 'ollama' });
+    const messages = history(5, 1500);
+    await manager.compact(messages, { meta: { agent: 'Engineer' } });
+
+    assert.strictEqual(messages[0].text, 'TASK: build the app\n\n--- SUMMARY OF YOUR EARLIER WORK ---\nRead f0-f3.');
+    assert.deepStrictEqual(messages.slice(1).map(m => m.role), ['assistant', 'tool']);
+    assert.strictEqual(messages[1].toolCalls[0].id, messages[2].results[0].id);
+    assert.strictEqual(client.requests[0].provider, 'ollama');
+    assert.strictEqual(client.requests[0].meta.phase, 'context-summary');
+    assert.match(client.requests[0].messages[0].text, /TRANSCRIPT:[\s\S]*read_file\(\{"path":"f0\.js"\}\)/);
+});
+
+test('drops older turns when the summary call fails', async (t) => {
+    quiet(t);
+    const manager = new ContextManager(fakeClient(new Error('503')), { env: {}, maxTokens: 2000, keepRecent: 3 });
+    const messages = history(5, 1500);
+    await manager.compact(messages);
+    assert.match(messages[0].text, /\[8 earlier messages were dropped to fit the context window\.\]$/);
+    assert.strictEqual(messages.length, 3);
+});
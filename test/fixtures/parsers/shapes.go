@@ -0,0 +1,36 @@
+// Package shapes does shapes.
+package shapes
+
+import "fmt"
+import (
+    "strings"
+    m "math"
+    _ "embed"
+)
+
+// func Commented() {}
+const Pi = 3.14
+var counter int
+
+type Shape interface {
+    Area() float64
+}
+
+type Circle struct {
+    Radius float64
+}
+
+func (c *Circle) Area() float64 {
+    s := "func InString() {}"
+    _ = s
+    return m.Pi * c.Radius * c.Radius
+}
+
+func (c Circle) scale(f float64) Circle { return Circle{c.Radius * f} }
+
+func NewCircle(r float64) *Circle {
+    fmt.Println(strings.Repeat("x", 1))
+    return &Circle{r}
+}
+
+func helper() {}
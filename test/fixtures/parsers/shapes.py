@@ -0,0 +1,37 @@
+"""Module docstring.
+def fake_in_docstring(): pass
+import fake_module
+"""
+import os
+import os.path as osp
+from . import sibling
+from .pkg.mod import thing, other as alias
+from typing import (
+    List,
+    Dict,
+)
+# def commented(): pass
+# import commented_module
+MAX = 10
+_private = 1
+
+class Shape(Base):
+    """class doc: def not_a_method(self): pass"""
+    def __init__(self, size):
+        self.size = size
+
+    @property
+    def area(self):
+        s = "def inside_string(): import x"
+        return self.size ** 2
+
+    async def fetch(self, url, *, timeout=3):
+        pass
+
+def helper(a, b=2):
+    def nested():
+        pass
+    return nested
+
+async def _hidden():
+    pass
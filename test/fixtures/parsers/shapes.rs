@@ -0,0 +1,25 @@
+//! crate doc
+use std::collections::HashMap;
+use crate::geometry::{Point, Line as Segment};
+use super::util::*;
+mod inner;
+pub mod shapes;
+extern crate serde;
+// fn commented() {}
+/* pub struct InComment; */
+pub const MAX: usize = 10;
+static COUNT: u32 = 0;
+pub struct Circle { radius: f64 }
+enum Kind { A, B }
+pub trait Shape { fn area(&self) -> f64; }
+impl Shape for Circle {
+    fn area(&self) -> f64 { let s = "fn in_string() {}"; 3.14 * self.radius * self.radius }
+}
+impl Circle {
+    pub fn new(radius: f64) -> Self { Circle { radius } }
+    fn scale(&mut self, f: f64) { self.radius *= f; }
+}
+pub fn helper<T: Clone>(x: T) -> T { x.clone() }
+fn private() {}
+macro_rules! square { ($x:expr) => { $x * $x }; }
+pub type Map = HashMap<String, u32>;
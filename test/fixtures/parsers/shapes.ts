@@ -0,0 +1,27 @@
+// import fake from 'not-a-module';
+/* export function commented() {} */
+import React, { useState } from 'react';
+import * as path from "path";
+import type { Props } from './types';
+export { helper } from './helper';
+export * from './all';
+const lazy = require('./lazy');
+const later = import('./later');
+const s = "import nope from 'string-module'; function inString() {}";
+const t = `class InTemplate { ${value} }`;
+const re = /export function inRegex\(\)/;
+export interface Shape { area(): number }
+export type Id = string | number;
+export enum Color { Red, Green }
+export default class Circle extends Base implements Shape {
+    private radius: number;
+    constructor(radius: number) { super(); this.radius = radius; }
+    area(): number { return Math.PI * this.radius ** 2; }
+    static unit() { return new Circle(1); }
+    get diameter() { return this.radius * 2; }
+}
+export const square = (x: number): number => x * x;
+export async function load(url: string, { retries = 3 } = {}) { return fetch(url); }
+function internal() { area(); }
+class Hidden { method() {} }
+module.exports.legacy = function legacy() {};
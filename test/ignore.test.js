@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IgnoreMatcher, globToRegExp, globFilter, parseRule } = require('../lib/Ignore');
+
+// [glob, path, matches]
+const GLOBS = [
+    ['*.js', 'a.js', true],
+    ['*.js', 'src/a.js', false],
+    ['src/*.js', 'src/a.js', true],
+    ['src/*.js', 'src/lib/a.js', false],
+    ['**/*.js', 'a.js', true],
+    ['**/*.js', 'src/lib/a.js', true],
+    ['src/**/*.js', 'src/a.js', true],
+    ['src/**/*.js', 'src/lib/deep/a.js', true],
+    ['src/**', 'src/lib/a.js', true],
+    ['src/**', 'src', false],
+    ['a?c', 'abc', true],
+    ['a?c', 'a/c', false],
+    ['file[0-9].txt', 'file7.txt', true],
+    ['file[!0-9].txt', 'file7.txt', false],
+    ['file[!0-9].txt', 'fileX.txt', true],
+    ['*.{js,ts}', 'index.ts', true],
+    ['*.{js,ts}', 'index.py', false],
+    ['\\*literal', '*literal', true],
+    ['\\*literal', 'xliteral', false],
+    ['a.b', 'axb', false]
+];
+
+test('globToRegExp', () => {
+    for (const [glob, p, expected] of GLOBS) {
+        assert.strictEqual(globToRegExp(glob).test(p), expected, `${glob} on ${p}`);
+    }
+});
+
+test('parseRule reads .gitignore lines like git', () => {
+    assert.strictEqual(parseRule(''), null);
+    assert.strictEqual(parseRule('   '), null);
+    assert.strictEqual(parseRule('# comment'), null);
+    assert.deepStrictEqual(pick(parseRule('!keep.log')), { negate: true, dirOnly: false });
+    assert.deepStrictEqual(pick(parseRule('build/')), { negate: false, dirOnly: true });
+    assert.ok(parseRule('\\#hash').regex.test('#hash'));
+    assert.ok(parseRule('\\!bang').regex.test('!bang'));
+    assert.ok(parseRule('trailing   ').regex.test('trailing'), 'unescaped trailing spaces are dropped');
+    assert.ok(parseRule('windows\r').regex.test('windows'));
+});
+
+function pick(rule) {
+    return { negate: rule.negate, dirOnly: rule.dirOnly };
+}
+
+// Expectations checked against `git check-ignore` on the same tree
+const TREE = {
+    '.gitignore': ['*.log', '!keep.log', '/root-only.txt', 'docs/*.md', 'tmp/', 'cache', 'out/**', 'a/**/z.txt', 'vendor/', '!vendor/keep.js'].join('\n'),
+    'sub/.gitignore': ['*.tmp', '/local.txt', '!important.log'].join('\n'),
+    'sub/deeper/.gitignore': ['!*.tmp'].join('\n')
+};
+
+// [path, isDir, ignored]
+const PATHS = [
+    // Unanchored patterns match at any depth, negation re-includes
+    ['app.log', false, true],
+    ['src/app.log', false, true],
+    ['keep.log', false, false],
+    ['src/keep.log', false, false],
+    // A leading or middle slash anchors to the .gitignore's directory
+    ['root-only.txt', false, true],
+    ['src/root-only.txt', false, false],
+    ['docs/guide.md', false, true],
+    ['docs/api/guide.md', false, false],
+    ['src/docs/guide.md', false, false],
+    // A trailing slash matches directories only; without it both
+    ['tmp', true, true],
+    ['tmp', false, false],
+    ['src/tmp/x.js', false, true],
+    ['cache', false, true],
+    ['src/cache/x.js', false, true],
+    // "dir/**" matches what is inside, "a/**/b" zero or more directories
+    ['out/x/y.js', false, true],
+    ['out', true, false],
+    ['a/z.txt', false, true],
+    ['a/b/c/z.txt', false, true],
+    ['b/a/z.txt', false, false],
+    // A file can't be re-included when its directory is ignored
+    ['vendor/keep.js', false, true],
+    // Nested .gitignore files apply below their directory and override their parents
+    ['sub/x.tmp', false, true],
+    ['x.tmp', false, false],
+    ['sub/local.txt', false, true],
+    ['sub/inner/local.txt', false, false],
+    ['local.txt', false, false],
+    ['sub/important.log', false, false],
+    ['sub/other.log', false, true],
+    ['sub/deeper/x.tmp', false, false],
+    // Always ignored, whatever .gitignore says
+    ['node_modules/pkg/index.js', false, true],
+    ['.git/HEAD', false, true],
+    ['src/__pycache__/m.pyc', false, true]
+];
+
+// The files of PATHS, except where a directory of the same name is listed
+const dirs = PATHS.filter(([, isDir]) => isDir).map(([p]) => p);
+const FILES = PATHS.filter(([p, isDir]) => !isDir && !dirs.includes(p));
+
+function tree(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cg-ignore-'));
+    for (const file of [...Object.keys(TREE), ...FILES.map(([p]) => p)]) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), TREE[file] || '');
+    }
+    for (const dir of dirs) fs.mkdirSync(path.join(root, dir), { recursive: true });
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    return root;
+}
+
+test('IgnoreMatcher.isIgnored follows git', async (t) => {
+    const matcher = new IgnoreMatcher(tree(t));
+    for (const [p, isDir, expected] of PATHS) {
+        assert.strictEqual(await matcher.isIgnored(p, isDir), expected, `${p}${isDir ? '/' : ''}`);
+    }
+});
+
+test('listFiles skips ignored files and never enters ignored directories', async (t) => {
+    const root = tree(t);
+    const matcher = new IgnoreMatcher(root, { extra: ['*.md'] });
+    const expected = FILES.filter(([p, , ignored]) => !ignored && !p.endsWith('.md')).map(([p]) => p);
+    expected.push(...Object.keys(TREE));
+    assert.deepStrictEqual((await matcher.listFiles()).sort(), expected.sort());
+    assert.deepStrictEqual(await matcher.listFiles('sub/deeper'), ['sub/deeper/.gitignore', 'sub/deeper/x.tmp']);
+    assert.deepStrictEqual(await matcher.listFiles('vendor'), []);
+});
+
+test('globFilter: bare globs match at any depth, globs with a slash from the root', () => {
+    const filter = globFilter(['*.js', './lib/**/*.ts'], ['*.test.js']);
+    assert.ok(filter('a/b/c.js'));
+    assert.ok(filter('lib/x/y.ts'));
+    assert.ok(!filter('src/y.ts'));
+    assert.ok(!filter('a/c.test.js'));
+    assert.ok(globFilter()('anything'));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { KeyPool, parseRetryAfter } = require('../lib/KeyPool');
+const { CancelledError } = require('../lib/Cancellation');
+
+const pool = (count, limits = {}) => new KeyPool(
+    Array.from({ length: count }, (_, i) => ({ index: i + 1, key: `secret-key-${i + 1}` })),
+    { env: {}, ...limits }
+);
+
+test('parseRetryAfter reads the delay a 429 suggests', () => {
+    assert.strictEqual(parseRetryAfter('429 Too Many Requests {"@type":"RetryInfo","retryDelay":"27s"}'), 27000);
+    assert.strictEqual(parseRetryAfter('Rate limit reached. Please retry in 3.5s.'), 3500);
+    assert.strictEqual(parseRetryAfter('Retry after 0.2 s'), 200);
+    assert.strictEqual(parseRetryAfter('quota exceeded'), null);
+    assert.strictEqual(parseRetryAfter(), null);
+});
+
+test('acquire spreads in-flight requests and honours the preferred key on ties', async () => {
+    const keys = pool(2);
+    const first = await keys.acquire(2);
+    assert.strictEqual(first.index, 2);
+    const second = await keys.acquire(2);
+    assert.strictEqual(second.index, 1); // Key 2 is busier now
+    keys.release(first, { usage: { totalTokens: 10 } });
+    keys.release(second);
+    assert.deepStrictEqual(keys.getStats().map(s => [s.key, s.requests, s.successes, s.tokens, s.inFlight]), [
+        ['Key 1 (…ey-1)', 1, 1, 0, 0],
+        ['Key 2 (…ey-2)', 1, 1, 10, 0]
+    ]);
+});
+
+test('a rate-limited key cools down and the others take over', async () => {
+    const keys = pool(2);
+    const lease = await keys.acquire(1);
+    keys.release(lease, { rateLimited: true, error: new Error('retry in 30s') });
+    const stats = keys.getStats()[0];
+    assert.strictEqual(stats.rateLimits, 1);
+    assert.ok(stats.coolingDownMs > 29000 && stats.coolingDownMs <= 30000);
+    for (let i = 0; i < 3; i++) {
+        const next = await keys.acquire(1);
+        assert.strictEqual(next.index, 2);
+        keys.release(next);
+    }
+});
+
+test('cooldowns back off exponentially without a server hint, and reset on success', async () => {
+    const keys = pool(1);
+    const state = keys.keys[1];
+    for (const expected of [2000, 4000, 8000]) {
+        keys.release({ index: 1, startedAt: Date.now() }, { rateLimited: true });
+        const cooling = state.cooldownUntil - Date.now();
+        assert.ok(cooling > expected - 100 && cooling <= expected, `${cooling} ~ ${expected}`);
+    }
+    state.cooldownUntil = 0;
+    keys.release(await keys.acquire(), {});
+    assert.strictEqual(state.consecutiveRateLimits, 0);
+});
+
+test('acquire waits for the cooldown, and a signal ends the wait', async () => {
+    const keys = pool(1);
+    keys.release(await keys.acquire(), { rateLimited: true, error: new Error('"retryDelay":"0.3s"') });
+    const started = Date.now();
+    const lease = await keys.acquire();
+    assert.strictEqual(lease.index, 1);
+    assert.ok(Date.now() - started >= 250);
+
+    keys.release(lease, { rateLimited: true, error: new Error('retry in 60s') });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(keys.acquire(null, controller.signal), CancelledError);
+});
+
+test('rpm and maxInFlight limits make keys wait', async () => {
+    const keys = pool(1, { rpm: 2, maxInFlight: 1 });
+    const a = await keys.acquire();
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(keys.acquire(null, controller.signal), CancelledError); // One in flight at most
+    keys.release(a);
+    keys.release(await keys.acquire());
+    assert.ok(keys.waitTime(keys.keys[1], Date.now()) > 59000); // Two requests this minute
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GeminiClient = require('../lib/Gemini');
+const Orchestrator = require('../lib/Orchestrator');
+const { CORE_AGENTS } = require('../lib/Config');
+
+// Replays test/fixtures/pipeline.cassette.jsonl, a full run of "Write a greet module" recorded
+// with RecordingProvider: PM (clarification, requirements), Architect (plan: greet.js),
+// Tester (tests/greet.test.js), Engineer (greet.js), Tester (PASS) and Debugger (reads both).
+// Prompts carry timestamps and the run id, so replay falls back to each agent's recorded order.
+const CASSETTE = path.join(__dirname, 'fixtures', 'pipeline.cassette.jsonl');
+
+function project(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cg-pipeline-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const agents = Object.fromEntries(CORE_AGENTS.map(id => [id, { provider: 'ollama', model: 'qwen2.5-coder' }]));
+    fs.writeFileSync(path.join(root, 'codegrounds.config.json'), JSON.stringify({ git: { enabled: false }, agents }, null, 2));
+
+    // Keep a global ~/.codegrounds config out of the run
+    const previous = process.env.CODEGROUNDS_CONFIG;
+    process.env.CODEGROUNDS_CONFIG = path.join(root, 'none.json');
+    t.after(() => {
+        if (previous === undefined) delete process.env.CODEGROUNDS_CONFIG;
+        else process.env.CODEGROUNDS_CONFIG = previous;
+    });
+    return root;
+}
+
+test('a recorded run builds the planned files and completes the checkpoint', async (t) => {
+    const root = project(t);
+    for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+    t.mock.method(process.stderr, 'write', () => true); // Spinners
+
+    const client = new GeminiClient({}, { cassetteMode: 'replay', cassettePath: CASSETTE, cassetteStrict: false });
+    const orchestrator = new Orchestrator(client);
+    orchestrator.prompter.interactive = false; // "Start Build?" takes its default
+    await orchestrator.run('Write a greet module', root);
+
+    assert.ok(client.providers.ollama.entries.every(entry => entry.used), 'every recorded response was served');
+    assert.strictEqual(require(path.join(root, 'greet.js')).greet('Ada'), 'Hello, Ada!');
+    assert.match(fs.readFileSync(path.join(root, 'tests', 'greet.test.js'), 'utf8'), /greet\('Ada'\)/);
+
+    const state = JSON.parse(fs.readFileSync(path.join(root, 'codegrounds.state.json'), 'utf8'));
+    assert.match(state.project.goals[0], /greet\.js exports greet\(name\)/);
+    assert.deepStrictEqual(state.architecture.phases, [[{ path: 'greet.js', description: 'Export greet(name) returning "Hello, <name>!".' }]]);
+    assert.strictEqual(state.architecture.files['greet.js'].status, 'PERFECTED');
+    assert.strictEqual(state.checkpoint.status, 'complete');
+    assert.strictEqual(state.checkpoint.files['greet.js'].state, 'done');
+    assert.ok(state.checkpoint.testsPrepared && state.checkpoint.verified);
+
+    const trace = fs.readdirSync(path.join(root, '.codegrounds', 'traces'));
+    assert.strictEqual(trace.length, 1);
+    const events = fs.readFileSync(path.join(root, '.codegrounds', 'traces', trace[0]), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(events.filter(e => e.type === 'llm-response').length, 10);
+    assert.deepStrictEqual(events.filter(e => e.type === 'tool').map(e => `${e.agent} ${e.tool} ${e.args.path}`), [
+        'Tester write_file tests/greet.test.js',
+        'Coder write_file greet.js',
+        'Fixer read_file greet.js',
+        'Fixer read_file tests/greet.test.js'
+    ]);
+    assert.strictEqual(events.at(-1).status, 'success');
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseSource, parserFor, registerParser } = require('../lib/parsers');
+
+// Each fixture in test/fixtures/parsers declares a bit of everything and hides declarations and
+// imports in comments and strings, which must not show up.
+function parseFixture(name) {
+    const file = path.join(__dirname, 'fixtures', 'parsers', name);
+    const result = parseSource(file, fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(result.error, undefined);
+    return result;
+}
+
+// "kind parent.name" with a trailing "*" for exported symbols, in source order
+const outline = result => result.symbols.map(s => `${s.kind} ${s.parent ? `${s.parent}.` : ''}${s.name}${s.exported ? ' *' : ''}`);
+const symbol = (result, name, parent = null) => result.symbols.find(s => s.name === name && s.parent === parent);
+
+test('JavaScript / TypeScript', () => {
+    const result = parseFixture('shapes.ts');
+    assert.deepStrictEqual(result.imports, ['react', 'path', './types', './helper', './all', './lazy', './later']);
+    assert.deepStrictEqual(outline(result), [
+        'variable lazy',
+        'variable later',
+        'variable s',
+        'variable t',
+        'variable re',
+        'interface Shape *',
+        'type Id *',
+        'enum Color *',
+        'class Circle *',
+        'method Circle.constructor',
+        'method Circle.area',
+        'method Circle.unit',
+        'method Circle.diameter',
+        'function square *',
+        'function load *',
+        'function internal',
+        'class Hidden',
+        'method Hidden.method',
+        'function legacy *'
+    ]);
+    assert.deepStrictEqual([symbol(result, 'Circle').line, symbol(result, 'Circle').endLine], [16, 22]);
+    assert.deepStrictEqual(symbol(result, 'load').params, ['url: string', '{ retries = 3 } = {}']);
+    assert.deepStrictEqual(symbol(result, 'square').params, ['x: number']);
+    assert.ok(result.references.some(r => r.name === 'area' && r.call && r.line === 25));
+});
+
+test('Python', () => {
+    const result = parseFixture('shapes.py');
+    assert.deepStrictEqual(result.imports, ['os', 'os.path', '.', '.pkg.mod', 'typing']);
+    assert.deepStrictEqual(outline(result), [
+        'variable MAX *',
+        'variable _private',
+        'class Shape *',
+        'method Shape.__init__',
+        'method Shape.area',
+        'method Shape.fetch',
+        'function helper *',
+        'function helper.nested',
+        'function _hidden'
+    ]);
+    assert.deepStrictEqual([symbol(result, 'Shape').line, symbol(result, 'Shape').endLine], [18, 29]);
+    assert.deepStrictEqual(symbol(result, 'fetch', 'Shape').params, ['self', 'url', '*', 'timeout=3']);
+    assert.deepStrictEqual(symbol(result, 'helper').params, ['a', 'b=2']);
+});
+
+test('Go', () => {
+    const result = parseFixture('shapes.go');
+    assert.deepStrictEqual(result.imports, ['fmt', 'strings', 'math', 'embed']);
+    assert.deepStrictEqual(outline(result), [
+        'constant Pi *',
+        'variable counter',
+        'interface Shape *',
+        'struct Circle *',
+        'method Circle.Area *',
+        'method Circle.scale',
+        'function NewCircle *',
+        'function helper'
+    ]);
+    assert.deepStrictEqual([symbol(result, 'Area', 'Circle').line, symbol(result, 'Area', 'Circle').endLine], [23, 27]);
+    assert.deepStrictEqual(symbol(result, 'NewCircle').params, ['r float64']);
+});
+
+test('Rust', () => {
+    const result = parseFixture('shapes.rs');
+    assert.deepStrictEqual(result.imports, [
+        'std::collections::HashMap',
+        'crate::geometry::{Point,Line}',
+        'super::util::*',
+        'self::inner',
+        'self::shapes'
+    ]);
+    assert.deepStrictEqual(outline(result), [
+        'constant MAX *',
+        'constant COUNT',
+        'struct Circle *',
+        'enum Kind',
+        'trait Shape *',
+        'method Shape.area',
+        'method Circle.area',
+        'method Circle.new *',
+        'method Circle.scale',
+        'function helper *',
+        'function private',
+        'macro square',
+        'type Map *'
+    ]);
+    assert.deepStrictEqual(symbol(result, 'scale', 'Circle').params, ['&mut self', 'f: f64']);
+    assert.deepStrictEqual(symbol(result, 'helper').params, ['x: T']);
+});
+
+test('references leave out strings and comments', () => {
+    const js = parseSource('x.js', "const s = 'call()'; // other()\nfoo(); /* bar() */ new Baz();\n");
+    assert.deepStrictEqual(js.references, [
+        { name: 'foo', line: 2, call: true },
+        { name: 'Baz', line: 2, call: true }
+    ]);
+    const py = parseSource('x.py', '# other()\nfoo("bar()")\n');
+    assert.deepStrictEqual(py.references, [{ name: 'foo', line: 2, call: true }]);
+});
+
+test('parsers are chosen by extension, and a failing parser leaves the file empty', () => {
+    assert.strictEqual(parserFor('a/b.TSX').name, parserFor('c.js').name);
+    assert.deepStrictEqual(parseSource('notes.unknownext', 'function f() {}'), { symbols: [], imports: [], references: [] });
+
+    registerParser({ name: 'broken', extensions: ['.broken'], parse() { throw new Error('unexpected token'); } });
+    assert.deepStrictEqual(parseSource('x.broken', ''), { symbols: [], imports: [], references: [], error: 'broken: unexpected token' });
+    assert.throws(() => registerParser({ extensions: ['.x'] }), /"parse\(content, filePath\)"/);
+});
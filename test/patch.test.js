@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseUnifiedDiff, applyHunks, applyEdit, planPatch, patchPaths, PatchParseError } = require('../lib/Patch');
+const { ToolSet } = require('../lib/Tools');
+const { Sandbox } = require('../lib/Sandbox');
+
+const diff = (...lines) => `${lines.join('\n')}\n`;
+const numbered = n => Array.from({ length: n }, (_, i) => `line ${i + 1}`);
+
+// planPatch over an in-memory project
+function plan(args, files) {
+    return planPatch(args, async p => (p in files ? files[p] : null));
+}
+
+test('parses multi-file, multi-hunk diffs and /dev/null creations', () => {
+    const files = parseUnifiedDiff(diff(
+        'Here is the change:',
+        'diff --git a/src/a.js b/src/a.js',
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -1,2 +1,2 @@',
+        ' one',
+        '-two',
+        '+TWO',
+        '@@ -10 +10 @@',
+        '-ten',
+        '+TEN',
+        '--- /dev/null',
+        '+++ b/src/new.js',
+        '@@ -0,0 +1,2 @@',
+        '+created',
+        '+file'
+    ));
+    assert.deepStrictEqual(files.map(f => [f.oldPath, f.newPath, f.hunks.length]), [['src/a.js', 'src/a.js', 2], [null, 'src/new.js', 1]]);
+    assert.deepStrictEqual(files[0].hunks[1], {
+        header: '@@ -10 +10 @@', oldStart: 10, oldCount: 1, newStart: 10, newCount: 1,
+        lines: [{ op: '-', text: 'ten', raw: '-ten' }, { op: '+', text: 'TEN', raw: '+TEN' }]
+    });
+    assert.throws(() => parseUnifiedDiff('@@ -1 +1 @@\n-a\n+b\n'), PatchParseError);
+    assert.throws(() => parseUnifiedDiff('--- a/x\n+++ b/x\n'), /No hunks for x/);
+});
+
+test('applies several hunks in one file, tracking the line shift', () => {
+    const [file] = parseUnifiedDiff(diff(
+        '--- a/f', '+++ b/f',
+        '@@ -2,3 +2,4 @@', ' line 2', '+inserted', ' line 3', ' line 4',
+        '@@ -8,3 +9,2 @@', ' line 8', '-line 9', ' line 10'
+    ));
+    const result = applyHunks(numbered(12), file.hunks);
+    assert.deepStrictEqual(result.notes, []);
+    assert.deepStrictEqual(result.lines, ['line 1', 'line 2', 'inserted', 'line 3', 'line 4', 'line 5', 'line 6', 'line 7', 'line 8', 'line 10', 'line 11', 'line 12']);
+});
+
+test('finds hunks whose line numbers are off and reports the offset', () => {
+    const [file] = parseUnifiedDiff(diff('--- a/f', '+++ b/f', '@@ -3,3 +3,3 @@', ' line 20', '-line 21', '+LINE 21', ' line 22'));
+    const result = applyHunks(numbered(30), file.hunks);
+    assert.strictEqual(result.lines[20], 'LINE 21');
+    assert.deepStrictEqual(result.notes, ['hunk 1: offset +17 lines']);
+});
+
+test('tolerates whitespace differences and stale outer context (fuzz)', () => {
+    const [ws] = parseUnifiedDiff(diff('--- a/f', '+++ b/f', '@@ -1,2 +1,2 @@', '  if (a) {', '-return 1;', '+return 2;'));
+    const spaced = applyHunks(['if (a) {', '    return 1;', '}'], ws.hunks);
+    assert.deepStrictEqual(spaced.lines, ['if (a) {', 'return 2;', '}']);
+    assert.deepStrictEqual(spaced.notes, ['hunk 1: whitespace ignored']);
+
+    const [fuzzy] = parseUnifiedDiff(diff('--- a/f', '+++ b/f', '@@ -4,4 +4,4 @@', ' line 4 (renamed since)', ' line 5', '-line 6', '+LINE 6', ' line 7'));
+    const result = applyHunks(numbered(10), fuzzy.hunks);
+    assert.strictEqual(result.lines[5], 'LINE 6');
+    assert.deepStrictEqual(result.notes, ['hunk 1: fuzz 1']);
+});
+
+test('never fuzzes away the lines being removed', () => {
+    const [file] = parseUnifiedDiff(diff('--- a/f', '+++ b/f', '@@ -1,2 +1,1 @@', '-not in the file', ' line 2'));
+    const result = applyHunks(numbered(3), file.hunks);
+    assert.strictEqual(result.error.hunk, 1);
+    assert.match(result.error.message, /did not apply[\s\S]*Closest match: lines 1-2 \(50% of lines equal\)/);
+});
+
+test('applyEdit replaces unique matches and re-indents whitespace-insensitive ones', () => {
+    assert.deepStrictEqual(applyEdit('a b a', { search: 'b', replace: 'c' }), { content: 'a c a', note: null });
+    assert.match(applyEdit('a b a', { search: 'a', replace: 'c' }).error, /matches 2 places/);
+    assert.deepStrictEqual(applyEdit('a b a', { search: 'a', replace: 'c', all: true }), { content: 'c b c', note: '2 occurrences replaced' });
+    assert.match(applyEdit('abc', { search: '' }).error, /Empty "search"/);
+
+    const source = 'class A {\n    run() {\n        go();\n    }\n}\n';
+    const result = applyEdit(source, { search: 'run() {\n    go();\n}', replace: 'run() {\n    stop();\n}' });
+    assert.strictEqual(result.content, 'class A {\n    run() {\n        stop();\n    }\n}\n');
+    assert.strictEqual(result.note, 'whitespace ignored');
+});
+
+test('plans diffs and edits across files, creating new ones', async () => {
+    const result = await plan({
+        patch: diff('--- a/a.js', '+++ b/a.js', '@@ -1 +1 @@', '-a', '+A', '--- /dev/null', '+++ b/lib/new.js', '@@ -0,0 +1 @@', '+new'),
+        edits: [{ path: 'b.js', search: 'b', replace: 'B' }]
+    }, { 'a.js': 'a\n', 'b.js': 'b\n' });
+    assert.deepStrictEqual(result.rejects, []);
+    assert.deepStrictEqual(result.files.map(f => [f.path, f.before, f.after, f.created]), [
+        ['a.js', 'a\n', 'A\n', false],
+        ['lib/new.js', null, 'new\n', true],
+        ['b.js', 'b\n', 'B\n', false]
+    ]);
+});
+
+test('two spellings of one path are planned as one file', async () => {
+    const result = await plan({
+        patch: diff('--- a/./src/a.js', '+++ b/./src/a.js', '@@ -1 +1 @@', '-one', '+ONE'),
+        edits: [{ path: 'src/a.js', search: 'two', replace: 'TWO' }, { path: 'src//lib/../a.js', search: 'three', replace: 'THREE' }]
+    }, { 'src/a.js': 'one\ntwo\nthree\n' });
+    assert.deepStrictEqual(result.rejects, []);
+    assert.deepStrictEqual(result.files.map(f => [f.path, f.after]), [['src/a.js', 'ONE\nTWO\nTHREE\n']]);
+    assert.deepStrictEqual(patchPaths({ patch: diff('--- a/./x.js', '+++ b/./x.js', '@@ -1 +1 @@', '-a', '+b'), edits: [{ path: 'x.js' }] }), ['x.js']);
+});
+
+test('rejects what cannot apply: missing files, existing creations, deletions, renames', async () => {
+    const result = await plan({
+        patch: diff(
+            '--- a/missing.js', '+++ b/missing.js', '@@ -1 +1 @@', '-a', '+b',
+            '--- /dev/null', '+++ b/exists.js', '@@ -0,0 +1 @@', '+x',
+            '--- a/exists.js', '+++ /dev/null', '@@ -1 +0,0 @@', '-old',
+            '--- a/exists.js', '+++ b/moved.js', '@@ -1 +1 @@', '-old', '+new'
+        )
+    }, { 'exists.js': 'old\n' });
+    assert.deepStrictEqual(result.rejects.map(r => r.path), ['missing.js', 'exists.js', 'exists.js', 'moved.js']);
+    assert.deepStrictEqual(result.files, []);
+});
+
+test('apply_patch writes all files or none', async (t) => {
+    const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cg-patch-')));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(root, 'a.js'), 'a\n');
+    fs.writeFileSync(path.join(root, 'b.js'), 'b\n');
+    const tools = Object.create(ToolSet.prototype);
+    Object.assign(tools, { workspaceDir: root, sandbox: new Sandbox(root), kg: null, workspace: null });
+    const read = f => fs.readFileSync(path.join(root, f), 'utf8');
+
+    const failing = await tools.applyPatch({ patch: diff('--- a/a.js', '+++ b/a.js', '@@ -1 +1 @@', '-a', '+A', '--- a/b.js', '+++ b/b.js', '@@ -1 +1 @@', '-nope', '+B') });
+    assert.match(failing, /^Error: Patch rejected, no files were changed[\s\S]*b\.js[\s\S]*would have applied cleanly: a\.js/);
+    assert.strictEqual(read('a.js'), 'a\n');
+    assert.strictEqual(read('b.js'), 'b\n');
+
+    const ok = await tools.applyPatch({ patch: diff('--- a/a.js', '+++ b/a.js', '@@ -1 +1 @@', '-a', '+A', '--- /dev/null', '+++ b/src/c.js', '@@ -0,0 +1 @@', '+c') });
+    assert.match(ok, /^Successfully applied patch to 2 file\(s\)/);
+    assert.strictEqual(read('a.js'), 'A\n');
+    assert.strictEqual(read('src/c.js'), 'c\n');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModuleResolver, exportTargets, packageName, parseJsonc } = require('../lib/Resolver');
+
+// One project with a bit of every language; file contents don't matter to the resolver
+const PROJECT = {
+    'package.json': JSON.stringify({ name: 'shop', workspaces: ['packages/*'] }),
+    'tsconfig.json': '{\n  // aliases\n  "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"], "@ui": ["src/components/index.ts"], }, },\n}',
+    'src/app.ts': '',
+    'src/util.ts': '',
+    'src/config.json': '',
+    'src/components/index.ts': '',
+    'src/components/Button.tsx': '',
+    'src/legacy/helpers.js': '',
+    'src/legacy/jsconfig.json': JSON.stringify({ compilerOptions: { paths: { '~/*': ['./*'] } } }),
+    'src/legacy/old.js': '',
+    'packages/ui/package.json': JSON.stringify({ name: '@shop/ui', exports: { '.': './src/index.js', './theme': { import: './src/theme.mjs' } } }),
+    'packages/ui/src/index.js': '',
+    'packages/ui/src/theme.mjs': '',
+    'scripts/tool.py': '',
+    'scripts/neighbour.py': '',
+    'app/__init__.py': '',
+    'app/models/__init__.py': '',
+    'app/models/user.py': '',
+    'app/views.py': '',
+    'src/pkg/__init__.py': '',
+    'go.mod': 'module example.com/shop\n\ngo 1.22\n',
+    'main.go': '',
+    'internal/store/store.go': '',
+    'Cargo.toml': '[package]\nname = "shop"\n',
+    'src/main.rs': '',
+    'src/geometry.rs': '',
+    'src/geometry/point.rs': '',
+    'src/net/mod.rs': '',
+    'src/net/http.rs': ''
+};
+
+function project(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cg-resolver-'));
+    for (const [file, content] of Object.entries(PROJECT)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    }
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    return new ModuleResolver(root);
+}
+
+// [importing file, specifier, expected result without `specifier`]
+const CASES = [
+    // JavaScript / TypeScript: relative, extensionless, index files, "./x.js" for x.ts
+    ['src/app.ts', './util', { kind: 'local', path: 'src/util.ts' }],
+    ['src/app.ts', './util.js', { kind: 'local', path: 'src/util.ts' }],
+    ['src/app.ts', './config.json', { kind: 'local', path: 'src/config.json' }],
+    ['src/app.ts', './components', { kind: 'local', path: 'src/components/index.ts' }],
+    ['src/components/Button.tsx', '../util?raw', { kind: 'local', path: 'src/util.ts' }],
+    ['src/app.ts', './missing', { kind: 'unresolved' }],
+    ['src/app.ts', '../../outside', { kind: 'unresolved' }],
+    // tsconfig paths and baseUrl; the nearest jsconfig.json wins
+    ['src/app.ts', '@/components/Button', { kind: 'local', path: 'src/components/Button.tsx' }],
+    ['src/app.ts', '@ui', { kind: 'local', path: 'src/components/index.ts' }],
+    ['src/app.ts', 'src/util', { kind: 'local', path: 'src/util.ts' }],
+    ['src/legacy/old.js', '~/helpers', { kind: 'local', path: 'src/legacy/helpers.js' }],
+    ['src/legacy/old.js', '@/util', { kind: 'package', name: '@/util' }],
+    // Workspace packages through "exports"; everything else is external
+    ['src/app.ts', '@shop/ui', { kind: 'local', path: 'packages/ui/src/index.js' }],
+    ['src/app.ts', '@shop/ui/theme', { kind: 'local', path: 'packages/ui/src/theme.mjs' }],
+    ['src/app.ts', '@shop/ui/missing', { kind: 'unresolved' }],
+    ['src/app.ts', 'react-dom/client', { kind: 'package', name: 'react-dom' }],
+    ['src/app.ts', '@types/node', { kind: 'package', name: '@types/node' }],
+    ['src/app.ts', 'fs', { kind: 'builtin' }],
+    ['src/app.ts', 'node:path', { kind: 'builtin' }],
+
+    // Python: packages from the root or src/, relative imports, neighbours of scripts
+    ['app/views.py', 'app.models', { kind: 'local', path: 'app/models/__init__.py' }],
+    ['app/views.py', 'app.models.user', { kind: 'local', path: 'app/models/user.py' }],
+    ['app/models/user.py', '.', { kind: 'local', path: 'app/models/__init__.py' }],
+    ['app/models/user.py', '..views', { kind: 'local', path: 'app/views.py' }],
+    ['app/models/user.py', '.missing', { kind: 'unresolved' }],
+    ['scripts/tool.py', 'neighbour', { kind: 'local', path: 'scripts/neighbour.py' }],
+    ['scripts/tool.py', 'pkg', { kind: 'local', path: 'src/pkg/__init__.py' }],
+    ['scripts/tool.py', 'os.path', { kind: 'builtin' }],
+    ['scripts/tool.py', 'requests.adapters', { kind: 'package', name: 'requests' }],
+
+    // Go: packages under the go.mod module path are directories
+    ['main.go', 'example.com/shop/internal/store', { kind: 'local', path: 'internal/store', dir: true }],
+    ['main.go', 'example.com/shop/internal/missing', { kind: 'unresolved' }],
+    ['main.go', 'net/http', { kind: 'builtin' }],
+    ['main.go', 'github.com/lib/pq', { kind: 'package', name: 'github.com/lib/pq' }],
+
+    // Rust: crate::, self::, super:: and `mod` files
+    ['src/main.rs', 'crate::geometry::{Point,Line}', { kind: 'local', path: 'src/geometry.rs' }],
+    ['src/main.rs', 'crate::geometry::point::Point', { kind: 'local', path: 'src/geometry/point.rs' }],
+    ['src/main.rs', 'self::net', { kind: 'local', path: 'src/net/mod.rs' }],
+    ['src/net/mod.rs', 'self::http', { kind: 'local', path: 'src/net/http.rs' }],
+    ['src/geometry.rs', 'self::point', { kind: 'local', path: 'src/geometry/point.rs' }],
+    ['src/geometry/point.rs', 'super::super::net::http', { kind: 'local', path: 'src/net/http.rs' }],
+    ['src/main.rs', 'crate::Config', { kind: 'local', path: 'src/main.rs' }],
+    ['src/main.rs', 'self::missing', { kind: 'unresolved' }],
+    ['src/main.rs', 'std::collections::HashMap', { kind: 'builtin' }],
+    ['src/main.rs', 'serde::Deserialize', { kind: 'package', name: 'serde' }]
+];
+
+test('resolves imports of every language against a fixture project', (t) => {
+    const resolver = project(t);
+    for (const [from, specifier, expected] of CASES) {
+        const result = resolver.resolve(from, specifier);
+        if (result.path) result.path = result.path.split(path.sep).join('/');
+        assert.deepStrictEqual(result, { specifier, ...expected }, `${specifier} from ${from}`);
+    }
+});
+
+test('config changes are picked up after reset()', (t) => {
+    const resolver = project(t);
+    assert.strictEqual(resolver.resolve('main.go', 'example.com/shop/internal/store').kind, 'local');
+    fs.writeFileSync(path.join(resolver.rootDir, 'go.mod'), 'module example.com/renamed\n');
+    assert.strictEqual(resolver.resolve('main.go', 'example.com/shop/internal/store').kind, 'local');
+    resolver.reset();
+    assert.deepStrictEqual(resolver.resolve('main.go', 'example.com/shop/internal/store'), {
+        specifier: 'example.com/shop/internal/store',
+        kind: 'package',
+        name: 'example.com/shop/internal/store'
+    });
+});
+
+test('helpers', () => {
+    assert.strictEqual(packageName('@scope/name/sub/path'), '@scope/name');
+    assert.strictEqual(packageName('lodash/fp'), 'lodash');
+    assert.deepStrictEqual(parseJsonc('{ "a": "//not a comment", /* b */ "c": [1, 2,], }'), { a: '//not a comment', c: [1, 2] });
+    assert.deepStrictEqual(exportTargets('./index.js', '.'), ['./index.js']);
+    assert.deepStrictEqual(exportTargets({ './*': './src/*.js' }, './button'), ['./src/button.js']);
+    assert.deepStrictEqual(exportTargets({ '.': { require: './a.cjs', import: './a.mjs' } }, '.'), ['./a.mjs', './a.cjs']);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KnowledgeGraph = require('../lib/KnowledgeGraph');
+const { tokenize, splitIdentifier, stem } = require('../lib/Retrieval');
+
+const PROJECT = {
+    'src/components/LoginForm.jsx': [
+        "import { validateEmail, validatePassword } from '../utils/validation';",
+        '',
+        'export function LoginForm({ onSubmit }) {',
+        '    const submit = (email, password) => {',
+        '        if (!validateEmail(email) || !validatePassword(password)) return;',
+        '        onSubmit(email, password);',
+        '    };',
+        '    return <form onSubmit={submit}><input name="email" /></form>;',
+        '}'
+    ],
+    'src/utils/validation.js': [
+        'export function validateEmail(value) {',
+        '    return /^[^@]+@[^@]+$/.test(value);',
+        '}',
+        'export function validatePassword(value) {',
+        '    return value.length >= 8;',
+        '}'
+    ],
+    'src/utils/formatDate.js': [
+        'export function formatDate(date) {',
+        '    return date.toISOString().slice(0, 10);',
+        '}'
+    ],
+    'src/api/orders.js': [
+        "import { formatDate } from '../utils/formatDate';",
+        'export async function fetchOrders(client) {',
+        "    const orders = await client.get('/orders');",
+        '    return orders.map(order => ({ ...order, placed: formatDate(order.placedAt) }));',
+        '}'
+    ],
+    'src/App.jsx': [
+        "import { LoginForm } from './components/LoginForm';",
+        "import { fetchOrders } from './api/orders';",
+        'export default function App() {',
+        '    return <LoginForm onSubmit={() => fetchOrders()} />;',
+        '}'
+    ],
+    'README.md': ['# Shop', '', 'Customers log in, browse and place orders.']
+};
+
+async function indexedProject(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cg-retrieval-'));
+    for (const [file, lines] of Object.entries(PROJECT)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), `${lines.join('\n')}\n`);
+    }
+    const kg = new KnowledgeGraph(root);
+    await kg.sync();
+    t.after(async () => {
+        await kg.flush();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    return kg;
+}
+
+const files = hits => hits.map(hit => hit.file.split(path.sep).join('/'));
+
+test('splits identifiers and stems words so query and code meet', () => {
+    assert.deepStrictEqual(splitIdentifier('parseHTTPResponse2'), ['parse', 'http', 'response', '2']);
+    assert.deepStrictEqual(splitIdentifier('user_id'), ['user', 'id']);
+    assert.deepStrictEqual(['validation', 'validates', 'validating'].map(stem), ['validat', 'validat', 'validat']);
+    assert.strictEqual(stem('queries'), 'query');
+    assert.strictEqual(stem('running'), 'run');
+    assert.deepStrictEqual(tokenize('Fix the loginForm for users'), ['login', 'form', 'loginform', 'user']);
+});
+
+test('ranks the file that matches by name, symbols and content first', async (t) => {
+    const kg = await indexedProject(t);
+    const hits = await kg.getRelevantFiles('fix the login form validation');
+    assert.deepStrictEqual(files(hits).slice(0, 2), ['src/components/LoginForm.jsx', 'src/utils/validation.js']);
+    assert.deepStrictEqual(hits[0].reasons.slice(0, 3), ['content', 'symbols', 'path']);
+    assert.deepStrictEqual(hits[0].snippet, { line: 3, text: 'export function LoginForm({ onSubmit }) {' });
+    assert.ok(!files(hits).includes('src/utils/formatDate.js'));
+    for (let i = 1; i < hits.length; i++) assert.ok(hits[i - 1].score >= hits[i].score);
+});
+
+test('rare words outweigh common ones, and imports of strong hits get a boost', async (t) => {
+    const kg = await indexedProject(t);
+    const hits = await kg.getRelevantFiles('orders', { snippets: false });
+    assert.strictEqual(files(hits)[0], 'src/api/orders.js');
+    assert.ok(files(hits).includes('README.md'));
+
+    const formatting = await kg.getRelevantFiles('placed orders', { snippets: false });
+    const date = formatting.find(hit => files([hit])[0] === 'src/utils/formatDate.js');
+    assert.ok(date, 'formatDate.js is reached through the import');
+    assert.deepStrictEqual(date.reasons, [`imported by ${path.join('src', 'api', 'orders.js')}`]);
+});
+
+test('nothing is returned for a query of stop words only', async (t) => {
+    const kg = await indexedProject(t);
+    assert.deepStrictEqual(await kg.getRelevantFiles('please fix all of it'), []);
+});
+
+test('searchSymbols puts exact names first, then names made of query words', async (t) => {
+    const kg = await indexedProject(t);
+    const exact = await kg.searchSymbols('formatDate');
+    assert.strictEqual(exact[0].name, 'formatDate');
+    const words = await kg.searchSymbols('validate the password');
+    assert.strictEqual(words[0].name, 'validatePassword');
+    assert.ok(words.findIndex(s => s.name === 'validateEmail') > 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Sandbox, PathEscapeError } = require('../lib/Sandbox');
+
+function tempProject() {
+    const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cg-sandbox-')));
+    const root = path.join(base, 'proj');
+    const outside = path.join(base, 'outside');
+    fs.mkdirSync(root);
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(outside, 'creds.txt'), 'API_KEY=topsecret\n');
+    return { base, root, outside };
+}
+
+test('Node fetch (WebAssembly) works under the default limits', async (t) => {
+    const server = http.createServer((req, res) => res.end('pong'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const { base, root } = tempProject();
+    t.after(() => fs.rmSync(base, { recursive: true, force: true }));
+
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    const result = await new Sandbox(root).run(`node -e "fetch('${url}').then(r => r.text()).then(t => console.log(t))"`, { timeoutSeconds: 60 });
+    assert.strictEqual(result.stderr, '');
+    assert.strictEqual(result.stdout.trim(), 'pong');
+    assert.strictEqual(result.exitCode, 0);
+});
+
+test('memoryMb is opt-in', () => {
+    assert.doesNotMatch(new Sandbox('/tmp').wrap('true')[1][1], /ulimit -v/);
+    assert.match(new Sandbox('/tmp', { memoryMb: 512 }).wrap('true')[1][1], /ulimit -v 524288/);
+});
+
+test('resolve() keeps paths inside the project, symlinks included', (t) => {
+    const { base, root, outside } = tempProject();
+    t.after(() => fs.rmSync(base, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.symlinkSync(path.join(root, 'src'), path.join(root, 'inner'));
+    fs.symlinkSync(outside, path.join(root, 'link'));
+    fs.symlinkSync(path.join(outside, 'missing.txt'), path.join(root, 'dangling'));
+    fs.symlinkSync(path.join(root, 'dangling'), path.join(root, 'chained'));
+    fs.symlinkSync('loop-b', path.join(root, 'loop-a'));
+    fs.symlinkSync('loop-a', path.join(root, 'loop-b'));
+    const sandbox = new Sandbox(root);
+
+    assert.strictEqual(sandbox.resolve('src/new/file.js'), path.join(root, 'src/new/file.js'));
+    assert.strictEqual(sandbox.resolve('inner/a.js'), path.join(root, 'inner/a.js'));
+    for (const p of ['../outside/creds.txt', outside, 'link/creds.txt', 'link/new.txt', 'dangling', 'chained', 'loop-a']) {
+        assert.throws(() => sandbox.resolve(p), PathEscapeError, p);
+    }
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Schema = require('../lib/Schema');
+const { validate } = Schema;
+const { loadConfig } = require('../lib/Config');
+
+// The config sections, next to the structured-answer schemas of lib/Schema.js
+const SECTION_SCHEMAS = {
+    approval: require('../lib/Approval').APPROVAL_SCHEMA,
+    sandbox: require('../lib/Sandbox').SANDBOX_SCHEMA,
+    git: require('../lib/Git').GIT_SCHEMA,
+    http: require('../lib/Http').HTTP_SCHEMA,
+    questions: require('../lib/Questions').QUESTIONS_SCHEMA,
+    plugins: require('../lib/Plugins').PLUGINS_SCHEMA
+};
+
+// Every node of a schema (properties, items, additionalProperties)
+function* nodes(schema, at = '$') {
+    yield [at, schema];
+    for (const [key, child] of Object.entries(schema.properties || {})) yield* nodes(child, `${at}.${key}`);
+    if (schema.items) yield* nodes(schema.items, `${at}[]`);
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') yield* nodes(schema.additionalProperties, `${at}.*`);
+}
+
+test('validates types, enums, strings, numbers, arrays and objects', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 5, pattern: '^[a-z]+$' },
+            count: { type: 'integer', minimum: 0, maximum: 10 },
+            ratio: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 },
+            mode: { type: ['string', 'null'], enum: ['a', 'b', null] },
+            tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } },
+            env: { type: 'object', additionalProperties: { type: 'string' } }
+        },
+        required: ['name'],
+        additionalProperties: false
+    };
+    assert.deepStrictEqual(validate({ name: 'ok', count: 0, ratio: 0.5, mode: null, tags: ['x'], env: { A: '1' } }, schema), []);
+    assert.deepStrictEqual(validate({ name: 'TOOLONG', count: -1, ratio: 1, mode: 'c', tags: [], env: { A: 1 }, extra: true }, schema), [
+        '$.name: must not be longer than 5 character(s)',
+        '$.name: must match /^[a-z]+$/',
+        '$.count: must be at least 0, got -1',
+        '$.ratio: must be less than 1, got 1',
+        '$.mode: must be one of "a", "b", null, got "c"',
+        '$.tags: must have at least 1 item(s), got 0',
+        '$.env.A: expected string, got integer',
+        '$.extra: is not allowed'
+    ]);
+    assert.deepStrictEqual(validate({ count: 1.5 }, schema), ['$.name: is required', '$.count: expected integer, got number']);
+    assert.deepStrictEqual(validate({ name: 'a', count: 11, ratio: 0 }, schema), ['$.count: must be at most 10, got 11', '$.ratio: must be greater than 0, got 0']);
+});
+
+test('rejects keywords it does not implement instead of ignoring them', () => {
+    assert.throws(() => validate(1, { type: 'integer', multipleOf: 2 }), /Unsupported JSON schema keyword "multipleOf"/);
+    assert.throws(() => validate({ a: 'x' }, { type: 'object', properties: { a: { oneOf: [] } } }), /"oneOf" \(validating \$\.a\)/);
+    assert.deepStrictEqual(validate('x', { type: 'string', title: 'T', description: 'd', default: 'x', examples: ['x'] }), []);
+});
+
+test('every schema in the repo only uses supported keywords', () => {
+    const schemas = [...Object.entries(Schema).filter(([name]) => name.endsWith('_SCHEMA')), ...Object.entries(SECTION_SCHEMAS)];
+    for (const [name, schema] of schemas) {
+        for (const [at, node] of nodes(schema)) assert.doesNotThrow(() => validate(undefined, node), `${name} ${at}`);
+    }
+});
+
+test('config validation applies minimum (questions.maxPerRun)', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cg-schema-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const previous = process.env.CODEGROUNDS_CONFIG;
+    process.env.CODEGROUNDS_CONFIG = path.join(dir, 'none.json');
+    t.after(() => {
+        if (previous === undefined) delete process.env.CODEGROUNDS_CONFIG;
+        else process.env.CODEGROUNDS_CONFIG = previous;
+    });
+
+    fs.writeFileSync(path.join(dir, 'codegrounds.config.json'), JSON.stringify({ questions: { maxPerRun: -1 } }));
+    await assert.rejects(loadConfig(dir), /\$\.questions\.maxPerRun: must be at least 0, got -1/);
+    fs.writeFileSync(path.join(dir, 'codegrounds.config.json'), JSON.stringify({ questions: { maxPerRun: 0 } }));
+    assert.strictEqual((await loadConfig(dir)).questions.maxPerRun, 0);
+});
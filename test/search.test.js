@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { searchFiles, SearchError } = require('../lib/Search');
+const { CancelledError } = require('../lib/Cancellation');
+const { ToolSet } = require('../lib/Tools');
+const { Sandbox } = require('../lib/Sandbox');
+
+function tempProject(t) {
+    const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cg-search-')));
+    t.after(() => fs.rmSync(base, { recursive: true, force: true }));
+    const root = path.join(base, 'proj');
+    const outside = path.join(base, 'outside');
+    fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(root, 'src', 'app.js'), 'const API_KEY = process.env.API_KEY;\n');
+    fs.writeFileSync(path.join(outside, 'creds.txt'), 'API_KEY=topsecret\n');
+    fs.symlinkSync(outside, path.join(root, 'link'));
+    fs.symlinkSync(path.join(outside, 'creds.txt'), path.join(root, 'creds.txt'));
+    return root;
+}
+
+test('finds matches inside the project only, even through symlinks', async (t) => {
+    const root = tempProject(t);
+    const result = await searchFiles(root, { pattern: 'API_KEY' });
+    assert.deepStrictEqual(result.matches.map(m => m.file), ['src/app.js']);
+    await assert.rejects(searchFiles(root, { pattern: 'API_KEY', path: 'link' }), SearchError);
+    await assert.rejects(searchFiles(root, { pattern: 'API_KEY', path: '../outside' }), SearchError);
+});
+
+test('search_files resolves its path through the sandbox', async (t) => {
+    const root = tempProject(t);
+    const tools = Object.create(ToolSet.prototype);
+    Object.assign(tools, { workspaceDir: root, sandbox: new Sandbox(root) });
+    await assert.rejects(tools.searchFiles({ pattern: 'API_KEY', path: 'link/creds.txt' }), /outside the project/);
+    assert.match(await tools.searchFiles({ pattern: 'API_KEY', path: 'src' }), /src\/app\.js:1:7:/);
+});
+
+test('a runaway regex is stopped by the timeout', async (t) => {
+    const root = tempProject(t);
+    fs.writeFileSync(path.join(root, 'src', 'long.txt'), `${'a'.repeat(40)}!\n`);
+    const started = Date.now();
+    await assert.rejects(searchFiles(root, { pattern: '^(a+)+$', timeoutSeconds: 1 }), /timed out after 1s/);
+    assert.ok(Date.now() - started < 10000);
+});
+
+test('aborting the signal cancels a running search', async (t) => {
+    const root = tempProject(t);
+    fs.writeFileSync(path.join(root, 'src', 'long.txt'), `${'a'.repeat(40)}!\n`);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 200);
+    await assert.rejects(searchFiles(root, { pattern: '^(a+)+$', signal: controller.signal }), CancelledError);
+});
+
+test('invalid patterns are reported without a search', async (t) => {
+    const root = tempProject(t);
+    await assert.rejects(searchFiles(root, { pattern: '(' }), /Invalid regex/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ToolSet } = require('../lib/Tools');
+const { Sandbox } = require('../lib/Sandbox');
+const Workspace = require('../lib/Workspace');
+
+function tempTools(t, files) {
+    const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cg-tools-')));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(root, file), content);
+    const workspace = new Workspace();
+    workspace.projectDir = root;
+    const tools = Object.create(ToolSet.prototype);
+    Object.assign(tools, { workspaceDir: root, sandbox: new Sandbox(root), workspace, kg: null });
+    return { root, tools };
+}
+
+test('the replace_in_file preview shows the change that gets written', async (t) => {
+    const { root, tools } = tempTools(t, { 'a.js': 'let x = 1;\nlet y = 1;\nlet x = 1;\n' });
+    const args = { path: 'a.js', search: 'let x = 1;', replace: 'let x = 2;' };
+
+    const preview = await tools.previewCall('replace_in_file', args);
+    assert.strictEqual(preview.split('\n').filter(l => l.includes('let x = 2;')).length, 1);
+
+    await tools.workspace.applyPatch(args.path, args.search, args.replace);
+    assert.strictEqual(fs.readFileSync(path.join(root, 'a.js'), 'utf8'), 'let x = 2;\nlet y = 1;\nlet x = 1;\n');
+});
+
+test('Workspace.replaceContent replaces the first match, re-indenting a whitespace-insensitive one', () => {
+    assert.strictEqual(Workspace.replaceContent('a a a', 'a', 'b'), 'b a a');
+    assert.strictEqual(Workspace.replaceContent('x', 'y', 'z'), null);
+    assert.strictEqual(Workspace.replaceContent('$', '$', '$&$&'), '$&$&');
+    const before = 'function f() {\n    if (a) {\n        go();\n    }\n}\n';
+    const after = Workspace.replaceContent(before, 'if (a) {\ngo();\n}', 'if (b) {\n    stop();\n}');
+    assert.strictEqual(after, 'function f() {\n    if (b) {\n        stop();\n    }\n}\n');
+});
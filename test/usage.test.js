@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { UsageTracker, BudgetExceededError } = require('../lib/Usage');
+
+const tracker = (budgets = {}) => new UsageTracker({ env: {}, budgets });
+const spend = (usage, agent, tokens, model = 'gemini-2.5-flash') =>
+    usage.record({ agent, model, usage: { inputTokens: tokens, outputTokens: 0 } });
+
+test('records tokens and cost per agent, phase, file and model', () => {
+    const usage = tracker();
+    usage.record({ agent: 'Engineer', phase: 'build', file: 'a.js', provider: 'gemini', model: 'models/gemini-2.5-flash-001', usage: { inputTokens: 1000000, outputTokens: 100000 } });
+    usage.record({ agent: 'Tester', model: 'unpriced-model', usage: { inputTokens: 10, outputTokens: 5 } });
+    assert.strictEqual(usage.run.totalTokens, 1100015);
+    assert.strictEqual(usage.run.calls, 2);
+    assert.strictEqual(usage.byAgent.Engineer.cost, 0.3 + 0.25);
+    assert.strictEqual(usage.byAgent.Tester.cost, 0);
+    assert.strictEqual(usage.byPhase.build.calls, 1);
+    assert.strictEqual(usage.byFile['a.js'].totalTokens, 1100000);
+    assert.deepStrictEqual(Object.keys(usage.byModel), ['gemini:models/gemini-2.5-flash-001', 'unpriced-model']);
+});
+
+test('check() reports the first budget that is reached', () => {
+    const usage = tracker({ runTokens: 1000, agentTokens: 300 });
+    assert.deepStrictEqual(usage.check('Engineer'), { action: 'ok', reason: null });
+    spend(usage, 'Engineer', 300);
+    assert.deepStrictEqual(usage.check('Engineer'), { action: 'stop', reason: 'Engineer used 300 tokens (budget 300)' });
+    assert.strictEqual(usage.check('Tester').action, 'ok'); // Agent budgets are per agent
+    spend(usage, 'Tester', 700);
+    assert.deepStrictEqual(usage.check('Tester'), { action: 'stop', reason: 'run used 1000 tokens (budget 1000)' });
+
+    const costly = tracker({ runCost: 0.01 });
+    spend(costly, 'PM', 40000, 'gemini-2.5-pro'); // $0.05
+    assert.match(costly.check('PM').reason, /^run cost \$0\.0500 \(budget \$0\.01\)$/);
+});
+
+test('enforce() stops with a fatal BudgetExceededError by default', () => {
+    const usage = tracker({ agentTokens: 100 });
+    assert.strictEqual(usage.enforce('Engineer', 'gemini-2.5-pro'), 'gemini-2.5-pro');
+    spend(usage, 'Engineer', 100);
+    assert.throws(() => usage.enforce('Engineer', 'gemini-2.5-pro'), err =>
+        err instanceof BudgetExceededError && err.fatal === true && /Engineer used 100 tokens/.test(err.message));
+});
+
+test('enforce() downgrades the model once a budget is hit in downgrade mode', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const usage = tracker({ runTokens: 100, action: 'downgrade', downgradeModel: 'gemini-2.5-flash' });
+    spend(usage, 'Engineer', 150, 'gemini-2.5-pro');
+    assert.strictEqual(usage.enforce('Engineer', 'gemini-2.5-pro'), 'gemini-2.5-flash');
+    assert.strictEqual(usage.enforce('Engineer', 'gemini-2.5-pro'), 'gemini-2.5-flash');
+    assert.strictEqual(warn.mock.callCount(), 1); // Warned once per agent
+
+    const nowhere = tracker({ runTokens: 100, action: 'downgrade', downgradeModel: null });
+    spend(nowhere, 'Engineer', 150);
+    assert.throws(() => nowhere.enforce('Engineer', 'gemini-2.5-pro'), BudgetExceededError);
+});
+
+test('budgets come from the environment', () => {
+    const usage = new UsageTracker({ env: { BUDGET_RUN_TOKENS: '5000', BUDGET_AGENT_USD: '0.5', BUDGET_ACTION: 'downgrade', BUDGET_DOWNGRADE_MODEL: 'm', BUDGET_RUN_USD: '-1' } });
+    assert.deepStrictEqual(usage.budgets, { runTokens: 5000, runCost: null, agentTokens: null, agentCost: 0.5, action: 'downgrade', downgradeModel: 'm' });
+});